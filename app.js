@@ -6,6 +6,75 @@ import {
   OrbitControls
 } from 'https://threejsfundamentals.org/threejs/resources/threejs/r127/examples/jsm/controls/OrbitControls.js';
 
+import {
+  VoxelWorld
+} from './voxel-world.js';
+
+import {
+  MeshWorkerPool
+} from './mesh-worker-pool.js';
+
+import {
+  ChunkStreamer
+} from './chunk-streamer.js';
+
+import {
+  VoxelLighting
+} from './voxel-lighting.js';
+
+import {
+  WorldExporter
+} from './world-exporter.js';
+
+import {
+  VoxFile
+} from './vox-file.js';
+
+import {
+  RegionBrush
+} from './region-brush.js';
+
+import {
+  VoxelRegion
+} from './voxel-region.js';
+
+import {
+  PrefabStore
+} from './prefab-store.js';
+
+import {
+  FirstPersonController
+} from './first-person-controller.js';
+
+import {
+  VoxelSyncClient
+} from './voxel-sync.js';
+
+import {
+  RemeshScheduler
+} from './remesh-scheduler.js';
+
+import {
+  VoxelLod
+} from './voxel-lod.js';
+
+import {
+  Hotbar
+} from './hotbar.js';
+
+import {
+  VoxelSimulation
+} from './voxel-simulation.js';
+
+import {
+  HeightmapImporter
+} from './heightmap-importer.js';
+
+import {
+  SineHillGenerator,
+  NoiseTerrainGenerator
+} from './terrain-generators.js';
+
 /**
  * 1번 예제는 로드하는 데 시간도 오래걸리고 카메라를 움직이면 버벅거림.
  * 당연한 것이, 256*256개의 육면체를 렌더링하니까 그렇지...
@@ -29,438 +98,157 @@ import {
  * 이런 식으로 첫번째 cell의 '겉부분 면으로만 이루어진 buffetGeometry'를 생성할 때 필요한 좌표값, 노멀값, 인덱스값들 저장해놓음.
  */
 
-class VoxelWorld {
-  constructor(options) {
-    this.cellSize = options.cellSize;
-    this.tileSize = options.tileSize; // 텍스처 안의 각 타일 1장의 크기
-    this.tileTextureWidth = options.tileTextureWidth; // 텍스처 전체 너비
-    this.tileTextureHeight = options.tileTextureHeight; // 텍스처 전체 높이
-
-    const {
-      cellSize
-    } = this; // 위의 options에서 가져온 cellSize값이 할당된 this.cellSize 프로퍼티의 값을 const cellSize에 다시 가져온 것... 뭐하러 이렇게 하는지 참...
-    this.cellSliceSize = cellSize * cellSize; // 해당 복셀이 몇번째 복셀인지 계산할 때, 복셀의 y좌표값에 곱해서 몇번째 층에 있는 복셀인지 우선 구하기 위해 곱해주는 값.
-    this.cells = {}; // 복셀을 추가하면, 추가하는 복셀이 첫번째 셀에 해당하는지 확인하고, 그렇지 않다면 새로운 셀의 형식화 배열을 생성해야 하므로, 여러 개의 셀 형식화 배열들을 만들어서 담아놓기 위한 객체를 만들어놓음.
-  }
-
-  // 전달받은 복셀좌표값이 몇 번째 셀에 포함되는지 해당 셀의 id값을 'x, y, z'좌표값 문자열 형태로 계산하여 리턴해주는 메서드
-  computeCellId(x, y, z) {
-    const {
-      cellSize
-    } = this;
-    const cellX = Math.floor(x / cellSize);
-    const cellY = Math.floor(y / cellSize);
-    const cellZ = Math.floor(z / cellSize);
-    return `${cellX}, ${cellY}, ${cellZ}`;
+/**
+ * 복셀 편집 기록을 관리해서 실행 취소(undo) / 다시 실행(redo)을 할 수 있게 해주는 클래스.
+ *
+ * world.setVoxel()을 직접 호출하는 대신 이 클래스의 setVoxel()을 호출하면, 바뀌기 전 값(oldValue)과 바뀐 값(newValue)을 복셀좌표값과 함께 기록해 둠.
+ * 계단의 방향 같은 상태값도 바뀌기 전 값(oldState)과 바뀐 값(newState)으로 같이 기록해서, 되돌릴 때 방향까지 원래대로 돌아가게 함.
+ * 그리고 beginAction() ~ endAction() 사이에 기록된 변경사항들을 하나의 '액션'으로 묶어서, 실행 취소할 때 한 번에 되돌릴 수 있도록 함.
+ * 예를 들어, 나중에 영역 단위로 복셀을 여러 개 채우는 기능이 생겨도 한 번의 Ctrl+Z로 전부 되돌릴 수 있겠지.
+ *
+ * undo(), redo()는 되돌리거나 다시 적용한 변경사항들의 배열을 리턴해주니까, 호출하는 쪽에서 그 좌표값들로 영향받은 cell만 다시 메쉬를 만들어주면 됨.
+ */
+class EditHistory {
+  constructor(world, options) {
+    this.world = world;
+    this.maxActions = options.maxActions; // 기록해 둘 액션의 최대 개수. 이걸 넘어가면 가장 오래된 액션부터 버림.
+    this.undoStack = [];
+    this.redoStack = [];
+    this.currentAction = null; // beginAction()으로 시작해서 아직 endAction()이 호출되지 않은, 기록 중인 액션
   }
 
-  // 전달받은 복셀좌표값이 몇번째 셀에 포함되는지 해당 셀의 id값을 계산하여 리턴받은 뒤, 해당 id값과 일치하는 셀의 형식화배열을 this.cells에서 가져와서 리턴해주는 메서드
-  // 왜 이렇게 하냐면, 우리가 이제 복셀을 '추가'하는 기능까지 만들거기 때문에, 첫번째 셀의 복셀만이 아니라, 그 외의 셀에 포함되는 복셀까지 렌더해줘야 하는 상황도 생기는 것임.
-  // 그렇기 때문에 추가하고자 하는 위치의 복셀이 포함된 셀의 형식화 배열이 뭔지 구분한 뒤, 셀에 따라 id값을 부여해놓고, 해당 id값과 일치하는 형식화배열을 가져오려는 것.
-  getCellForVoxel(x, y, z) {
-    return this.cells[this.computeCellId(x, y, z)];
+  beginAction() {
+    this.currentAction = {
+      changes: [],
+      changeIndexByKey: {}, // 같은 액션 안에서 같은 복셀이 여러 번 바뀌면 하나의 변경사항으로 합치기 위해 복셀좌표값 문자열로 찾아볼 수 있게 해둠.
+    };
   }
 
-  // getVoxel, setVoxel에서 각 복셀이 몇번째인지 계산하는 코드가 중복되서 그거룰 하나의 메서드로 묶어서 정리해준 것.
-  computeVoxelOffset(x, y, z) {
+  // world.setVoxel()을 대신 호출해주면서 변경사항을 현재 액션에 기록하는 메서드. 값이 실제로 바뀌지 않는 경우는 기록하지 않음.
+  setVoxel(x, y, z, v, state = 0) {
     const {
-      cellSize,
-      cellSliceSize
+      world
     } = this;
+    // placeVoxel()에서 넘어오는 좌표값은 교차점 좌표값이라 소수점이 붙어있음. 같은 복셀이면 같은 좌표값으로 기록되도록 정수로 내려줌.
+    x = Math.floor(x);
+    y = Math.floor(y);
+    z = Math.floor(z);
+    const oldValue = world.getVoxel(x, y, z);
+    const oldState = world.getVoxelState(x, y, z);
+    if (oldValue === v && oldState === state) {
+      return;
+    }
 
-    // MathUtils.euclideanModulo(x, cellSize) 이렇게 해주면, '유클리드 나머지값'을 계산해 줌. 즉, ((x % cellSize) + cellSize) % cellSize 이 공식으로 나머지값을 계산해준다는 것.
-    // 물론 x, y, z는 첫번째 cell의 복셀좌표값 범위 내에 있으므로, 모든 값은 결국 cellSize(32)보다 작을테니 각각 x, y, z값이 그대로 리턴되겠지. 이 리턴된 값을 비트연산자로 소수점 제거를 해줌. 근데 euclideanModulo() 메서드 자체가 정수값만 리턴해줘서 굳이 저걸 해줄 필요는 없긴 함...
-    const voxelX = THREE.MathUtils.euclideanModulo(x, cellSize) | 0;
-    const voxelY = THREE.MathUtils.euclideanModulo(y, cellSize) | 0;
-    const voxelZ = THREE.MathUtils.euclideanModulo(z, cellSize) | 0;
-    return voxelY * cellSliceSize + voxelZ * cellSize + voxelX; // 전달받은 복셀좌표값을 이용해서 형식화배열에서 사용할 인덱스값을 구해서 리턴해 줌.
-    // 왜 이렇게 구해지냐? 복셀을 Y축 방향으로 여러 층 썰었다고 생각해보면 이해가 쉬움. 그럼 XZ방향으로 cellSize * cellSize(즉, cellSliceSize)한 값에다가(이게 한 층) Y축 방향으로 몇 번째 층인지를 우선 알아야 하니 cellSize * cellSize * y 를 해줘야지?
-    // 그리고 나서 해당 층 내에서 Z축 방향으로 몇번째 줄인지 계산해야 하므로 cellSize * z를 더해줌. 여기에 마지막으로 X축 방향으로 몇번째 복셀인지 알아야 하니까 x를 더해줌. 이런식으로 복셀좌표값이 전체 cell 내에서 몇번째 복셀인지를 구해주는거임.
-  }
+    world.setVoxel(x, y, z, v, state);
 
-  // 전달받은 복셀좌표값이 포함된 cell의 형식화 배열이 있어야 할 자리인 this.cells[this.computeCellId(x, y, z)]를 가져온 뒤, 형식화 배열이 만들어져 있는지 확인함.
-  // 형식화 배열이 있으면 해당 셀에서 해당 복셀이 몇번째인지 인덱스를 계산해서 해당 셀의 형식화 배열에 1~16 사이에 랜덤으로 전달받은 값을 지정해주고,
-  // 형식화 배열이 없으면 addCellForVoxel() 메서드를 호출해서 전달받은 복셀이 포함된 영역의 새로운 셀 형식화배열을 만들어준 뒤 v값을 지정해줘야 함. 
-  // 생성자에서 this.cells = {} 에는 아무런 형식화배열도 추가하지 않은 상태이므로, 맨 처음 첫번째 cell의 geometry를 만들려고 할 때 첫번째 셀의 형식화 배열을 만들어줬을거고,
-  // 그 다음부터 첫번째 cell 바깥쪽에 복셀들을 하나씩 추가할 때마다 해당 복셀이 포함된 cell이 만들어져 있는지 아닌지 확인하고 새로운 cell 형식화 배열을 만들어주겠지!
-  setVoxel(x, y, z, v) {
-    let cell = this.getCellForVoxel(x, y, z); // 언덕 곡선을 만드는 3중 for loop에서 받은 복셀좌표값이 첫번째 (0, 0, 0)지점 cell 범위에 해당하는 복셀인지 확인받음.
-    if (!cell) {
-      cell = this.addCellForVoxel(x, y, z);
+    // beginAction() 없이 호출된 경우에는 이 변경사항 하나만으로 액션을 만들어서 바로 기록해버림.
+    const ownsAction = !this.currentAction;
+    if (ownsAction) {
+      this.beginAction();
     }
 
-    const voxelOffset = this.computeVoxelOffset(x, y, z);
+    const {
+      changes,
+      changeIndexByKey
+    } = this.currentAction;
+    const key = `${x},${y},${z}`;
+    const index = changeIndexByKey[key];
+    if (index === undefined) {
+      changeIndexByKey[key] = changes.length;
+      changes.push({
+        x,
+        y,
+        z,
+        oldValue,
+        newValue: v,
+        oldState,
+        newState: state,
+      });
+    } else {
+      changes[index].newValue = v; // 처음 바뀌기 전 값(oldValue)은 그대로 두고, 마지막으로 바뀐 값만 갱신해 줌.
+      changes[index].newState = state;
+    }
 
-    cell[voxelOffset] = v; // (0, 0, 0)지점의 첫번째 셀 범위에 드는 복셀들 중에서, 언덕 곡선 밑까지의 복셀좌표값만 형식화배열에 랜덤으로 전달받은 1~16사이의 값을 지정해 줌.
+    if (ownsAction) {
+      this.endAction();
+    }
   }
 
-  // 넘겨받은 복셀좌표값이 포함된 cell 형식화배열이 아직 만들어지지 않은 상태라면 해당 cell의 형식화배열을 새로 만들어서 this.cells에 추가해준 뒤, 새로 만든 cell의 형식화배열을 리턴해주는 메서드
-  addCellForVoxel(x, y, z) {
-    const cellId = this.computeCellId(x, y, z);
-    let cell = this.cells[cellId];
+  // 기록 중이던 액션을 undoStack에 넣어주는 메서드. 새 액션이 생기면 이전에 되돌려놨던 redo 기록은 더 이상 의미가 없으니 비워줌.
+  endAction() {
+    const action = this.currentAction;
+    this.currentAction = null;
+    if (!action) {
+      return;
+    }
 
-    if (!cell) {
-      const {
-        cellSize
-      } = this;
-      cell = new Uint8Array(cellSize * cellSize * cellSize);
-      this.cells[cellId] = cell;
+    // 같은 복셀을 바꿨다가 원래 값으로 되돌려놓은 변경사항은 아무것도 안한 것과 같으니 빼줌.
+    const changes = action.changes.filter(({
+      oldValue,
+      newValue,
+      oldState,
+      newState
+    }) => oldValue !== newValue || oldState !== newState);
+    if (!changes.length) {
+      return;
     }
 
-    return cell;
+    this.undoStack.push(changes);
+    if (this.undoStack.length > this.maxActions) {
+      this.undoStack.shift();
+    }
+    this.redoStack.length = 0;
   }
 
-  // setVoxel 메서드가 미리 지정해놓은 형식화배열의 값들 중 전달받은 복셀좌표값의 값을 가져오는 메서드. 전달받은 복셀이 첫번째 cell의 범위에도 해당되고, 언덕곡선 영역 아래까지 존재하는 복셀들 중 하나라면 1~16 중 하나를 리턴받게 될거고, 그게 아닌 경우는 전부 0을 리턴받을거임. 
-  // 또는 첫번째 cell이 아니어도, 전달받은 복셀이 포함된 cell의 형식화배열이 만들어져 있다면, 마찬가지로 랜덤값을 리턴받고, 그게 없다면 0을 리턴받겠지 뭐.
-  getVoxel(x, y, z) {
-    const cell = this.getCellForVoxel(x, y, z);
-    if (!cell) {
-      // 전달받은 복셀좌표값이 첫번째 cell의 복셀좌표값 범위에 해당하지 않거나 전달받은 복셀이 포함된 cell의 형식화배열이 만들어져 있지 않다면 그냥 0을 리턴해주고 메서드를 끝냄.
-      return 0;
+  // 가장 최근 액션의 변경사항들을 거꾸로 되돌리고, 되돌린 변경사항들을 리턴함. 되돌릴 게 없으면 빈 배열을 리턴함.
+  undo() {
+    const changes = this.undoStack.pop();
+    if (!changes) {
+      return [];
     }
 
-    const voxelOffset = this.computeVoxelOffset(x, y, z);
-
-    return cell[voxelOffset]; // 형식화배열에서 해당 번째 복셀에 지정된 값(0 또는 1~16사이의 값)이 리턴될거임. 이거는 setVoxel에서 미리 다 지정해놓은 상태임.
-    // 이거는 뭘 기준으로 0 또는 랜덤값이 정해지는걸까? 첫번째 cell의 바닥에서부터 sin 함수로 만들어놓은 곡선 언덕까지의 복셀들만 1~16 사이의 랜덤값으로 정하고, 나머지 복셀들은 0으로 지정함. 그니까 첫번째 cell의 모든 복셀이 랜덤값으로 지정되지는 않는 것.
-    // 왜냐면 사인 함수로 곡선 언덕을 만드는 3중 for loop에서 해당 영역 안에 위치한 좌표값들만 setVoxel에 전달하면서 호출하기 때문에, setVoxel은 그렇게 전달받은 복셀좌표값들만 형식화배열에 랜덤값으로 지정함.
-    // 또는 새롭게 추가한 복셀이 포함된 cell의 형식화 배열이 만들어져 있는 애들만 형식화배열에 랜덤값을 저장함.
-    // 이렇게 랜덤값으로 지정된 복셀들만 generateGeometryDateForCell에서 이웃한 6개의 면들 중 '겉부분 면'이 있는지 확인받을 자격이 생기는 것임.
+    for (let i = changes.length - 1; i >= 0; i--) {
+      const {
+        x,
+        y,
+        z,
+        oldValue,
+        oldState
+      } = changes[i];
+      this.world.setVoxel(x, y, z, oldValue, oldState);
+    }
+    this.redoStack.push(changes);
+    return changes;
   }
 
-  // 만들고자 하는 cell의 위치값을 인자로 받아서 해당 cell 안에 존재하는 복셀 좌표값들을 구한 뒤, 걔내들로 cell의 bufferGeometry를 생성하는 데 필요한 positions, normals, indices, uvs 값들을 계산해 줌.
-  generateGeometryDateForCell(cellX, cellY, cellZ) {
-    const {
-      cellSize,
-      tileSize,
-      tileTextureWidth,
-      tileTextureHeight
-    } = this; // 생성자에 위치한 값들을 가져오는 것. 굳이 이렇게 안해도 될 듯 한데..
-
-    // cell 안에만 존재하는 복셀 좌표값들로 구한 cell의 bufferGeometry의 '겉부분 면'의 버텍스 좌표값, 노말값, uv값, 인덱스값들을 담아놓을 배열
-    const positions = [];
-    const normals = [];
-    const uvs = [];
-    const indices = [];
-
-    // 예를 들어, (0, 0, 0)을 cell의 위치값으로 받아오면, cell의 첫번째 복셀의 좌표값은 (0*32, 0*32, 0*32)니까 (0, 0, 0)이 되겠지.
-    // 그래서 이 값들부터 시작해서 아래의 3중 for loop를 이용해서 (0, 0, 0) ~ (31, 31, 31)까지의 좌표값들을 구한 뒤, (0, 0, 0)에 위치한 cell의 bufferGeometry에 필요한 positions, normals, indices 값들을 계산하려는 것.
-    const startX = cellX * cellSize;
-    const startY = cellY * cellSize;
-    const startZ = cellZ * cellSize;
-
-    for (let y = 0; y < cellSize; y++) {
-      const voxelY = startY + y;
-
-      for (let z = 0; z < cellSize; z++) {
-        const voxelZ = startZ + z;
-
-        for (let x = 0; x < cellSize; x++) {
-          const voxelX = startX + x;
-          const voxel = this.getVoxel(voxelX, voxelY, voxelZ); // 해당 복셀 좌표값이 포함되는 cell에 형식화배열이 만들어져 있는지 확인하고, 형식화 배열이 존재한다면, 전달한 좌표값으로 구한 인덱스로 this.cell 형식화배열에 담긴 값을 리턴받음. (setVoxel에 의해 이미 0 또는 랜덤값이 할당되어 있을거임) 
-
-          // if block을 통과하는 복셀 좌표값들은 각 복셀들이 포함되는 cell의 형식화배열에 0이 아닌 값이 지정된 복셀들임. 
-          if (voxel) {
-            // uvVoxel값은 뭐냐면, 해당 복셀의 uv좌표값 중에서 시작점인 u값을 구하기 위해 필요한 값임.
-            // 즉, setVoxel에 의해 형식화배열에 1 ~ 16 중 하나의 값이 랜덤으로 저장된 voxel을 가져와서, 1을 빼준 값을 uvVoxel에 저장하면 0 ~ 15 사이의 값이 들어가겠지?
-            // 얘내들은 텍스처에서 각 타일들의 왼쪽 상단 uv좌표값의 u값을 계산하기 위해 구해놓은 값임. 
-            const uvVoxel = voxel - 1;
-            for (const {
-                dir,
-                corners,
-                uvRow,
-              } of VoxelWorld.faces) {
-              // 각 복셀 좌표값의 왼,오,위,아래,뒤,앞에 존재하는 면들의 위치값(노멀값)을 구한 뒤, 걔내가 첫 번째 (0, 0, 0)지점의 cell 안에 존재하는 면의 위치값, 즉 cell 안에 존재하는 어떤 복셀의 면 중 하나인지 판단함.
-              const neighbor = this.getVoxel(
-                voxelX + dir[0],
-                voxelY + dir[1],
-                voxelZ + dir[2],
-              );
-
-              if (!neighbor) {
-                // neighbor = 0 인 경우, 위에서 계산한 복셀 주변의 면은 cell 안에 존재하는 복셀의 면이 아니라는 것. 즉, cell 덩어리에서 가장 '겉부분'에 위치하는 면이라는 뜻! 
-                // -> 우리가 안쪽의 면은 렌더링 해주지 않기로 했으니까, 이 겉부분의 면만 렌더링 해주면 됨. 따라서 이 겉부분 면의 버텍스들의 좌표값(위치값 아님. corners값으로 구하는 좌표값), 버텍스 normal(버텍스들이 향하는 방향)값, 버텍스 indices값(vertex 좌표값 배열에서 어느 좌표값을 찾아야 할 지 알려주는 인덱스값)을 구함.
-                const index = positions.length / 3; // positions에는 하나의 면에 대해 12개의 버텍스 좌표값들이 push됨(왜? 한 면의 버텍스가 4개니까). 따라서 면 하나를 이루는 버텍스 개수, 즉 4의 배수를 버텍스 인덱스의 시작점으로 정해줌.
-
-                for (const {
-                    pos,
-                    uv, // corners에는 각 버텍스 좌표값에 맞게 씌워줄 텍스처의 uv좌표값을 짝지어 놓았으니까 같이 가져옴.
-                  } of corners) {
-                  positions.push(pos[0] + x, pos[1] + y, pos[2] + z); // 이런 식으로 한 면을 이루는 4개의 버텍스 좌표값(x, y, z)를 구해서 positions에 추가해 줌.
-                  normals.push(...dir); // 한 면에 있는 버텍스들은 모두 같은 방향을 바라보니까, 4개의 버텍스 모두 동일한 노말값(...dir)을 복사해서 normals에 넣어줌.
-                  uvs.push(
-                    /**
-                     * 각 버텍스의 uv좌표값의 u값을 구한 뒤 추가해 줌.
-                     * 
-                     * 이때, uv[0]이 0 또는 1이므로, 0이면 각 타일의 왼쪽 상단의 u값, 1이면 각 타일의 오른쪽 상단의 u값이 계산될거임.
-                     * 참고로 이 값을 tileSize/tileTextureWidth 값으로 곱해주기 때문에 0 ~ 1 사이의 값으로 계산됨. 왜냐? 원래 uv좌표값은 0 ~ 1사이의 값으로 표현해줘야 하기 때문임.
-                     * 그래서 tileTextureWidth = tileSize(16) * 16 이기 때문에, tileSize에 곱해주는 값도 0 ~ 16 사이의 값이 나오도록 하는거임.
-                     */
-                    (uvVoxel + uv[0]) * tileSize / tileTextureWidth,
-                    /**
-                     * 각 버텍스의 uv좌표값의 v값을 구한 뒤 추가해 줌.
-                     * 
-                     * 이때, tileTextureHeight = tileSize(16) * 4 이고, 텍스처의 최하단 v값, 즉 4는 투명한 지점을 가리키니 필요가 없겠지? 
-                     * 따라서 (uvRow + 1 - uv[1])는 uv[1]이 0이면 1, 2, 3이 나올거고, 1이면 0, 1, 2가 나올거임. 
-                     * 그리고 나서 해당 값에다가 u값을 구할때처럼 tileSize / tileTextureHeight을 곱해주면 됨.
-                     * 
-                     * 근데 다 구하고 나서 왜 1에서 빼준걸까?
-                     * 그거는 OpenGL vs DirectX의 텍스처 좌표계의 방향이 반대이기 때문임.
-                     * DirectX는 텍스처의 왼쪽 상단이 (0, 0), 오른쪽 하단이 (1, 1)이지만,
-                     * OpenGL은 텍스처의 왼쪽 하단이 (0, 0), 오른쪽 상단이 (1, 1)로 인식함.
-                     * 따라서, three.js는 WebGL 기반이고, WebGL도 OpenGL 기반이므로, OpenGl의 텍스처 좌표계 방향을 따르는거임.
-                     * 
-                     * 만약 DirectX였으면 1에서 빼지 않은 값을 그대로 써도 아무런 문제가 없겠지만, WebGL은 텍스처 좌표계의 방향이 위아래가 반대이므로
-                     * v값을 구할때는 항상 1(즉, 텍스처의 최상단 지점의 v값)에서 빼준 값으로 해줘야 함.
-                     */
-                    1 - (uvRow + 1 - uv[1]) * tileSize / tileTextureHeight
-                  );
-                }
-
-                // 위에서 만든 각각 4개씩의 버텍스 좌표값(positions)과 버텍스 노말값(normals)들을 해당 배열에서 가져오기 위해 인덱스값을 계산해서 indices에 추가해 줌. 
-                indices.push(
-                  // 왜 버텍스는 4개를 만들었는데 6개의 인덱스값이 필요한걸까? 버텍스 4개, 즉 사각형은 삼각형 두 개로 이루어진거임. WebGL은 삼각형밖에 그릴 줄 모른다는 걸 명심해야 함.
-                  // 그래서 사각형을 반으로 나눴을 때 나오는 두 개의 삼각형 각각의 버텍스들을 지정하려고 하다보니, 인덱스값이 6개가 나온거임.
-                  index, index + 1, index + 2, // 하나의 삼각형 버텍스를 지정할 인덱스값들.
-                  index + 2, index + 1, index + 3 // 다른 하나의 삼각형 버텍스를 지정할 인덱스값들. 사각형 내에서 두 삼각형은 버텍스 두개가 서로 교차하기 때문에, 위에 삼각형과 아래 삼각형도 두 개의 인덱스값이 겹침. 
-                );
-              }
-            }
-          }
-        }
-      }
+  // 가장 최근에 되돌린 액션의 변경사항들을 다시 적용하고, 적용한 변경사항들을 리턴함.
+  redo() {
+    const changes = this.redoStack.pop();
+    if (!changes) {
+      return [];
     }
 
-    // generateGeometryDateForCell 메서드 마지막에서 지금까지 구한 모든 복셀 좌표값들 중 첫번째 cell안에 들어가는 복셀 좌표값만 구하고, 그것들의 주변 면들 중 '겉부분 면'의 버텍스 관련 데이터들만 담아놓은 배열들을 묶어서 리턴해 줌.  
-    return {
-      positions,
-      normals,
-      uvs,
-      indices
-    };
+    for (const {
+        x,
+        y,
+        z,
+        newValue,
+        newState
+      } of changes) {
+      this.world.setVoxel(x, y, z, newValue, newState);
+    }
+    this.undoStack.push(changes);
+    return changes;
   }
 
-  // three.js의 내장 RayCaster 객체 대신 사용할 메서드로, 카메라의 전역 좌표값(start)와 pointerup 이벤트가 발생한 지점의 전역 좌표값(end)을 받아서 클릭한 지점과 교차하는 지점의 좌표값(position)과 노말값(normal)을 객체로 묶어 리턴해 줌.
-  // 아래를 보니까 교차하는 지점이 없으면 null을 리턴해주는 것 같음. 
-  // 참고로 이 메서드는 튜토리얼 웹사이트에서 보니 어떤 논문에서 코드를 그대로 가져온 것 같음. 구체적인 원리는 설명이 잘 안되어 있음ㅠ
-  intersectRay(start, end) {
-    let dx = end.x - start.x;
-    let dy = end.y - start.y;
-    let dz = end.z - start.z;
-    const lenSq = dx * dx + dy * dy + dz * dz;
-    const len = Math.sqrt(lenSq);
-
-    dx /= len;
-    dy /= len;
-    dz /= len;
-
-    let t = 0.0;
-    let ix = Math.floor(start.x);
-    let iy = Math.floor(start.y);
-    let iz = Math.floor(start.z);
-
-    const stepX = (dx > 0) ? 1 : -1;
-    const stepY = (dy > 0) ? 1 : -1;
-    const stepZ = (dz > 0) ? 1 : -1;
-
-    const txDelta = Math.abs(1 / dx);
-    const tyDelta = Math.abs(1 / dy);
-    const tzDelta = Math.abs(1 / dz);
-
-    const xDist = (stepX > 0) ? (ix + 1 - start.x) : (start.x - ix);
-    const yDist = (stepY > 0) ? (iy + 1 - start.y) : (start.y - iy);
-    const zDist = (stepZ > 0) ? (iz + 1 - start.z) : (start.z - iz);
-
-    // location of nearest voxel boundary, in units of t
-    let txMax = (txDelta < Infinity) ? txDelta * xDist : Infinity;
-    let tyMax = (tyDelta < Infinity) ? tyDelta * yDist : Infinity;
-    let tzMax = (tzDelta < Infinity) ? tzDelta * zDist : Infinity;
-
-    let steppedIndex = -1;
-
-    // main loop along raycast vector
-    while (t <= len) {
-      const voxel = this.getVoxel(ix, iy, iz);
-      if (voxel) {
-        return {
-          position: [
-            start.x + t * dx,
-            start.y + t * dy,
-            start.z + t * dz,
-          ],
-          normal: [
-            steppedIndex === 0 ? -stepX : 0,
-            steppedIndex === 1 ? -stepY : 0,
-            steppedIndex === 2 ? -stepZ : 0,
-          ],
-          voxel,
-        };
-      }
-
-      // advance t to next nearest voxel boundary
-      if (txMax < tyMax) {
-        if (txMax < tzMax) {
-          ix += stepX;
-          t = txMax;
-          txMax += txDelta;
-          steppedIndex = 0;
-        } else {
-          iz += stepZ;
-          t = tzMax;
-          tzMax += tzDelta;
-          steppedIndex = 2;
-        }
-      } else {
-        if (tyMax < tzMax) {
-          iy += stepY;
-          t = tyMax;
-          tyMax += tyDelta;
-          steppedIndex = 1;
-        } else {
-          iz += stepZ;
-          t = tzMax;
-          tzMax += tzDelta;
-          steppedIndex = 2;
-        }
-      }
-    }
-    return null;
+  // 월드를 통째로 불러오는 경우처럼, 기존 기록을 되돌리는 게 의미가 없어질 때 호출해서 기록을 전부 지워줌.
+  clear() {
+    this.undoStack.length = 0;
+    this.redoStack.length = 0;
+    this.currentAction = null;
   }
 }
 
-// cell의 bufferGeometry에서 각 복셀 좌표값 지점의 면을 생성하기 위해 필요한 positions, normals를 구하기 위해 필요한 값들을 모아놓음.
-// uvRow는 텍스처에서 몇번째 줄에 있는 타일들을 사용할 것인지 알려주는 값. 옆면(왼, 오, 앞, 뒤)은 동일하게 텍스처 맨 윗줄의 타일들을 쓸거니까 0, 아랫면은 텍스처 가운데 줄 타일을 쓸거니까 1, 윗면은 텍스처 맨 아랫줄의 타일들을 쓸거니까 2
-// dir은 generateGeometryDateForCell에서 생성한 cell안의 각 복셀 좌표값을 기준으로 왼,오,위,아래,뒤,앞에 존재하는 면의 위치값(또는 노멀값)을 구할 때 쓰는 값.
-// corners의 pos는 복셀좌표값 기준 왼,오,위,아래,뒤,앞쪽의 면이 '겉부분 면'일 때, 해당 면의 버텍스(꼭지점) 4개의 좌표값을 구할 때 필요한 값
-// corners의 uv는 각 버텍스 좌표값에 씌워줄 텍스처의 uv좌표값을 정리한 것
-VoxelWorld.faces = [{ // 왼쪽
-    uvRow: 0,
-    dir: [-1, 0, 0, ],
-    corners: [{
-        pos: [0, 1, 0],
-        uv: [0, 1],
-      },
-      {
-        pos: [0, 0, 0],
-        uv: [0, 0],
-      },
-      {
-        pos: [0, 1, 1],
-        uv: [1, 1],
-      },
-      {
-        pos: [0, 0, 1],
-        uv: [1, 0],
-      },
-    ],
-  },
-  { // 오른쪽
-    uvRow: 0,
-    dir: [1, 0, 0, ],
-    corners: [{
-        pos: [1, 1, 1],
-        uv: [0, 1],
-      },
-      {
-        pos: [1, 0, 1],
-        uv: [0, 0],
-      },
-      {
-        pos: [1, 1, 0],
-        uv: [1, 1],
-      },
-      {
-        pos: [1, 0, 0],
-        uv: [1, 0],
-      },
-    ],
-  },
-  { // 아래
-    uvRow: 1,
-    dir: [0, -1, 0, ],
-    corners: [{
-        pos: [1, 0, 1],
-        uv: [1, 0],
-      },
-      {
-        pos: [0, 0, 1],
-        uv: [0, 0],
-      },
-      {
-        pos: [1, 0, 0],
-        uv: [1, 1],
-      },
-      {
-        pos: [0, 0, 0],
-        uv: [0, 1],
-      },
-    ],
-  },
-  { // 위
-    uvRow: 1,
-    dir: [0, 1, 0, ],
-    corners: [{
-        pos: [0, 1, 1],
-        uv: [1, 1],
-      },
-      {
-        pos: [1, 1, 1],
-        uv: [0, 1],
-      },
-      {
-        pos: [0, 1, 0],
-        uv: [1, 0],
-      },
-      {
-        pos: [1, 1, 0],
-        uv: [0, 0],
-      },
-    ],
-  },
-  { // 뒤
-    uvRow: 0,
-    dir: [0, 0, -1, ],
-    corners: [{
-        pos: [1, 0, 0],
-        uv: [0, 0],
-      },
-      {
-        pos: [0, 0, 0],
-        uv: [1, 0],
-      },
-      {
-        pos: [1, 1, 0],
-        uv: [0, 1],
-      },
-      {
-        pos: [0, 1, 0],
-        uv: [1, 1],
-      },
-    ],
-  },
-  { // 앞
-    uvRow: 0,
-    dir: [0, 0, 1, ],
-    corners: [{
-        pos: [0, 0, 1],
-        uv: [0, 0],
-      },
-      {
-        pos: [1, 0, 1],
-        uv: [1, 0],
-      },
-      {
-        pos: [0, 1, 1],
-        uv: [0, 1],
-      },
-      {
-        pos: [1, 1, 1],
-        uv: [1, 1],
-      },
-    ],
-  },
-];
-
 function main() {
   // create WebGLRenderer
   const canvas = document.querySelector('#canvas');
@@ -476,16 +264,19 @@ function main() {
   const near = 0.1;
   const far = 1000;
   const camera = new THREE.PerspectiveCamera(fov, aspect, near, far);
-  camera.position.set(-cellSize * 0.3, cellSize * 0.8, -cellSize * 0.3); // cellSize로 카메라의 위치값을 구해놓음
+  camera.position.set(-cellSize * 0.3, cellSize * 1.3, -cellSize * 0.3); // cellSize로 카메라의 위치값을 구해놓음
 
   // create OrbitControls
   const controls = new OrbitControls(camera, canvas);
-  controls.target.set(cellSize / 2, cellSize / 3, cellSize / 2); // 마찬가지로 카메라의 시선을 고정시킬 좌표값도 cellSize로 구함.
+  controls.target.set(cellSize / 2, cellSize * 0.7, cellSize / 2); // 마찬가지로 카메라의 시선을 고정시킬 좌표값도 cellSize로 구함.
+  controls.mouseButtons.MIDDLE = null; // 마우스 가운데 버튼은 줌 대신 스포이트(pickVoxel)로 씀. 줌은 휠로 하면 됨.
   controls.update(); // OrbitControls의 값을 바꿔줬으면 업데이트를 호출해줘야 함.
 
   // 씬을 생성하고 배경색을 하늘색으로 지정함
   const scene = new THREE.Scene();
   scene.background = new THREE.Color('lightblue');
+  // 하늘색과 같은 색의 안개. cell을 만들어주는 범위의 끝에서 cell이 뚝 끊겨 보이지 않도록 그 근처부터 점점 하늘색으로 덮어 줌. 거리는 render()에서 매 프레임 맞춰 줌.
+  scene.fog = new THREE.Fog(scene.background, 1, 2);
 
   // 텍스처, cell과 관련된 값들을 지정함. 복셀 데이터를 관리하는 클래스 인스턴스 생성 시 전달하려는 것.
   const tileSize = 16;
@@ -493,7 +284,8 @@ function main() {
   const tileTextureHeight = 64;
   // 타일 이미지를 로드해서 텍스처를 생성함
   const loader = new THREE.TextureLoader();
-  const texture = loader.load('./image/flourish-cc-by-nc-sa.png', render); // 텍스처 로드를 완료한 뒤에 onLoadFn으로 render 함수를 호출해줘야 로드한 텍스처가 반영된 프레임으로 다시 그려줄 수 있겠지
+  const textureUrl = './image/flourish-cc-by-nc-sa.png';
+  const texture = loader.load(textureUrl, render); // 텍스처 로드를 완료한 뒤에 onLoadFn으로 render 함수를 호출해줘야 로드한 텍스처가 반영된 프레임으로 다시 그려줄 수 있겠지
   texture.magFilter = THREE.NearestFilter;
   texture.minFilter = THREE.NearestFilter; // 원본이 텍스처보다 커지거나 작아지면 NearestFilter를 적용함
 
@@ -508,72 +300,306 @@ function main() {
   addLight(-1, 2, 4);
   addLight(1, -1, -2); // 조명 두개를 추가함.
 
+  // 주소창에 ?meshing=greedy 를 붙여서 열면 처음부터 greedy meshing으로 cell geometry를 만듦. UI의 체크박스로도 바꿀 수 있음.
+  const meshing = new URLSearchParams(location.search).get('meshing') === 'greedy' ? 'greedy' : 'face';
+
   const world = new VoxelWorld({ // 자세히 보면 4개의 값들을 객체로 묶어서 전달해주고 있지? 이 묶인 객체를 생성자에서 options로 받는거임.
     cellSize,
     tileSize,
     tileTextureWidth,
     tileTextureHeight,
+    meshing,
   });
 
-  // cell mesh를 만들 때 사용할 material을 생성함.
+  // 불투명한 블록의 면들로 만든 cell mesh에 사용할 material을 생성함.
+  // 원래는 material 하나에 transparent, DoubleSide를 켜고 모든 면을 그렸는데, 그러면 불투명한 면들까지 전부 투명한 물체 취급을 받아서 정렬 순서가 꼬였음.
+  // 이제 투명한 블록의 면은 transparentMaterial로 따로 그리니까, 여기서는 투명하게 그려줄 필요가 없음.
   const material = new THREE.MeshLambertMaterial({
     map: texture,
-    side: THREE.DoubleSide, // 텍스처에서 몇몇 타일은 투명하게 되어있으므로, cell의 내부가 비쳐보일거임. 그래서 복셀들의 앞, 뒷면을 모두 렌더해야 cell의 내부가 비쳐보일때도 텍스처가 렌더된 내부 면들이 보이겠지.
+    vertexColors: true, // cell geometry의 color attribute(AO로 어두워진 정도)를 텍스처 색에 곱해서 그려줌.
+    alphaTest: 0.1, // png 텍스처 자체에 이미 각 tile 부분마다 투명도가 별개로 지정되어 있으므로, opacity가 아니라, alphaTest값을 0.1로 지정해 줌. 그래서 텍스처에서 투명도가 0.1보다 작은 픽셀은 렌더해주지 않음.
+  });
+
+  // 투명한 블록(블록 레지스트리에서 transparent: true 인 블록)의 면들로 만든 cell mesh에 사용할 material
+  const transparentMaterial = new THREE.MeshLambertMaterial({
+    map: texture,
+    vertexColors: true,
+    side: THREE.DoubleSide, // 투명한 블록은 안쪽이 비쳐보이니까, 복셀들의 앞, 뒷면을 모두 렌더해야 블록 너머의 면들도 텍스처가 렌더되어 보이겠지.
     transparent: true, // 물체를 투명하게 렌더해주려면 우선 해당 속성을 켜줘야 함.
-    alphaTest: 0.1, // png 텍스처 자체에 이미 각 tile 부분마다 투명도가 별개로 지정되어 있으므로, opacity가 아니라, alphaTest값을 0.1로 지정해 줌. 그래서 텍스처에서 투명도가 0.1보다 작은 픽셀은 렌더해주지 않고, 큰 픽셀은 투명도를 적용해서 렌더해줌.
+    alphaTest: 0.1, // 투명도가 0.1보다 작은 픽셀은 렌더해주지 않고, 큰 픽셀은 투명도를 적용해서 렌더해줌.
   });
 
-  // updateVoxelGeometry() 함수에서 전달받은 교차점 주변 좌표값이 포함된 cell이 이미 만들어진 cell mesh가 있는지 없는지 먼저 판단한 뒤(cellIdToMesh에 저장된 값을 보고 판단함),
-  // 있다면, 기존 cell mesh의 bufferGeometry에 새롭게 값이 갱신된(예를 들어, 쉬프트키를 눌렀거나, allowUncheck() 함수에 의해 currentValue가 0이 되면, 기존 cell mesh에서 클릭한 복셀의 형식화배열 값이 0으로 지정됨.) BuffetAttribute만 setAttribute로 업데이트 해주고,
+  // greedy meshing으로 만든 cell mesh에 사용할 material. 설정값은 각각 위의 material, transparentMaterial과 같음.
+  const greedyMaterial = createGreedyMaterial(material);
+  const greedyTransparentMaterial = createGreedyMaterial(transparentMaterial);
+
+  // greedy meshing에서는 uv에 타일 단위 좌표값이, tileOrigin attribute에 텍스처 안의 타일 위치가 들어오니까,
+  // 프래그먼트 셰이더에서 텍스처를 읽는 부분(map_fragment)만 tileOrigin + fract(uv) * 타일 크기 로 바꿔서, 큰 사각형 위에 타일이 반복해서 그려지도록 한 material을 만들어주는 함수.
+  function createGreedyMaterial(baseMaterial) {
+    const greedyMaterial = baseMaterial.clone();
+    greedyMaterial.onBeforeCompile = greedyOnBeforeCompile;
+    return greedyMaterial;
+  }
+
+  function greedyOnBeforeCompile(shader) {
+    shader.uniforms.tileScale = {
+      value: new THREE.Vector2(tileSize / tileTextureWidth, tileSize / tileTextureHeight)
+    };
+    shader.vertexShader = `
+      attribute vec2 tileOrigin;
+      varying vec2 vTileOrigin;
+      ${shader.vertexShader}
+    `.replace('#include <uv_vertex>', `
+      #include <uv_vertex>
+      vTileOrigin = tileOrigin;
+    `);
+    shader.fragmentShader = `
+      uniform vec2 tileScale;
+      varying vec2 vTileOrigin;
+      ${shader.fragmentShader}
+    `.replace('#include <map_fragment>', `
+      vec4 texelColor = texture2D(map, vTileOrigin + fract(vUv) * tileScale);
+      texelColor = mapTexelToLinear(texelColor);
+      diffuseColor *= texelColor;
+    `);
+  }
+
+  // remeshScheduler가 넘겨준 cell의 좌표값이 포함된 cell이 이미 만들어진 cell mesh가 있는지 없는지 먼저 판단한 뒤(cellIdToMesh에 저장된 값을 보고 판단함),
+  // 있다면, 기존 cell mesh의 bufferGeometry에 새롭게 값이 갱신된(예를 들어, 쉬프트키를 눌렀거나, 핫바의 빈 칸을 골라서 currentVoxel이 0이 되면, 기존 cell mesh에서 클릭한 복셀의 형식화배열 값이 0으로 지정됨.) BuffetAttribute만 setAttribute로 업데이트 해주고,
   // 없다면, 전달받은 교차점 주변 좌표값이 포함된 cell을 새롭게 만들어주고, 만들어준 cell의 id와 mesh를 key: value 쌍으로 cellIdToMesh에 저장해주도록 함. -> 그래서 다음에 또 updateCellGeometry가 호출되어도 이미 만들어진 cell인지 아닌지 확인할 수 있도록 함,
+  //
+  // 이때 버텍스 데이터를 만드는 generateGeometryDateForCell()은 복셀이 많을수록 오래 걸려서 main 스레드에서 바로 호출하면 화면이 버벅거리니까,
+  // meshWorkerPool의 워커들에게 대신 만들어달라고 맡겨두고, 결과가 돌아오면 applyCellGeometry()에서 cell mesh에 반영해 줌.
   const cellIdToMesh = {}; // 이미 만들어진 cell들이 cellId: mesh 형태로 저장될 객체
+  const cellIdToTransparentMesh = {}; // 투명한 블록의 면들로 만든 cell mesh들. 투명한 블록이 하나도 없는 cell은 만들지 않음.
+
+  const meshWorkerPool = new MeshWorkerPool({
+    url: './mesh-worker.js',
+    workerCount: Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1)), // main 스레드 몫으로 코어 하나는 남겨둠.
+  });
+
+  // cell이 바뀔때마다 새로운 revision 번호를 cellId별로 기록해 둠. 워커에게 일을 넘겨줄 때 그 시점의 revision을 같이 기억해뒀다가,
+  // 결과가 돌아왔을 때 revision이 그 사이에 또 바뀌어 있으면 이미 낡은 결과이므로 버림. (최신 결과는 뒤이어 예약된 일이 가져다 줄테니까)
+  let lastRevision = 0;
+  let cellIdToRevision = {};
+
   function updateCellGeometry(x, y, z) {
     const cellX = Math.floor(x / cellSize);
     const cellY = Math.floor(y / cellSize);
     const cellZ = Math.floor(z / cellSize); // 전달받은 교차점 주변 좌표값이 포한된 cell의 위치값을 구함.
     const cellId = world.computeCellId(x, y, z); // 전달받은 교차점 주변 좌표값이 포함된 cellId를 계산함.
-    let mesh = cellIdToMesh[cellId]; // 혹시 해당 cell이 이미 만들어진 mesh가 있는지 없는지 판단하기 위해 가져옴.
+    cellIdToRevision[cellId] = ++lastRevision;
+
+    meshWorkerPool.schedule(cellId, () => {
+      // 워커에게 넘겨주는 순간의 revision과 복셀 데이터를 같이 기억해 둠.
+      const revision = cellIdToRevision[cellId];
+      const {
+        message,
+        transfer
+      } = createMeshJob(cellX, cellY, cellZ);
+      message.revision = revision;
+      return {
+        message,
+        transfer
+      };
+    }, (result) => {
+      applyCellGeometry(cellId, cellX, cellY, cellZ, result);
+    });
+  }
+
+  // 워커에게 넘겨줄 메시지를 만드는 함수. 만들려는 cell과 둘러싼 26개의 cell의 복셀값, 그리고 cell과 면으로 이웃한 6개의 cell의 빛의 세기를 복사해서 넣어줌.
+  // 면의 밝기는 면 바로 앞의 복셀의 빛만 보지만, AO는 가장자리 복셀의 대각선 방향 복셀까지 보니까 모서리, 꼭지점 너머의 cell도 있어야 cell 경계에 이음매가 안 생김.
+  // 원본을 그대로 transfer하면 main 스레드에서는 그 형식화배열을 더 이상 쓸 수 없게 되니까, 복사본을 만들어서 복사본의 소유권만 넘겨줌.
+  // 복셀값은 VoxelCell.toState()가 압축된 모양 그대로 복사해주니까, 전부 빈 공간인 cell 같은 건 복사할 배열조차 없음.
+  // 멀리 있는 cell은 lodFactor배 거친 복셀로 만들어달라고 하고, LOD가 다른 이웃 cell은 넘겨주지 않아서 그쪽 가장자리에 skirt 면이 생기도록 함.
+  function createMeshJob(cellX, cellY, cellZ) {
+    const cells = {};
+    const states = {};
+    const lights = {};
+    const transfer = [];
+    const lodFactor = getLodFactor(cellX, cellY, cellZ);
+    cellIdToLodFactor[`${cellX}, ${cellY}, ${cellZ}`] = lodFactor;
+    for (const offset of surroundingCellOffsets) {
+      if (getLodFactor(cellX + offset[0], cellY + offset[1], cellZ + offset[2]) !== lodFactor) {
+        continue;
+      }
+      const cellId = `${cellX + offset[0]}, ${cellY + offset[1]}, ${cellZ + offset[2]}`;
+      const cell = world.cells[cellId];
+      // 복셀값과 상태값(계단의 방향 등)은 둘 다 VoxelCell이니까 같은 방법으로 넘겨 줌.
+      for (const [target, source] of [[cells, cell], [states, world.states[cellId]]]) {
+        if (source) {
+          const state = source.toState();
+          target[cellId] = state;
+          if (state.data) {
+            transfer.push(state.data.buffer);
+          }
+        }
+      }
+      const cellLights = world.lights[cellId]; // 면의 밝기를 정하려면 빛의 세기도 필요함. (면으로 이웃한 cell의 것만)
+      if (cellLights && Math.abs(offset[0]) + Math.abs(offset[1]) + Math.abs(offset[2]) <= 1) {
+        const copy = cellLights.slice();
+        lights[cellId] = copy;
+        transfer.push(copy.buffer);
+      }
+    }
+
+    return {
+      message: {
+        options: {
+          cellSize,
+          tileSize: world.tileSize,
+          tileTextureWidth: world.tileTextureWidth,
+          tileTextureHeight: world.tileTextureHeight,
+          meshing: world.meshing,
+          ambientOcclusion: world.ambientOcclusion,
+          blocks: world.blocks.definitions, // 블록 레지스트리 자체는 넘겨줄 수 없으니 블록 정의 배열만 넘겨주면, 워커의 VoxelWorld가 같은 레지스트리를 만들어 줌.
+        },
+        cellX,
+        cellY,
+        cellZ,
+        cells,
+        states,
+        lights,
+        lodFactor,
+      },
+      transfer,
+    };
+  }
+
+  // 워커가 만들어준 버텍스 데이터 형식화 배열들을 cell mesh의 bufferGeometry에 반영해주는 함수
+  function applyCellGeometry(cellId, cellX, cellY, cellZ, result) {
+    if (result.revision !== cellIdToRevision[cellId]) {
+      return; // 워커가 일하는 사이에 cell이 또 바뀌었으므로 낡은 결과는 버림.
+    }
+
+    // 불투명한 면들의 mesh는 setMeshing()에서 cellIdToMesh로 이미 만든 cell들을 찾으니까 항상 만들어주고, 투명한 면들의 mesh는 투명한 면이 있을 때만 만들어 줌.
+    updateCellMesh(cellIdToMesh, cellId, cellX, cellY, cellZ, result.opaque, material, greedyMaterial);
+    if (result.transparent.indices.length || cellIdToTransparentMesh[cellId]) {
+      updateCellMesh(cellIdToTransparentMesh, cellId, cellX, cellY, cellZ, result.transparent, transparentMaterial, greedyTransparentMaterial);
+    }
+
+    requestRenderIfNotRequested(); // 워커의 결과는 비동기로 도착하니까, 반영한 다음에 다시 렌더해줘야 화면에 보임.
+  }
+
+  // LOD(level of detail). 카메라에서 cell 가운데까지의 거리(cell 단위)가 lodDistances[0] 이하면 원래 복셀로, lodDistances[1] 이하면 2 * 2 * 2 복셀을 하나로,
+  // 그보다 멀면 4 * 4 * 4 복셀을 하나로 합친 거친 geometry로 cell mesh를 만들어서 멀리 있는 cell들의 면 개수를 줄여 줌. (VoxelLod 참고)
+  // cell mesh는 three.js가 geometry의 boundingSphere로 카메라 시야(frustum) 밖에 있는지 확인해서 알아서 안 그려주니까, 화면 밖의 cell은 LOD와 상관없이 그리는 비용이 들지 않음.
+  const lodDistances = [2, 3];
+  let cellIdToLodFactor = {}; // cell mesh를 마지막으로 만들 때 쓴 LOD factor
+
+  function getLodFactor(cellX, cellY, cellZ) {
+    const {
+      position
+    } = camera;
+    const distance = Math.hypot(
+      (cellX + 0.5) * cellSize - position.x,
+      (cellY + 0.5) * cellSize - position.y,
+      (cellZ + 0.5) * cellSize - position.z
+    ) / cellSize;
+    const level = lodDistances.findIndex((lodDistance) => distance <= lodDistance);
+    return VoxelLod.factors[level < 0 ? lodDistances.length : level];
+  }
+
+  // 카메라가 다른 cell로 넘어갔을 때, LOD factor가 바뀌어야 하는 cell들과 그 이웃 cell들(skirt를 만들지 말지가 바뀜)을 dirty로 표시해서 다시 만들어지게 하는 함수
+  let lodCenterCellId = null;
+
+  function updateLodFactors() {
+    const {
+      position
+    } = camera;
+    const centerCellId = world.computeCellId(position.x, position.y, position.z);
+    if (centerCellId === lodCenterCellId) {
+      return;
+    }
+    lodCenterCellId = centerCellId;
+    for (const cellId of Object.keys(cellIdToLodFactor)) {
+      const [cellX, cellY, cellZ] = VoxelWorld.parseCellId(cellId);
+      if (getLodFactor(cellX, cellY, cellZ) === cellIdToLodFactor[cellId]) {
+        continue;
+      }
+      for (const offset of neighborOffset) {
+        world.markCellDirty(`${cellX + offset[0]}, ${cellY + offset[1]}, ${cellZ + offset[2]}`);
+      }
+    }
+  }
+
+  // 버텍스 데이터 형식화 배열들(data)을 meshes에 저장된 cell mesh의 bufferGeometry에 반영해주는 함수. cell mesh가 없으면 새로 만들어서 meshes에 저장함.
+  // 불투명한 면들은 cellIdToMesh에, 투명한 면들은 cellIdToTransparentMesh에 따로 저장하니까, 어디에 저장할지와 어떤 material로 그릴지를 인자로 받음.
+  function updateCellMesh(meshes, cellId, cellX, cellY, cellZ, data, faceMaterial, greedyMaterial) {
+    let mesh = meshes[cellId]; // 혹시 해당 cell이 이미 만들어진 mesh가 있는지 없는지 판단하기 위해 가져옴.
     const geometry = mesh ? mesh.geometry : new THREE.BufferGeometry(); // 이미 만들어진 cell이라면, 해당 cell mesh의 geometry를 가져오고, 그게 아니라면 새로운 BufferGeometry를 만듦.
 
-    // (cellX, cellY, cellZ) 지점의 cell 메쉬에 사용될(또는 사용된) buffetGeometry에 전달할 버텍스 데이터들을 생성하여(또는 재생성) 리턴받음.
+    // (cellX, cellY, cellZ) 지점의 cell 메쉬에 사용될(또는 사용된) buffetGeometry에 전달할 버텍스 데이터들. 워커가 이미 형식화 배열로 만들어서 보내줌.
     const {
       positions,
       normals,
       uvs,
+      colors,
+      tileOrigins,
       indices
-    } = world.generateGeometryDateForCell(cellX, cellY, cellZ);
+    } = data;
 
     // 각 버텍스 데이터 배열들로 bufferAttribute 인스턴스를 생성한 뒤, 그거를 위에서 생성한 bufferGeometry에 추가해 줌. (이 부분은 bufferGeometry 예제 정리한 내용 참고하기)
     // 참고로 THREE.BufferAttribute()는 버텍스 데이터 배열을 형식화 배열로만 받음. 또한, 하나의 꼭지점에 대해 각 버텍스 데이터 배열에서 몇 개의 요소를 사용해야 하는지도 지정해줘야 함.
     const positionNumComponents = 3;
     geometry.setAttribute(
       'position', // 생성한 Attribute를 지정할 땐 Three.js가 원하는 속성의 이름을 써줘야 함. 
-      new THREE.BufferAttribute(new Float32Array(positions), positionNumComponents)
+      new THREE.BufferAttribute(positions, positionNumComponents)
     );
     const normalNumComponents = 3; // 버텍스 좌표값, 노말값 모두 하나의 꼭지점에 각각 x, y, z 총 3개의 요소를 사용하니까
     geometry.setAttribute(
       'normal',
-      new THREE.BufferAttribute(new Float32Array(normals), normalNumComponents)
+      new THREE.BufferAttribute(normals, normalNumComponents)
     );
     const uvNumComponents = 2; // 버텍스 uv값은 하나의 꼭지점마다 u, v 총 2개의 요소를 사용함.
     geometry.setAttribute(
       'uv',
-      new THREE.BufferAttribute(new Float32Array(uvs), uvNumComponents)
+      new THREE.BufferAttribute(uvs, uvNumComponents)
     );
-    geometry.setIndex(indices); // 위에서 넘겨준 positions, normals 버텍스 데이터 배열을 인덱스로 참조하려면, .setIndex()에 버텍스 개수 만큼의 인덱스값들이 저장된 배열을 넘겨줘야 함.
+    const colorNumComponents = 3; // 버텍스 컬러는 하나의 꼭지점마다 r, g, b 총 3개의 요소를 사용함.
+    geometry.setAttribute(
+      'color',
+      new THREE.BufferAttribute(colors, colorNumComponents)
+    );
+    // greedy meshing일 때만 tileOrigins가 리턴되니까, 그때만 tileOrigin attribute를 추가하고 아니면 지워줌.
+    if (tileOrigins) {
+      geometry.setAttribute(
+        'tileOrigin',
+        new THREE.BufferAttribute(tileOrigins, uvNumComponents)
+      );
+    } else {
+      geometry.deleteAttribute('tileOrigin');
+    }
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1)); // 위에서 넘겨준 positions, normals 버텍스 데이터 배열을 인덱스로 참조하려면, .setIndex()에 버텍스 개수 만큼의 인덱스값들이 저장된 배열을 넘겨줘야 함.
     geometry.computeBoundingSphere(); // 해당 geometry를 둘러싼 boundingSphere 즉, 경계 구체를 계산해준다고 함. 
     // 근데 어디다가 쓸 것도 아닌데 굳이 계산해 줄 이유가 있나.. 아무레도 사용자 클릭에 따라 복셀이 추가, 제거되면 경계 구체가 계속 바뀔테니, 지오메트리를 업데이트 할때마다 수동으로 업데이트 해주려는 듯. 
     // 왜냐면 경계구체는 지오메트리가 바뀌어도 자동으로 계산되지 않기 때문...
 
+    const cellMaterial = tileOrigins ? greedyMaterial : faceMaterial; // greedy meshing으로 만든 결과면 tileOrigin을 쓰는 material로 그려줘야 함.
+
     if (!mesh) {
-      // cellIdToMesh에 해당 cell의 mesh가 없다면, 즉 아예 새롭게 만들어야 할 경우 if block으로 들어와서 새로운 cell mesh를 만들고 씬에 추가함.
-      mesh = new THREE.Mesh(geometry, material); // 새로운 cell mesh를 만듦.
+      // meshes에 해당 cell의 mesh가 없다면, 즉 아예 새롭게 만들어야 할 경우 if block으로 들어와서 새로운 cell mesh를 만들고 씬에 추가함.
+      mesh = new THREE.Mesh(geometry, cellMaterial); // 새로운 cell mesh를 만듦.
       mesh.name = cellId; // Object3D는 해당 물체의 이름을 선택적으로 지정할 수 있는 name 프로퍼티를 모두 갖고 있음. 그냥 새로 만든 cell mesh의 name을 cellId로 지정해준 것. 선택사항이라 반드시 안해줘도 됨. 
-      cellIdToMesh[cellId] = mesh; // 새롭게 만든 cell mesh는 해당하는 cellId와 함께 cellIdToMesh에 추가해줘서, 다음에 이 함수가 또 호출되어도 지금 만든 이 cell mesh가 이미 만들어진 mesh임을 알려주도록 함. 
+      meshes[cellId] = mesh; // 새롭게 만든 cell mesh는 해당하는 cellId와 함께 meshes에 추가해줘서, 다음에 이 함수가 또 호출되어도 지금 만든 이 cell mesh가 이미 만들어진 mesh임을 알려주도록 함. 
       scene.add(mesh); // 씬에 cell 메쉬를 추가함.
       mesh.position.set(cellX * cellSize, cellY * cellSize, cellZ * cellSize);
       // (cellX, cellY, cellZ)는 해당 cell의 실제 좌표값이라기 보다는, 해당 cell의 몇번째 cell인지를 구분하는, 일종의 id값의 역할을 하기 때문에,
       // 이 값으로 실제 cell의 위치값을 계산하려면, cellSize인 32를 곱해줘야 함. 즉, cellId가 '1, 0, 0'인 cell의 실제 위치값은 (32, 0, 0)이라고 할 수 있음.
+    } else {
+      mesh.material = cellMaterial; // meshing 방식이 바뀌었을 수도 있으니 material도 같이 맞춰줌.
+    }
+  }
+
+  // 해당 cell의 불투명한 면, 투명한 면 mesh를 씬에서 제거하고 geometry를 메모리에서 해제해주는 함수
+  function disposeCellMesh(cellId) {
+    for (const meshes of [cellIdToMesh, cellIdToTransparentMesh]) {
+      const mesh = meshes[cellId];
+      if (mesh) {
+        scene.remove(mesh);
+        mesh.geometry.dispose();
+        delete meshes[cellId];
+      }
     }
   }
 
@@ -588,57 +614,112 @@ function main() {
     [0, 0, 1], // 앞
   ]
 
-  // 전달받은 교차점 좌표값이 만약 cell의 가장자리라면, 하나의 cell의 겉부분에 또 다른 복셀을 만들어줘야 한다는 의미임. 그리고 또 다른 복셀은 당연히 또 다른 cell에 포함되어 있는 복셀이겠지. 따라서 그 또 다른 cell도 새로 만들어줘야 하는거고!
-  // 이런 식으로 전달받은 교차점 자신, 앞, 뒤, 왼, 오, 위, 아래에 추가해줘야 하는 cell이 있는지 확인해서 새롭게 생성해야 한다면 updateCellGeometry()를 호출해서 새로운 cell을 생성해주는 함수.
-  function updateVoxelGeometry(x, y, z) {
-    const updatedCellIds = {};
-
-    for (const offset of neighborOffset) {
-      const ox = x + offset[0];
-      const oy = y + offset[1];
-      const oz = z + offset[2];
-      const cellId = world.computeCellId(ox, oy, oz);
-      if (!updatedCellIds[cellId]) {
-        // 위에 교차점 주변 7개의 좌표값들 중 이미 앞에 for...of 반복순회에서 새롭게 생성하여 업데이트된 cell의 id값이 중복 계산되어 들어왔다면, if block을 통과하지 않을 것이고,
-        // 7개의 주변 좌표값들이 포함된 cell들 중 새로 생성해줘야 하는 cell이 있다면 if block을 들어와서 updatedCellIds를 true로 해서 이제 업데이트가 완료된 상태임을 알려놓고, updateCellGeometry() 함수를 호출해서 새로운 cell을 생성함.
-        // 근데 일단 for...of 문에서 가장 먼저 들어오는 [0, 0, 0]이 더해진 교차점 좌표값, 즉 교차점 좌표값이 포함되는 cell영역은 기본적으로 update를 한 번씩 해줌. 
-        // 그래서 만약에 placeVoxel() 함수에서 setVoxel로 0을 지정했다면 기존의 cell geometry에서 0으로 지정된 복셀을 제거해줘야 할 필요도 있으니 updateCellGeometry를 호출해줘야 하는 것이고!
-        // 이럴 경우의 좌표값은 placeVoxel() 함수에서도 봐서 알겠지만, 0.5가 곱해진 노말값이 더해진 좌표값을 넘겨받잖아? 이거는 결국 클릭한 복셀이 포함된 cell, 즉, (0, 0, 0) 지점에 위치한 첫번째 셀에 포함된 좌표값일테니, 그 첫번째 셀이 업데이트 되는거임! -> 이렇게 이해하면 대충 코드의 큰 그림이 맞아떨어지지
-        // 어찌됬건 7개 좌표값들 중 맨 첫번째 좌표값이 포함된 cell은 무조건 업데이트가 된다고 보면 됨. 그 이후에 나머지 6개 좌표값들이 포함된 cell이 이전에 업데이트된 것과 중복되는 cell이면 업데이트 안해주고, 또 다른 방향에 인접한 cell이라면 새로 만들어줘야 하는 것이지.
-        updatedCellIds[cellId] = true;
-        updateCellGeometry(ox, oy, oz);
+  // cell 자신과 둘러싼 26개의 cell의 오프셋 배열. 워커에게 AO를 계산할 복셀값을 넘겨줄 때 씀.
+  const surroundingCellOffsets = [];
+  for (let y = -1; y <= 1; y++) {
+    for (let z = -1; z <= 1; z++) {
+      for (let x = -1; x <= 1; x++) {
+        surroundingCellOffsets.push([x, y, z]);
       }
     }
   }
 
-  // 사인 함수 곡선을 이용하여, 각 x,z좌표값들 별 언덕곡선을 만드는 데 필요한 높이값들을 계산하고, 각 높이값 아래까지의 x, y, z좌표값들만
-  // '겉부분 면'을 확인할 자격을 얻는 복셀좌표값으로 추가해주는 3중 for loop. 물론 추가해주는 건 setVoxel 메서드가 해줌.
-  for (let y = 0; y < cellSize; y++) {
-    for (let z = 0; z < cellSize; z++) {
-      for (let x = 0; x < cellSize; x++) {
-        // x, z좌표값별로 언덕 곡선을 만들기 위해 필요한 높이값들을 각각 계산해 줌.
-        const height = (Math.sin(x / cellSize * Math.PI * 2) + Math.sin(z / cellSize * Math.PI * 3)) * (cellSize / 6) + (cellSize / 2);
-
-        if (y < height) {
-          // 각 높이값 아래에만 있는 (x, y, z) 지점의 복셀들만 world의 형식화배열에 1 ~ 16 중 하나의 랜덤한 정수값을 지정해줌으로써,
-          // 해당 복셀들만 generateGeometryDateForCell 메서드에서 '겉부분 면'을 확인할 자격을 얻음. 왜냐? 0이 아닌 값으로만 지정해주면 generateGeometryDateForCell 메서드의 if block을 통과할 수 있으니까 
-          world.setVoxel(x, y, z, randomInt(1, 17));
-        }
-      }
-    }
+  // cell을 채워줄 지형 생성기. 주소창에 ?terrain=sine 을 붙이면 원래의 사인 함수 언덕을, 아니면 노이즈 지형을 만듦.
+  // ?seed=숫자 로 시드를 정해주면 같은 시드에서는 항상 같은 지형이 만들어지니까, 같은 장면을 다시 보고 싶을 때 쓰면 됨.
+  const searchParams = new URLSearchParams(location.search);
+  const seed = parseInt(searchParams.get('seed')) || 1;
+  const terrainGenerator = searchParams.get('terrain') === 'sine' ?
+    new SineHillGenerator({
+      seed
+    }) :
+    new NoiseTerrainGenerator({
+      seed
+    });
+
+  // 주소창에 ?sync=ws://localhost:8787 처럼 sync-server.js의 주소를 붙여서 열면 같은 서버에 연결한 사람들과 월드를 같이 편집함.
+  // 지형은 각자 만들어내니까 모두 같은 seed, terrain으로 열어야 함. 월드 파일 불러오기(Load)와 높이맵 불러오기는 나한테만 적용되고 다른 사람에게는 보내지 않음.
+  const syncUrl = searchParams.get('sync');
+  const syncStatusElem = document.querySelector('#sync-status');
+  const sync = new VoxelSyncClient(world, {
+    isCellReady: (cellId) => !!(world.cells[cellId] || chunkStreamer.generatedCellIds[cellId]),
+    onStatusChange(status) {
+      syncStatusElem.textContent = `sync: ${status}`;
+    },
+  });
+  if (syncUrl) {
+    sync.connect(syncUrl);
   }
 
-  function randomInt(min, max) {
-    // 위에 setVoxel 메서드에서 인자로 넘겨줄 값을 계산하기 위해 호출할 때, min, max로 각각 1, 17을 받으므로,
-    // 0 이상 1 미만의 실수인 난수를 리턴하는 random() 메서드에 의해 1.xxx ~ 16.xxx 이런 값이 리턴될거고, 이거를 소수점 제거하니까 결과적으로는 1 ~ 16 사이의 정수값을 리턴해준다는 거지.
-    return Math.floor(Math.random() * (max - min) + min);
+  // 너무 멀어진 cell의 mesh를 씬에서 제거하고 geometry를 메모리에서 해제한 뒤, world.cells에서도 복셀 데이터를 지워주는 함수
+  function unloadCell(cellId) {
+    disposeCellMesh(cellId);
+    delete cellIdToRevision[cellId]; // 워커가 아직 만들고 있던 결과가 나중에 도착해도 반영되지 않도록 함.
+    delete cellIdToLodFactor[cellId];
+    delete world.cells[cellId];
+    delete world.states[cellId];
+    delete world.lights[cellId];
   }
 
-  // (1, 1, 1)위치에 있는 복셀은 '0, 0, 0'에 해당하는 cell 영역 내에 있겠지? 왜냐면 저 cell은 (0~31, 0~31, 0~31) 사이의 복셀들을 포함하니까!
-  // 따라서 이 복셀좌표값을 넘겨주면서 updateVoxelGeometry를 호출하면, '0, 0, 0'에 해당하는 첫번째 cell의 형식화배열에 랜덤값이 지정된 복셀들을 이용해서 cell mesh를 만들겠지!
-  // 그래서 처음에 코드를 실행할때는 사용자가 어떤 복셀에 대해 클릭이벤트를 주지 않더라도, 첫번째 cell인 '0, 0, 0'은 미리 생성될거임. 
-  // 물론, 앞의 3중 for loop에 의해서, (0~31, 0~31, 0~31) 사이의 복셀들은 모두 해당하는 cell(즉, 첫번째 cell)의 형식화배열에 랜덤값이 지정되어 있으므로, 이 복셀들은 모두 렌더가 될거임. 
-  updateVoxelGeometry(1, 1, 1);
+  // 복셀마다 햇빛과 블록 빛을 계산해주는 lighting. world에 연결해두면 setVoxel()로 블록을 놓거나 지울때마다 빛도 같이 갱신됨.
+  const lighting = new VoxelLighting(world);
+  world.lighting = lighting;
+
+  // 모래가 떨어지고 물이 흘러가게 해주는 simulation. 복셀이 바뀐 곳 주변만 tick마다 처리하고, 바꾼 복셀은 remeshScheduler가 프레임마다 모아서 다시 그려 줌.
+  // 지형을 아직 만들지 않은 cell로는 떨어지거나 흘러가지 않도록 sync와 같은 방법으로 확인함.
+  const simulation = new VoxelSimulation(world, {
+    isCellReady: (cellId) => !!(world.cells[cellId] || chunkStreamer.generatedCellIds[cellId]),
+  });
+
+  // 카메라 주변의 cell들을 만들고 치워주는 chunkStreamer. 처음에 (1, 1, 1) 지점의 첫번째 cell 하나만 만들던 것 대신,
+  // render()에서 매 프레임마다 OrbitControls의 target 좌표값을 넘겨주면 target 주변 streamRadius 안의 cell들을 가까운 순서대로 채워 줌.
+  const streamRadius = 4; // 수평 방향으로 몇 cell 떨어진 곳까지 만들건지
+  const streamVerticalRadius = 1; // 수직 방향으로 몇 cell 떨어진 곳까지 만들건지
+  const streamBudget = 4; // 한 프레임에 cell을 만드는 데 쓸 수 있는 최대 시간(ms). 이 시간을 넘기면 나머지는 다음 프레임으로 미룸.
+  const chunkStreamer = new ChunkStreamer({
+    world,
+    radius: streamRadius,
+    verticalRadius: streamVerticalRadius,
+    budget: streamBudget,
+    generateCell(cellX, cellY, cellZ) {
+      // 지형의 모래와 바다는 만들어진 그대로 두고, 나중에 사람이 주변을 바꿨을 때만 움직이도록 simulation에 알리지 않음.
+      simulation.withoutActivation(() => {
+        terrainGenerator.generateCell(world, cellX, cellY, cellZ);
+        sync.applyCell(cellX, cellY, cellZ); // 지형 위에 다른 사람들이 이 cell에서 편집한 내용을 덮어 줌.
+      });
+    },
+    lightCell(cellX, cellY, cellZ) {
+      lighting.computeCellLight(cellX, cellY, cellZ); // 빛이 바뀐 이웃 cell들은 remeshScheduler가 다시 만들어 줌.
+    },
+    meshCell(cellX, cellY, cellZ) {
+      const cellId = `${cellX}, ${cellY}, ${cellZ}`;
+      if (world.cells[cellId]) {
+        world.markCellDirty(cellId); // 복셀이 하나도 없는 빈 cell은 mesh를 만들 필요가 없음. 나머지는 같은 프레임에 바뀐 cell들과 함께 한 번만 만들어 줌.
+      }
+    },
+    unloadCell,
+  });
+
+  // 복셀이 바뀌거나 빛이 바뀐 cell들의 mesh를 프레임마다 cell마다 한 번씩만 다시 만들어주는 remeshScheduler.
+  // 그래서 복셀을 바꾸는 쪽에서는 world.setVoxel()만 호출하면 되고, cell mesh를 직접 다시 만들어 줄 필요가 없음.
+  // chunkStreamer가 복셀 데이터만 만들어두고 아직 mesh를 만들 차례가 아니라고 정한 cell(보이는 범위 바로 바깥의 이웃 cell)은 건너뜀.
+  // 그런 cell은 지형을 만들면서 dirty가 되는데, 이웃 cell이 다 만들어지기 전에 mesh를 만들면 가장자리 면이 틀리게 나오니까 chunkStreamer가 차례가 됐을 때 넘겨 줌.
+  // 복셀 데이터가 없는 cell은 mesh를 만들 필요가 없지만, 복셀을 전부 지워서 world가 치운 cell일 수도 있으니 예전 mesh가 남아있으면 치워 줌.
+  const remeshScheduler = new RemeshScheduler({
+    world,
+    lighting,
+    canMeshCell: (cellId) => !chunkStreamer.generatedCellIds[cellId] || !!chunkStreamer.meshedCellIds[cellId],
+    meshCell(cellX, cellY, cellZ) {
+      const cellId = `${cellX}, ${cellY}, ${cellZ}`;
+      if (!world.cells[cellId]) {
+        disposeCellMesh(cellId);
+        delete cellIdToRevision[cellId]; // 워커가 아직 만들고 있던 예전 결과가 나중에 도착해도 반영되지 않도록 함.
+        delete cellIdToLodFactor[cellId];
+        return;
+      }
+      updateCellGeometry(cellX * cellSize, cellY * cellSize, cellZ * cellSize);
+    },
+    requestFrame: requestRenderIfNotRequested,
+  });
 
   // resize renderer
   function resizeRendererToDisplaySize(renderer) {
@@ -653,6 +734,135 @@ function main() {
     return needResize;
   }
 
+  // 복셀 편집 기록. historySize개의 액션까지 실행 취소할 수 있음.
+  const historySize = 100;
+  const history = new EditHistory(world, {
+    maxActions: historySize,
+  });
+
+  // 로컬에서 바꾼 복셀들({ x, y, z } 배열)을 같이 편집하는 서버에 보내주는 함수. 블록 놓기, 실행 취소, 붙여넣기처럼 사용자가 복셀을 바꾸는 곳에서는 전부 이 함수를 호출함.
+  // cell mesh는 world.setVoxel()이 모아둔 dirty cell들로 remeshScheduler가 다시 만들어주니까 여기서는 신경쓰지 않음.
+  function commitLocalChanges(changes) {
+    sync.sendChanges(changes);
+  }
+
+  // Ctrl+Z는 실행 취소, Ctrl+Shift+Z는 다시 실행. (맥에서는 Ctrl 대신 Cmd 키도 되도록 metaKey도 같이 확인함)
+  // 입력창에 글자를 치는 중에는 입력창의 실행 취소가 되어야 하니까 월드 편집은 되돌리지 않음.
+  window.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.code !== 'KeyZ' || e.target.tagName === 'INPUT') {
+      return;
+    }
+    e.preventDefault();
+    commitLocalChanges(e.shiftKey ? history.redo() : history.undo());
+  });
+
+  // meshing 방식에 따라 버텍스 개수, 삼각형 개수, 렌더 시간이 얼마나 차이나는지 비교할 수 있도록 #stats 요소에 표시해주는 함수
+  // 렌더 시간은 renderer.render() 호출이 끝날때까지 걸린 CPU 시간이라, GPU에서 실제로 그리는 시간과는 차이가 있음.
+  const statsElem = document.querySelector('#stats');
+
+  function updateStats(renderTime) {
+    let vertexCount = 0;
+    for (const mesh of [...Object.values(cellIdToMesh), ...Object.values(cellIdToTransparentMesh)]) {
+      vertexCount += mesh.geometry.getAttribute('position').count;
+    }
+    // 복셀 데이터가 실제로 쓰는 메모리와, cell마다 Uint8Array를 통째로 만들었다면 썼을 메모리를 같이 보여줌.
+    const memory = world.getMemoryStats();
+    const kilobytes = (bytes) => `${Math.round(bytes / 1024)}KB`;
+    statsElem.textContent = `${world.meshing} | vertices: ${vertexCount} | triangles: ${renderer.info.render.triangles} | render: ${renderTime.toFixed(2)}ms` +
+      ` | voxels: ${kilobytes(memory.bytes)} / ${kilobytes(memory.uncompressedBytes)} (${memory.cells} cells, ${memory.uniformCells} uniform, ${memory.paletteCells} palette, ${memory.directCells} direct)`;
+  }
+
+  // 이미 만들어진 모든 cell mesh를 다시 만들어주는 함수. meshing 방식이나 AO처럼 cell geometry를 만드는 설정이 바뀌었을 때 호출함.
+  function remeshAllCells() {
+    for (const cellId of Object.keys(cellIdToMesh)) {
+      const [cellX, cellY, cellZ] = VoxelWorld.parseCellId(cellId);
+      updateCellGeometry(cellX * cellSize, cellY * cellSize, cellZ * cellSize);
+    }
+    requestRenderIfNotRequested();
+  }
+
+  // meshing 방식을 바꾸고, 이미 만들어진 모든 cell mesh를 새로운 방식으로 다시 만들어주는 함수
+  function setMeshing(newMeshing) {
+    world.meshing = newMeshing;
+    remeshAllCells();
+  }
+
+  const greedyElem = document.querySelector('#greedy');
+  greedyElem.checked = world.meshing === 'greedy';
+  greedyElem.addEventListener('change', () => {
+    setMeshing(greedyElem.checked ? 'greedy' : 'face');
+  });
+
+  // AO를 켜고 끄는 체크박스. 바꾸면 모든 cell mesh의 버텍스 컬러를 다시 계산해야 하니까 전부 다시 만들어 줌.
+  const aoElem = document.querySelector('#ao');
+  aoElem.checked = world.ambientOcclusion;
+  aoElem.addEventListener('change', () => {
+    world.ambientOcclusion = aoElem.checked;
+    remeshAllCells();
+  });
+
+  // simulation은 렌더링과 상관없이 타이머로 tickRate마다 돌림. 타이머가 늦게 불려도 흐른 시간만큼 tick을 돌려주니까 속도는 일정함.
+  // 디버깅할 때는 Pause로 멈추고 Step으로 한 tick씩 돌려보거나 속도를 바꿔볼 수 있고, 활성 복셀 개수와 tick 수를 옆에 보여 줌.
+  const simulationPausedElem = document.querySelector('#simulation-paused');
+  const simulationSpeedElem = document.querySelector('#simulation-speed');
+  const simulationStatusElem = document.querySelector('#simulation-status');
+
+  function updateSimulationStatus() {
+    simulationStatusElem.textContent = `tick: ${simulation.tickCount} | active: ${simulation.activeCount}`;
+  }
+
+  for (const speed of VoxelSimulation.speeds) {
+    const option = document.createElement('option');
+    option.value = speed;
+    option.textContent = `${speed}x`;
+    option.selected = speed === simulation.speed;
+    simulationSpeedElem.appendChild(option);
+  }
+  simulationSpeedElem.addEventListener('change', () => {
+    simulation.speed = parseFloat(simulationSpeedElem.value);
+  });
+  simulationPausedElem.addEventListener('change', () => {
+    simulation.paused = simulationPausedElem.checked;
+  });
+  document.querySelector('#simulation-step').addEventListener('click', () => {
+    simulation.step();
+    updateSimulationStatus();
+  });
+
+  let lastSimulationTime = performance.now();
+  setInterval(() => {
+    const now = performance.now();
+    simulation.advance((now - lastSimulationTime) / 1000);
+    lastSimulationTime = now;
+    updateSimulationStatus();
+  }, 1000 / simulation.tickRate);
+
+  // 투명한 면들의 cell mesh는 뒤에 있는 것부터 그려야 앞에 있는 투명한 면 너머로 뒤의 면이 제대로 비쳐보임.
+  // three.js도 투명한 물체들을 카메라와의 거리로 정렬해주긴 하지만, cell mesh의 position은 cell의 구석이라서 cell끼리의 앞뒤가 잘못 정해질 때가 있음.
+  // 그래서 카메라에서 cell의 중심까지의 거리가 먼 순서대로 renderOrder를 매겨줌. (renderOrder가 작은 물체부터 그려짐)
+  const cellCenter = new THREE.Vector3();
+
+  function sortTransparentMeshes() {
+    const meshes = Object.values(cellIdToTransparentMesh);
+    for (const mesh of meshes) {
+      cellCenter.copy(mesh.position).addScalar(cellSize / 2);
+      mesh.userData.distanceSq = cellCenter.distanceToSquared(camera.position);
+    }
+    meshes.sort((a, b) => b.userData.distanceSq - a.userData.distanceSq);
+    meshes.forEach((mesh, index) => {
+      mesh.renderOrder = index;
+    });
+  }
+
+  // cell은 target(걷기 모드에서는 카메라) 주변 streamRadius cell까지만 만드니까, 카메라에서 그 끝까지의 거리쯤에서 안개가 다 덮이도록 맞춰 줌.
+  // OrbitControls로 멀리서 내려다볼 때는 카메라와 target 사이의 거리만큼 안개도 같이 밀어 줌.
+  function updateFog() {
+    const viewDistance = streamRadius * cellSize;
+    const offset = walker.enabled ? 0 : camera.position.distanceTo(controls.target);
+    scene.fog.near = offset + viewDistance * 0.5;
+    scene.fog.far = offset + viewDistance;
+  }
+
   let renderRequested = false; // OrbitControls.update()에 의해 render 함수가 호출된건지 판별하는 변수
 
   // render
@@ -666,9 +876,29 @@ function main() {
       camera.updateProjectionMatrix(); // 카메라의 속성값을 바꿔주면 업데이트를 호출해야 함.
     }
 
-    controls.update(); // camera transform(위치값, 각도 등)에 변화가 생기면 update loop 안에서 호출해줘야 함. 
+    // 걷기 모드에서는 매 프레임마다 플레이어를 움직이고 다음 프레임도 바로 예약함. OrbitControls.update()는 카메라를 target 쪽으로 돌려버리니까 그동안은 호출하지 않음.
+    if (walker.enabled) {
+      walker.update();
+      requestRenderIfNotRequested();
+    } else {
+      controls.update(); // camera transform(위치값, 각도 등)에 변화가 생기면 update loop 안에서 호출해줘야 함. 
+    }
+
+    // target(걷기 모드에서는 카메라) 주변의 cell을 정해진 시간만큼만 만들어주고, 아직 만들 cell이 남아있으면 다음 프레임에도 render를 호출하도록 예약함.
+    if (chunkStreamer.update(walker.enabled ? camera.position : controls.target)) {
+      requestRenderIfNotRequested();
+    }
+
+    // 지난 프레임 이후로 복셀이나 빛, LOD가 바뀐 cell들의 mesh를 한 번씩만 다시 만들어달라고 워커에게 맡김.
+    updateLodFactors();
+    remeshScheduler.flush();
+    updateFog();
 
+    sortTransparentMeshes();
+
+    const renderStart = performance.now();
     renderer.render(scene, camera);
+    updateStats(performance.now() - renderStart);
   }
   render(); // 일단 페이지 첫 로드 시 뭐가 보여야 되니까 render 함수를 최초 호출해준 것.
 
@@ -681,27 +911,128 @@ function main() {
     }
   }
 
-  let currentVoxel = 0; // 새로운 복셀을 추가하기 위해 setVoxel을 호출할 때 넘겨줘서, 해당 복셀의 타일 이미지를 뭐로 지정할 지 결정해주는 값. 
-  let currentId; // 현재 선택된 input의 id값을 저장해두는 값
+  // 새로 놓을 블록은 핫바에서 지금 고른 칸의 블록. 처음에는 블록 레지스트리의 앞쪽 블록들을 한 칸에 하나씩 담아 둠.
+  const hotbar = new Hotbar({
+    voxels: world.blocks.list().map((block) => block.id),
+    onChange: updateHotbar,
+  });
+  let currentVoxel = hotbar.selectedVoxel; // 새로운 복셀을 추가하기 위해 setVoxel을 호출할 때 넘겨줘서, 해당 복셀의 타일 이미지를 뭐로 지정할 지 결정해주는 값. 핫바가 바뀔 때마다 updateHotbar()에서 맞춰 줌.
+
+  // 타일 이미지(아틀라스)의 가로, 세로 타일 개수
+  const tilesAcross = tileTextureWidth / tileSize;
+  const tilesDown = tileTextureHeight / tileSize;
+
+  // elem의 배경이미지로 voxel 블록의 옆면 타일 한 칸만 보이게 해주는 함수. voxel이 0이거나 등록되지 않은 블록이면 배경을 비움.
+  // 배경이미지를 elem 크기의 타일 개수배(tilesAcross, tilesDown배)로 키워두면 타일 한 칸이 elem 크기와 같아짐.
+  // background-position의 퍼센트는 (elem 크기 - 배경이미지 크기)를 기준으로 계산되니까, 타일 좌표값을 (타일 개수 - 1)로 나눈 비율이 곧 그 타일이 보이는 위치가 됨.
+  function setTileBackground(elem, voxel) {
+    const block = world.blocks.get(voxel);
+    if (!block) {
+      elem.style.backgroundImage = 'none';
+      return;
+    }
+    const [tileX, tileY] = block.faceTiles.front;
+    elem.style.backgroundImage = '';
+    elem.style.backgroundSize = `${tilesAcross * 100}% ${tilesDown * 100}%`;
+    elem.style.backgroundPosition = `${tileX / Math.max(1, tilesAcross - 1) * 100}% ${tileY / Math.max(1, tilesDown - 1) * 100}%`;
+  }
 
-  // type 속성값이 radio, name 속성값이 voxel인 모든 input 요소들을 가져온 뒤, 각각의 input 요소에 클릭 이벤트를 걸어놓음.
-  document.querySelectorAll('#ui .tiles input[type=radio][name=voxel]').forEach((elem) => {
-    elem.addEventListener('click', allowUncheck);
+  // 블록 레지스트리에 등록된 블록마다 타일 버튼(라디오 input + label)을 만들어서 #palette에 8개씩 한 줄(.tiles)로 넣어주는 함수.
+  function createPalette() {
+    const paletteElem = document.querySelector('#palette');
+    const tilesPerRow = 8;
+    let rowElem;
+    world.blocks.list().forEach((block, index) => {
+      if (index % tilesPerRow === 0) {
+        rowElem = document.createElement('div');
+        rowElem.className = 'tiles';
+        paletteElem.appendChild(rowElem);
+      }
+
+      const inputElem = document.createElement('input');
+      inputElem.type = 'radio';
+      inputElem.name = 'voxel';
+      inputElem.id = `voxel${block.id}`;
+      inputElem.value = block.id;
+      inputElem.addEventListener('click', selectPaletteTile);
+
+      const labelElem = document.createElement('label');
+      labelElem.htmlFor = inputElem.id;
+      labelElem.title = block.name;
+      setTileBackground(labelElem, block.id);
+
+      rowElem.appendChild(inputElem);
+      rowElem.appendChild(labelElem);
+    });
+  }
+  createPalette();
+
+  // 팔레트에서 고른 블록을 핫바의 지금 칸에 담아 줌. 이미 지금 칸에 담긴 블록을 또 누르면 칸을 비움. (그러면 클릭해도 아무것도 놓지 않음)
+  function selectPaletteTile() {
+    const voxel = parseInt(this.value); // this.value는 value="1" 이런 식으로 문자열로 저장되어 있으니까 정수로 바꿔 줌.
+    hotbar.assign(voxel === hotbar.selectedVoxel ? 0 : voxel);
+  }
+
+  // 화면 아래쪽의 핫바. 칸마다 담긴 블록의 타일과 숫자키 번호를 보여주고, 칸을 누르면 그 칸을 고름.
+  const hotbarElem = document.querySelector('#hotbar');
+  const hotbarSlotElems = hotbar.slots.map((voxel, index) => {
+    const slotElem = document.createElement('div');
+    slotElem.className = 'slot';
+    slotElem.textContent = index + 1;
+    slotElem.addEventListener('click', () => hotbar.select(index));
+    hotbarElem.appendChild(slotElem);
+    return slotElem;
   });
 
-  function allowUncheck() {
-    // eventlistener 안에서 쓰면 this는 e.currentTarget, 즉 이벤트핸들러가 등록된 input 요소를 가리킴.
-    if (this.id === currentId) {
-      // 클릭이 발생한 input 요소의 id값이 currentId와 같다면, 현재 선택된 input이 중복 선택되었다는 뜻이므로, 선택을 해제시켜 둠.
-      this.checked = false; // input 요소의 checked값을 해제하여 빨간 아웃라인을 지워주고
-      currentId = undefined;
-      currentVoxel = 0; // 두 변수값을 모두 초기화함.
+  // 핫바가 바뀔 때마다 호출되는 함수. currentVoxel과 핫바, 팔레트에 표시된 선택 상태를 지금 칸에 맞춰 줌.
+  function updateHotbar() {
+    currentVoxel = hotbar.selectedVoxel;
+    hotbar.slots.forEach((voxel, index) => {
+      const slotElem = hotbarSlotElems[index];
+      const block = world.blocks.get(voxel);
+      setTileBackground(slotElem, voxel);
+      slotElem.title = block ? block.name : '';
+      slotElem.classList.toggle('selected', index === hotbar.selectedIndex);
+    });
+
+    const inputElem = document.querySelector(`#voxel${currentVoxel}`);
+    if (inputElem) {
+      inputElem.checked = true;
     } else {
-      // 만약 클릭이 발생한 input이 currentId와 다르다면, 새로운 input을 선택했다는 뜻이므로, 해당 input의 id값과 value값을 각각의 변수에 넣어줌.
-      currentId = this.id;
-      currentVoxel = parseInt(this.value); // this.value는 value="1" 이런 식으로 문자열로 저장되어 있으니까, 문자열을 정수로 파싱하는 parseInt 메서드를 이용해서 정수값으로 변환시킨 뒤 할당해 줌.
+      document.querySelectorAll('#palette input[name=voxel]').forEach((elem) => {
+        elem.checked = false;
+      });
     }
   }
+  updateHotbar();
+
+  // 숫자키 1 ~ 9로 핫바의 칸을 고름. 프리팹 이름처럼 글자를 입력하는 중에는 무시함.
+  window.addEventListener('keydown', (e) => {
+    const match = /^Digit([1-9])$/.exec(e.code);
+    if (!match || e.ctrlKey || e.metaKey || e.altKey || e.target.tagName === 'INPUT') {
+      return;
+    }
+    const index = parseInt(match[1]) - 1;
+    if (index < hotbar.slots.length) {
+      hotbar.select(index);
+    }
+  });
+
+  // 휠로 핫바의 칸을 옆으로 옮김. 걷기 모드에서는 어디서든, 아닐 때는 휠이 OrbitControls의 줌이니까 핫바 위에서 굴릴 때만.
+  function scrollHotbar(e) {
+    e.preventDefault();
+    hotbar.scroll(e.deltaY);
+  }
+  hotbarElem.addEventListener('wheel', scrollHotbar, {
+    passive: false
+  });
+  canvas.addEventListener('wheel', (e) => {
+    if (walker.enabled) {
+      scrollHotbar(e);
+    }
+  }, {
+    passive: false
+  });
 
   // 이벤트 좌표값을 받아 캔버스의 상대적인 좌표값으로 변환해주는 함수
   function getCanvasRelativePosition(e) {
@@ -712,11 +1043,13 @@ function main() {
     };
   }
 
-  function placeVoxel(e) {
-    // 클릭 후 pointerup 한 지점의 좌표값을 캔버스에 상대적인 좌표값으로 바꾼 뒤, 그것을 -1 ~ 1 사이의 정규화된 좌표값으로 변환함. 관련 내용은 picking-1 예제 참고
+  // 포인터 이벤트가 발생한 지점에서 카메라가 바라보는 방향으로 광선을 쏴서 처음 만나는 복셀 면과의 교차점을 구해주는 함수. 아무 복셀과도 안 만나면 null을 리턴함.
+  // 걷기 모드에서는 마우스가 잠겨있으니까 포인터 위치 대신 화면 가운데(조준점)에서 광선을 쏨.
+  function intersectPointer(e) {
+    // 포인터 이벤트 지점의 좌표값을 캔버스에 상대적인 좌표값으로 바꾼 뒤, 그것을 -1 ~ 1 사이의 정규화된 좌표값으로 변환함. 관련 내용은 picking-1 예제 참고
     const pos = getCanvasRelativePosition(e);
-    const x = (pos.x / canvas.width) * 2 - 1;
-    const y = (pos.y / canvas.height) * -2 + 1;
+    const x = walker.enabled ? 0 : (pos.x / canvas.width) * 2 - 1;
+    const y = walker.enabled ? 0 : (pos.y / canvas.height) * -2 + 1;
 
     const start = new THREE.Vector3();
     const end = new THREE.Vector3();
@@ -724,27 +1057,360 @@ function main() {
     end.set(x, y, 1).unproject(camera); // Vector3.project() 메서드는 전역공간 좌표값 -> NDC 좌표값으로 변환해줬다면, .unproject(camera)는 정규화된 NDC 좌표값 -> 전역공간 좌표값으로 변환해 줌. 방향이 반대인거지. 즉, end에는 pointerup이 발생한 지점의 좌표값을 전역공간 좌표값이 지정된 것. 
     // 관련 내용은 html-to-3d-1 예제 참고.
 
-    const intersection = world.intersectRay(start, end); // 카메라의 전역 위치값(start)와 pointerup 이벤트의 전역 위치값(end)를 전달해서 교차한 지점의 position, normal값이 묶인 객체를 리턴받음.
+    // 걷기 모드에서는 손이 닿는 거리(walkReach) 안의 복셀만 고를 수 있게 함.
+    const options = walker.enabled ? {
+      maxDistance: walkReach
+    } : {};
+    return world.intersectRay(start, end, options); // 카메라의 전역 위치값(start)와 포인터 이벤트의 전역 위치값(end)를 전달해서 교차한 지점의 position, normal, 맞힌 복셀과 그 바깥 복셀의 복셀좌표값이 묶인 객체를 리턴받음.
+  }
+
+  function placeVoxel(e) {
+    const intersection = intersectPointer(e);
 
     // 교차하는 지점이 존재해서 null이 아닌 값을 리턴받았다면, if block으로 들어감.
     if (intersection) {
       // e.shiftKey는 이벤트가 발생했을 때 쉬프트키가 눌려있는 상태였는지 확인해 줌.
       // 이걸 왜 해주냐면, 쉬프트키를 누른 상태에서 복셀을 클릭하면 해당 복셀이 지워지고, 안 누른 상태에서 복셀을 클릭하면 해당 복셀 면 바로 옆에 새로운 복셀을 추가해 줌. 이 때, 추가된 복셀에는 현재 선택된 타일버튼(currentVoxel)에 해당하는 타일 부분을 텍스처로 씌워서 렌더해주려는 것.
-      // 또한, 쉬프트키를 안 누른 상태에서도 0이 할당될 수 있음. 뭐냐면 allowUncheck() 함수에 의해 currentVoxel이 0으로 다시 초기화된 경우!
+      // 또한, 쉬프트키를 안 누른 상태에서도 0이 할당될 수 있음. 뭐냐면 핫바에서 빈 칸을 골라서 currentVoxel이 0이 된 경우!
       const voxelId = e.shiftKey ? 0 : currentVoxel; // 쉬프트키가 눌렸다면 setVoxel 호출 시 0이 전달될거고, 안눌렸다면 setVoxel 호출 시 currentVoxel의 값이 전달되겠지? 형식화배열에 0이 지정된 복셀은 cell을 만드는 bufferGeometry에 해당 복셀좌표값으로 만든 데이터들을 추가해줄 수 없게 되어있음.
 
-      // 교차점은 항상 면 위에 존재함. 즉, 면의 앞면에 위치하는지 뒷면에 위치하는지 정해져있지 않음.
-      // 그래서 normal값에 0.5 또는 -0.5를 곱한 값을 더해줘서 교차점 좌표값이 앞면에 위치하게 할건지, 뒷면에 위치하게 할건지 정해줘야 함.
-      // 왜 굳이 0.5 단위로 더해주냐면 복셀 하나의 크기가 1*1*1 사이즈니까 0.5, 즉 복셀의 면에서 앞면으로 0.5 또는 뒷면으로 0.5로 옮겨서 확실하게 면의 앞인지 뒤인지 구분시키려는 것.
-      const pos = intersection.position.map((v, index) => {
-        return v + intersection.normal[index] * (voxelId > 0 ? 0.5 : -0.5); // 0이면 복셀을 제거하려는 것이므로 0.5, 0보다 크면 복셀을 새롭게 추가하려는 것이므로 -0.5만큼 곱해준 뒤 position의 각 x, y, z에다가 더해줌.
-      });
-      world.setVoxel(...pos, voxelId); // 앞/뒷면까지 결정된 교차점 좌표값과 voxelId(0 또는 1~16사이의 값)을 전달하면서 setVoxel을 호출함. 해당 좌표값 지점의 복셀을 렌더해줄지 말지가 해당 복셀이 포함된 cell의 형식화배열에 할당되겠지.
-      updateVoxelGeometry(...pos); // 사용자가 클릭한 지점에 새로운 복셀 지오메트리가 추가되었거나, 기존 복셀이 제거된 새로운 cell geometry를 업데이트 해주는 함수.
+      // paste 도구는 클릭한 곳에 클립보드를 붙여넣기만 함.
+      if (brush.mode === 'paste') {
+        pasteClipboard(getPasteOrigin(intersection));
+        return;
+      }
+
+      // 교차점은 항상 면 위에 존재해서, 면의 앞에 있는 복셀인지 뒤에 있는 복셀인지 정해져있지 않음. 그래서 intersectRay()가 두 복셀좌표값을 모두 구해 줌.
+      // 복셀을 제거하려는 거면(0) 클릭한 복셀 자체(voxelPosition)를, 새롭게 추가하려는 거면 클릭한 면 바로 바깥쪽 복셀(adjacentPosition)을 씀.
+      // 단, flood fill과 select는 클릭한 복셀 자체를 고르는 거니까 항상 클릭한 복셀을 씀.
+      const isInside = voxelId === 0 || brush.mode === 'fill' || brush.mode === 'select';
+      const pos = isInside ? intersection.voxelPosition : intersection.adjacentPosition;
+
+      // 선택된 브러시 도구로 이번에 바꿀 복셀좌표값들을 구함. 두 점이 필요한 도구의 첫 번째 클릭이면 표시만 해두고 끝냄.
+      let positions;
+      try {
+        positions = brush.getPositions(pos);
+      } catch (error) {
+        alert(error.message); // flood fill이 제한 개수를 넘어간 경우
+        return;
+      }
+      updateBrushMarkers();
+      if (positions) {
+        applyBrush(positions, voxelId, getPlacementState(voxelId, intersection));
+      }
       requestRenderIfNotRequested(); // 새로운 cell geometry가 업데이트 되었으므로, 그것이 반영된 scene을 다시 렌더해서 화면에 출력하기 위해서 호출함.
     }
   }
 
+  // 스포이트. 클릭한 복셀의 블록(intersectRay()가 리턴한 voxel)을 핫바에 담아서 바로 놓을 수 있게 해줌.
+  function pickVoxel(e) {
+    const intersection = intersectPointer(e);
+    if (intersection && world.blocks.get(intersection.voxel)) {
+      hotbar.pick(intersection.voxel);
+    }
+  }
+
+  // 새로 놓을 voxelId 블록의 상태값을 블록 모양에 맞게 정해주는 함수. 계단은 카메라가 바라보는 방향으로 올라가게, 반 블록은 클릭한 면의 위치에 따라 위, 아래를 골라 줌. (block-shapes.js 참고)
+  function getPlacementState(voxelId, intersection) {
+    const block = world.blocks.get(voxelId);
+    if (!block) {
+      return 0;
+    }
+    return block.shape.getPlacementState(intersection, camera.getWorldDirection(new THREE.Vector3()).toArray());
+  }
+
+  // positions의 모든 복셀을 voxelId(상태값 state)로 바꾸는 함수. 한 번의 액션으로 기록하니까 Ctrl+Z 한 번으로 전부 되돌릴 수 있고,
+  // remeshScheduler가 바뀐 복셀들이 포함된 cell마다 한 번씩만 cell mesh를 다시 만들어 줌.
+  function applyBrush(positions, voxelId, state = 0) {
+    history.beginAction();
+    for (const [x, y, z] of positions) {
+      history.setVoxel(x, y, z, voxelId, state); // 앞/뒷면까지 결정된 복셀좌표값과 voxelId(0 또는 1~16사이의 값)을 전달하면서 setVoxel을 호출함. 해당 좌표값 지점의 복셀을 렌더해줄지 말지가 해당 복셀이 포함된 cell의 형식화배열에 할당되겠지.
+    }
+    history.endAction();
+    commitLocalChanges(positions.map(([x, y, z]) => ({
+      x,
+      y,
+      z
+    })));
+  }
+
+  // 브러시 도구. #tool 셀렉트 박스에서 고른 도구로 바꿔 줌.
+  const floodFillLimit = 100000;
+  const brush = new RegionBrush(world, {
+    floodFillLimit,
+  });
+  const toolElem = document.querySelector('#tool');
+  toolElem.addEventListener('change', () => {
+    brush.setMode(toolElem.value);
+    updateBrushMarkers();
+    requestRenderIfNotRequested();
+  });
+
+  // 두 점이 필요한 도구에서 첫 번째로 찍은 복셀을 알아볼 수 있도록 테두리만 그려주는 상자
+  const anchorMarker = new THREE.LineSegments(
+    new THREE.EdgesGeometry(new THREE.BoxGeometry(1.02, 1.02, 1.02)),
+    new THREE.LineBasicMaterial({
+      color: 'yellow'
+    })
+  );
+  anchorMarker.visible = false;
+  scene.add(anchorMarker);
+
+  // select 도구로 고른 영역을 알아볼 수 있도록 테두리만 그려주는 상자. 크기가 1인 상자를 영역 크기만큼 scale 해서 씀.
+  const selectionMarker = new THREE.LineSegments(
+    new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+    new THREE.LineBasicMaterial({
+      color: 'cyan'
+    })
+  );
+  selectionMarker.visible = false;
+  scene.add(selectionMarker);
+
+  // 브러시 도구 상태에 맞춰서 첫 번째 점, 고른 영역, 붙여넣기 미리보기를 보여주거나 숨겨주는 함수
+  function updateBrushMarkers() {
+    anchorMarker.visible = !!brush.anchor;
+    if (brush.anchor) {
+      anchorMarker.position.set(...brush.anchor.map((v) => v + 0.5)); // 복셀의 가운데로 옮겨 줌.
+    }
+
+    const {
+      selection
+    } = brush;
+    selectionMarker.visible = !!selection && brush.mode === 'select';
+    if (selection) {
+      const size = selection.min.map((v, i) => selection.max[i] - v + 1);
+      selectionMarker.scale.set(...size.map((v) => v + 0.02)); // 복셀 면과 겹쳐서 깜빡이지 않도록 살짝 크게 그려 줌.
+      selectionMarker.position.set(...selection.min.map((v, i) => v + size[i] / 2));
+    }
+
+    ghost.visible = brush.mode === 'paste' && !!clipboard && !!pasteTarget;
+  }
+
+  // 복사한 복셀들(VoxelRegion). 붙여넣기, 돌리기, 뒤집기, 프리팹 저장에 씀.
+  let clipboard = null;
+  let pasteTarget = null; // paste 도구일 때 마지막으로 포인터가 가리킨 교차점. 미리보기와 붙여넣을 위치를 여기서 구함.
+
+  // 붙여넣기 전에 어디에 놓일지 보여주는 반투명한 미리보기. 클립보드가 바뀔 때마다 안의 mesh들을 다시 만들어 줌.
+  const ghost = new THREE.Group();
+  ghost.visible = false;
+  scene.add(ghost);
+  const ghostMaterial = new THREE.MeshLambertMaterial({
+    map: texture,
+    vertexColors: true,
+    transparent: true,
+    opacity: 0.5,
+    depthWrite: false, // 미리보기 뒤에 있는 복셀 면들이 가려지지 않도록 깊이값은 안 써줌.
+    alphaTest: 0.1,
+  });
+
+  // 클립보드를 바꾸고 미리보기 mesh들을 다시 만들어주는 함수.
+  // 미리보기는 클립보드의 복셀들만 넣은 임시 VoxelWorld로 cell mesh를 만들어서 씀. 크기가 작으니까 워커를 거치지 않고 바로 만들어 줌.
+  function setClipboard(region) {
+    clipboard = region;
+
+    for (const child of ghost.children.slice()) {
+      ghost.remove(child);
+      child.geometry.dispose();
+    }
+
+    const ghostWorld = new VoxelWorld({
+      cellSize,
+      tileSize,
+      tileTextureWidth,
+      tileTextureHeight,
+      meshing: 'face',
+      ambientOcclusion: false,
+      blocks: world.blocks,
+    });
+    region.forEachVoxel((x, y, z, v, state) => ghostWorld.setVoxel(x, y, z, v, state));
+
+    for (const cellId of Object.keys(ghostWorld.cells)) {
+      const [cellX, cellY, cellZ] = VoxelWorld.parseCellId(cellId);
+      const {
+        opaque,
+        transparent
+      } = ghostWorld.generateGeometryDateForCell(cellX, cellY, cellZ);
+      for (const data of [opaque, transparent]) {
+        if (!data.indices.length) {
+          continue;
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(data.positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(data.normals, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(data.uvs, 2));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(data.colors, 3));
+        geometry.setIndex(data.indices);
+        const mesh = new THREE.Mesh(geometry, ghostMaterial);
+        mesh.position.set(cellX * cellSize, cellY * cellSize, cellZ * cellSize);
+        ghost.add(mesh);
+      }
+    }
+
+    updateGhostPosition();
+  }
+
+  // 교차점 바로 바깥의 복셀을 바닥 가운데로 해서 붙여넣을 때 클립보드의 (0, 0, 0) 복셀이 놓일 복셀좌표값을 구해주는 함수
+  function getPasteOrigin(intersection) {
+    const [x, y, z] = intersection.adjacentPosition;
+    const [sizeX, , sizeZ] = clipboard.size;
+    return [x - Math.floor(sizeX / 2), y, z - Math.floor(sizeZ / 2)];
+  }
+
+  function updateGhostPosition() {
+    if (clipboard && pasteTarget) {
+      ghost.position.set(...getPasteOrigin(pasteTarget));
+    }
+    updateBrushMarkers();
+    requestRenderIfNotRequested();
+  }
+
+  // 클립보드의 빈 공간이 아닌 복셀들을 origin에 붙여넣는 함수. 한 번의 액션으로 기록하니까 Ctrl+Z 한 번으로 되돌릴 수 있음.
+  // 빈 공간은 붙여넣지 않으니까, 붙여넣는 곳에 원래 있던 복셀들이 지워지지는 않음.
+  function pasteClipboard(origin) {
+    if (!clipboard) {
+      return;
+    }
+    const changes = [];
+    history.beginAction();
+    clipboard.forEachVoxel((x, y, z, v, state) => {
+      const position = {
+        x: origin[0] + x,
+        y: origin[1] + y,
+        z: origin[2] + z,
+      };
+      history.setVoxel(position.x, position.y, position.z, v, state);
+      changes.push(position);
+    });
+    history.endAction();
+    commitLocalChanges(changes);
+  }
+
+  // paste 도구일 때는 미리보기가 포인터가 가리키는 곳을 따라다니도록 함.
+  canvas.addEventListener('pointermove', (e) => {
+    if (brush.mode !== 'paste' || !clipboard) {
+      return;
+    }
+    pasteTarget = intersectPointer(e);
+    updateGhostPosition();
+  });
+
+  // 붙여넣기를 시작할 클립보드를 정하고 paste 도구로 바꿔주는 함수
+  function startPaste(region) {
+    setClipboard(region);
+    toolElem.value = 'paste';
+    brush.setMode('paste');
+    updateBrushMarkers();
+  }
+
+  function copySelection() {
+    if (!brush.selection) {
+      alert('Select a region first');
+      return;
+    }
+    startPaste(VoxelRegion.fromWorld(world, brush.selection));
+  }
+
+  function rotateClipboard() {
+    if (clipboard) {
+      setClipboard(clipboard.rotateY(world.blocks));
+    }
+  }
+
+  function mirrorClipboard() {
+    if (clipboard) {
+      setClipboard(clipboard.mirrorX(world.blocks));
+    }
+  }
+
+  document.querySelector('#copy').addEventListener('click', copySelection);
+  document.querySelector('#rotate').addEventListener('click', rotateClipboard);
+  document.querySelector('#mirror').addEventListener('click', mirrorClipboard);
+
+  // paste 도구일 때 R키로 돌리고, M키로 뒤집음. 프리팹 이름을 입력하는 중에는 무시함.
+  window.addEventListener('keydown', (e) => {
+    if (brush.mode !== 'paste' || e.ctrlKey || e.metaKey || e.target.tagName === 'INPUT') {
+      return;
+    }
+    if (e.code === 'KeyR') {
+      rotateClipboard();
+    } else if (e.code === 'KeyM') {
+      mirrorClipboard();
+    }
+  });
+
+  // 복사한 복셀들을 이름을 붙여서 브라우저(localStorage)에 저장해두는 프리팹들
+  const prefabStore = new PrefabStore();
+  const prefabNameElem = document.querySelector('#prefab-name');
+  const prefabsElem = document.querySelector('#prefabs');
+
+  // 저장된 프리팹 이름들로 #prefabs 셀렉트 박스의 option들을 다시 만들어주는 함수
+  function updatePrefabList(selectedName) {
+    prefabsElem.textContent = '';
+    for (const name of prefabStore.list()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      prefabsElem.appendChild(option);
+    }
+    if (selectedName) {
+      prefabsElem.value = selectedName;
+    }
+  }
+  updatePrefabList();
+
+  function savePrefab() {
+    if (!clipboard) {
+      alert('Copy a region first');
+      return;
+    }
+    const name = prefabNameElem.value.trim();
+    try {
+      prefabStore.save(name, clipboard);
+    } catch (error) {
+      alert(error.message); // 이름이 비어있거나 localStorage 용량이 부족한 경우
+      return;
+    }
+    updatePrefabList(name);
+  }
+
+  function usePrefab() {
+    if (!prefabsElem.value) {
+      return;
+    }
+    startPaste(prefabStore.load(prefabsElem.value));
+  }
+
+  function deletePrefab() {
+    if (!prefabsElem.value) {
+      return;
+    }
+    prefabStore.remove(prefabsElem.value);
+    updatePrefabList();
+  }
+
+  document.querySelector('#save-prefab').addEventListener('click', savePrefab);
+  document.querySelector('#use-prefab').addEventListener('click', usePrefab);
+  document.querySelector('#delete-prefab').addEventListener('click', deletePrefab);
+
+  // 1인칭 걷기 모드. #walk 버튼을 누르면 지금 카메라 위치에서 걷기 시작하고, Esc로 포인터 락이 풀리면 OrbitControls로 돌아옴.
+  const walkReach = 8;
+  const walker = new FirstPersonController(camera, world, canvas, {
+    onEnabledChange(enabled) {
+      controls.enabled = !enabled;
+      document.body.classList.toggle('walking', enabled);
+      if (!enabled) {
+        // 걷다가 바라보던 곳을 OrbitControls의 target으로 삼아서, 카메라가 튀지 않고 그 자리에서 이어서 편집할 수 있게 함.
+        const direction = camera.getWorldDirection(new THREE.Vector3());
+        controls.target.copy(camera.position).addScaledVector(direction, 10);
+      }
+      requestRenderIfNotRequested();
+    },
+  });
+  document.querySelector('#walk').addEventListener('click', (e) => {
+    e.currentTarget.blur(); // 버튼에 포커스가 남아있으면 걷다가 Space로 점프할 때 버튼이 또 눌림.
+    walker.lock();
+  });
+
   // 마우스 좌표값을 담아놓는 객체
   const mouse = {
     x: 0,
@@ -771,8 +1437,13 @@ function main() {
   // 마우스 또는 터치 이벤트가 움직인 거리가 5px 이상이면 OrbitControls로 화면을 움직이기 위한 '드래그'로 간주하고, 그 이하면 '클릭'하여 복셀을 추가 또는 제거하려는 것으로 인식하는 함수
   function placeVoxelIfNoMovement(e) {
     // 마우스 또는 터치가 5px 미만으로 움직여야만 '클릭'으로 인식해서 클릭한 곳의 전역좌표값과 교차하는 지점에 복셀을 추가하거나 제거해주는 placeVoxel() 함수를 호출함.
+    // 가운데 버튼이면 복셀을 놓는 대신 스포이트로 클릭한 블록을 골라 줌.
     if (mouse.moveX < 5 && mouse.moveY < 5) {
-      placeVoxel(e);
+      if (e.button === 1) {
+        pickVoxel(e);
+      } else {
+        placeVoxel(e);
+      }
     }
 
     // pointerup 한 이후에는 마우스 또는 터치 이벤트가 끝난 것이므로, pointermove 및 pointerup 이벤트핸들러를 제거해버림. 하나의 클릭 이벤트가 끝났다면 클릭이 시작되었는지 인지하는 이벤트핸들러(pointerdown)만 남겨두고 나머지는 지워줘야 함.
@@ -798,6 +1469,381 @@ function main() {
     passive: false
   });
 
+  // data(ArrayBuffer나 문자열)로 Blob URL을 만들어서 fileName이라는 이름으로 다운로드 시켜주는 함수
+  function downloadFile(data, fileName, type = 'application/octet-stream') {
+    const blob = new Blob([data], {
+      type
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    // click() 직후에 바로 해제하면 브라우저가 다운로드를 시작하기 전에 url이 없어질 수 있으니, 클릭이 처리된 다음에 해제함.
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  // 현재 world의 모든 cell을 serialize()로 바이너리 파일로 만든 뒤 다운로드 시켜주는 함수
+  function saveWorld() {
+    downloadFile(world.serialize(), 'world.voxw');
+  }
+
+  // #export-box에 'minX minY minZ maxX maxY maxZ' 처럼 적어둔 숫자 count개를 읽어서 배열로 리턴해주는 함수.
+  // 비워뒀으면 빈 배열을, 잘못 적었으면 알림을 띄우고 null을 리턴함.
+  function readNumbers(selector, count, message) {
+    const text = document.querySelector(selector).value.trim();
+    if (!text) {
+      return [];
+    }
+    const values = text.split(/[\s,]+/).map((v) => parseInt(v));
+    if (values.length !== count || values.some((v) => isNaN(v))) {
+      alert(message);
+      return null;
+    }
+    return values;
+  }
+
+  // 내보내기 범위 UI의 값을 { min, max } 로 읽어주는 함수. 비워뒀으면 { box: null }, 잘못 적었으면 null을 리턴함.
+  function readExportBox() {
+    const values = readNumbers('#export-box', 6, 'Export box must be six integers: minX minY minZ maxX maxY maxZ');
+    if (!values) {
+      return null;
+    }
+    if (!values.length) {
+      return {
+        box: null
+      };
+    }
+    return {
+      box: {
+        min: values.slice(0, 3).map((v, i) => Math.min(v, values[i + 3])),
+        max: values.slice(0, 3).map((v, i) => Math.max(v, values[i + 3])),
+      },
+    };
+  }
+
+  // 내보내기 설정 UI의 값으로 WorldExporter를 만들어주는 함수.
+  // 범위를 적어두면 그 범위의 복셀들만 내보내고, 비워두면 world 전체를 내보냄.
+  function createExporter() {
+    const exportBox = readExportBox();
+    if (!exportBox) {
+      return null;
+    }
+    return new WorldExporter(world, {
+      box: exportBox.box,
+      merge: document.querySelector('#export-merge').checked,
+    });
+  }
+
+  // glb 파일에는 텍스처 아틀라스 png를 같이 넣어줘야 하니까, 텍스처 파일을 다시 받아와서 넘겨줌.
+  async function exportGLB() {
+    const exporter = createExporter();
+    if (!exporter) {
+      return;
+    }
+    const response = await fetch(textureUrl);
+    const image = await response.arrayBuffer();
+    downloadFile(exporter.toGLB(image), 'world.glb', 'model/gltf-binary');
+  }
+
+  // OBJ, MTL 파일과 함께 MTL이 가리키는 텍스처 아틀라스 png도 같은 이름으로 다운로드 시켜 줌.
+  async function exportOBJ() {
+    const exporter = createExporter();
+    if (!exporter) {
+      return;
+    }
+    const textureFileName = 'world.png';
+    const {
+      obj,
+      mtl
+    } = exporter.toOBJ('world.mtl', textureFileName);
+    downloadFile(obj, 'world.obj', 'text/plain');
+    downloadFile(mtl, 'world.mtl', 'text/plain');
+    const response = await fetch(textureUrl);
+    downloadFile(await response.arrayBuffer(), textureFileName, 'image/png');
+  }
+
+  // 씬에 추가되어 있는 모든 cell mesh를 제거하고 geometry를 메모리에서 해제해주는 함수. 월드 파일을 불러오기 전에 기존 cell mesh들을 싹 비워주려는 것.
+  function removeAllCellMeshes() {
+    for (const cellId of Object.keys(cellIdToMesh)) {
+      disposeCellMesh(cellId);
+    }
+    cellIdToLodFactor = {};
+    cellIdToRevision = {}; // 아직 워커가 만들고 있는 기존 cell들의 결과가 나중에 도착해도 반영되지 않도록 revision 기록도 비워줌.
+  }
+
+  // 선택한 월드 파일을 읽어서 deserialize()로 world.cells를 교체한 뒤, 불러온 모든 cell의 빛을 다시 계산하고 mesh를 다시 만들도록 dirty로 표시해주는 함수
+  async function loadWorld(file) {
+    const buffer = await file.arrayBuffer();
+    let cellIds;
+    try {
+      cellIds = world.deserialize(buffer);
+    } catch (error) {
+      // 깨진 파일이거나 cellSize가 다른 파일이면 기존 world는 그대로 두고 알려주기만 함.
+      console.error(error);
+      alert(error.message);
+      return;
+    }
+
+    removeAllCellMeshes();
+    history.clear(); // 불러오기 전의 월드에 대한 편집 기록은 되돌려도 의미가 없으니 지워줌.
+    chunkStreamer.reset(); // world.cells가 통째로 바뀌었으니 chunkStreamer가 기억하던 cell 기록도 맞지 않음. 불러온 cell 주변의 빈 곳은 다시 채워줄거임.
+    // deserialize()가 world.lights를 비워두니까 mesh를 만들기 전에 빛부터 다시 계산해줘야 함.
+    // 위쪽 cell의 빛이 있어야 햇빛이 아래로 내려가니까 importHeightmap()처럼 위에서부터 계산하고, mesh는 RemeshScheduler가 프레임마다 나눠서 다시 만들어 줌.
+    cellIds.sort((a, b) => VoxelWorld.parseCellId(b)[1] - VoxelWorld.parseCellId(a)[1]);
+    for (const cellId of cellIds) {
+      lighting.computeCellLight(...VoxelWorld.parseCellId(cellId));
+      world.markCellDirty(cellId);
+    }
+    requestRenderIfNotRequested();
+  }
+
+  // .vox 파일의 팔레트 인덱스와 복셀값을 짝지어주는 매핑 표. null 대신 [[팔레트 인덱스, 복셀값], ...] 을 넘겨주면 MagicaVoxel에서 쓰는 팔레트에 맞출 수 있음.
+  // null이면 팔레트 인덱스와 복셀값이 같은 것끼리 짝지어 줌.
+  const voxMapping = VoxFile.createMapping(null);
+
+  // .vox 파일을 읽어서 #vox-origin에 적어둔 위치(비워두면 OrbitControls의 target 위치)에 놓아주는 함수.
+  // 한 번의 액션으로 기록하니까 Ctrl+Z 한 번으로 불러온 모델을 통째로 되돌릴 수 있음.
+  async function importVox(file) {
+    const origin = readNumbers('#vox-origin', 3, 'Origin must be three integers: x y z');
+    if (!origin) {
+      return;
+    }
+    let vox;
+    try {
+      vox = VoxFile.parse(await file.arrayBuffer());
+    } catch (error) {
+      console.error(error);
+      alert(error.message);
+      return;
+    }
+
+    history.beginAction();
+    const placed = vox.placeInto(
+      (x, y, z, v) => history.setVoxel(x, y, z, v),
+      origin.length ? origin : controls.target.toArray().map((v) => Math.floor(v)),
+      voxMapping
+    );
+    history.endAction();
+    commitLocalChanges(placed.map(([x, y, z]) => ({
+      x,
+      y,
+      z
+    })));
+  }
+
+  // 내보내기 범위의 복셀들을 .vox 파일로 다운로드 시켜주는 함수. 범위를 비워두면 지금 불러와져 있는 cell 전체를 내보냄.
+  function exportVox() {
+    const exportBox = readExportBox();
+    if (!exportBox) {
+      return;
+    }
+    let {
+      box
+    } = exportBox;
+    if (!box) {
+      const cellIds = Object.keys(world.cells);
+      if (!cellIds.length) {
+        return;
+      }
+      const cellPositions = cellIds.map((cellId) => VoxelWorld.parseCellId(cellId));
+      box = {
+        min: [0, 1, 2].map((axis) => Math.min(...cellPositions.map((cell) => cell[axis])) * cellSize),
+        max: [0, 1, 2].map((axis) => (Math.max(...cellPositions.map((cell) => cell[axis])) + 1) * cellSize - 1),
+      };
+    }
+
+    const vox = VoxFile.fromWorld(world, box, voxMapping);
+    vox.palette = createVoxPalette();
+    downloadFile(vox.toArrayBuffer(), 'world.vox');
+  }
+
+  // 블록마다 윗면 타일의 평균 색을 [{ block, color: [r, g, b] }, ...] 로 계산해주는 함수. 투명한 픽셀뿐인 타일의 블록은 빠짐.
+  function computeBlockColors() {
+    const {
+      image
+    } = texture;
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.canvas.width = image.width;
+    ctx.canvas.height = image.height;
+    ctx.drawImage(image, 0, 0);
+
+    const blockColors = [];
+    for (const block of world.blocks.list()) {
+      const [tileX, tileY] = block.faceTiles.top;
+      const {
+        data
+      } = ctx.getImageData(tileX * tileSize, tileY * tileSize, tileSize, tileSize);
+      const sum = [0, 0, 0];
+      let count = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3]) { // 투명한 픽셀은 빼고 평균을 냄.
+          sum[0] += data[i];
+          sum[1] += data[i + 1];
+          sum[2] += data[i + 2];
+          count++;
+        }
+      }
+      if (count) {
+        blockColors.push({
+          block,
+          color: sum.map((v) => Math.round(v / count)),
+        });
+      }
+    }
+    return blockColors;
+  }
+
+  // MagicaVoxel에서도 대충 비슷한 색으로 보이도록, 블록마다 윗면 타일의 평균 색을 매핑된 팔레트 인덱스에 넣어주는 함수
+  function createVoxPalette() {
+    const palette = VoxFile.createDefaultPalette();
+    for (const {
+        block,
+        color
+      } of computeBlockColors()) {
+      const index = voxMapping.toVox[block.id];
+      if (index) {
+        palette.set([...color, 255], index * 4);
+      }
+    }
+    return palette;
+  }
+
+  // 이미지 파일(png 등)을 canvas에 그려서 픽셀 데이터(ImageData)를 꺼내주는 함수
+  async function readImageData(file) {
+    const bitmap = await createImageBitmap(file);
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.canvas.width = bitmap.width;
+    ctx.canvas.height = bitmap.height;
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+  }
+
+  let heightmapColorFile = null; // Color map 버튼으로 골라둔 색 지도 이미지 파일. 고르지 않았으면 높이 구간으로 블록을 정함.
+
+  // 흑백 높이맵 이미지를 읽어서 지형으로 채워주는 함수. #heightmap-options에 scale, baseLevel, 이미지의 왼쪽 위가 놓일 x, z를 적을 수 있고,
+  // 비워두면 기본 scale로 y = 0부터 쌓고, 이미지의 가운데가 OrbitControls의 target에 오도록 놓음.
+  // 복셀을 아주 많이 바꾸니까 실행 취소 기록에 남기지 않고(기존 기록은 지움), 같이 편집하는 서버에도 보내지 않음. (월드 파일 불러오기와 같음)
+  async function importHeightmap(file) {
+    const values = readNumbers('#heightmap-options', 4, 'Heightmap options must be four integers: scale baseLevel x z');
+    if (!values) {
+      return;
+    }
+    let heightmap;
+    let colorMap = null;
+    try {
+      heightmap = await readImageData(file);
+      if (heightmapColorFile) {
+        colorMap = await readImageData(heightmapColorFile);
+      }
+    } catch (error) {
+      console.error(error);
+      alert(`Could not read the image: ${error.message}`);
+      return;
+    }
+
+    const [scale, baseLevel, originX, originZ] = values.length ? values : [
+      HeightmapImporter.defaultScale,
+      0,
+      Math.floor(controls.target.x - heightmap.width / 2),
+      Math.floor(controls.target.z - heightmap.height / 2),
+    ];
+    let cellIds;
+    // 빛은 복셀마다 고치는 것보다 다 채운 다음 cell마다 처음부터 계산하는 게 훨씬 빠르니까, 채우는 동안은 lighting을 떼어 둠.
+    // 지형을 만들 때처럼 모래나 물이 한꺼번에 움직이기 시작하지 않도록 simulation에도 알리지 않음.
+    world.lighting = null;
+    try {
+      const importer = new HeightmapImporter({
+        scale,
+        baseLevel,
+        origin: [originX, originZ],
+        blockColors: colorMap ? computeBlockColors().filter(({
+          block
+        }) => block.solid && !block.transparent && block.shape.full).map(({
+          block,
+          color
+        }) => ({
+          id: block.id,
+          color,
+        })) : [],
+      });
+      cellIds = simulation.withoutActivation(() => importer.importInto(world, heightmap, colorMap));
+    } catch (error) {
+      console.error(error);
+      alert(error.message);
+      return;
+    } finally {
+      world.lighting = lighting;
+    }
+
+    history.clear();
+    // 위쪽 cell의 햇빛이 있어야 아래쪽 cell로 내려오니까 위에서부터 빛을 계산하고, 채운 cell 전부를 다음 프레임에 다시 만들어 줌.
+    cellIds.sort((a, b) => VoxelWorld.parseCellId(b)[1] - VoxelWorld.parseCellId(a)[1]);
+    for (const cellId of cellIds) {
+      delete world.lights[cellId];
+    }
+    for (const cellId of cellIds) {
+      lighting.computeCellLight(...VoxelWorld.parseCellId(cellId));
+      world.markCellDirty(cellId);
+    }
+    requestRenderIfNotRequested();
+  }
+
+  const loadFileElem = document.querySelector('#load-file');
+  document.querySelector('#save').addEventListener('click', saveWorld);
+  document.querySelector('#export-glb').addEventListener('click', exportGLB);
+  document.querySelector('#export-obj').addEventListener('click', exportOBJ);
+  document.querySelector('#export-vox').addEventListener('click', exportVox);
+
+  const heightmapFileElem = document.querySelector('#heightmap-file');
+  const colorMapFileElem = document.querySelector('#colormap-file');
+  const colorMapNameElem = document.querySelector('#colormap-name');
+  document.querySelector('#import-heightmap').addEventListener('click', () => {
+    heightmapFileElem.click();
+  });
+  heightmapFileElem.addEventListener('change', () => {
+    const file = heightmapFileElem.files[0];
+    heightmapFileElem.value = '';
+    if (file) {
+      importHeightmap(file);
+    }
+  });
+  document.querySelector('#choose-colormap').addEventListener('click', () => {
+    colorMapFileElem.click();
+  });
+  colorMapFileElem.addEventListener('change', () => {
+    heightmapColorFile = colorMapFileElem.files[0] || null;
+    colorMapFileElem.value = '';
+    colorMapNameElem.textContent = heightmapColorFile ? heightmapColorFile.name : '';
+  });
+  document.querySelector('#clear-colormap').addEventListener('click', () => {
+    heightmapColorFile = null;
+    colorMapNameElem.textContent = '';
+  });
+
+  const voxFileElem = document.querySelector('#vox-file');
+  document.querySelector('#import-vox').addEventListener('click', () => {
+    voxFileElem.click();
+  });
+  voxFileElem.addEventListener('change', () => {
+    const file = voxFileElem.files[0];
+    voxFileElem.value = '';
+    if (file) {
+      importVox(file);
+    }
+  });
+  document.querySelector('#load').addEventListener('click', () => {
+    loadFileElem.click(); // 숨겨놓은 파일 input의 파일 선택창을 대신 띄워줌.
+  });
+  loadFileElem.addEventListener('change', () => {
+    const file = loadFileElem.files[0];
+    loadFileElem.value = ''; // 같은 파일을 다시 선택해도 change 이벤트가 발생하도록 값을 비워줌.
+    if (file) {
+      loadWorld(file);
+    }
+  });
+
   controls.addEventListener('change', requestRenderIfNotRequested);
   window.addEventListener('resize', requestRenderIfNotRequested); // OrbitControls의 움직임 또는 브라우저 resize가 발생할 때에만 다음 render 함수 호출을 예약할 수 있도록 함.
 }
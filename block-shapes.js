@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * 블록 모양(shape)들. 블록 정의의 shape에 이름('cube', 'slab', 'stairs', 'cross')을 적어두면 블록 레지스트리가 여기서 찾아서 붙여 줌.
+ *
+ * 모양은 복셀(1 * 1 * 1) 안에 들어가는 상자(box, [[minX, minY, minZ], [maxX, maxY, maxZ]])들로 정의함.
+ * VoxelWorld는 이 상자들의 면으로 cell geometry를 만들고, intersectRay()에서도 이 상자들과 교차하는지 확인함.
+ * 또 상자들이 복셀의 6개의 면을 각각 완전히 덮는지 미리 계산해두는데, 완전히 덮인 면에 맞닿은 이웃 블록의 면은 안 보이니까 그리지 않아도 됨.
+ * 예를 들어 반 블록(slab) 위에 놓인 블록의 아랫면은 반 블록의 윗면이 비어있으니 그려야 하지만, 반 블록 아래에 놓인 블록의 윗면은 가려짐.
+ *
+ * cross는 상자 대신 대각선으로 엇갈린 사각형 두 장으로 그리는 풀, 꽃 같은 블록의 모양이라 boxes가 비어있고, 교차 검사에만 쓰는 hitBoxes가 따로 있음.
+ *
+ * 방향이 있는 모양은 복셀마다 상태값(state, 0 ~ 255)을 world.states에 따로 저장해두고 그 값에 따라 상자들을 돌려서 씀.
+ * - slab: 0이면 아래쪽 반, 1이면 위쪽 반
+ * - stairs: 높은 쪽이 향하는 방향. 0 뒤(-z), 1 오른쪽(+x), 2 앞(+z), 3 왼쪽(-x)
+ * 복사한 복셀 덩어리를 돌리거나 뒤집을 때는 rotateState(), mirrorStateX()로 상태값도 같이 돌려줘야 계단이 엉뚱한 쪽을 보지 않음.
+ */
+class BlockShape {
+  constructor(name, options) {
+    this.name = name;
+    this.stateCount = options.stateCount || 1;
+    this.cross = !!options.cross;
+    this.getPlacementStateForHit = options.getPlacementState;
+    this.rotateStateY = options.rotateState || ((state) => state);
+    this.mirrorStateOnX = options.mirrorStateX || ((state) => state);
+
+    // 상태값마다 상자들과 면이 덮이는지 여부를 미리 계산해 둠. cell geometry를 만들 때 복셀마다 찾아보니까 매번 계산하지 않도록!
+    this.boxesByState = [];
+    this.hitBoxesByState = [];
+    this.coveredFacesByState = [];
+    this.coveredBoxFacesByState = []; // 상태값 -> 상자 -> 면마다, 복셀 안쪽에 놓인 면이 같은 모양의 다른 상자에 덮여서 안 보이는지
+    for (let state = 0; state < this.stateCount; state++) {
+      const boxes = options.getBoxes(state);
+      this.boxesByState.push(boxes);
+      this.hitBoxesByState.push(options.hitBoxes || boxes);
+      this.coveredFacesByState.push(BlockShape.faceDirs.map((dir) => BlockShape.coversFace(boxes, dir)));
+      this.coveredBoxFacesByState.push(boxes.map((box) => {
+        return BlockShape.faceDirs.map((dir) => BlockShape.isBoxFaceCovered(boxes, box, dir));
+      }));
+    }
+    // 모든 상태값에서 6개의 면을 다 덮으면 보통 블록(cube)과 똑같이 취급할 수 있음. (기존 방식대로 그리고, AO에서 빛을 가리고, 빛을 막음)
+    this.full = this.coveredFacesByState.every((covered) => covered.every((v) => v));
+  }
+
+  // 정의되지 않은 상태값(예: 반 블록이었던 자리에 다른 블록을 놓은 경우)은 범위 안으로 돌려서 씀.
+  getBoxes(state) {
+    return this.boxesByState[state % this.stateCount];
+  }
+
+  getHitBoxes(state) {
+    return this.hitBoxesByState[state % this.stateCount];
+  }
+
+  // faceIndex(VoxelWorld.faces의 순서) 면을 이 모양이 완전히 덮는지
+  coversFace(faceIndex, state) {
+    return this.coveredFacesByState[state % this.stateCount][faceIndex];
+  }
+
+  isBoxFaceCovered(state, boxIndex, faceIndex) {
+    return this.coveredBoxFacesByState[state % this.stateCount][boxIndex][faceIndex];
+  }
+
+  // 블록을 놓을 때 쓸 상태값. hit은 intersectRay()의 리턴값, direction은 카메라가 바라보는 방향 [x, y, z].
+  getPlacementState(hit, direction) {
+    return this.getPlacementStateForHit ? this.getPlacementStateForHit(hit, direction) : 0;
+  }
+
+  // 위에서 내려다봤을 때 시계 방향으로 90도 돌린 모양의 상태값 (VoxelRegion.rotateY()와 같은 방향)
+  rotateState(state) {
+    return this.rotateStateY(state);
+  }
+
+  // x축 방향으로 좌우를 뒤집은 모양의 상태값
+  mirrorStateX(state) {
+    return this.mirrorStateOnX(state);
+  }
+
+  // boxes가 dir 방향의 면(복셀 경계)을 빈틈없이 덮는지 확인하는 함수.
+  // 상자 좌표값은 0.5 단위라고 보고, 면을 4 * 4칸으로 나눠서 칸의 가운데 점마다 그 면에 붙어있는 상자가 덮고 있는지 확인함.
+  static coversFace(boxes, dir) {
+    const d = dir[0] ? 0 : (dir[1] ? 1 : 2);
+    const t1 = (d + 1) % 3;
+    const t2 = (d + 2) % 3;
+    const boundary = dir[d] > 0 ? 1 : 0;
+    const touching = boxes.filter(([min, max]) => (dir[d] > 0 ? max[d] : min[d]) === boundary);
+    for (let i = 0; i < 4; i++) {
+      for (let j = 0; j < 4; j++) {
+        const p1 = (i + 0.5) / 4;
+        const p2 = (j + 0.5) / 4;
+        const covered = touching.some(([min, max]) => min[t1] <= p1 && p1 <= max[t1] && min[t2] <= p2 && p2 <= max[t2]);
+        if (!covered) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  // box의 dir 방향 면에 boxes 중 다른 상자가 맞붙어서 그 면을 완전히 덮는지 확인하는 함수.
+  // 예를 들어 계단의 위쪽 상자의 아랫면은 아래쪽 상자의 윗면에 덮여서 안 보이니까 그리지 않아도 됨.
+  static isBoxFaceCovered(boxes, box, dir) {
+    const d = dir[0] ? 0 : (dir[1] ? 1 : 2);
+    const t1 = (d + 1) % 3;
+    const t2 = (d + 2) % 3;
+    const [min, max] = box;
+    const plane = dir[d] > 0 ? max[d] : min[d];
+    return boxes.some((other) => {
+      if (other === box || (dir[d] > 0 ? other[0][d] : other[1][d]) !== plane) {
+        return false;
+      }
+      return other[0][t1] <= min[t1] && max[t1] <= other[1][t1] && other[0][t2] <= min[t2] && max[t2] <= other[1][t2];
+    });
+  }
+
+  // 상자를 복셀의 가운데를 지나는 y축을 기준으로 quarterTurns * 90도 돌려주는 함수. 한 번 돌릴 때마다 뒤(-z) -> 오른쪽(+x) -> 앞(+z) -> 왼쪽(-x) 순서로 돌아감.
+  static rotateBox(box, quarterTurns) {
+    let corners = box;
+    for (let i = 0; i < quarterTurns; i++) {
+      corners = corners.map(([x, y, z]) => [1 - z, y, x]);
+    }
+    // 돌리고 나면 두 꼭지점 중 어느 쪽이 min인지 축마다 바뀌니까 다시 골라 줌.
+    return [
+      [0, 1, 2].map((axis) => Math.min(corners[0][axis], corners[1][axis])),
+      [0, 1, 2].map((axis) => Math.max(corners[0][axis], corners[1][axis])),
+    ];
+  }
+}
+
+// VoxelWorld.faces와 같은 순서 (왼, 오, 아래, 위, 뒤, 앞)
+BlockShape.faceDirs = [
+  [-1, 0, 0],
+  [1, 0, 0],
+  [0, -1, 0],
+  [0, 1, 0],
+  [0, 0, -1],
+  [0, 0, 1],
+];
+
+BlockShape.shapes = {
+  cube: new BlockShape('cube', {
+    getBoxes: () => [
+      [[0, 0, 0], [1, 1, 1]],
+    ],
+  }),
+  slab: new BlockShape('slab', {
+    stateCount: 2,
+    getBoxes: (state) => [
+      state ? [[0, 0.5, 0], [1, 1, 1]] : [[0, 0, 0], [1, 0.5, 1]],
+    ],
+    // 아랫면을 클릭하거나 옆면의 위쪽 절반을 클릭하면 위쪽 반 블록으로 놓아서, 블록에 붙여놓은 것처럼 보이게 함.
+    getPlacementState: (hit) => {
+      if (hit.normal[1]) {
+        return hit.normal[1] < 0 ? 1 : 0;
+      }
+      const y = hit.position[1];
+      return y - Math.floor(y) >= 0.5 ? 1 : 0;
+    },
+  }),
+  stairs: new BlockShape('stairs', {
+    stateCount: 4,
+    getBoxes: (state) => [
+      [[0, 0, 0], [1, 0.5, 1]],
+      BlockShape.rotateBox([[0, 0.5, 0], [1, 1, 0.5]], state),
+    ],
+    // 바라보는 방향 쪽이 높아지도록, 즉 앞으로 걸어가면 올라갈 수 있는 방향으로 놓음.
+    getPlacementState: (hit, direction) => {
+      const [x, , z] = direction;
+      if (Math.abs(x) > Math.abs(z)) {
+        return x > 0 ? 1 : 3;
+      }
+      return z > 0 ? 2 : 0;
+    },
+    // 뒤 -> 오른쪽 -> 앞 -> 왼쪽 순서가 시계 방향이라 한 칸씩 넘기면 되고, 좌우로 뒤집으면 오른쪽과 왼쪽만 바뀜.
+    rotateState: (state) => (state + 1) % 4,
+    mirrorStateX: (state) => [0, 3, 2, 1][state % 4],
+  }),
+  cross: new BlockShape('cross', {
+    cross: true,
+    getBoxes: () => [],
+    hitBoxes: [
+      [[0.15, 0, 0.15], [0.85, 1, 0.85]],
+    ],
+  }),
+};
+
+export {
+  BlockShape
+};
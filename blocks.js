@@ -0,0 +1,188 @@
+'use strict';
+
+import {
+  BlockShape
+} from './block-shapes.js';
+
+/**
+ * 복셀값(voxel id)마다 어떤 블록인지 정리해두는 블록 레지스트리.
+ *
+ * 원래는 복셀값 - 1 을 텍스처 아틀라스의 열(column)로, VoxelWorld.faces의 uvRow를 행(row)으로 써서 타일을 골랐기 때문에,
+ * 모든 블록이 '옆면은 0번 줄, 아랫면은 1번 줄, 윗면은 2번 줄' 이라는 배치를 똑같이 따라야 했고, 블록마다 다른 성질을 줄 수도 없었음.
+ * 그래서 블록마다 이름, 면마다 쓸 타일, 그리고 solid / transparent / emissive 같은 성질을 정의해두고,
+ * cell geometry를 만들 때나 타일 버튼(팔레트)을 만들 때 이 레지스트리를 보고 정하도록 함.
+ *
+ * 블록 정의(definition)는 이런 모양의 평범한 객체라서, 그대로 워커에게 넘겨줘서 워커 쪽에서도 같은 레지스트리를 만들 수 있음.
+ * {
+ *   id: 14, // 복셀값 (1 ~ 255. 0은 빈 공간)
+ *   name: 'grass',
+ *   tiles: { side: [13, 0], bottom: [13, 1], top: [13, 2] }, // 텍스처 아틀라스에서 몇 번째 [열, 행]의 타일을 쓸지
+ *   solid: true, // 부딪히는 블록인지
+ *   transparent: false, // 텍스처에 투명한 부분이 있어서 뒤가 비쳐보이는 블록인지
+ *   emissive: 0, // 스스로 내는 빛의 세기 (0이면 빛을 내지 않음)
+ *   shape: 'cube', // 블록 모양. 'cube', 'slab', 'stairs', 'cross' 중 하나 (block-shapes.js 참고)
+ *   physics: null, // 'falling'이면 모래처럼 밑이 비면 떨어지고, 'liquid'면 물처럼 아래와 옆으로 흘러감 (voxel-simulation.js 참고)
+ * }
+ * tiles에는 all(모든 면), side(왼, 오, 뒤, 앞), 또는 left / right / bottom / top / back / front 각 면을 지정할 수 있고, 더 구체적인 쪽이 우선함.
+ * cross 모양은 사각형 한 장으로 앞, 뒤를 모두 보여줘야 해서 양면을 그려주는 투명한 블록용 material로 그려야 하니까, transparent를 안 적어도 투명한 블록이 됨.
+ */
+class BlockRegistry {
+  constructor(definitions) {
+    this.definitions = [];
+    this.blocks = []; // 복셀값을 인덱스로 바로 찾아볼 수 있도록 해둔 배열
+    this.blockByName = {};
+
+    for (const definition of definitions) {
+      this.register(definition);
+    }
+  }
+
+  register(definition) {
+    const {
+      id,
+      name,
+      tiles
+    } = definition;
+    if (!(id >= 1 && id <= 255)) {
+      throw new Error(`BlockRegistry: invalid block id ${id}`);
+    }
+    if (this.blocks[id]) {
+      throw new Error(`BlockRegistry: block id ${id} is already registered`);
+    }
+
+    // 각 면에 쓸 타일을 미리 풀어서 정리해 둠. cell geometry를 만들 때 복셀마다 이걸 찾아보니까 매번 계산하지 않도록!
+    const faceTiles = {};
+    for (const faceName of BlockRegistry.faceNames) {
+      const isSide = faceName !== 'top' && faceName !== 'bottom';
+      const tile = tiles[faceName] || (isSide && tiles.side) || tiles.all;
+      if (!tile) {
+        throw new Error(`BlockRegistry: block '${name}' has no tile for the ${faceName} face`);
+      }
+      faceTiles[faceName] = tile;
+    }
+
+    const shapeName = definition.shape || 'cube';
+    const shape = BlockShape.shapes[shapeName];
+    if (!shape) {
+      throw new Error(`BlockRegistry: block '${name}' has unknown shape '${shapeName}'`);
+    }
+
+    const block = {
+      id,
+      name,
+      faceTiles,
+      shape,
+      solid: definition.solid !== undefined ? definition.solid : true,
+      transparent: !!definition.transparent || shape.cross,
+      emissive: definition.emissive || 0,
+      physics: definition.physics || null,
+    };
+    this.definitions.push(definition);
+    this.blocks[id] = block;
+    this.blockByName[name] = block;
+    return block;
+  }
+
+  // 복셀값으로 블록을 찾아 줌. 등록되지 않은 복셀값이면 undefined
+  get(id) {
+    return this.blocks[id];
+  }
+
+  getByName(name) {
+    return this.blockByName[name];
+  }
+
+  // 복셀값의 블록에서 faceName 면에 쓸 타일의 [열, 행]을 리턴함. 등록되지 않은 복셀값이면 undefined
+  getFaceTile(id, faceName) {
+    const block = this.blocks[id];
+    return block && block.faceTiles[faceName];
+  }
+
+  // 등록된 모든 블록을 복셀값 순서대로 리턴함.
+  list() {
+    return this.blocks.filter((block) => block);
+  }
+}
+
+// VoxelWorld.faces의 name과 같은 순서
+BlockRegistry.faceNames = ['left', 'right', 'bottom', 'top', 'back', 'front'];
+
+// 기본 블록들. 원래 방식대로 복셀값 - 1 번째 열에서 옆면은 0번 줄, 아랫면은 1번 줄, 윗면은 2번 줄의 타일을 씀.
+BlockRegistry.defaultDefinitions = [
+  ['jack-o-lantern', {
+    emissive: 14
+  }],
+  ['flower block', {
+    transparent: true
+  }],
+  ['sand', {
+    physics: 'falling'
+  }],
+  ['cobblestone'],
+  ['mossy cobblestone'],
+  ['cabinet'],
+  ['dirt'],
+  ['dirt path'],
+  ['iron grate', {
+    transparent: true
+  }],
+  ['log'],
+  ['cactus'],
+  ['flowering leaves', {
+    transparent: true
+  }],
+  ['water', {
+    transparent: true,
+    solid: false,
+    physics: 'liquid'
+  }],
+  ['grass'],
+  ['gravel', {
+    physics: 'falling'
+  }],
+  ['planks'],
+].map(([name, properties], index) => {
+  return Object.assign({
+    id: index + 1,
+    name,
+    tiles: {
+      side: [index, 0],
+      bottom: [index, 1],
+      top: [index, 2],
+    },
+  }, properties);
+});
+
+// 모양이 다른 블록들. 타일은 같은 재질의 기본 블록 것을 그대로 쓰고, 복셀값은 기본 블록들 다음부터 차례대로 붙여 줌.
+[
+  ['cobblestone slab', 'cobblestone', {
+    shape: 'slab'
+  }],
+  ['planks slab', 'planks', {
+    shape: 'slab'
+  }],
+  ['cobblestone stairs', 'cobblestone', {
+    shape: 'stairs'
+  }],
+  ['planks stairs', 'planks', {
+    shape: 'stairs'
+  }],
+  ['flower', 'flower block', {
+    shape: 'cross',
+    solid: false
+  }],
+].forEach(([name, materialName, properties]) => {
+  const {
+    defaultDefinitions
+  } = BlockRegistry;
+  const material = defaultDefinitions.find((definition) => definition.name === materialName);
+  defaultDefinitions.push(Object.assign({
+    id: defaultDefinitions.length + 1,
+    name,
+    tiles: material.tiles,
+  }, properties));
+});
+
+export {
+  BlockRegistry
+};
@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * 카메라(OrbitControls의 target)가 움직이는 데 따라서 주변의 cell들을 만들고(generate), cell mesh를 만들고(mesh), 멀어진 cell들은 치워주는(unload) 클래스.
+ *
+ * 월드를 끝없이 넓히려면 모든 cell을 미리 만들어 둘 수는 없으니까, target이 포함된 cell을 중심으로 radius(cell 단위) 안에 있는 cell들만 그때그때 만들어 줌.
+ * 이때 cell mesh를 만들기 전에 반드시 그 cell과 이웃한 6개의 cell의 복셀 데이터부터 만들어놔야 함.
+ * 그래야 cell 가장자리의 면이 '겉부분 면'인지 제대로 판단할 수 있고, 나중에 이웃 cell이 만들어졌다고 이미 만든 cell mesh를 또 다시 만들 필요가 없어짐.
+ *
+ * cell 하나의 복셀 데이터를 만드는 데에도 시간이 꽤 걸리기 때문에, update()를 한 번 호출할 때마다 budget(ms) 만큼만 일을 하고 나머지는 다음 프레임으로 미룸.
+ * 그래서 카메라를 빠르게 움직여도 렌더링이 멈추지 않고, 가까운 cell부터 차례대로 채워짐.
+ *
+ * 실제로 복셀을 채우는 일(generateCell), 빛을 계산하는 일(lightCell), cell mesh를 만드는 일(meshCell), cell을 치우는 일(unloadCell)은 생성자의 options로 넘겨받은 함수에게 맡김.
+ */
+class ChunkStreamer {
+  constructor(options) {
+    this.world = options.world;
+    this.radius = options.radius; // 수평 방향으로 몇 cell 떨어진 곳까지 cell mesh를 만들어줄 건지
+    this.verticalRadius = options.verticalRadius; // 수직 방향으로 몇 cell 떨어진 곳까지 cell mesh를 만들어줄 건지
+    this.budget = options.budget; // update() 한 번에 쓸 수 있는 최대 시간(ms)
+    this.generateCell = options.generateCell;
+    this.lightCell = options.lightCell; // 복셀 데이터를 만든(또는 이미 있던) cell의 빛을 계산해주는 함수. 빛 계산을 안 쓰면 넘겨주지 않아도 됨.
+    this.meshCell = options.meshCell;
+    this.unloadCell = options.unloadCell;
+
+    this.reset();
+  }
+
+  // 지금까지 만들어놓은 cell 기록을 전부 잊어버리는 메서드. 월드 파일을 불러와서 world.cells가 통째로 바뀐 경우처럼, 기록이 더 이상 맞지 않을 때 호출함.
+  reset() {
+    this.generatedCellIds = {}; // 복셀 데이터를 만든 cell들
+    this.meshedCellIds = {}; // cell mesh까지 만든 cell들
+    this.centerCellId = null;
+    this.pendingCells = []; // cell mesh를 만들어야 하는 cell들. 중심 cell에서 가까운 순서로 정렬되어 있음.
+    this.unloadQueue = []; // 치워야 하는 cell들의 id
+  }
+
+  // 매 프레임마다 target의 전역 좌표값을 넘겨주면서 호출함. 아직 남은 일이 있으면 true를 리턴하니까, 호출한 쪽에서 다음 프레임에 또 호출해주면 됨.
+  update(position) {
+    const start = performance.now();
+    const {
+      cellSize
+    } = this.world;
+
+    const centerX = Math.floor(position.x / cellSize);
+    const centerY = Math.floor(position.y / cellSize);
+    const centerZ = Math.floor(position.z / cellSize);
+    const centerCellId = `${centerX}, ${centerY}, ${centerZ}`;
+    if (centerCellId !== this.centerCellId) {
+      // target이 다른 cell로 넘어갔을 때만 만들 cell, 치울 cell 목록을 다시 계산함.
+      this.centerCellId = centerCellId;
+      this.refresh(centerX, centerY, centerZ);
+    }
+
+    while (this.unloadQueue.length && performance.now() - start < this.budget) {
+      const cellId = this.unloadQueue.pop();
+      delete this.generatedCellIds[cellId];
+      delete this.meshedCellIds[cellId];
+      this.unloadCell(cellId);
+    }
+
+    while (this.pendingCells.length) {
+      const [cellX, cellY, cellZ] = this.pendingCells[0];
+      if (!this.generateAround(cellX, cellY, cellZ, start)) {
+        break; // 이웃 cell을 다 만들기 전에 budget을 다 써버렸으면 나머지는 다음 프레임에 이어서 함.
+      }
+
+      this.pendingCells.shift();
+      this.meshedCellIds[`${cellX}, ${cellY}, ${cellZ}`] = true;
+      this.meshCell(cellX, cellY, cellZ);
+    }
+
+    return this.pendingCells.length > 0 || this.unloadQueue.length > 0;
+  }
+
+  // 중심 cell을 기준으로 cell mesh를 만들어야 할 cell 목록과, 너무 멀어져서 치워야 할 cell 목록을 다시 만드는 메서드
+  refresh(centerX, centerY, centerZ) {
+    const {
+      radius,
+      verticalRadius
+    } = this;
+
+    const pendingCells = [];
+    for (let dy = -verticalRadius; dy <= verticalRadius; dy++) {
+      for (let dz = -radius; dz <= radius; dz++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          const distSq = dx * dx + dz * dz;
+          if (distSq > radius * radius) {
+            continue; // 네모가 아니라 원 모양으로 cell을 만들어주려는 것.
+          }
+
+          const cell = [centerX + dx, centerY + dy, centerZ + dz];
+          if (!this.meshedCellIds[cell.join(', ')]) {
+            cell.distSq = distSq + dy * dy;
+            pendingCells.push(cell);
+          }
+        }
+      }
+    }
+    pendingCells.sort((a, b) => a.distSq - b.distSq); // 중심에서 가까운 cell부터 만들어 줌.
+    this.pendingCells = pendingCells;
+
+    // 경계에서 카메라가 왔다갔다 할 때마다 cell을 만들었다 치웠다 하지 않도록, 만드는 반경보다 2 cell 더 멀어졌을 때만 치움.
+    const unloadRadius = radius + 2;
+    const unloadVerticalRadius = verticalRadius + 2;
+    this.unloadQueue = Object.keys(this.generatedCellIds).filter((cellId) => {
+      const [cellX, cellY, cellZ] = cellId.split(',').map((v) => parseInt(v));
+      const dx = cellX - centerX;
+      const dy = cellY - centerY;
+      const dz = cellZ - centerZ;
+      return dx * dx + dz * dz > unloadRadius * unloadRadius || Math.abs(dy) > unloadVerticalRadius;
+    });
+  }
+
+  // 해당 cell과 이웃한 6개의 cell의 복셀 데이터를 아직 안 만들었으면 만들어주는 메서드.
+  // 한 프레임에 최소한 cell 하나는 만들 수 있도록, budget은 cell을 하나 만들기 '전에' 확인함. 다 만들었으면 true, 도중에 budget을 다 쓰면 false를 리턴함.
+  generateAround(cellX, cellY, cellZ, start) {
+    for (const offset of ChunkStreamer.neighborOffsets) {
+      const x = cellX + offset[0];
+      const y = cellY + offset[1];
+      const z = cellZ + offset[2];
+      const cellId = `${x}, ${y}, ${z}`;
+      if (this.generatedCellIds[cellId]) {
+        continue;
+      }
+      if (performance.now() - start >= this.budget) {
+        return false;
+      }
+
+      this.generatedCellIds[cellId] = true;
+      if (!this.world.cells[cellId]) {
+        this.generateCell(x, y, z); // 월드 파일에서 불러왔거나 해서 이미 복셀 데이터가 있는 cell은 덮어쓰지 않음.
+      }
+      if (this.lightCell) {
+        this.lightCell(x, y, z);
+      }
+    }
+    return true;
+  }
+}
+
+// cell 자신과 앞, 뒤, 왼, 오, 위, 아래에 이웃한 cell들의 오프셋
+ChunkStreamer.neighborOffsets = [
+  [0, 0, 0],
+  [-1, 0, 0],
+  [1, 0, 0],
+  [0, -1, 0],
+  [0, 1, 0],
+  [0, 0, -1],
+  [0, 0, 1],
+];
+
+export {
+  ChunkStreamer
+};
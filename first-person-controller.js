@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * 만든 월드 안을 직접 걸어다닐 수 있게 해주는 1인칭 컨트롤러.
+ *
+ * lock()을 호출하면 domElement에 포인터 락(pointer lock)을 걸고 걷기 모드가 시작됨. Esc를 눌러서 포인터 락이 풀리면 걷기 모드도 끝남.
+ * 걷는 동안에는 마우스로 둘러보고, WASD로 움직이고, Space로 점프함.
+ *
+ * 플레이어는 발 가운데를 position으로 하는 width * height * width 크기의 AABB(축에 나란한 상자)로 취급하고,
+ * world.getVoxel()로 상자가 겹치는 복셀들을 확인해서 solid 블록은 통과하지 못하게 함. 물이나 꽃처럼 solid가 아닌 블록은 그냥 지나감.
+ * 반 블록, 계단처럼 복셀을 꽉 채우지 않는 모양의 블록은 복셀 전체 대신 그 모양의 상자들(shape.getBoxes())과 겹치는지 확인하니까, 반 블록 위에는 딱 반 칸 높이에 섬.
+ * 바닥에 서 있을 때 앞이 블록 한 칸 높이로만 막혀있으면 그 위로 자동으로 올라감(step-up).
+ *
+ * 카메라를 매 프레임 움직여야 하니까, 걷는 동안에는 호출하는 쪽에서 매 프레임마다 update()를 호출해주고 다시 렌더해줘야 함.
+ */
+class FirstPersonController {
+  constructor(camera, world, domElement, options = {}) {
+    this.camera = camera;
+    this.world = world;
+    this.domElement = domElement;
+    this.onEnabledChange = options.onEnabledChange; // 걷기 모드가 시작되거나 끝날 때 true / false를 넘겨주면서 호출해주는 함수
+
+    this.width = options.width || 0.6;
+    this.height = options.height || 1.8;
+    this.eyeHeight = options.eyeHeight || 1.6; // 발에서 카메라(눈)까지의 높이
+    this.walkSpeed = options.walkSpeed || 5; // 초당 몇 복셀 걷는지
+    this.jumpSpeed = options.jumpSpeed || 8.5;
+    this.gravity = options.gravity || 28;
+    this.maxFallSpeed = options.maxFallSpeed || 50;
+    this.stepHeight = options.stepHeight || 1; // 자동으로 올라갈 수 있는 높이. 1이면 블록 한 칸.
+    this.mouseSensitivity = options.mouseSensitivity || 0.002;
+
+    this.enabled = false;
+    this.position = [0, 0, 0]; // 플레이어 발 가운데의 전역 좌표값
+    this.velocity = [0, 0, 0];
+    this.yaw = 0; // y축 기준 회전각 (좌우로 둘러보기)
+    this.pitch = 0; // x축 기준 회전각 (위아래로 둘러보기)
+    this.onGround = false;
+    this.keys = {}; // 지금 눌려있는 키들의 e.code
+    this.lastUpdateTime = null;
+
+    this.onPointerLockChange = this.onPointerLockChange.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    document.addEventListener('pointerlockchange', this.onPointerLockChange);
+  }
+
+  // 포인터 락은 버튼 클릭처럼 사용자의 입력을 처리하는 도중에 요청해야 걸림.
+  lock() {
+    this.domElement.requestPointerLock();
+  }
+
+  unlock() {
+    if (document.pointerLockElement === this.domElement) {
+      document.exitPointerLock();
+    }
+  }
+
+  onPointerLockChange() {
+    if (document.pointerLockElement === this.domElement) {
+      this.start();
+    } else if (this.enabled) {
+      this.stop();
+    }
+  }
+
+  // 지금 카메라가 있는 곳, 바라보는 방향에서 걷기 시작함.
+  start() {
+    const {
+      camera
+    } = this;
+    const direction = camera.getWorldDirection(camera.position.clone()); // 결과를 담을 Vector3가 필요해서 아무 Vector3나 복제해서 넘겨 줌.
+    this.yaw = Math.atan2(-direction.x, -direction.z);
+    this.pitch = Math.asin(Math.max(-1, Math.min(1, direction.y)));
+    this.position = [camera.position.x, camera.position.y - this.eyeHeight, camera.position.z];
+    this.velocity = [0, 0, 0];
+    this.onGround = false;
+    this.keys = {};
+    this.lastUpdateTime = null;
+
+    // 카메라가 블록 안에 들어가 있었다면 빈 공간이 나올 때까지 위로 올려줌.
+    for (let i = 0; i < this.world.cellSize && this.collides(); i++) {
+      this.position[1] = Math.floor(this.position[1]) + 1;
+    }
+
+    this.enabled = true;
+    document.addEventListener('mousemove', this.onMouseMove);
+    window.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('keyup', this.onKeyUp);
+    this.updateCamera();
+    if (this.onEnabledChange) {
+      this.onEnabledChange(true);
+    }
+  }
+
+  stop() {
+    this.enabled = false;
+    document.removeEventListener('mousemove', this.onMouseMove);
+    window.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('keyup', this.onKeyUp);
+    if (this.onEnabledChange) {
+      this.onEnabledChange(false);
+    }
+  }
+
+  onMouseMove(e) {
+    this.yaw -= e.movementX * this.mouseSensitivity;
+    this.pitch -= e.movementY * this.mouseSensitivity;
+    const maxPitch = Math.PI / 2 - 0.01; // 정확히 위, 아래를 바라보면 좌우 방향을 알 수 없게 되니까 살짝 못 미치게 막아 줌.
+    this.pitch = Math.max(-maxPitch, Math.min(maxPitch, this.pitch));
+  }
+
+  onKeyDown(e) {
+    if (e.ctrlKey || e.metaKey) {
+      return; // Ctrl+Z 같은 단축키를 누르는 중에는 걷지 않음.
+    }
+    this.keys[e.code] = true;
+    if (e.code === 'Space') {
+      e.preventDefault(); // 페이지가 스크롤되거나 포커스된 버튼이 눌리지 않도록 함.
+    }
+  }
+
+  onKeyUp(e) {
+    this.keys[e.code] = false;
+  }
+
+  // 매 프레임마다 호출해서 입력, 중력, 충돌을 처리하고 카메라를 옮겨주는 메서드. 시간 간격은 performance.now()로 직접 잼.
+  update() {
+    if (!this.enabled) {
+      return;
+    }
+    const now = performance.now();
+    // 탭이 가려져서 프레임이 한참 멈췄다 돌아온 경우 한 번에 너무 많이 움직이지 않도록 0.1초로 제한함.
+    const delta = this.lastUpdateTime === null ? 0 : Math.min((now - this.lastUpdateTime) / 1000, 0.1);
+    this.lastUpdateTime = now;
+
+    // 발밑의 cell이 아직 만들어지지 않았다면 아무것도 없는 곳으로 떨어지지 않도록 만들어질 때까지 기다림.
+    const [x, y, z] = this.position.map((v) => Math.floor(v));
+    if (!this.world.getCellForVoxel(x, y, z)) {
+      this.updateCamera();
+      return;
+    }
+
+    const {
+      keys,
+      velocity
+    } = this;
+    // 앞(W, S), 옆(A, D) 입력을 바라보는 방향(yaw)에 맞춰서 전역 좌표계의 x, z 방향으로 바꿔 줌.
+    let forward = (keys.KeyW ? 1 : 0) - (keys.KeyS ? 1 : 0);
+    let right = (keys.KeyD ? 1 : 0) - (keys.KeyA ? 1 : 0);
+    const length = Math.hypot(forward, right);
+    if (length) {
+      forward /= length; // 대각선으로 걸을 때 더 빨라지지 않도록 정규화함.
+      right /= length;
+    }
+    const sin = Math.sin(this.yaw);
+    const cos = Math.cos(this.yaw);
+    velocity[0] = (-sin * forward + cos * right) * this.walkSpeed;
+    velocity[2] = (-cos * forward - sin * right) * this.walkSpeed;
+
+    if (keys.Space && this.onGround) {
+      velocity[1] = this.jumpSpeed;
+    }
+    velocity[1] = Math.max(velocity[1] - this.gravity * delta, -this.maxFallSpeed);
+
+    const wasOnGround = this.onGround;
+    this.moveHorizontal(0, velocity[0] * delta, wasOnGround);
+    this.moveHorizontal(2, velocity[2] * delta, wasOnGround);
+    this.onGround = false;
+    if (!this.moveAxis(1, velocity[1] * delta)) {
+      if (velocity[1] < 0) {
+        this.onGround = true;
+      }
+      velocity[1] = 0;
+    }
+
+    this.updateCamera();
+  }
+
+  // x 또는 z 방향으로 움직이다가 막히면, 바닥에 서 있던 경우에만 stepHeight만큼 올라가서 다시 움직여 봄.
+  moveHorizontal(axis, distance, canStep) {
+    if (!distance) {
+      return;
+    }
+    const start = this.position.slice();
+    if (this.moveAxis(axis, distance) || !canStep) {
+      return;
+    }
+
+    const blocked = this.position.slice();
+    this.position = start.slice();
+    this.position[1] = Math.floor(start[1] + 0.01) + this.stepHeight; // 올라선 뒤에는 블록 윗면에 딱 맞게 서도록 정수 높이로 맞춰 줌.
+    if (!this.collides() && this.moveAxis(axis, distance)) {
+      return;
+    }
+    this.position = blocked; // 올라가도 막히면 처음에 막힌 곳에 그대로 둠.
+  }
+
+  // axis 방향으로 distance만큼 움직이는 메서드. 복셀에 막히면 그 복셀 면에 딱 붙여서 멈추고 false를 리턴함.
+  // 한 번에 1칸 넘게 움직이면 얇은 벽을 뚫고 지나갈 수 있으니까 0.4칸 이하씩 나눠서 움직임.
+  moveAxis(axis, distance) {
+    const steps = Math.ceil(Math.abs(distance) / 0.4);
+    const step = distance / steps;
+    const half = axis === 1 ? 0 : this.width / 2;
+    const size = axis === 1 ? this.height : 0; // y축은 발(position)에서 머리까지 height만큼, x, z축은 가운데에서 양쪽으로 width / 2만큼
+    for (let i = 0; i < steps; i++) {
+      this.position[axis] += step;
+      if (!this.collides()) {
+        continue;
+      }
+      // 부딪힌 상자들 중 가장 가까운 상자의 면에 플레이어 상자의 앞쪽 끝이 오도록 되돌려 줌.
+      const boxes = this.getCollidingBoxes();
+      if (step > 0) {
+        this.position[axis] = Math.min(...boxes.map(([min]) => min[axis])) - half - size;
+      } else {
+        this.position[axis] = Math.max(...boxes.map(([, max]) => max[axis])) + half;
+      }
+      return false;
+    }
+    return true;
+  }
+
+  // 플레이어 상자가 solid 블록과 겹치는지 확인하는 메서드.
+  collides() {
+    return this.getCollidingBoxes(true).length > 0;
+  }
+
+  // 플레이어 상자와 겹치는 solid 블록의 상자들을 전역 좌표값 [[minX, minY, minZ], [maxX, maxY, maxZ]] 배열로 리턴하는 메서드. firstOnly면 하나만 찾고 멈춤.
+  // 상자의 경계가 딱 맞닿기만 한 건 겹치지 않은 걸로 봄.
+  // 3.3 - 0.3이 2.9999999999999996이 되는 것처럼 면에 딱 붙여놓은 좌표값에도 부동소수점 오차가 생기니까, 아주 작은 값(epsilon)만큼 안쪽으로 줄여서 확인함.
+  getCollidingBoxes(firstOnly = false) {
+    const {
+      world
+    } = this;
+    const [x, y, z] = this.position;
+    const half = this.width / 2;
+    const epsilon = FirstPersonController.epsilon;
+    const min = [x - half + epsilon, y + epsilon, z - half + epsilon];
+    const max = [x + half - epsilon, y + this.height - epsilon, z + half - epsilon];
+    const boxes = [];
+    for (let vy = Math.floor(min[1]); vy < Math.ceil(max[1]); vy++) {
+      for (let vz = Math.floor(min[2]); vz < Math.ceil(max[2]); vz++) {
+        for (let vx = Math.floor(min[0]); vx < Math.ceil(max[0]); vx++) {
+          const block = world.blocks.get(world.getVoxel(vx, vy, vz));
+          if (!block || !block.solid) {
+            continue;
+          }
+          const shapeBoxes = block.shape.full ?
+            FirstPersonController.fullBoxes :
+            block.shape.getBoxes(world.getVoxelState(vx, vy, vz));
+          for (const [boxMin, boxMax] of shapeBoxes) {
+            const box = [
+              [vx + boxMin[0], vy + boxMin[1], vz + boxMin[2]],
+              [vx + boxMax[0], vy + boxMax[1], vz + boxMax[2]],
+            ];
+            if ([0, 1, 2].every((axis) => box[0][axis] < max[axis] && min[axis] < box[1][axis])) {
+              boxes.push(box);
+              if (firstOnly) {
+                return boxes;
+              }
+            }
+          }
+        }
+      }
+    }
+    return boxes;
+  }
+
+  updateCamera() {
+    const [x, y, z] = this.position;
+    this.camera.position.set(x, y + this.eyeHeight, z);
+    this.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ'); // 좌우(yaw)로 먼저 돌린 다음 위아래(pitch)로 돌려야 고개를 숙여도 옆으로 기울지 않음.
+  }
+}
+
+FirstPersonController.epsilon = 1e-6;
+FirstPersonController.fullBoxes = [
+  [[0, 0, 0], [1, 1, 1]],
+]; // 복셀을 꽉 채우는 블록의 상자
+
+export {
+  FirstPersonController
+};
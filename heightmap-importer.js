@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * 흑백 높이맵 이미지로 지형을 채워주는 클래스.
+ *
+ * 맨 처음 목표였던 '256 * 256 높이맵으로 만든 월드'를 만들 수 있도록, 이미지의 픽셀 하나를 복셀 기둥 하나로 바꿔 줌.
+ * 픽셀 (px, py)는 복셀좌표값 (origin[0] + px, ?, origin[1] + py)의 기둥이 되고(이미지의 위쪽이 뒤(-z)쪽),
+ * 기둥의 높이는 픽셀의 밝기(0 ~ 255)로 정함. 밝기 0이면 baseLevel에 한 칸짜리 바닥만, 255면 baseLevel + scale까지 쌓음.
+ * 완전히 투명한 픽셀(alpha 0)은 기둥을 만들지 않고 그 자리의 복셀을 그대로 둠.
+ *
+ * 기둥의 블록은 높이 구간(band)으로 정함. bands는 밝기를 0 ~ 1로 바꾼 값이 upTo 이하인 첫번째 구간의 surface를 맨 위에, subsurface를 그 밑 surfaceDepth - 1칸에 쓰고,
+ * 그 아래는 전부 fill 블록으로 채움. 색 지도(colorMap)를 같이 넘겨주면 맨 위 블록은 그 픽셀의 색과 가장 가까운 색의 블록(blockColors 중에서)으로 바꿔 줌.
+ *
+ * 이미지는 브라우저의 ImageData처럼 { width, height, data(RGBA 4바이트씩) } 모양이면 되니까, png를 읽는 건 호출하는 쪽에서 canvas로 해주면 됨.
+ * 색 지도의 크기가 높이맵과 다르면 높이맵 크기에 맞춰 늘리거나 줄여서 읽음.
+ */
+class HeightmapImporter {
+  constructor(options = {}) {
+    this.scale = options.scale !== undefined ? options.scale : HeightmapImporter.defaultScale; // 밝기 255일 때 기둥이 baseLevel에서 몇 칸 더 올라가는지
+    this.baseLevel = options.baseLevel || 0; // 밝기 0인 픽셀의 기둥 꼭대기 높이(y). 기둥은 여기서부터 위로 쌓음.
+    this.origin = options.origin || [0, 0]; // 이미지의 왼쪽 위 픽셀이 놓일 복셀좌표값 [x, z]
+    this.bands = options.bands || HeightmapImporter.defaultBands;
+    this.fill = options.fill || HeightmapImporter.defaultFill;
+    this.surfaceDepth = options.surfaceDepth || HeightmapImporter.defaultSurfaceDepth;
+    this.blockColors = options.blockColors || []; // 색 지도를 쓸 때 고를 수 있는 블록들의 색. [{ id: 복셀값, color: [r, g, b] }, ...]
+
+    if (!(this.scale >= 0)) {
+      throw new Error(`HeightmapImporter: invalid scale ${options.scale}`);
+    }
+  }
+
+  // heightmap(과 colorMap)으로 world에 기둥들을 채우고, 채운 범위에 걸친 cell들의 id 배열을 리턴하는 메서드.
+  // 기둥 위쪽(baseLevel + scale 높이까지)에 원래 있던 복셀은 지워주고, 그 범위의 cell은 비어있더라도 전부 만들어 둠.
+  // 그래야 ChunkStreamer가 빈 cell인 줄 알고 그 위에 지형을 새로 만들어서 덮어쓰지 않음.
+  importInto(world, heightmap, colorMap = null) {
+    const {
+      width,
+      height,
+      data
+    } = heightmap;
+    if (!(width > 0 && height > 0) || data.length < width * height * 4) {
+      throw new Error('HeightmapImporter: invalid heightmap image');
+    }
+    const bands = this.resolveBands(world.blocks);
+    const fill = this.resolveBlock(world.blocks, this.fill);
+    const [originX, originZ] = this.origin;
+    const {
+      baseLevel,
+      scale,
+      surfaceDepth
+    } = this;
+    const maxY = baseLevel + scale;
+
+    for (let py = 0; py < height; py++) {
+      for (let px = 0; px < width; px++) {
+        const index = (py * width + px) * 4;
+        if (!data[index + 3]) {
+          continue;
+        }
+        const brightness = HeightmapImporter.getBrightness(data, index) / 255;
+        const top = baseLevel + Math.round(brightness * scale);
+        const band = bands.find((candidate) => brightness <= candidate.upTo) || bands[bands.length - 1];
+        const surface = colorMap && this.blockColors.length ?
+          this.findNearestBlock(HeightmapImporter.sampleColor(colorMap, px, py, width, height)) :
+          band.surface;
+
+        const x = originX + px;
+        const z = originZ + py;
+        for (let y = baseLevel; y <= top; y++) {
+          const depth = top - y;
+          world.setVoxel(x, y, z, depth === 0 ? surface : (depth < surfaceDepth ? band.subsurface : fill));
+        }
+        for (let y = top + 1; y <= maxY; y++) {
+          if (world.getVoxel(x, y, z)) {
+            world.setVoxel(x, y, z, 0);
+          }
+        }
+      }
+    }
+
+    // 채운 범위에 걸친 cell들을 (빈 cell도) 만들어 두고 id를 모아 줌.
+    const {
+      cellSize
+    } = world;
+    const cellIds = [];
+    const [minCellX, minCellY, minCellZ] = [originX, baseLevel, originZ].map((v) => Math.floor(v / cellSize));
+    const [maxCellX, maxCellY, maxCellZ] = [originX + width - 1, maxY, originZ + height - 1].map((v) => Math.floor(v / cellSize));
+    for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+      for (let cellZ = minCellZ; cellZ <= maxCellZ; cellZ++) {
+        for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+          world.addCellForVoxel(cellX * cellSize, cellY * cellSize, cellZ * cellSize);
+          cellIds.push(`${cellX}, ${cellY}, ${cellZ}`);
+        }
+      }
+    }
+    return cellIds;
+  }
+
+  // 블록 이름으로 적어둔 bands를 복셀값으로 바꿔 줌.
+  resolveBands(blocks) {
+    if (!this.bands.length) {
+      throw new Error('HeightmapImporter: at least one height band is required');
+    }
+    return this.bands.map((band) => ({
+      upTo: band.upTo,
+      surface: this.resolveBlock(blocks, band.surface),
+      subsurface: this.resolveBlock(blocks, band.subsurface || band.surface),
+    }));
+  }
+
+  resolveBlock(blocks, name) {
+    const block = blocks.getByName(name);
+    if (!block) {
+      throw new Error(`HeightmapImporter: unknown block '${name}'`);
+    }
+    return block.id;
+  }
+
+  // blockColors 중에서 color와 RGB 거리가 가장 가까운 블록의 복셀값을 리턴함.
+  findNearestBlock(color) {
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    for (const {
+        id,
+        color: blockColor
+      } of this.blockColors) {
+      const dr = color[0] - blockColor[0];
+      const dg = color[1] - blockColor[1];
+      const db = color[2] - blockColor[2];
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < nearestDistance) {
+        nearest = id;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  // RGBA 픽셀의 밝기(0 ~ 255). 흑백 이미지면 r, g, b가 같으니 그 값이 그대로 나오고, 색이 있는 이미지도 사람 눈에 보이는 밝기에 가깝게 바꿔 줌.
+  static getBrightness(data, index) {
+    return 0.299 * data[index] + 0.587 * data[index + 1] + 0.114 * data[index + 2];
+  }
+
+  // 높이맵의 (px, py) 픽셀에 해당하는 색 지도의 픽셀 색 [r, g, b]. 크기가 다르면 비율에 맞춰 가장 가까운 픽셀을 읽음.
+  static sampleColor(colorMap, px, py, width, height) {
+    const x = Math.min(colorMap.width - 1, Math.floor(px * colorMap.width / width));
+    const y = Math.min(colorMap.height - 1, Math.floor(py * colorMap.height / height));
+    const index = (y * colorMap.width + x) * 4;
+    return [colorMap.data[index], colorMap.data[index + 1], colorMap.data[index + 2]];
+  }
+}
+
+HeightmapImporter.defaultScale = 32;
+HeightmapImporter.defaultFill = 'cobblestone';
+HeightmapImporter.defaultSurfaceDepth = 4; // 맨 위 블록까지 포함해서 surface, subsurface로 채우는 칸 수
+
+// 낮은 곳부터 모래사장, 풀밭, 바위, 이끼 낀 산꼭대기
+HeightmapImporter.defaultBands = [{
+    upTo: 0.2,
+    surface: 'sand',
+    subsurface: 'sand'
+  },
+  {
+    upTo: 0.65,
+    surface: 'grass',
+    subsurface: 'dirt'
+  },
+  {
+    upTo: 0.85,
+    surface: 'cobblestone',
+    subsurface: 'cobblestone'
+  },
+  {
+    upTo: 1,
+    surface: 'mossy cobblestone',
+    subsurface: 'cobblestone'
+  },
+];
+
+export {
+  HeightmapImporter
+};
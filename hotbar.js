@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * 자주 쓰는 블록 몇 개를 칸(slot)에 담아두고 숫자키나 마우스 휠로 바로 바꿔 쓸 수 있게 해주는 핫바.
+ *
+ * 칸마다 복셀값을 하나씩 담고(0이면 빈 칸), 지금 고른 칸의 복셀값이 곧 새로 놓을 블록(selectedVoxel)이 됨.
+ * 팔레트에서 블록을 고르면 지금 고른 칸에 담기고, 스포이트(pick)로 고른 블록이 이미 어떤 칸에 있으면 그 칸으로 옮겨가고 없으면 지금 칸에 담음.
+ *
+ * DOM은 건드리지 않고, 고른 칸이나 칸의 내용이 바뀔 때마다 options.onChange(hotbar)를 호출해주니까 화면은 호출하는 쪽에서 다시 그려주면 됨.
+ */
+class Hotbar {
+  constructor(options = {}) {
+    const size = options.size || Hotbar.defaultSize;
+    this.slots = new Array(size).fill(0);
+    (options.voxels || []).slice(0, size).forEach((voxel, index) => {
+      this.slots[index] = voxel;
+    });
+    this.selectedIndex = 0;
+    this.onChange = options.onChange;
+  }
+
+  get selectedVoxel() {
+    return this.slots[this.selectedIndex];
+  }
+
+  select(index) {
+    if (!(index >= 0 && index < this.slots.length)) {
+      throw new Error(`Hotbar: invalid slot ${index}`);
+    }
+    this.selectedIndex = index;
+    this.changed();
+  }
+
+  // 휠을 한 칸 굴릴 때마다 direction(1 또는 -1)만큼 옆 칸으로 옮김. 양 끝에서는 반대쪽 끝으로 넘어감.
+  scroll(direction) {
+    const {
+      length
+    } = this.slots;
+    this.select(((this.selectedIndex + Math.sign(direction)) % length + length) % length);
+  }
+
+  // 지금 고른 칸에 voxel을 담음. 0을 넘기면 칸을 비움.
+  assign(voxel) {
+    this.slots[this.selectedIndex] = voxel;
+    this.changed();
+  }
+
+  // 스포이트로 고른 블록을 쓸 수 있게 해주는 메서드. 같은 블록을 여러 칸에 담지 않도록, 이미 담긴 칸이 있으면 그 칸을 골라 줌.
+  pick(voxel) {
+    const index = this.slots.indexOf(voxel);
+    if (index >= 0) {
+      this.select(index);
+    } else {
+      this.assign(voxel);
+    }
+  }
+
+  changed() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+}
+
+Hotbar.defaultSize = 9; // 숫자키 1 ~ 9에 칸 하나씩
+
+export {
+  Hotbar
+};
@@ -0,0 +1,13 @@
+'use strict';
+
+// VoxelWorld처럼 DOM이나 three.js 없이 돌아가야 하는 모듈(웹 워커, Node 테스트)에서 쓰는 작은 수학 함수들.
+// three.js를 CDN 주소로 import 하면 Node에서는 불러올 수가 없으니까, 필요한 것만 따로 옮겨 둠.
+
+// THREE.MathUtils.euclideanModulo와 같음. n이 음수여도 항상 0 ~ m - 1 사이의 나머지값을 리턴해 줌. (-1 % 32는 -1이지만 여기서는 31)
+function euclideanModulo(n, m) {
+  return ((n % m) + m) % m;
+}
+
+export {
+  euclideanModulo
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * mesh-worker.js 워커들을 여러 개 띄워놓고, cell geometry를 만드는 일(job)을 놀고 있는 워커에게 하나씩 나눠주는 클래스.
+ *
+ * schedule(key, createJob, onResult)로 일을 예약하면, 놀고 있는 워커가 생길때까지 대기열(queue)에 넣어둠.
+ * 이때 워커에게 넘겨줄 메시지는 예약하는 순간이 아니라 워커에게 실제로 넘겨주는 순간에 createJob()을 호출해서 만들기 때문에,
+ * 대기하는 동안 복셀이 또 바뀌었더라도 항상 가장 최신의 복셀 데이터로 geometry를 만들게 됨.
+ * 그래서 같은 key(cellId)로 이미 대기 중인 일이 있으면 새로 추가하지 않고, 기존 일의 콜백만 최신 것으로 바꿔줌. -> 같은 cell을 쓸데없이 여러 번 만들지 않도록!
+ */
+class MeshWorkerPool {
+  constructor(options) {
+    this.url = options.url;
+    this.workerCount = options.workerCount;
+    this.idleWorkers = [];
+    this.queue = []; // 아직 워커에게 넘겨주지 못한 일들
+    this.queuedJobByKey = {}; // 대기 중인 일을 key로 찾아볼 수 있도록 해둠.
+
+    for (let i = 0; i < this.workerCount; i++) {
+      const worker = new Worker(this.url, {
+        type: 'module' // 워커에서도 import 문으로 voxel-world.js를 가져와야 하니까 모듈 워커로 만들어 줌.
+      });
+      worker.addEventListener('message', (e) => {
+        const {
+          onResult
+        } = worker.currentJob;
+        worker.currentJob = null;
+        this.idleWorkers.push(worker);
+        this.dispatch(); // 일을 마친 워커에게 대기 중인 다음 일을 넘겨줌.
+        onResult(e.data);
+      });
+      // 워커가 일을 하다가 에러가 나면 그 일을 다시 예약해서 cell mesh가 낡은 채로 남지 않도록 함.
+      // 모듈을 불러오다가 난 에러처럼 일을 받기 전에 난 에러면 워커는 이미 idleWorkers에 있으니까 또 넣지 않음. (두 번 들어가면 한 워커가 일을 두 개 받음)
+      worker.addEventListener('error', (e) => {
+        console.error(e);
+        const job = worker.currentJob;
+        if (!job) {
+          return;
+        }
+        worker.currentJob = null;
+        this.idleWorkers.push(worker);
+        if (!this.queuedJobByKey[job.key]) {
+          this.schedule(job.key, job.createJob, job.onResult); // 그 사이에 같은 key로 새 일이 예약됐으면 그게 더 최신이니까 그대로 둠.
+        }
+        this.dispatch();
+      });
+      this.idleWorkers.push(worker);
+    }
+  }
+
+  // createJob은 { message, transfer } 형태로 워커에게 넘겨줄 메시지와 transferable 객체 배열을 리턴해주는 함수,
+  // onResult는 워커가 돌려보낸 결과를 받을 함수.
+  schedule(key, createJob, onResult) {
+    const queuedJob = this.queuedJobByKey[key];
+    if (queuedJob) {
+      queuedJob.createJob = createJob;
+      queuedJob.onResult = onResult;
+      return;
+    }
+
+    const job = {
+      key,
+      createJob,
+      onResult,
+    };
+    this.queuedJobByKey[key] = job;
+    this.queue.push(job);
+    this.dispatch();
+  }
+
+  // 놀고 있는 워커가 있는 동안 대기열의 일을 앞에서부터 하나씩 넘겨주는 메서드
+  dispatch() {
+    while (this.idleWorkers.length && this.queue.length) {
+      const worker = this.idleWorkers.pop();
+      const job = this.queue.shift();
+      delete this.queuedJobByKey[job.key];
+
+      const {
+        message,
+        transfer
+      } = job.createJob();
+      worker.currentJob = job;
+      worker.postMessage(message, transfer);
+    }
+  }
+}
+
+export {
+  MeshWorkerPool
+};
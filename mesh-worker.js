@@ -0,0 +1,98 @@
+'use strict';
+
+import {
+  VoxelWorld
+} from './voxel-world.js';
+
+import {
+  VoxelCell
+} from './voxel-cell.js';
+
+import {
+  VoxelLod
+} from './voxel-lod.js';
+
+/**
+ * cell geometry 데이터를 main 스레드 대신 만들어주는 Web Worker.
+ * MeshWorkerPool이 new Worker('./mesh-worker.js', { type: 'module' }) 로 여러 개 띄워놓고 번갈아가며 일을 시킴.
+ *
+ * main 스레드에서는 만들어야 할 cell과 그 둘레의 26개의 cell들의 복셀값과 상태값(VoxelCell.toState()), 그리고 앞, 뒤, 왼, 오, 위, 아래에 이웃한 cell들의 빛의 세기 형식화배열 복사본만 넘겨줌.
+ * 왜 이웃한 cell까지 필요하냐면, cell 가장자리에 있는 복셀의 면이 '겉부분 면'인지 확인하려면 옆 cell의 복셀값도 봐야 하니까!
+ * 모서리, 꼭지점 너머의 대각선 cell은 가장자리 복셀의 AO를 계산할 때 대각선 방향의 복셀을 보느라 필요함.
+ * 워커는 넘겨받은 cell들만 담긴 임시 VoxelWorld를 만들어서 generateGeometryDateForCell()을 그대로 호출하고,
+ * 결과로 나온 버텍스 데이터 배열들을 형식화 배열로 바꿔서 transferable 객체로 돌려보내 줌. (복사하지 않고 메모리 소유권만 넘기니까 빠름)
+ * 불투명한 면(opaque)과 투명한 면(transparent)의 버텍스 데이터는 따로따로 돌려보냄.
+ *
+ * 멀리 있는 cell은 lodFactor(2, 4)를 같이 넘겨받아서 VoxelLod로 거친 geometry를 만들어 줌.
+ * 이웃 cell과 LOD가 다르면 main 스레드가 그 이웃 cell을 아예 넘겨주지 않으니까, 그쪽 가장자리의 면은 전부 겉부분 면(skirt)으로 만들어져서 이음매의 틈을 가려 줌.
+ */
+self.addEventListener('message', (e) => {
+  const {
+    options,
+    cellX,
+    cellY,
+    cellZ,
+    cells,
+    states,
+    lights,
+    lodFactor,
+    revision
+  } = e.data;
+
+  const world = new VoxelWorld(options);
+  // postMessage로 넘어오면서 VoxelCell의 메서드는 없어지고 데이터만 남으니까 다시 VoxelCell로 만들어 줌.
+  for (const cellId of Object.keys(cells)) {
+    world.cells[cellId] = VoxelCell.fromState(cells[cellId]);
+  }
+  for (const cellId of Object.keys(states)) {
+    world.states[cellId] = VoxelCell.fromState(states[cellId]);
+  }
+  world.lights = lights;
+
+  const {
+    opaque,
+    transparent
+  } = VoxelLod.generateGeometryDataForCell(world, cellX, cellY, cellZ, lodFactor || 1);
+
+  const transfer = [];
+  const result = {
+    revision, // main 스레드에서 낡은 결과인지 확인할 수 있도록 넘겨받은 revision을 그대로 돌려보내 줌.
+    opaque: toTypedArrays(opaque, transfer),
+    transparent: toTypedArrays(transparent, transfer),
+  };
+
+  self.postMessage(result, transfer);
+});
+
+// 버텍스 데이터 배열들을 형식화 배열로 바꿔주고, 각 형식화 배열의 buffer는 transfer 배열에 담아주는 함수
+function toTypedArrays(data, transfer) {
+  const {
+    positions,
+    normals,
+    uvs,
+    colors,
+    tileOrigins,
+    indices
+  } = data;
+
+  const result = {
+    positions: new Float32Array(positions),
+    normals: new Float32Array(normals),
+    uvs: new Float32Array(uvs),
+    colors: new Float32Array(colors),
+    tileOrigins: tileOrigins ? new Float32Array(tileOrigins) : null,
+    indices: new Uint32Array(indices), // 버텍스가 65535개를 넘어갈 수도 있으니까 Uint32Array로 만들어 줌.
+  };
+
+  transfer.push(
+    result.positions.buffer,
+    result.normals.buffer,
+    result.uvs.buffer,
+    result.colors.buffer,
+    result.indices.buffer,
+  );
+  if (result.tileOrigins) {
+    transfer.push(result.tileOrigins.buffer);
+  }
+  return result;
+}
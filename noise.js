@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * 지형 생성기에서 쓰는 시드(seed) 기반 노이즈 함수들을 모아놓은 클래스.
+ *
+ * Math.random()은 실행할 때마다 값이 달라지니까, 같은 시드를 넣으면 항상 같은 지형이 나오도록 하려면 시드로 만든 난수만 써야 함.
+ * 그래서 시드로 0 ~ 255를 섞은 순열(permutation) 표를 만들어놓고, 그걸로 Perlin의 improved noise(그래디언트 노이즈)를 계산함.
+ * noise2D, noise3D는 대략 -1 ~ 1 사이의 부드럽게 이어지는 값을 리턴하고,
+ * fbm2D, fbm3D는 주파수를 두 배씩 높이고 진폭을 절반씩 줄인 노이즈를 여러 겹(octave) 더해서 더 자연스러운 값을 만들어 줌.
+ */
+class SeededNoise {
+  constructor(seed) {
+    const random = SeededNoise.createRandom(seed);
+
+    const perm = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+      perm[i] = i;
+    }
+    // 피셔-예이츠 셔플로 시드에 따라 순열을 섞어 줌.
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      const tmp = perm[i];
+      perm[i] = perm[j];
+      perm[j] = tmp;
+    }
+
+    // 인덱스가 255를 넘어가도 & 255를 매번 하지 않아도 되도록 순열을 두 번 이어붙여 둠.
+    this.perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+      this.perm[i] = perm[i & 255];
+    }
+  }
+
+  noise2D(x, y) {
+    const {
+      perm
+    } = this;
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const X = xi & 255;
+    const Y = yi & 255;
+    const xf = x - xi;
+    const yf = y - yi;
+    const u = SeededNoise.fade(xf);
+    const v = SeededNoise.fade(yf);
+
+    const aa = perm[perm[X] + Y];
+    const ab = perm[perm[X] + Y + 1];
+    const ba = perm[perm[X + 1] + Y];
+    const bb = perm[perm[X + 1] + Y + 1];
+
+    return SeededNoise.lerp(
+      SeededNoise.lerp(SeededNoise.grad(aa, xf, yf, 0), SeededNoise.grad(ba, xf - 1, yf, 0), u),
+      SeededNoise.lerp(SeededNoise.grad(ab, xf, yf - 1, 0), SeededNoise.grad(bb, xf - 1, yf - 1, 0), u),
+      v
+    );
+  }
+
+  noise3D(x, y, z) {
+    const {
+      perm
+    } = this;
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const zi = Math.floor(z);
+    const X = xi & 255;
+    const Y = yi & 255;
+    const Z = zi & 255;
+    const xf = x - xi;
+    const yf = y - yi;
+    const zf = z - zi;
+    const u = SeededNoise.fade(xf);
+    const v = SeededNoise.fade(yf);
+    const w = SeededNoise.fade(zf);
+
+    const a = perm[X] + Y;
+    const aa = perm[a] + Z;
+    const ab = perm[a + 1] + Z;
+    const b = perm[X + 1] + Y;
+    const ba = perm[b] + Z;
+    const bb = perm[b + 1] + Z;
+
+    const {
+      lerp,
+      grad
+    } = SeededNoise;
+    return lerp(
+      lerp(
+        lerp(grad(perm[aa], xf, yf, zf), grad(perm[ba], xf - 1, yf, zf), u),
+        lerp(grad(perm[ab], xf, yf - 1, zf), grad(perm[bb], xf - 1, yf - 1, zf), u),
+        v
+      ),
+      lerp(
+        lerp(grad(perm[aa + 1], xf, yf, zf - 1), grad(perm[ba + 1], xf - 1, yf, zf - 1), u),
+        lerp(grad(perm[ab + 1], xf, yf - 1, zf - 1), grad(perm[bb + 1], xf - 1, yf - 1, zf - 1), u),
+        v
+      ),
+      w
+    );
+  }
+
+  // octaves겹의 noise2D를 더한 값을 리턴함. 진폭의 합으로 나눠주니까 결과도 대략 -1 ~ 1 사이로 유지됨.
+  fbm2D(x, y, octaves) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+    for (let i = 0; i < octaves; i++) {
+      sum += this.noise2D(x * frequency, y * frequency) * amplitude;
+      total += amplitude;
+      amplitude *= 0.5;
+      frequency *= 2;
+    }
+    return sum / total;
+  }
+
+  fbm3D(x, y, z, octaves) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+    for (let i = 0; i < octaves; i++) {
+      sum += this.noise3D(x * frequency, y * frequency, z * frequency) * amplitude;
+      total += amplitude;
+      amplitude *= 0.5;
+      frequency *= 2;
+    }
+    return sum / total;
+  }
+}
+
+// 시드로 0 이상 1 미만의 난수를 계속 만들어주는 함수를 리턴함. (mulberry32 알고리즘)
+SeededNoise.createRandom = function (seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// 시드와 정수 좌표값으로 0 이상 1 미만의 값을 리턴해주는 해시 함수.
+// 노이즈처럼 부드럽게 이어지지 않고 좌표값마다 제각각인 값이 나오니까, 광물이나 나무처럼 여기저기 흩뿌리는 용도로 씀.
+SeededNoise.hash = function (seed, x, y, z) {
+  let h = seed >>> 0;
+  h = Math.imul(h ^ x, 0x27D4EB2D);
+  h = Math.imul(h ^ (h >>> 15) ^ y, 0x165667B1);
+  h = Math.imul(h ^ (h >>> 13) ^ z, 0x85EBCA77);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+};
+
+// 6t^5 - 15t^4 + 10t^3 곡선. 격자 경계에서 노이즈 값이 각지지 않고 부드럽게 이어지도록 해줌.
+SeededNoise.fade = function (t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+};
+
+SeededNoise.lerp = function (a, b, t) {
+  return a + (b - a) * t;
+};
+
+// 해시값의 하위 4비트로 12개의 그래디언트 방향 중 하나를 골라서 (x, y, z)와 내적한 값을 리턴함.
+SeededNoise.grad = function (hash, x, y, z) {
+  const h = hash & 15;
+  const u = h < 8 ? x : y;
+  const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+  return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+};
+
+export {
+  SeededNoise
+};
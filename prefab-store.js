@@ -0,0 +1,62 @@
+'use strict';
+
+import {
+  VoxelRegion
+} from './voxel-region.js';
+
+/**
+ * 복사한 VoxelRegion을 이름을 붙여서 프리팹(prefab)으로 저장해두는 클래스.
+ *
+ * 모든 프리팹을 { 이름: VoxelRegion.toJSON() 결과 } 모양의 객체 하나로 묶어서 storage(기본값은 브라우저의 localStorage)의 key 항목에 JSON 문자열로 저장함.
+ * 그래서 페이지를 새로 열어도 저장해 둔 프리팹을 다시 불러와서 쓸 수 있음.
+ */
+class PrefabStore {
+  constructor(storage = window.localStorage, key = PrefabStore.defaultKey) {
+    this.storage = storage;
+    this.key = key;
+  }
+
+  readAll() {
+    const json = this.storage.getItem(this.key);
+    return json ? JSON.parse(json) : {};
+  }
+
+  writeAll(prefabs) {
+    this.storage.setItem(this.key, JSON.stringify(prefabs));
+  }
+
+  // 저장된 프리팹 이름들을 정렬해서 리턴함.
+  list() {
+    return Object.keys(this.readAll()).sort();
+  }
+
+  // 같은 이름의 프리팹이 있으면 덮어씀.
+  save(name, region) {
+    if (!name) {
+      throw new Error('PrefabStore: prefab name is empty');
+    }
+    const prefabs = this.readAll();
+    prefabs[name] = region.toJSON();
+    this.writeAll(prefabs);
+  }
+
+  load(name) {
+    const prefabs = this.readAll();
+    if (!prefabs[name]) {
+      throw new Error(`PrefabStore: no prefab named '${name}'`);
+    }
+    return VoxelRegion.fromJSON(prefabs[name]);
+  }
+
+  remove(name) {
+    const prefabs = this.readAll();
+    delete prefabs[name];
+    this.writeAll(prefabs);
+  }
+}
+
+PrefabStore.defaultKey = 'voxel-prefabs';
+
+export {
+  PrefabStore
+};
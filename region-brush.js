@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * 복셀을 한 번에 여러 개씩 바꿔주는 브러시 도구들을 관리하는 클래스.
+ *
+ * mode에 따라 클릭한 복셀좌표값으로 바꿀 복셀좌표값들의 배열을 만들어 줌.
+ * - voxel: 원래처럼 클릭한 복셀 하나
+ * - box, hollowBox: 두 번 클릭한 점을 양 끝 모서리로 하는 상자 (hollowBox는 겉면만)
+ * - sphere: 두 번 클릭한 점으로 만든 상자 안에 꽉 차는 구(타원체)
+ * - line: 두 번 클릭한 점을 잇는 선
+ * - fill: 클릭한 복셀과 같은 값으로 이어져 있는 복셀들 전부 (3D flood fill). 다른 복셀값으로 바꾸면 replace가 되는 셈.
+ * - select: 두 번 클릭한 점을 양 끝 모서리로 하는 상자를 selection으로 기억해둠. 복셀은 바꾸지 않음. (복사할 영역 고르기)
+ * - paste: 복셀좌표값을 만들지 않음. 붙여넣기는 호출하는 쪽에서 클립보드의 VoxelRegion으로 직접 해줌.
+ *
+ * 두 점이 필요한 도구는 첫 번째 클릭에서 anchor만 기억해두고 null을 리턴하고, 두 번째 클릭에서 좌표값들을 리턴함.
+ * 실제로 복셀을 바꾸고 cell mesh를 다시 만드는 건 호출하는 쪽에서 한꺼번에 해주면 됨. (EditHistory의 액션 하나로 묶어서, cell마다 한 번씩만 다시 만들도록)
+ */
+class RegionBrush {
+  constructor(world, options) {
+    this.world = world;
+    this.floodFillLimit = options.floodFillLimit; // flood fill로 한 번에 바꿀 수 있는 최대 복셀 개수
+    this.mode = 'voxel';
+    this.anchor = null; // 두 점이 필요한 도구에서 첫 번째로 클릭한 복셀좌표값
+    this.selection = null; // select 도구로 고른 상자 ({ min, max }, 양 끝 복셀 포함)
+  }
+
+  setMode(mode) {
+    if (!RegionBrush.modes.includes(mode)) {
+      throw new Error(`RegionBrush: unknown mode '${mode}'`);
+    }
+    this.mode = mode;
+    this.anchor = null; // 도구를 바꾸면 찍어두었던 첫 번째 점은 잊어버림.
+  }
+
+  // 클릭한 복셀좌표값(정수)을 받아서 이번에 바꿀 복셀좌표값들의 배열을 리턴하는 메서드. 두 점이 필요한 도구의 첫 번째 클릭이면 null을 리턴함.
+  getPositions(position) {
+    const {
+      mode
+    } = this;
+    if (mode === 'voxel') {
+      return [position];
+    }
+    if (mode === 'fill') {
+      return RegionBrush.floodFill(this.world, position, this.floodFillLimit);
+    }
+    if (mode === 'paste') {
+      return null;
+    }
+
+    if (!this.anchor) {
+      this.anchor = position;
+      return null;
+    }
+    const anchor = this.anchor;
+    this.anchor = null;
+    if (mode === 'select') {
+      this.selection = RegionBrush.getBounds(anchor, position);
+      return null;
+    }
+    if (mode === 'line') {
+      return RegionBrush.line(anchor, position);
+    }
+    if (mode === 'sphere') {
+      return RegionBrush.sphere(anchor, position);
+    }
+    return RegionBrush.box(anchor, position, mode === 'hollowBox');
+  }
+}
+
+RegionBrush.modes = ['voxel', 'box', 'hollowBox', 'sphere', 'line', 'fill', 'select', 'paste'];
+
+// 두 점을 양 끝 모서리로 하는 상자의 최솟값, 최댓값 모서리를 리턴함.
+RegionBrush.getBounds = function (a, b) {
+  return {
+    min: a.map((v, i) => Math.min(v, b[i])),
+    max: a.map((v, i) => Math.max(v, b[i])),
+  };
+};
+
+// 두 점을 양 끝 모서리로 하는 상자 안의 복셀좌표값들. hollow면 상자의 겉면에 있는 복셀들만 리턴함.
+RegionBrush.box = function (a, b, hollow) {
+  const {
+    min,
+    max
+  } = RegionBrush.getBounds(a, b);
+  const positions = [];
+  for (let y = min[1]; y <= max[1]; y++) {
+    for (let z = min[2]; z <= max[2]; z++) {
+      for (let x = min[0]; x <= max[0]; x++) {
+        const isSurface = x === min[0] || x === max[0] ||
+          y === min[1] || y === max[1] ||
+          z === min[2] || z === max[2];
+        if (!hollow || isSurface) {
+          positions.push([x, y, z]);
+        }
+      }
+    }
+  }
+  return positions;
+};
+
+// 두 점으로 만든 상자 안에 꽉 차는 타원체 안의 복셀좌표값들. 상자가 정육면체면 구가 됨.
+// 각 복셀의 가운데 점이 타원체 안에 들어가는지로 판단함.
+RegionBrush.sphere = function (a, b) {
+  const {
+    min,
+    max
+  } = RegionBrush.getBounds(a, b);
+  const center = min.map((v, i) => (v + max[i] + 1) / 2);
+  const radius = min.map((v, i) => (max[i] - v + 1) / 2);
+  const positions = [];
+  for (let y = min[1]; y <= max[1]; y++) {
+    for (let z = min[2]; z <= max[2]; z++) {
+      for (let x = min[0]; x <= max[0]; x++) {
+        const dx = (x + 0.5 - center[0]) / radius[0];
+        const dy = (y + 0.5 - center[1]) / radius[1];
+        const dz = (z + 0.5 - center[2]) / radius[2];
+        if (dx * dx + dy * dy + dz * dz <= 1) {
+          positions.push([x, y, z]);
+        }
+      }
+    }
+  }
+  return positions;
+};
+
+// 두 점을 잇는 선 위의 복셀좌표값들. 가장 많이 움직이는 축을 기준으로 한 칸씩 나아가면서 나머지 축은 반올림해 줌.
+RegionBrush.line = function (a, b) {
+  const delta = b.map((v, i) => v - a[i]);
+  const steps = Math.max(...delta.map((v) => Math.abs(v)));
+  const positions = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = steps ? i / steps : 0;
+    positions.push(a.map((v, axis) => Math.round(v + delta[axis] * t)));
+  }
+  return positions;
+};
+
+// start 복셀과 같은 복셀값으로 앞, 뒤, 왼, 오, 위, 아래로 이어져 있는 복셀좌표값들을 BFS로 찾아서 리턴함.
+// 복셀 데이터가 없는(아직 안 만들었거나 치워진) cell로는 넘어가지 않고, limit개를 넘어가면 아무것도 바꾸지 않도록 에러를 던짐.
+// 예를 들어 하늘(빈 공간)을 클릭했을 때 끝없이 퍼져나가는 걸 막아주는 안전장치임.
+RegionBrush.floodFill = function (world, start, limit) {
+  const target = world.getVoxel(...start);
+  const visited = {};
+  const positions = [];
+  const queue = [start];
+  visited[start.join(',')] = true;
+
+  for (let head = 0; head < queue.length; head++) {
+    const position = queue[head];
+    positions.push(position);
+    if (positions.length > limit) {
+      throw new Error(`RegionBrush: flood fill stopped after ${limit} voxels`);
+    }
+
+    for (const offset of RegionBrush.neighborOffsets) {
+      const neighbor = position.map((v, i) => v + offset[i]);
+      const key = neighbor.join(',');
+      if (visited[key]) {
+        continue;
+      }
+      visited[key] = true;
+      if (world.getCellForVoxel(...neighbor) && world.getVoxel(...neighbor) === target) {
+        queue.push(neighbor);
+      }
+    }
+  }
+  return positions;
+};
+
+RegionBrush.neighborOffsets = [
+  [-1, 0, 0],
+  [1, 0, 0],
+  [0, -1, 0],
+  [0, 1, 0],
+  [0, 0, -1],
+  [0, 0, 1],
+];
+
+export {
+  RegionBrush
+};
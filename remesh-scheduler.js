@@ -0,0 +1,66 @@
+'use strict';
+
+import {
+  VoxelWorld
+} from './voxel-world.js';
+
+/**
+ * 복셀이 바뀐 cell들의 mesh를 프레임마다 한 번씩 모아서 다시 만들어주는 클래스.
+ *
+ * 원래는 setVoxel()을 호출한 쪽에서 매번 updateVoxelGeometry()를 호출해서 그 자리에서 주변 cell mesh까지 다시 만들었는데,
+ * 스크립트나 큰 붙여넣기처럼 복셀을 한꺼번에 많이 바꾸면 같은 cell을 몇 번씩 다시 만들게 됨.
+ * 이제는 VoxelWorld가 바뀐 cell(dirty cell)을 스스로 모아두니까, 이 클래스는 world의 변경 이벤트를 받으면 다음 프레임을 예약만 해두고,
+ * 렌더할 때 flush()를 한 번 호출하면 그동안 모인 dirty cell과 빛이 바뀐 cell들을 cell마다 한 번씩만 meshCell()에 넘겨줌.
+ *
+ * 지형을 만드는 중인 cell처럼 아직 mesh를 만들 차례가 아닌 cell은 canMeshCell(cellId)이 false를 리턴하면 건너뜀. (ChunkStreamer가 나중에 만들어 줌)
+ */
+class RemeshScheduler {
+  constructor(options) {
+    this.world = options.world;
+    this.lighting = options.lighting; // 빛이 바뀐 cell들도 같이 다시 만들어주려면 VoxelLighting을 넘겨 줌.
+    this.canMeshCell = options.canMeshCell || (() => true);
+    this.meshCell = options.meshCell; // meshCell(cellX, cellY, cellZ)
+    this.requestFrame = options.requestFrame; // 다음 프레임에 flush()가 호출되도록 예약해주는 함수
+
+    this.frameRequested = false;
+    this.onVoxelChange = this.onVoxelChange.bind(this);
+    this.world.addChangeListener(this.onVoxelChange);
+  }
+
+  // 복셀이 수천 개 바뀌어도 다음 프레임은 한 번만 예약함.
+  onVoxelChange() {
+    if (!this.frameRequested) {
+      this.frameRequested = true;
+      this.requestFrame();
+    }
+  }
+
+  // 프레임마다 한 번 호출하는 메서드. 다시 만들어달라고 넘겨준 cell 개수를 리턴함.
+  flush() {
+    this.frameRequested = false;
+    const cellIds = new Set(this.world.takeDirtyCellIds());
+    if (this.lighting) {
+      for (const cellId of this.lighting.takeChangedCellIds()) {
+        cellIds.add(cellId);
+      }
+    }
+
+    let count = 0;
+    for (const cellId of cellIds) {
+      if (this.canMeshCell(cellId)) {
+        const [cellX, cellY, cellZ] = VoxelWorld.parseCellId(cellId);
+        this.meshCell(cellX, cellY, cellZ);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  dispose() {
+    this.world.removeChangeListener(this.onVoxelChange);
+  }
+}
+
+export {
+  RemeshScheduler
+};
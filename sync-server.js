@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * 같이 편집하기(VoxelSyncClient)를 로컬에서 돌려보고 테스트하기 위한 작은 Node WebSocket 중계(relay) 서버.
+ *
+ *   node sync-server.js [port]   (기본 포트 8787)
+ *
+ * 그 다음 브라우저에서 index.html?sync=ws://localhost:8787 로 여러 창을 열면 같은 월드를 같이 편집할 수 있음. (모든 창이 같은 seed, terrain을 써야 함)
+ *
+ * 외부 패키지 없이 Node 내장 모듈만 쓰려고 WebSocket(RFC 6455)의 핸드셰이크와 프레임 읽기/쓰기를 직접 구현함. 바이너리 메시지, ping/pong, close만 지원함.
+ * 서버는 지형은 모르고 편집만 VoxelEditLog에 모아두는데, 서버를 끄면 편집 기록도 사라짐.
+ */
+import {
+  createServer
+} from 'node:http';
+
+import {
+  createHash
+} from 'node:crypto';
+
+import {
+  pathToFileURL
+} from 'node:url';
+
+import {
+  VoxelEditLog,
+  SyncMessage
+} from './voxel-sync.js';
+
+// 클라이언트 하나와의 WebSocket 연결. 소켓에서 들어오는 바이트들을 프레임 단위로 잘라서 메시지가 완성될 때마다 onMessage(ArrayBuffer)를 호출해 줌.
+class WebSocketConnection {
+  constructor(socket, options) {
+    this.socket = socket;
+    this.onMessage = options.onMessage;
+    this.onClose = options.onClose;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = []; // 여러 프레임으로 나뉘어 오는 메시지의 앞 조각들
+    this.closed = false;
+
+    socket.on('data', (data) => {
+      this.buffer = Buffer.concat([this.buffer, data]);
+      this.readFrames();
+    });
+    socket.on('close', () => this.handleClose());
+    socket.on('error', () => this.handleClose());
+  }
+
+  readFrames() {
+    while (!this.closed) {
+      const frame = WebSocketConnection.parseFrame(this.buffer);
+      if (!frame) {
+        return; // 프레임이 아직 다 도착하지 않음.
+      }
+      if (frame.error) {
+        this.close(1009);
+        return;
+      }
+      this.buffer = this.buffer.subarray(frame.length);
+      this.handleFrame(frame);
+    }
+  }
+
+  handleFrame({
+    fin,
+    opcode,
+    payload
+  }) {
+    const {
+      opcodes
+    } = WebSocketConnection;
+    if (opcode === opcodes.close) {
+      this.close(1000);
+      return;
+    }
+    if (opcode === opcodes.ping) {
+      this.sendFrame(opcodes.pong, payload);
+      return;
+    }
+    if (opcode === opcodes.pong) {
+      return;
+    }
+    if (opcode === opcodes.text) {
+      this.close(1003); // 이 서버는 바이너리 메시지만 주고받음.
+      return;
+    }
+
+    this.fragments.push(payload);
+    if (fin) {
+      const message = Buffer.concat(this.fragments);
+      this.fragments = [];
+      this.onMessage(message.buffer.slice(message.byteOffset, message.byteOffset + message.byteLength));
+    }
+  }
+
+  send(arrayBuffer) {
+    this.sendFrame(WebSocketConnection.opcodes.binary, Buffer.from(arrayBuffer));
+  }
+
+  sendFrame(opcode, payload) {
+    if (this.closed) {
+      return;
+    }
+    // 서버가 보내는 프레임은 마스크를 씌우지 않음. 길이가 125 이하면 1바이트, 65535 이하면 2바이트, 그보다 크면 8바이트에 길이를 적음.
+    const length = payload.length;
+    const headerLength = length <= 125 ? 2 : length <= 0xFFFF ? 4 : 10;
+    const header = Buffer.alloc(headerLength);
+    header[0] = 0x80 | opcode; // FIN 비트를 켜서 한 프레임으로 보냄.
+    if (length <= 125) {
+      header[1] = length;
+    } else if (length <= 0xFFFF) {
+      header[1] = 126;
+      header.writeUInt16BE(length, 2);
+    } else {
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  close(code) {
+    if (this.closed) {
+      return;
+    }
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.sendFrame(WebSocketConnection.opcodes.close, payload);
+    this.socket.end();
+    this.handleClose();
+  }
+
+  handleClose() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.onClose();
+  }
+
+  // buffer 맨 앞의 프레임 하나를 읽어서 { fin, opcode, payload, length(프레임 전체 바이트 수) }를 리턴함. 아직 다 안 왔으면 null.
+  static parseFrame(buffer) {
+    if (buffer.length < 2) {
+      return null;
+    }
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+    if (payloadLength === 126) {
+      if (buffer.length < 4) {
+        return null;
+      }
+      payloadLength = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (payloadLength === 127) {
+      if (buffer.length < 10) {
+        return null;
+      }
+      payloadLength = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (payloadLength > WebSocketConnection.maxPayloadLength) {
+      return {
+        error: true
+      };
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + payloadLength) {
+      return null;
+    }
+    const mask = buffer.subarray(offset, offset + maskLength);
+    offset += maskLength;
+    const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength)); // 원본 buffer는 계속 잘라 쓰니까 복사해 둠.
+    if (masked) {
+      // 클라이언트가 보내는 프레임은 항상 4바이트 마스크와 XOR 되어있음.
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i & 3];
+      }
+    }
+    return {
+      fin,
+      opcode,
+      payload,
+      length: offset + payloadLength,
+    };
+  }
+}
+
+WebSocketConnection.opcodes = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xA,
+};
+WebSocketConnection.maxPayloadLength = 16 * 1024 * 1024;
+WebSocketConnection.acceptGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // Sec-WebSocket-Accept를 만들 때 쓰는, 규격에 정해진 값
+
+// 중계 서버를 만들어서 리턴하는 함수. 리턴받은 http 서버의 listen()을 호출해야 연결을 받기 시작함.
+// options.cellSize는 스냅샷을 cell별로 묶을 때 쓰는 크기. 클라이언트의 cellSize와 달라도 됨. (offset을 u16에 담으니까 40 이하여야 함)
+function createSyncServer(options = {}) {
+  const log = new VoxelEditLog(options.cellSize || 32);
+  const connections = new Map(); // clientId -> WebSocketConnection
+  let nextClientId = 1;
+
+  const server = createServer((req, res) => {
+    res.writeHead(426, {
+      'Content-Type': 'text/plain'
+    });
+    res.end('This server only accepts WebSocket connections.\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const accept = createHash('sha1').update(key + WebSocketConnection.acceptGuid).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      '',
+    ].join('\r\n'));
+
+    const clientId = nextClientId++;
+    const connection = new WebSocketConnection(socket, {
+      onMessage(data) {
+        let message;
+        try {
+          message = SyncMessage.decode(data);
+        } catch (error) {
+          connection.close(1007);
+          return;
+        }
+        if (message.type !== SyncMessage.edits) {
+          return;
+        }
+        // 받은 순서가 곧 모든 클라이언트가 적용할 순서. 기록에 남기고 보낸 사람을 포함한 모두에게 보내 줌.
+        for (const {
+            x,
+            y,
+            z,
+            v,
+            state
+          } of message.edits) {
+          log.set(x, y, z, v, state);
+        }
+        const relayed = SyncMessage.encodeEdits(clientId, message.edits);
+        for (const other of connections.values()) {
+          other.send(relayed);
+        }
+      },
+      onClose() {
+        connections.delete(clientId);
+      },
+    });
+    connections.set(clientId, connection);
+    connection.send(SyncMessage.encodeWelcome(clientId));
+    connection.send(SyncMessage.encodeSnapshot(log));
+  });
+
+  server.log = log;
+  server.connections = connections;
+  return server;
+}
+
+// node sync-server.js 로 직접 실행했을 때만 서버를 띄움. (테스트에서 import 할 때는 띄우지 않음)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.argv[2]) || 8787;
+  createSyncServer().listen(port, () => {
+    console.log(`sync server listening on ws://localhost:${port}`);
+  });
+}
+
+export {
+  createSyncServer,
+  WebSocketConnection
+};
@@ -0,0 +1,394 @@
+'use strict';
+
+import {
+  SeededNoise
+} from './noise.js';
+
+/**
+ * cell 단위로 지형을 채워주는 지형 생성기(terrain generator)들.
+ *
+ * 지형 생성기는 generateCell(world, cellX, cellY, cellZ) 메서드 하나만 갖고 있으면 됨.
+ * 이 메서드는 (cellX, cellY, cellZ) 지점의 cell 범위 안에 있는 복셀들만 world.setVoxel()로 채워줘야 하고, 다른 cell은 건드리면 안 됨.
+ * 그래야 ChunkStreamer가 아무 cell이나 아무 순서로 요청해도 cell 경계에서 지형이 어긋나지 않음.
+ * 그러려면 각 복셀의 값이 (시드, x, y, z)만으로 정해지는 순수 함수여야 함. 그래서 Math.random() 대신 시드로 만든 노이즈와 해시만 씀.
+ */
+
+// 원래 main()에 있던 사인 함수 언덕을 지형 생성기로 옮겨놓은 것. 타일은 원래처럼 1 ~ 16 중 아무거나 고르지만, 시드로 만든 해시를 써서 매번 같은 값이 나오게 함.
+class SineHillGenerator {
+  constructor(options) {
+    this.seed = options.seed;
+  }
+
+  generateCell(world, cellX, cellY, cellZ) {
+    const {
+      cellSize
+    } = world;
+    const startX = cellX * cellSize;
+    const startY = cellY * cellSize;
+    const startZ = cellZ * cellSize;
+    if (startY < 0 || startY >= cellSize) {
+      return; // 언덕은 y좌표값 0 ~ cellSize 사이에만 있으니까 그 위, 아래 cell은 빈 공간으로 둠.
+    }
+
+    for (let y = startY; y < startY + cellSize; y++) {
+      for (let z = startZ; z < startZ + cellSize; z++) {
+        for (let x = startX; x < startX + cellSize; x++) {
+          // 사인 함수는 주기 함수라서, 전역 복셀좌표값을 그대로 넣어주면 cell 경계에서 끊기지 않고 언덕이 끝없이 이어짐.
+          const height = (Math.sin(x / cellSize * Math.PI * 2) + Math.sin(z / cellSize * Math.PI * 3)) * (cellSize / 6) + (cellSize / 2);
+          if (y < height) {
+            world.setVoxel(x, y, z, 1 + Math.floor(SeededNoise.hash(this.seed, x, y, z) * 16));
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * 노이즈로 지형을 만드는 지형 생성기.
+ *
+ * 1. 높이값: 여러 겹의 노이즈(fbm)로 만든 완만한 언덕에, 드문드문 솟아오르는 산 노이즈를 더해서 각 (x, z) 기둥(column)의 높이를 정함.
+ * 2. 바이옴(biome): 온도, 습도 노이즈와 높이값으로 기둥마다 평원 / 숲 / 사막 / 산 중 하나를 고르고, 바이옴에 따라 겉흙(surface), 속흙(subsurface) 블록을 다르게 씀.
+ * 3. 동굴: 3D 노이즈 값이 caveThreshold보다 큰 곳은 땅속이라도 비워 둠.
+ * 4. 광물: 돌 속에 해시값으로 광물 블록을 흩뿌림.
+ * 5. 장식: 바이옴에 따라 나무, 선인장, 호박을 해시값으로 흩뿌림. 나무는 잎이 옆 기둥까지 퍼지니까, cell 가장자리 바깥 몇 칸의 기둥까지 같이 계산해서 넘어오는 잎도 채워줌.
+ */
+class NoiseTerrainGenerator {
+  constructor(options) {
+    const seed = options.seed >>> 0;
+    this.seed = seed;
+    this.seaLevel = options.seaLevel !== undefined ? options.seaLevel : 20; // 이 높이보다 낮은 빈 공간은 물로 채움.
+    this.baseHeight = options.baseHeight !== undefined ? options.baseHeight : 24; // 평지의 평균 높이
+    this.caveThreshold = options.caveThreshold !== undefined ? options.caveThreshold : 0.3;
+    this.blocks = Object.assign({}, NoiseTerrainGenerator.defaultBlocks, options.blocks);
+
+    // 용도마다 시드를 조금씩 바꿔서 서로 다른 노이즈를 만들어 줌. (같은 노이즈를 쓰면 높이와 바이옴이 똑같은 모양으로 겹쳐버림)
+    this.heightNoise = new SeededNoise(seed);
+    this.mountainNoise = new SeededNoise(seed + 1);
+    this.temperatureNoise = new SeededNoise(seed + 2);
+    this.moistureNoise = new SeededNoise(seed + 3);
+    this.caveNoise = new SeededNoise(seed + 4);
+  }
+
+  // (x, z) 기둥의 높이값(이 높이 바로 아래까지 땅이 있음)과 바이옴을 리턴하는 메서드
+  getColumn(x, z) {
+    const {
+      baseHeight
+    } = this;
+    const hills = this.heightNoise.fbm2D(x / 96, z / 96, 4) * 10;
+    const mountain = Math.max(0, this.mountainNoise.fbm2D(x / 256, z / 256, 3) - 0.15) * 120;
+    const height = Math.floor(baseHeight + hills + mountain);
+
+    let biome;
+    if (height > baseHeight + 22) {
+      biome = NoiseTerrainGenerator.biomes.mountains;
+    } else {
+      const temperature = this.temperatureNoise.noise2D(x / 300, z / 300);
+      const moisture = this.moistureNoise.noise2D(x / 250, z / 250);
+      if (temperature > 0.15 && moisture < 0) {
+        biome = NoiseTerrainGenerator.biomes.desert;
+      } else if (moisture > 0.1) {
+        biome = NoiseTerrainGenerator.biomes.forest;
+      } else {
+        biome = NoiseTerrainGenerator.biomes.plains;
+      }
+    }
+
+    return {
+      height,
+      biome
+    };
+  }
+
+  // 높이값이 height인 기둥에서 y 높이에 있는 복셀값을 리턴하는 메서드. 장식(나무 등)은 제외한 지형만 계산함.
+  // cave는 해당 지점의 동굴 노이즈 값. (sampleCaves()로 미리 구해둔 값을 넘겨줌)
+  getTerrainVoxel(x, y, z, height, biome, cave) {
+    const {
+      blocks,
+      seaLevel
+    } = this;
+    if (y >= height) {
+      return y < seaLevel ? blocks.water : 0;
+    }
+
+    const depth = height - 1 - y; // 지표면에서 몇 칸 아래인지. 0이면 지표면
+    // 지표면 바로 아래는 뚫지 않아야 동굴 때문에 물이 새거나 땅에 구멍이 숭숭 나지 않음.
+    if (depth > 4 && cave > this.caveThreshold) {
+      return 0;
+    }
+
+    if (depth === 0) {
+      if (height - 1 < seaLevel) {
+        return blocks.sand; // 물 밑바닥은 바이옴과 상관없이 모래
+      }
+      return y >= biome.snowLine ? blocks[biome.snow] : blocks[biome.surface];
+    }
+    if (depth <= 3) {
+      return blocks[biome.subsurface];
+    }
+
+    const {
+      ores
+    } = NoiseTerrainGenerator;
+    for (let i = 0; i < ores.length; i++) {
+      // 광물마다 시드를 바꿔서 해시를 구해야, 한 광물이 나온 자리에 다른 광물도 항상 같이 나오는 일이 없음.
+      if (SeededNoise.hash(this.seed + 10 + i, x, y, z) < ores[i].chance) {
+        return blocks[ores[i].block];
+      }
+    }
+    return blocks.stone;
+  }
+
+  // 시작점이 (startX, startY, startZ)인 cell의 동굴 노이즈 값을 리턴해주는 함수를 만드는 메서드.
+  // 3D 노이즈를 복셀마다 계산하면 cell 하나에 32768번이나 계산해야 해서 너무 느림.
+  // 그래서 전역 좌표값 기준으로 caveStep칸마다 한 번씩만 계산해두고, 그 사이의 복셀들은 주변 8개의 값을 삼선형 보간(trilinear interpolation)해서 구함.
+  // 샘플 지점이 cell이 아니라 전역 좌표값에 맞춰져 있으니까, 이웃 cell에서 계산해도 경계에서 같은 값이 나옴.
+  sampleCaves(startX, startY, startZ, cellSize) {
+    const step = NoiseTerrainGenerator.caveStep;
+    const count = cellSize / step + 1;
+    const samples = new Float32Array(count * count * count);
+    for (let k = 0; k < count; k++) {
+      for (let j = 0; j < count; j++) {
+        for (let i = 0; i < count; i++) {
+          const x = startX + i * step;
+          const y = startY + j * step;
+          const z = startZ + k * step;
+          samples[(k * count + j) * count + i] = this.caveNoise.fbm3D(x / 32, y / 20, z / 32, 2);
+        }
+      }
+    }
+
+    const {
+      lerp
+    } = SeededNoise;
+    return (x, y, z) => {
+      const fx = (x - startX) / step;
+      const fy = (y - startY) / step;
+      const fz = (z - startZ) / step;
+      const i = Math.min(Math.floor(fx), count - 2);
+      const j = Math.min(Math.floor(fy), count - 2);
+      const k = Math.min(Math.floor(fz), count - 2);
+      const tx = fx - i;
+      const ty = fy - j;
+      const tz = fz - k;
+      const at = (di, dj, dk) => samples[((k + dk) * count + j + dj) * count + i + di];
+      return lerp(
+        lerp(lerp(at(0, 0, 0), at(1, 0, 0), tx), lerp(at(0, 1, 0), at(1, 1, 0), tx), ty),
+        lerp(lerp(at(0, 0, 1), at(1, 0, 1), tx), lerp(at(0, 1, 1), at(1, 1, 1), tx), ty),
+        tz
+      );
+    };
+  }
+
+  // (x, z) 기둥에 장식이 있다면 어떤 장식인지 리턴하는 메서드. 없으면 null
+  getDecoration(x, z, height, biome) {
+    if (height < this.seaLevel) {
+      return null; // 물 속에는 장식을 놓지 않음.
+    }
+
+    const roll = SeededNoise.hash(this.seed + 5, x, 0, z);
+    let chanceSum = 0;
+    for (const decoration of biome.decorations) {
+      chanceSum += decoration.chance;
+      if (roll < chanceSum) {
+        return decoration;
+      }
+    }
+    return null;
+  }
+
+  generateCell(world, cellX, cellY, cellZ) {
+    const {
+      cellSize
+    } = world;
+    const startX = cellX * cellSize;
+    const startY = cellY * cellSize;
+    const startZ = cellZ * cellSize;
+    const endY = startY + cellSize;
+
+    // cell 범위에서 바깥쪽으로 margin칸까지의 기둥들의 높이값과 바이옴을 미리 계산해 둠. 바깥쪽 기둥은 옆 cell로 넘어오는 나뭇잎을 그리는 데 필요함.
+    const margin = NoiseTerrainGenerator.treeRadius;
+    const size = cellSize + margin * 2;
+    const columns = new Array(size * size);
+    let maxHeight = -Infinity;
+    for (let z = 0; z < size; z++) {
+      for (let x = 0; x < size; x++) {
+        const column = this.getColumn(startX + x - margin, startZ + z - margin);
+        columns[z * size + x] = column;
+        maxHeight = Math.max(maxHeight, column.height);
+      }
+    }
+
+    // cell 전체가 지표면과 장식보다 높고 물 높이보다도 높으면 빈 공간이니까 setVoxel을 한 번도 호출하지 않음. (형식화배열도 안 만들어지니 메모리도 아낌)
+    if (startY >= maxHeight + NoiseTerrainGenerator.maxDecorationHeight && startY >= this.seaLevel) {
+      return;
+    }
+
+    // 1. 지형
+    const getCave = this.sampleCaves(startX, startY, startZ, cellSize);
+    for (let z = 0; z < cellSize; z++) {
+      for (let x = 0; x < cellSize; x++) {
+        const {
+          height,
+          biome
+        } = columns[(z + margin) * size + x + margin];
+        const voxelX = startX + x;
+        const voxelZ = startZ + z;
+        const top = Math.min(endY, Math.max(height, this.seaLevel));
+        for (let y = startY; y < top; y++) {
+          const voxel = this.getTerrainVoxel(voxelX, y, voxelZ, height, biome, getCave(voxelX, y, voxelZ));
+          if (voxel) {
+            world.setVoxel(voxelX, y, voxelZ, voxel);
+          }
+        }
+      }
+    }
+
+    // 2. 장식. 빈 공간(0)인 곳에만 채워서 지형이나 다른 장식을 덮어쓰지 않음.
+    const setIfEmpty = (x, y, z, v) => {
+      if (
+        x >= startX && x < startX + cellSize &&
+        y >= startY && y < endY &&
+        z >= startZ && z < startZ + cellSize &&
+        !world.getVoxel(x, y, z)
+      ) {
+        world.setVoxel(x, y, z, v);
+      }
+    };
+
+    const {
+      blocks
+    } = this;
+    for (let z = 0; z < size; z++) {
+      for (let x = 0; x < size; x++) {
+        const {
+          height,
+          biome
+        } = columns[z * size + x];
+        const voxelX = startX + x - margin;
+        const voxelZ = startZ + z - margin;
+        const decoration = this.getDecoration(voxelX, voxelZ, height, biome);
+        if (!decoration || height >= endY + margin || height + NoiseTerrainGenerator.maxDecorationHeight < startY) {
+          continue;
+        }
+
+        // 장식의 크기도 해시로 정하니까 같은 기둥이면 어느 cell에서 계산해도 같은 크기가 나옴.
+        const sizeRoll = SeededNoise.hash(this.seed + 6, voxelX, 0, voxelZ);
+        if (decoration.kind === 'tree') {
+          const trunkHeight = 4 + Math.floor(sizeRoll * 3);
+          const top = height + trunkHeight;
+          for (let y = height; y < top; y++) {
+            setIfEmpty(voxelX, y, voxelZ, blocks.log);
+          }
+          // 줄기 꼭대기 주변으로 아래 두 층은 5*5, 위 두 층은 3*3 크기의 잎을 씌워 줌.
+          for (let y = top - 2; y < top + 2; y++) {
+            const r = y < top ? 2 : 1;
+            for (let dz = -r; dz <= r; dz++) {
+              for (let dx = -r; dx <= r; dx++) {
+                if (Math.abs(dx) === r && Math.abs(dz) === r && y !== top - 1) {
+                  continue; // 모서리는 깎아서 둥그스름하게 만들어 줌.
+                }
+                setIfEmpty(voxelX + dx, y, voxelZ + dz, blocks.leaves);
+              }
+            }
+          }
+        } else if (decoration.kind === 'column') {
+          const columnHeight = 1 + Math.floor(sizeRoll * decoration.maxHeight);
+          for (let y = height; y < height + columnHeight; y++) {
+            setIfEmpty(voxelX, y, voxelZ, blocks[decoration.block]);
+          }
+        }
+      }
+    }
+  }
+}
+
+// 지형 생성기가 쓰는 블록 이름과 복셀값(텍스처 아틀라스에서 몇 번째 타일인지 + 1). options.blocks로 일부만 바꿔줄 수도 있음.
+NoiseTerrainGenerator.defaultBlocks = {
+  pumpkin: 1,
+  sand: 3,
+  stone: 4,
+  mossyStone: 5,
+  dirt: 7,
+  log: 10,
+  cactus: 11,
+  leaves: 12,
+  water: 13,
+  grass: 14,
+  gravel: 15,
+};
+
+// 바이옴별 겉흙, 속흙 블록과 흩뿌릴 장식들. snowLine 높이 이상의 지표면은 snow 블록으로 덮음.
+// 장식의 kind가 'tree'면 나무, 'column'이면 block을 1 ~ maxHeight칸 쌓은 기둥.
+NoiseTerrainGenerator.biomes = {
+  plains: {
+    name: 'plains',
+    surface: 'grass',
+    subsurface: 'dirt',
+    snow: 'grass',
+    snowLine: Infinity,
+    decorations: [{
+        kind: 'column',
+        block: 'pumpkin',
+        maxHeight: 1,
+        chance: 0.004
+      },
+      {
+        kind: 'tree',
+        chance: 0.003
+      },
+    ],
+  },
+  forest: {
+    name: 'forest',
+    surface: 'grass',
+    subsurface: 'dirt',
+    snow: 'grass',
+    snowLine: Infinity,
+    decorations: [{
+      kind: 'tree',
+      chance: 0.03
+    }, ],
+  },
+  desert: {
+    name: 'desert',
+    surface: 'sand',
+    subsurface: 'sand',
+    snow: 'sand',
+    snowLine: Infinity,
+    decorations: [{
+      kind: 'column',
+      block: 'cactus',
+      maxHeight: 3,
+      chance: 0.008
+    }, ],
+  },
+  mountains: {
+    name: 'mountains',
+    surface: 'mossyStone',
+    subsurface: 'stone',
+    snow: 'stone', // 아틀라스에 눈 타일이 따로 없어서, snowLine 위로는 이끼 없는 맨 바위가 드러나게 함. (물은 흘러내리고 모래, 자갈은 무너지니까 쓰면 안 됨)
+    snowLine: 64,
+    decorations: [],
+  },
+};
+
+// 돌 속에 흩뿌릴 광물들. chance는 돌 한 칸이 해당 광물이 될 확률
+NoiseTerrainGenerator.ores = [{
+    block: 'gravel',
+    chance: 0.02
+  },
+  {
+    block: 'mossyStone',
+    chance: 0.008
+  },
+];
+
+NoiseTerrainGenerator.caveStep = 4; // 동굴 노이즈를 몇 칸마다 한 번씩 계산할건지. cellSize가 이 값으로 나누어 떨어져야 함.
+NoiseTerrainGenerator.treeRadius = 2; // 나뭇잎이 줄기에서 옆으로 몇 칸까지 퍼지는지
+NoiseTerrainGenerator.maxDecorationHeight = 8; // 장식이 지표면에서 위로 최대 몇 칸까지 올라가는지 (줄기 최대 6칸 + 잎 2칸)
+
+export {
+  SineHillGenerator,
+  NoiseTerrainGenerator
+};
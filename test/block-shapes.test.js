@@ -0,0 +1,78 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  BlockShape
+} from '../block-shapes.js';
+
+// 상태값마다 6개의 면(왼, 오, 아래, 위, 뒤, 앞)을 덮는지를 '0'/'1' 문자열로 만들어 줌.
+function coverage(shape, state) {
+  return BlockShape.faceDirs.map((dir, faceIndex) => shape.coversFace(faceIndex, state) ? '1' : '0').join('');
+}
+
+describe('BlockShape', () => {
+  it('treats only the cube as a full block', () => {
+    const {
+      cube,
+      slab,
+      stairs,
+      cross
+    } = BlockShape.shapes;
+    assert.equal(cube.full, true);
+    assert.equal(slab.full, false);
+    assert.equal(stairs.full, false);
+    assert.equal(cross.full, false);
+    assert.equal(coverage(cross, 0), '000000');
+  });
+
+  it('covers the bottom face of a bottom slab and the top face of a top slab', () => {
+    const {
+      slab
+    } = BlockShape.shapes;
+    assert.equal(coverage(slab, 0), '001000');
+    assert.equal(coverage(slab, 1), '000100');
+  });
+
+  it('rotates stairs so the high side faces the state direction', () => {
+    const {
+      stairs
+    } = BlockShape.shapes;
+    assert.equal(coverage(stairs, 0), '001010'); // 뒤
+    assert.equal(coverage(stairs, 1), '011000'); // 오른쪽
+    assert.equal(coverage(stairs, 2), '001001'); // 앞
+    assert.equal(coverage(stairs, 3), '101000'); // 왼쪽
+    assert.deepEqual(BlockShape.rotateBox([[0, 0.5, 0], [1, 1, 0.5]], 4), [[0, 0.5, 0], [1, 1, 0.5]]);
+  });
+
+  it('hides the inner faces where the stairs boxes touch', () => {
+    const {
+      stairs
+    } = BlockShape.shapes;
+    assert.equal(stairs.isBoxFaceCovered(0, 1, 2), true); // 위쪽 상자의 아랫면
+    assert.equal(stairs.isBoxFaceCovered(0, 0, 3), false); // 아래쪽 상자의 윗면은 절반만 덮임
+  });
+
+  it('picks placement states from the hit and the view direction', () => {
+    const {
+      slab,
+      stairs
+    } = BlockShape.shapes;
+    assert.equal(slab.getPlacementState({
+      normal: [0, -1, 0],
+      position: [0.5, 3, 0.5],
+    }), 1);
+    assert.equal(slab.getPlacementState({
+      normal: [1, 0, 0],
+      position: [2, 4.75, 0.5],
+    }), 1);
+    assert.equal(slab.getPlacementState({
+      normal: [1, 0, 0],
+      position: [2, -4.75, 0.5],
+    }), 0);
+    assert.equal(stairs.getPlacementState(null, [0.2, -0.5, 0.9]), 2);
+    assert.equal(stairs.getPlacementState(null, [-0.9, 0, 0.1]), 3);
+  });
+});
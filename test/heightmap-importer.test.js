@@ -0,0 +1,135 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  VoxelWorld
+} from '../voxel-world.js';
+import {
+  HeightmapImporter
+} from '../heightmap-importer.js';
+
+function createWorld() {
+  return new VoxelWorld({
+    cellSize: 8,
+    tileSize: 16,
+    tileTextureWidth: 256,
+    tileTextureHeight: 64,
+  });
+}
+
+// ImageData처럼 생긴 이미지를 만들어 줌. pixels는 줄마다 [r, g, b, a] 배열들.
+function createImage(pixels) {
+  return {
+    width: pixels[0].length,
+    height: pixels.length,
+    data: new Uint8ClampedArray(pixels.flat(2)),
+  };
+}
+
+function gray(v) {
+  return [v, v, v, 255];
+}
+
+function blockId(world, name) {
+  return world.blocks.getByName(name).id;
+}
+
+describe('HeightmapImporter', () => {
+  it('turns brightness into column height above the base level', () => {
+    const world = createWorld();
+    const importer = new HeightmapImporter({
+      scale: 10,
+      baseLevel: -2,
+      origin: [3, -1],
+    });
+    importer.importInto(world, createImage([
+      [gray(0), gray(255)],
+      [gray(128), [0, 0, 0, 0]],
+    ]));
+
+    const columnTop = (x, z) => {
+      let top = null;
+      for (let y = -5; y <= 12; y++) {
+        if (world.getVoxel(x, y, z)) {
+          top = y;
+        }
+      }
+      return top;
+    };
+    assert.equal(columnTop(3, -1), -2);
+    assert.equal(columnTop(4, -1), 8);
+    assert.equal(columnTop(3, 0), 3);
+    assert.equal(columnTop(4, 0), null); // 투명한 픽셀
+    assert.equal(world.getVoxel(4, -3, -1), 0);
+  });
+
+  it('layers surface, subsurface and fill blocks by height band', () => {
+    const world = createWorld();
+    new HeightmapImporter({
+      scale: 20,
+      surfaceDepth: 2,
+    }).importInto(world, createImage([
+      [gray(10), gray(100)],
+    ]));
+    assert.equal(world.getVoxel(0, 1, 0), blockId(world, 'sand'));
+    assert.equal(world.getVoxel(1, 8, 0), blockId(world, 'grass'));
+    assert.equal(world.getVoxel(1, 7, 0), blockId(world, 'dirt'));
+    assert.equal(world.getVoxel(1, 6, 0), blockId(world, 'cobblestone'));
+    assert.equal(world.getVoxel(1, 0, 0), blockId(world, 'cobblestone'));
+  });
+
+  it('picks the surface block with the nearest color from the color map', () => {
+    const world = createWorld();
+    const importer = new HeightmapImporter({
+      scale: 4,
+      blockColors: [{
+        id: blockId(world, 'grass'),
+        color: [40, 160, 40],
+      }, {
+        id: blockId(world, 'sand'),
+        color: [220, 200, 120],
+      }],
+    });
+    // 색 지도가 높이맵보다 작으면 늘려서 읽음.
+    importer.importInto(world, createImage([
+      [gray(255), gray(255), gray(255), gray(255)],
+    ]), createImage([
+      [[60, 140, 30, 255], [250, 210, 100, 255]],
+    ]));
+    assert.equal(world.getVoxel(1, 4, 0), blockId(world, 'grass'));
+    assert.equal(world.getVoxel(2, 4, 0), blockId(world, 'sand'));
+  });
+
+  it('clears voxels above the columns and creates every covered cell', () => {
+    const world = createWorld();
+    world.setVoxel(0, 6, 0, 1);
+    const cellIds = new HeightmapImporter({
+      scale: 9,
+      origin: [-1, 0],
+    }).importInto(world, createImage([
+      [gray(0), gray(0)],
+    ]));
+    assert.equal(world.getVoxel(0, 6, 0), 0);
+    assert.deepEqual(cellIds.sort(), ['-1, 0, 0', '-1, 1, 0', '0, 0, 0', '0, 1, 0']);
+    for (const cellId of cellIds) {
+      assert.ok(world.cells[cellId]);
+    }
+  });
+
+  it('rejects unknown blocks and invalid images', () => {
+    const world = createWorld();
+    assert.throws(() => new HeightmapImporter({
+      fill: 'bedrock',
+    }).importInto(world, createImage([
+      [gray(0)],
+    ])), /unknown block 'bedrock'/);
+    assert.throws(() => new HeightmapImporter().importInto(world, {
+      width: 2,
+      height: 2,
+      data: new Uint8ClampedArray(4),
+    }), /invalid heightmap/);
+  });
+});
@@ -0,0 +1,52 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Hotbar
+} from '../hotbar.js';
+
+describe('Hotbar', () => {
+  it('fills the first slots with the given voxels', () => {
+    const hotbar = new Hotbar({
+      voxels: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    });
+    assert.deepEqual(hotbar.slots, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.equal(hotbar.selectedVoxel, 1);
+    assert.deepEqual(new Hotbar({
+      size: 3,
+      voxels: [4],
+    }).slots, [4, 0, 0]);
+  });
+
+  it('wraps around when scrolling past either end', () => {
+    const hotbar = new Hotbar({
+      size: 3,
+      voxels: [1, 2, 3],
+    });
+    hotbar.scroll(-100);
+    assert.equal(hotbar.selectedIndex, 2);
+    hotbar.scroll(53);
+    assert.equal(hotbar.selectedIndex, 0);
+    assert.throws(() => hotbar.select(3), /invalid slot/);
+  });
+
+  it('picks an existing slot or assigns the voxel to the selected one', () => {
+    const changes = [];
+    const hotbar = new Hotbar({
+      size: 3,
+      voxels: [1, 2],
+      onChange: (changed) => changes.push(changed.selectedVoxel),
+    });
+    hotbar.pick(2);
+    assert.equal(hotbar.selectedIndex, 1);
+    hotbar.select(2);
+    hotbar.pick(7);
+    assert.deepEqual(hotbar.slots, [1, 2, 7]);
+    hotbar.assign(0);
+    assert.equal(hotbar.selectedVoxel, 0);
+    assert.deepEqual(changes, [2, 0, 7, 0]);
+  });
+});
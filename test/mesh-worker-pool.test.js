@@ -0,0 +1,84 @@
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MeshWorkerPool
+} from '../mesh-worker-pool.js';
+
+// Node에는 Worker가 없으니까, 받은 메시지를 모아두기만 하고 결과나 에러는 테스트에서 직접 보내주는 가짜 워커를 씀.
+class FakeWorker extends EventTarget {
+  constructor() {
+    super();
+    this.messages = [];
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  reply(data) {
+    const event = new Event('message');
+    event.data = data;
+    this.dispatchEvent(event);
+  }
+
+  fail() {
+    this.dispatchEvent(new Event('error'));
+  }
+}
+
+describe('MeshWorkerPool', () => {
+  let originalWorker;
+  let originalConsoleError;
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    originalWorker = globalThis.Worker;
+    originalConsoleError = console.error;
+    globalThis.Worker = FakeWorker;
+    console.error = () => {};
+  });
+  afterEach(() => {
+    globalThis.Worker = originalWorker;
+    console.error = originalConsoleError;
+  });
+
+  function job(key) {
+    return () => ({
+      message: key,
+      transfer: [],
+    });
+  }
+
+  it('schedules the failed job again on another worker', () => {
+    const pool = new MeshWorkerPool({
+      url: 'mesh-worker.js',
+      workerCount: 1,
+    });
+    const [worker] = FakeWorker.instances;
+    const results = [];
+    pool.schedule('a', job('a'), (data) => results.push(data));
+    worker.fail();
+    assert.deepEqual(worker.messages, ['a', 'a']);
+    worker.reply('done');
+    assert.deepEqual(results, ['done']);
+  });
+
+  it('does not add a worker to the idle list twice when it fails before getting a job', () => {
+    const pool = new MeshWorkerPool({
+      url: 'mesh-worker.js',
+      workerCount: 1,
+    });
+    const [worker] = FakeWorker.instances;
+    worker.fail();
+    assert.equal(pool.idleWorkers.length, 1);
+    pool.schedule('a', job('a'), () => {});
+    pool.schedule('b', job('b'), () => {});
+    assert.deepEqual(worker.messages, ['a']);
+  });
+});
@@ -0,0 +1,90 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  VoxelWorld
+} from '../voxel-world.js';
+
+import {
+  RemeshScheduler
+} from '../remesh-scheduler.js';
+
+function createScheduler(options = {}) {
+  const world = new VoxelWorld({
+    cellSize: 4,
+    tileSize: 16,
+    tileTextureWidth: 256,
+    tileTextureHeight: 64,
+  });
+  const meshed = [];
+  let frames = 0;
+  const scheduler = new RemeshScheduler({
+    world,
+    meshCell: (cellX, cellY, cellZ) => meshed.push(`${cellX}, ${cellY}, ${cellZ}`),
+    requestFrame: () => frames++,
+    ...options,
+  });
+  return {
+    world,
+    scheduler,
+    meshed,
+    frames: () => frames,
+  };
+}
+
+describe('RemeshScheduler', () => {
+  it('requests one frame and remeshes each dirty cell once for a bulk edit', () => {
+    const {
+      world,
+      scheduler,
+      meshed,
+      frames
+    } = createScheduler();
+    for (let x = 1; x < 7; x++) {
+      for (let z = 1; z < 3; z++) {
+        world.setVoxel(x, 1, z, 1);
+      }
+    }
+    assert.equal(frames(), 1);
+    assert.equal(scheduler.flush(), 2);
+    assert.deepEqual(meshed.sort(), ['0, 0, 0', '1, 0, 0']);
+
+    assert.equal(scheduler.flush(), 0);
+    world.setVoxel(1, 1, 1, 2);
+    assert.equal(frames(), 2);
+  });
+
+  it('merges cells whose light changed and skips cells it may not mesh yet', () => {
+    const lighting = {
+      changedCellIds: ['0, 0, 0', '5, 0, 0'],
+      takeChangedCellIds() {
+        return this.changedCellIds.splice(0);
+      },
+    };
+    const {
+      world,
+      scheduler,
+      meshed
+    } = createScheduler({
+      lighting,
+      canMeshCell: (cellId) => cellId !== '5, 0, 0',
+    });
+    world.setVoxel(1, 1, 1, 1);
+    scheduler.flush();
+    assert.deepEqual(meshed, ['0, 0, 0']);
+  });
+
+  it('stops listening after dispose()', () => {
+    const {
+      world,
+      scheduler,
+      frames
+    } = createScheduler();
+    scheduler.dispose();
+    world.setVoxel(1, 1, 1, 1);
+    assert.equal(frames(), 0);
+  });
+});
@@ -0,0 +1,70 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  VoxelWorld
+} from '../voxel-world.js';
+import {
+  NoiseTerrainGenerator
+} from '../terrain-generators.js';
+import {
+  BlockRegistry
+} from '../blocks.js';
+
+// seed로 만든 생성기로 cells의 [cellX, cellY, cellZ]들을 순서대로 만들고, cellId마다 복셀값 배열을 모아서 리턴함.
+function generate(seed, cells) {
+  const world = new VoxelWorld({
+    cellSize: 16,
+    tileSize: 16,
+    tileTextureWidth: 256,
+    tileTextureHeight: 64,
+  });
+  const generator = new NoiseTerrainGenerator({
+    seed
+  });
+  for (const [cellX, cellY, cellZ] of cells) {
+    generator.generateCell(world, cellX, cellY, cellZ);
+  }
+  const voxels = {};
+  for (const cellId of Object.keys(world.cells).sort()) {
+    voxels[cellId] = world.cells[cellId].toArray();
+  }
+  return voxels;
+}
+
+describe('NoiseTerrainGenerator', () => {
+  const cells = [
+    [0, 1, 0],
+    [1, 1, 0],
+    [0, 0, -1],
+    [-1, 2, 1],
+  ];
+
+  // 같은 seed면 cell을 만드는 순서와 상관없이 항상 같은 월드가 나와야 함. (ChunkStreamer는 카메라 위치에 따라 순서를 바꿔서 만듦)
+  it('generates the same voxels for the same seed in any order', () => {
+    const voxels = generate(7, cells);
+    assert.ok(Object.keys(voxels).length > 0);
+    assert.deepEqual(generate(7, [...cells].reverse()), voxels);
+  });
+
+  it('generates different voxels for a different seed', () => {
+    assert.notDeepEqual(generate(8, cells), generate(7, cells));
+  });
+
+  // 사막의 모래처럼 밑이 파이면 무너지는 건 괜찮지만, 액체로 덮으면 주변을 건드릴 때마다 원천이 되어 흘러내림.
+  it('covers every biome with solid, opaque, non-liquid blocks', () => {
+    const blocks = new BlockRegistry(BlockRegistry.defaultDefinitions);
+    for (const biome of Object.values(NoiseTerrainGenerator.biomes)) {
+      for (const key of ['surface', 'subsurface', 'snow']) {
+        const block = blocks.get(NoiseTerrainGenerator.defaultBlocks[biome[key]]);
+        assert.ok(block, `${biome.name}.${key}`);
+        assert.equal(block.solid, true, `${biome.name}.${key}`);
+        assert.equal(block.transparent, false, `${biome.name}.${key}`);
+        assert.notEqual(block.physics, 'liquid', `${biome.name}.${key}`);
+      }
+    }
+  });
+});
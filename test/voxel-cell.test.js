@@ -0,0 +1,135 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  VoxelCell
+} from '../voxel-cell.js';
+
+import {
+  VoxelWorld
+} from '../voxel-world.js';
+
+const size = 4 * 4 * 4;
+
+// 같은 값을 넣은 평범한 배열과 비교하면서 cell에 값을 넣어주는 함수
+function fill(cell, expected, values) {
+  values.forEach((v, offset) => {
+    assert.equal(cell.set(offset, v), expected[offset]);
+    expected[offset] = v;
+  });
+}
+
+describe('VoxelCell', () => {
+  it('starts uniform without allocating voxel data', () => {
+    const cell = new VoxelCell(size);
+    assert.equal(cell.bits, 0);
+    assert.equal(cell.byteLength, 0);
+    assert.equal(cell.get(10), 0);
+  });
+
+  it('grows the palette as more voxel ids are added', () => {
+    const cell = new VoxelCell(size);
+    const expected = new Uint8Array(size);
+    fill(cell, expected, [1]);
+    assert.equal(cell.bits, 1);
+    fill(cell, expected, [1, 2, 3]);
+    assert.equal(cell.bits, 2);
+    fill(cell, expected, [1, 2, 3, 4, 5, 6]);
+    assert.equal(cell.bits, 4);
+    fill(cell, expected, Array.from({
+      length: 20
+    }, (v, i) => i + 1));
+    assert.equal(cell.bits, 8);
+    assert.deepEqual(cell.toArray(), expected);
+  });
+
+  it('keeps every value readable at every palette width', () => {
+    const cell = new VoxelCell(size);
+    const expected = new Uint8Array(size);
+    for (let kinds = 2; kinds <= 20; kinds++) {
+      fill(cell, expected, Array.from({
+        length: size
+      }, (v, i) => (i * 7) % kinds));
+      for (let i = 0; i < size; i++) {
+        assert.equal(cell.get(i), expected[i]);
+      }
+    }
+  });
+
+  it('becomes uniform again when the last different voxel is cleared', () => {
+    for (const kinds of [2, 5, 20]) {
+      const cell = new VoxelCell(size);
+      const expected = new Uint8Array(size);
+      fill(cell, expected, Array.from({
+        length: kinds
+      }, (v, i) => i + 1));
+      assert.notEqual(cell.bits, 0);
+      fill(cell, expected, new Array(kinds).fill(0));
+      assert.equal(cell.bits, 0);
+      assert.equal(cell.value, 0);
+      assert.equal(cell.byteLength, 0);
+    }
+  });
+
+  it('picks the smallest storage in fromArray', () => {
+    assert.equal(VoxelCell.fromArray(new Uint8Array(size).fill(3)).bits, 0);
+    const values = new Uint8Array(size);
+    values[5] = 9;
+    const palette = VoxelCell.fromArray(values);
+    assert.equal(palette.bits, 1);
+    assert.equal(palette.byteLength, size / 8);
+    assert.deepEqual(palette.toArray(), values);
+  });
+
+  it('survives a toState / fromState round trip', () => {
+    const cell = new VoxelCell(size);
+    const expected = new Uint8Array(size);
+    fill(cell, expected, [0, 4, 4, 7, 1]);
+    const copy = VoxelCell.fromState(structuredClone(cell.toState()));
+    assert.deepEqual(copy.toArray(), expected);
+  });
+});
+
+describe('VoxelWorld.getMemoryStats', () => {
+  it('counts uniform, palette and empty cells', () => {
+    const world = new VoxelWorld({
+      cellSize: 4,
+      tileSize: 16,
+      tileTextureWidth: 256,
+      tileTextureHeight: 64,
+    });
+    world.setVoxel(0, 0, 0, 1);
+    world.addCellForVoxel(8, 0, 0);
+    const stats = world.getMemoryStats();
+    assert.equal(stats.cells, 2);
+    assert.equal(stats.paletteCells, 1);
+    assert.equal(stats.emptyCells, 1);
+    assert.equal(stats.bytes, size / 8);
+    assert.equal(stats.uncompressedBytes, size * 2);
+  });
+
+  it('frees cells that become empty and does not create cells for air', () => {
+    const world = new VoxelWorld({
+      cellSize: 4,
+      tileSize: 16,
+      tileTextureWidth: 256,
+      tileTextureHeight: 64,
+    });
+    world.setVoxel(0, 0, 0, 1);
+    world.setVoxel(4, 0, 0, 2, 3);
+    world.takeDirtyCellIds();
+    world.setVoxel(4, 0, 0, 0);
+    assert.equal(world.cells['1, 0, 0'], undefined);
+    assert.equal(world.states['1, 0, 0'], undefined);
+    assert.ok(world.takeDirtyCellIds().includes('1, 0, 0')); // 예전 mesh를 치울 수 있도록 dirty로 표시함.
+
+    world.setVoxel(8, 0, 0, 0);
+    assert.equal(world.cells['2, 0, 0'], undefined);
+    const stats = world.getMemoryStats();
+    assert.equal(stats.cells, 1);
+    assert.equal(stats.emptyCells, 0);
+  });
+});
@@ -0,0 +1,115 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  VoxelWorld
+} from '../voxel-world.js';
+import {
+  VoxelLighting
+} from '../voxel-lighting.js';
+
+// cellSize가 작아야 빛이 cell 경계를 넘어가는 경우를 확인하기 쉬움.
+function createWorld() {
+  const world = new VoxelWorld({
+    cellSize: 4,
+    tileSize: 16,
+    tileTextureWidth: 256,
+    tileTextureHeight: 64,
+  });
+  const lighting = new VoxelLighting(world);
+  return {
+    world,
+    lighting
+  };
+}
+
+function blockId(world, name) {
+  return world.blocks.getByName(name).id;
+}
+
+function sunlight(world, x, y, z) {
+  return world.getLight(x, y, z) >> VoxelLighting.sunShift & 15;
+}
+
+function blockLight(world, x, y, z) {
+  return world.getLight(x, y, z) >> VoxelLighting.blockShift & 15;
+}
+
+// cell (0, 0, 0)의 맨 윗층(y = 3)을 전부 cobblestone으로 덮어 줌.
+function addRoof(world) {
+  for (let z = 0; z < 4; z++) {
+    for (let x = 0; x < 4; x++) {
+      world.setVoxel(x, 3, z, blockId(world, 'cobblestone'));
+    }
+  }
+}
+
+describe('VoxelLighting', () => {
+  it('sends full sunlight straight down through the cells below the sky', () => {
+    const {
+      world,
+      lighting
+    } = createWorld();
+    world.setVoxel(1, 2, 1, blockId(world, 'cobblestone'));
+    lighting.computeCellLight(0, 1, 0);
+    lighting.computeCellLight(0, 0, 0);
+    assert.equal(sunlight(world, 0, 7, 0), 15);
+    assert.equal(sunlight(world, 0, 0, 0), 15);
+    assert.equal(sunlight(world, 1, 3, 1), 15);
+    assert.equal(sunlight(world, 1, 2, 1), 0); // 빛을 막는 블록 자체
+    assert.equal(sunlight(world, 1, 1, 1), 14); // 바로 위는 막혔고 옆에서 한 칸 들어온 빛
+  });
+
+  it('keeps sunlight out from under an opaque roof', () => {
+    const {
+      world,
+      lighting
+    } = createWorld();
+    addRoof(world);
+    lighting.computeCellLight(0, 0, 0);
+    assert.equal(sunlight(world, 1, 2, 1), 0);
+    assert.equal(sunlight(world, 0, 0, 0), 0);
+  });
+
+  it('lowers torch light by one per step across a cell border', () => {
+    const {
+      world,
+      lighting
+    } = createWorld();
+    world.setVoxel(3, 1, 1, blockId(world, 'jack-o-lantern'));
+    lighting.computeCellLight(0, 0, 0);
+    lighting.computeCellLight(1, 0, 0);
+    assert.equal(blockLight(world, 3, 1, 1), 14);
+    assert.equal(blockLight(world, 4, 1, 1), 13);
+    assert.equal(blockLight(world, 6, 1, 1), 11);
+    assert.equal(blockLight(world, 6, 2, 1), 10);
+  });
+
+  it('removes torch light and lets sunlight back in when voxels are removed', () => {
+    const {
+      world,
+      lighting
+    } = createWorld();
+    addRoof(world);
+    world.setVoxel(2, 1, 1, blockId(world, 'jack-o-lantern'));
+    lighting.computeCellLight(0, 0, 0);
+    world.lighting = lighting; // 이제부터 setVoxel()이 updateVoxel()로 빛을 갱신해 줌.
+    assert.equal(blockLight(world, 0, 0, 1), 11);
+
+    world.setVoxel(2, 1, 1, 0);
+    assert.equal(blockLight(world, 2, 1, 1), 0);
+    assert.equal(blockLight(world, 1, 1, 1), 0);
+    assert.equal(blockLight(world, 0, 0, 1), 0);
+
+    world.setVoxel(1, 3, 1, 0); // 지붕에 구멍을 뚫음.
+    assert.equal(sunlight(world, 1, 0, 1), 15);
+    assert.equal(sunlight(world, 0, 0, 1), 14);
+
+    world.setVoxel(1, 3, 1, blockId(world, 'cobblestone')); // 다시 막음.
+    assert.equal(sunlight(world, 1, 0, 1), 0);
+    assert.equal(sunlight(world, 0, 0, 1), 0);
+  });
+});
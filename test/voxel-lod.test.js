@@ -0,0 +1,115 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  VoxelWorld
+} from '../voxel-world.js';
+
+import {
+  VoxelLod
+} from '../voxel-lod.js';
+
+function createWorld() {
+  return new VoxelWorld({
+    cellSize: 4,
+    tileSize: 16,
+    tileTextureWidth: 256,
+    tileTextureHeight: 64,
+  });
+}
+
+// (x, y, z)에서 시작하는 size * size * size 크기의 상자를 v로 채워주는 함수
+function fillBox(world, [x, y, z], size, v) {
+  for (let dy = 0; dy < size; dy++) {
+    for (let dz = 0; dz < size; dz++) {
+      for (let dx = 0; dx < size; dx++) {
+        world.setVoxel(x + dx, y + dy, z + dz, v);
+      }
+    }
+  }
+}
+
+describe('VoxelLod.downsampleVoxels', () => {
+  it('picks the dominant block of each group', () => {
+    const world = createWorld();
+    fillBox(world, [0, 0, 0], 2, 1);
+    world.setVoxel(0, 0, 0, 2);
+    world.setVoxel(1, 0, 0, 2);
+    world.setVoxel(0, 1, 0, 2);
+    world.setVoxel(1, 1, 0, 2);
+    world.setVoxel(0, 0, 1, 2);
+    const values = VoxelLod.downsampleVoxels(world.cells['0, 0, 0'].toArray(), 4, 2);
+    assert.equal(values.length, 8);
+    assert.equal(values[0], 2); // 2가 5개, 1이 3개
+  });
+
+  it('keeps a group empty when air is the majority', () => {
+    const world = createWorld();
+    for (const [x, y, z] of [[0, 0, 0], [1, 0, 0], [0, 0, 1], [1, 0, 1], [2, 0, 0], [3, 0, 0], [2, 1, 0]]) {
+      world.setVoxel(x, y, z, 3);
+    }
+    const values = VoxelLod.downsampleVoxels(world.cells['0, 0, 0'].toArray(), 4, 2);
+    assert.equal(values[0], 3); // 8개 중 4개로 절반이 채워짐.
+    assert.equal(values[1], 0); // 3개뿐이라 절반이 안 됨.
+  });
+});
+
+describe('VoxelLod.downsampleLights', () => {
+  it('keeps the brightest sunlight and block light separately', () => {
+    const lights = new Uint8Array(4 * 4 * 4);
+    lights[0] = 0xF0;
+    lights[1] = 0x07;
+    lights[4] = 0x3A;
+    const result = VoxelLod.downsampleLights(lights, 4, 2);
+    assert.equal(result[0], 0xFA);
+    assert.equal(result[1], 0);
+  });
+});
+
+describe('VoxelLod.createLodWorld', () => {
+  it('keeps the state of a voxel of the dominant block', () => {
+    const world = createWorld();
+    const stairs = world.blocks.getByName('cobblestone stairs').id;
+    fillBox(world, [0, 0, 0], 2, stairs);
+    world.setVoxel(0, 0, 0, 1);
+    world.setVoxel(1, 0, 0, stairs, 3);
+    world.setVoxel(2, 0, 0, stairs, 2); // 빈 공간이 더 많은 그룹
+    const lodWorld = VoxelLod.createLodWorld(world, 2);
+    assert.equal(lodWorld.getVoxel(0, 0, 0), stairs);
+    assert.equal(lodWorld.getVoxelState(0, 0, 0), 3);
+    assert.equal(lodWorld.getVoxelState(1, 0, 0), 0);
+  });
+});
+
+describe('VoxelLod.generateGeometryDataForCell', () => {
+  it('builds one scaled cube for a full group of voxels', () => {
+    const world = createWorld();
+    fillBox(world, [0, 0, 0], 2, 1);
+    const {
+      opaque
+    } = VoxelLod.generateGeometryDataForCell(world, 0, 0, 0, 2);
+    assert.equal(opaque.indices.length / 6, 6);
+    const coordinates = new Set(opaque.positions);
+    assert.deepEqual([...coordinates].sort(), [0, 2]);
+  });
+
+  it('uses fewer faces than full detail for a noisy cell', () => {
+    const world = createWorld();
+    for (let y = 0; y < 4; y++) {
+      for (let z = 0; z < 4; z++) {
+        for (let x = 0; x < 4; x++) {
+          if ((x + y + z) % 3) {
+            world.setVoxel(x, y, z, 1 + (x + z) % 4);
+          }
+        }
+      }
+    }
+    const full = VoxelLod.generateGeometryDataForCell(world, 0, 0, 0, 1);
+    const coarse = VoxelLod.generateGeometryDataForCell(world, 0, 0, 0, 2);
+    assert.ok(coarse.opaque.indices.length < full.opaque.indices.length);
+    assert.ok(Math.max(...coarse.opaque.positions) <= 4);
+  });
+});
@@ -0,0 +1,78 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  VoxelWorld
+} from '../voxel-world.js';
+import {
+  VoxelRegion
+} from '../voxel-region.js';
+
+function createWorld() {
+  return new VoxelWorld({
+    cellSize: 4,
+    tileSize: 16,
+    tileTextureWidth: 256,
+    tileTextureHeight: 64,
+  });
+}
+
+describe('VoxelRegion', () => {
+  it('copies voxel states from the world', () => {
+    const world = createWorld();
+    const stairs = world.blocks.getByName('cobblestone stairs').id;
+    world.setVoxel(-1, 2, 3, stairs, 2);
+    const region = VoxelRegion.fromWorld(world, {
+      min: [-2, 2, 3],
+      max: [0, 2, 3],
+    });
+    assert.equal(region.getVoxel(1, 0, 0), stairs);
+    assert.equal(region.getVoxelState(1, 0, 0), 2);
+  });
+
+  it('turns stairs with the region when rotating and mirroring', () => {
+    const world = createWorld();
+    const stairs = world.blocks.getByName('cobblestone stairs').id;
+    const slab = world.blocks.getByName('cobblestone slab').id;
+    const region = new VoxelRegion([2, 1, 1]);
+    region.setVoxel(0, 0, 0, stairs, 0); // 높은 쪽이 뒤(-z)
+    region.setVoxel(1, 0, 0, slab, 1); // 위쪽 반 블록
+
+    const rotated = region.rotateY(world.blocks);
+    assert.deepEqual(rotated.size, [1, 1, 2]);
+    assert.equal(rotated.getVoxelState(0, 0, 0), 1); // 오른쪽(+x)
+    assert.equal(rotated.getVoxelState(0, 0, 1), 1); // 반 블록은 그대로
+    assert.equal(rotated.rotateY(world.blocks).rotateY(world.blocks).rotateY(world.blocks).getVoxelState(0, 0, 0), 0);
+
+    const turned = new VoxelRegion([1, 1, 1]);
+    turned.setVoxel(0, 0, 0, stairs, 1);
+    assert.equal(turned.mirrorX(world.blocks).getVoxelState(0, 0, 0), 3);
+    const mirrored = region.mirrorX(world.blocks);
+    assert.equal(mirrored.getVoxel(1, 0, 0), stairs);
+    assert.equal(mirrored.getVoxelState(1, 0, 0), 0);
+    assert.equal(mirrored.getVoxelState(0, 0, 0), 1);
+  });
+
+  it('round-trips voxels and states through JSON and reads prefabs without states', () => {
+    const region = new VoxelRegion([3, 2, 1]);
+    region.setVoxel(0, 0, 0, 19, 3);
+    region.setVoxel(2, 1, 0, 5);
+    const loaded = VoxelRegion.fromJSON(JSON.parse(JSON.stringify(region)));
+    assert.deepEqual(loaded.voxels, region.voxels);
+    assert.deepEqual(loaded.states, region.states);
+
+    const {
+      size,
+      data
+    } = region.toJSON();
+    const old = VoxelRegion.fromJSON({
+      size,
+      data
+    });
+    assert.deepEqual(old.voxels, region.voxels);
+    assert.equal(old.getVoxelState(0, 0, 0), 0);
+  });
+});
@@ -0,0 +1,171 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  VoxelWorld
+} from '../voxel-world.js';
+import {
+  VoxelSimulation
+} from '../voxel-simulation.js';
+
+function createWorld() {
+  return new VoxelWorld({
+    cellSize: 8,
+    tileSize: 16,
+    tileTextureWidth: 256,
+    tileTextureHeight: 64,
+  });
+}
+
+// 기본 블록들 중에서 이름으로 복셀값을 찾아 줌.
+function blockId(world, name) {
+  return world.blocks.getByName(name).id;
+}
+
+// 활성 복셀이 없어질 때까지 tick을 돌리고, 돌린 tick 개수를 리턴함.
+function settle(simulation, maxTicks = 200) {
+  let ticks = 0;
+  while (simulation.activeCount && ticks < maxTicks) {
+    simulation.tick();
+    ticks++;
+  }
+  assert.equal(simulation.activeCount, 0, 'simulation did not settle');
+  return ticks;
+}
+
+describe('VoxelSimulation', () => {
+  it('drops sand one voxel per tick until something supports it', () => {
+    const world = createWorld();
+    const simulation = new VoxelSimulation(world);
+    const sand = blockId(world, 'sand');
+    world.setVoxel(0, 0, 0, 1);
+    world.setVoxel(0, 3, 0, sand);
+
+    simulation.tick();
+    assert.equal(world.getVoxel(0, 3, 0), 0);
+    assert.equal(world.getVoxel(0, 2, 0), sand);
+    settle(simulation);
+    assert.equal(world.getVoxel(0, 1, 0), sand);
+    assert.equal(world.getVoxel(0, 2, 0), 0);
+  });
+
+  it('swaps falling sand with the water below it', () => {
+    const world = createWorld();
+    const simulation = new VoxelSimulation(world);
+    const sand = blockId(world, 'sand');
+    const water = blockId(world, 'water');
+    simulation.withoutActivation(() => {
+      world.setVoxel(0, 0, 0, 1);
+      world.setVoxel(0, 1, 0, water);
+    });
+    world.setVoxel(0, 2, 0, sand);
+    simulation.tick();
+    assert.equal(world.getVoxel(0, 1, 0), sand);
+    assert.equal(world.getVoxel(0, 2, 0), water);
+  });
+
+  it('spreads water sideways with increasing levels up to the limit', () => {
+    const world = createWorld();
+    const simulation = new VoxelSimulation(world);
+    const water = blockId(world, 'water');
+    simulation.withoutActivation(() => {
+      for (let x = -10; x <= 10; x++) {
+        for (let z = -10; z <= 10; z++) {
+          world.setVoxel(x, 0, z, 1);
+        }
+      }
+    });
+    world.setVoxel(0, 1, 0, water);
+    settle(simulation);
+
+    const {
+      maxLiquidLevel
+    } = VoxelSimulation;
+    for (let x = 1; x <= maxLiquidLevel; x++) {
+      assert.equal(world.getVoxel(x, 1, 0), water);
+      assert.equal(world.getVoxelState(x, 1, 0), x);
+      assert.equal(world.getVoxelState(-x, 1, 0), x);
+    }
+    assert.equal(world.getVoxel(maxLiquidLevel + 1, 1, 0), 0);
+    assert.equal(world.getVoxelState(0, 1, 0), 0);
+  });
+
+  it('falls before spreading and dries up when the source is removed', () => {
+    const world = createWorld();
+    const simulation = new VoxelSimulation(world);
+    const water = blockId(world, 'water');
+    simulation.withoutActivation(() => {
+      for (let x = -10; x <= 10; x++) {
+        for (let z = -10; z <= 10; z++) {
+          world.setVoxel(x, 0, z, 1);
+        }
+      }
+    });
+    world.setVoxel(0, 4, 0, water);
+    simulation.tick();
+    assert.equal(world.getVoxel(0, 3, 0), water);
+    assert.equal(world.getVoxelState(0, 3, 0), 1);
+    assert.equal(world.getVoxel(1, 4, 0), 0);
+    settle(simulation);
+    assert.equal(world.getVoxel(3, 1, 0), water);
+
+    world.setVoxel(0, 4, 0, 0);
+    settle(simulation);
+    for (let y = 1; y <= 3; y++) {
+      for (let x = -10; x <= 10; x++) {
+        assert.equal(world.getVoxel(x, y, 0), 0, `${x}, ${y}`);
+      }
+    }
+  });
+
+  it('does not move into cells that are not ready', () => {
+    const world = createWorld();
+    const simulation = new VoxelSimulation(world, {
+      isCellReady: (cellId) => cellId !== '0, -1, 0',
+    });
+    world.setVoxel(0, 0, 0, blockId(world, 'sand'));
+    settle(simulation);
+    assert.equal(world.getVoxel(0, 0, 0), blockId(world, 'sand'));
+  });
+
+  it('runs ticks at a fixed rate scaled by speed and can be paused and stepped', () => {
+    const world = createWorld();
+    const simulation = new VoxelSimulation(world, {
+      tickRate: 10,
+    });
+    assert.equal(simulation.advance(0.25), 2);
+    assert.equal(simulation.advance(0.06), 1);
+    simulation.speed = 2;
+    assert.equal(simulation.advance(0.1), 2);
+    assert.equal(simulation.advance(100), VoxelSimulation.maxTicksPerAdvance);
+    assert.equal(simulation.advance(0.01), 0);
+
+    simulation.paused = true;
+    world.setVoxel(0, 5, 0, blockId(world, 'sand'));
+    assert.equal(simulation.advance(1), 0);
+    assert.equal(world.getVoxel(0, 5, 0), blockId(world, 'sand'));
+    simulation.step();
+    assert.equal(world.getVoxel(0, 4, 0), blockId(world, 'sand'));
+  });
+
+  it('only activates simulated voxels next to a change', () => {
+    const world = createWorld();
+    const simulation = new VoxelSimulation(world);
+    const sand = blockId(world, 'sand');
+    simulation.withoutActivation(() => {
+      world.setVoxel(0, 0, 0, 1);
+      world.setVoxel(0, 1, 0, sand);
+      world.setVoxel(5, 1, 0, sand);
+    });
+    assert.equal(simulation.activeCount, 0);
+
+    world.setVoxel(0, 0, 0, 0);
+    assert.equal(simulation.activeCount, 1);
+    simulation.dispose();
+    world.setVoxel(5, 0, 0, 2);
+    assert.equal(simulation.activeCount, 1);
+  });
+});
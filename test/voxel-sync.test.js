@@ -0,0 +1,374 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  connect
+} from 'node:net';
+import {
+  randomBytes
+} from 'node:crypto';
+
+import {
+  VoxelEditLog,
+  SyncMessage,
+  VoxelSyncClient
+} from '../voxel-sync.js';
+
+import {
+  VoxelWorld
+} from '../voxel-world.js';
+
+import {
+  createSyncServer,
+  WebSocketConnection
+} from '../sync-server.js';
+
+function createWorld() {
+  return new VoxelWorld({
+    cellSize: 4,
+    tileSize: 16,
+    tileTextureWidth: 256,
+    tileTextureHeight: 64,
+  });
+}
+
+// 브라우저의 WebSocket 대신 쓰는 가짜 소켓. 보낸 메시지는 sent에 쌓이고, emit()으로 이벤트를 흉내낼 수 있음.
+class FakeSocket {
+  constructor() {
+    this.listeners = {};
+    this.sent = [];
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  emit(type, event = {}) {
+    for (const listener of this.listeners[type] || []) {
+      listener(event);
+    }
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+}
+
+// sync-server.js와 같은 규칙(받은 순서대로 모두에게 되돌려 줌)으로 가짜 소켓들 사이를 이어주는 중계 서버
+class FakeRelay {
+  constructor() {
+    this.log = new VoxelEditLog(8);
+    this.sockets = [];
+  }
+
+  join(client) {
+    const socket = new FakeSocket();
+    client.createSocket = () => socket;
+    client.connect('ws://fake');
+    socket.emit('open');
+    this.sockets.push(socket);
+    socket.emit('message', {
+      data: SyncMessage.encodeWelcome(this.sockets.length),
+    });
+    socket.emit('message', {
+      data: SyncMessage.encodeSnapshot(this.log),
+    });
+    return socket;
+  }
+
+  // 소켓들이 보낸 메시지를 sockets 순서대로 하나씩 모두에게 전달함.
+  flush(order = this.sockets.map((socket, i) => i)) {
+    for (const i of order) {
+      const socket = this.sockets[i];
+      for (const data of socket.sent.splice(0)) {
+        const {
+          edits
+        } = SyncMessage.decode(data);
+        edits.forEach(({
+          x,
+          y,
+          z,
+          v
+        }) => this.log.set(x, y, z, v));
+        const relayed = SyncMessage.encodeEdits(i + 1, edits);
+        for (const other of this.sockets) {
+          other.emit('message', {
+            data: relayed,
+          });
+        }
+      }
+    }
+  }
+}
+
+function createClient(world, remoteChanges = []) {
+  return new VoxelSyncClient(world, {
+    isCellReady: () => true,
+    onRemoteChanges: (changes) => remoteChanges.push(...changes),
+  });
+}
+
+describe('SyncMessage', () => {
+  it('round-trips edits with negative coordinates', () => {
+    const edits = [{
+      x: -5,
+      y: 3,
+      z: 100000,
+      v: 7,
+      state: 3
+    }, {
+      x: 0,
+      y: -1,
+      z: 0,
+      v: 0,
+      state: 0
+    }];
+    const buffer = SyncMessage.encodeEdits(3, edits);
+    assert.equal(buffer.byteLength, 7 + 14 * edits.length);
+    assert.deepEqual(SyncMessage.decode(buffer), {
+      type: SyncMessage.edits,
+      senderId: 3,
+      edits,
+    });
+  });
+
+  it('round-trips a snapshot grouped by cell', () => {
+    const log = new VoxelEditLog(4);
+    log.set(1, 2, 3, 5);
+    log.set(-1, -1, -1, 2);
+    log.set(1, 2, 3, 6, 2);
+    assert.equal(log.editCount, 2);
+
+    const {
+      type,
+      log: decoded
+    } = SyncMessage.decode(SyncMessage.encodeSnapshot(log));
+    assert.equal(type, SyncMessage.snapshot);
+    assert.equal(decoded.cellSize, 4);
+    const edits = [];
+    for (const cellId of Object.keys(decoded.cells)) {
+      decoded.forEachInCell(cellId, (x, y, z, v, state) => edits.push([x, y, z, v, state]));
+    }
+    assert.deepEqual(edits.sort(), [[-1, -1, -1, 2, 0], [1, 2, 3, 6, 2]].sort());
+  });
+
+  it('rejects truncated and unknown messages', () => {
+    const buffer = SyncMessage.encodeEdits(1, [{
+      x: 1,
+      y: 2,
+      z: 3,
+      v: 4
+    }]);
+    assert.throws(() => SyncMessage.decode(buffer.slice(0, 10)), /too short/);
+    assert.throws(() => SyncMessage.decode(new Uint8Array([9]).buffer), /unknown message type/);
+    assert.throws(() => SyncMessage.decode(new ArrayBuffer(0)), /empty/);
+  });
+});
+
+describe('VoxelSyncClient', () => {
+  it('applies the snapshot on join and reports the changed voxels', () => {
+    const relay = new FakeRelay();
+    relay.log.set(2, 2, 2, 4);
+    relay.log.set(-9, 0, 0, 1);
+    const world = createWorld();
+    const remoteChanges = [];
+    relay.join(createClient(world, remoteChanges));
+    assert.equal(world.getVoxel(2, 2, 2), 4);
+    assert.equal(world.getVoxel(-9, 0, 0), 1);
+    assert.equal(remoteChanges.length, 2);
+  });
+
+  it('converges when two clients edit the same voxel concurrently', () => {
+    const relay = new FakeRelay();
+    const worlds = [createWorld(), createWorld()];
+    const clients = worlds.map((world) => createClient(world));
+    clients.forEach((client) => relay.join(client));
+
+    worlds[0].setVoxel(1, 1, 1, 3);
+    clients[0].sendChanges([{
+      x: 1,
+      y: 1,
+      z: 1
+    }]);
+    worlds[1].setVoxel(1, 1, 1, 5);
+    clients[1].sendChanges([{
+      x: 1,
+      y: 1,
+      z: 1
+    }]);
+
+    // 서버가 두 번째 클라이언트의 편집을 먼저 받았다고 치면, 모두 첫 번째 클라이언트의 값으로 맞춰져야 함.
+    relay.flush([1, 0]);
+    assert.equal(worlds[0].getVoxel(1, 1, 1), 3);
+    assert.equal(worlds[1].getVoxel(1, 1, 1), 3);
+    assert.deepEqual(clients[0].pending, {});
+    assert.deepEqual(clients[1].pending, {});
+  });
+
+  it('does not overwrite a voxel that has an unacknowledged local edit', () => {
+    const relay = new FakeRelay();
+    const worlds = [createWorld(), createWorld()];
+    const remoteChanges = [];
+    const clients = [createClient(worlds[0], remoteChanges), createClient(worlds[1])];
+    clients.forEach((client) => relay.join(client));
+
+    worlds[0].setVoxel(0, 0, 0, 2);
+    clients[0].sendChanges([{
+      x: 0,
+      y: 0,
+      z: 0
+    }]);
+    worlds[1].setVoxel(0, 0, 0, 6);
+    clients[1].sendChanges([{
+      x: 0,
+      y: 0,
+      z: 0
+    }]);
+
+    relay.flush([1]); // 다른 사람의 편집만 먼저 도착함.
+    assert.equal(worlds[0].getVoxel(0, 0, 0), 2);
+    assert.equal(remoteChanges.length, 0);
+    relay.flush([0]);
+    assert.equal(worlds[1].getVoxel(0, 0, 0), 2);
+  });
+
+  it('keeps edits for cells that are not generated yet until applyCell()', () => {
+    const relay = new FakeRelay();
+    relay.log.set(20, 0, 0, 9);
+    const world = createWorld();
+    const client = new VoxelSyncClient(world, {
+      isCellReady: () => false,
+      onRemoteChanges: () => {},
+    });
+    relay.join(client);
+    assert.equal(world.getCellForVoxel(20, 0, 0), undefined);
+
+    client.applyCell(5, 0, 0);
+    assert.equal(world.getVoxel(20, 0, 0), 9);
+  });
+});
+
+// sync-server.js에 진짜 TCP 연결로 접속해서 핸드셰이크를 하고, 클라이언트처럼 마스크를 씌운 프레임을 주고받는 작은 WebSocket 클라이언트
+function openWebSocket(port) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(port, '127.0.0.1');
+    const messages = [];
+    const waiters = [];
+    let buffer = Buffer.alloc(0);
+    let upgraded = false;
+
+    socket.on('error', reject);
+    socket.on('connect', () => {
+      socket.write([
+        'GET / HTTP/1.1',
+        `Host: 127.0.0.1:${port}`,
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Key: ${randomBytes(16).toString('base64')}`,
+        'Sec-WebSocket-Version: 13',
+        '',
+        '',
+      ].join('\r\n'));
+    });
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      if (!upgraded) {
+        const end = buffer.indexOf('\r\n\r\n');
+        if (end < 0) {
+          return;
+        }
+        assert.match(buffer.subarray(0, end).toString(), /^HTTP\/1\.1 101/);
+        buffer = buffer.subarray(end + 4);
+        upgraded = true;
+        resolve(client);
+      }
+      let frame;
+      while ((frame = WebSocketConnection.parseFrame(buffer))) {
+        buffer = buffer.subarray(frame.length);
+        const {
+          payload
+        } = frame;
+        messages.push(SyncMessage.decode(payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.length)));
+      }
+      resolveWaiters();
+    });
+
+    function resolveWaiters() {
+      while (waiters.length && messages.length >= waiters[0].count) {
+        const waiter = waiters.shift();
+        waiter.resolve(messages.splice(0, waiter.count));
+      }
+    }
+
+    const client = {
+      // count개의 메시지가 도착할 때까지 기다렸다가 그 메시지들을 리턴함.
+      receive(count) {
+        return new Promise((resolveMessages) => {
+          waiters.push({
+            count,
+            resolve: resolveMessages,
+          });
+          resolveWaiters();
+        });
+      },
+      send(arrayBuffer) {
+        const payload = Buffer.from(arrayBuffer);
+        const mask = randomBytes(4);
+        const masked = payload.map((v, i) => v ^ mask[i & 3]);
+        socket.write(Buffer.concat([Buffer.from([0x82, 0x80 | payload.length]), mask, masked]));
+      },
+      close() {
+        socket.destroy();
+      },
+    };
+  });
+}
+
+describe('sync-server', () => {
+  it('sends a snapshot on join and relays edits to every client', async () => {
+    const server = createSyncServer({
+      cellSize: 8,
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const {
+      port
+    } = server.address();
+    try {
+      const first = await openWebSocket(port);
+      const [welcome, snapshot] = await first.receive(2);
+      assert.equal(welcome.type, SyncMessage.welcome);
+      assert.equal(snapshot.type, SyncMessage.snapshot);
+      assert.equal(snapshot.log.editCount, 0);
+
+      first.send(SyncMessage.encodeEdits(0, [{
+        x: -3,
+        y: 4,
+        z: 5,
+        v: 2
+      }]));
+      const [echo] = await first.receive(1);
+      assert.equal(echo.senderId, welcome.clientId);
+      assert.deepEqual(echo.edits, [{
+        x: -3,
+        y: 4,
+        z: 5,
+        v: 2,
+        state: 0
+      }]);
+
+      const second = await openWebSocket(port);
+      const [secondWelcome, secondSnapshot] = await second.receive(2);
+      assert.notEqual(secondWelcome.clientId, welcome.clientId);
+      const edits = [];
+      secondSnapshot.log.forEachInCell('-1, 0, 0', (x, y, z, v) => edits.push([x, y, z, v]));
+      assert.deepEqual(edits, [[-3, 4, 5, 2]]);
+
+      first.close();
+      second.close();
+    } finally {
+      server.close();
+    }
+  });
+});
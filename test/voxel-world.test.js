@@ -0,0 +1,424 @@
+import {
+  describe,
+  it
+} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  VoxelWorld
+} from '../voxel-world.js';
+
+// 테스트마다 새로 만들어서 쓰는 작은 월드. cellSize를 작게 잡아야 cell 경계를 넘나드는 경우를 확인하기 쉬움.
+function createWorld(options = {}) {
+  return new VoxelWorld({
+    cellSize: 4,
+    tileSize: 16,
+    tileTextureWidth: 256,
+    tileTextureHeight: 64,
+    ...options,
+  });
+}
+
+// 버텍스 데이터에서 사각형 면 개수를 셈. 면 하나는 삼각형 2개, 즉 인덱스 6개.
+function countQuads(data) {
+  return data.indices.length / 6;
+}
+
+// x, y, z만 있으면 되니까 THREE.Vector3 대신 평범한 객체를 넘김.
+function point(x, y, z) {
+  return {
+    x,
+    y,
+    z
+  };
+}
+
+describe('VoxelWorld coordinates', () => {
+  it('computes cell ids with floor division for negative coordinates', () => {
+    const world = createWorld();
+    assert.equal(world.computeCellId(0, 0, 0), '0, 0, 0');
+    assert.equal(world.computeCellId(3, 3, 3), '0, 0, 0');
+    assert.equal(world.computeCellId(4, 0, 0), '1, 0, 0');
+    assert.equal(world.computeCellId(-1, 0, 0), '-1, 0, 0');
+    assert.equal(world.computeCellId(-4, -5, 0), '-1, -2, 0');
+  });
+
+  it('wraps voxel offsets into the cell for negative coordinates', () => {
+    const world = createWorld();
+    assert.equal(world.computeVoxelOffset(0, 0, 0), 0);
+    assert.equal(world.computeVoxelOffset(1, 2, 3), 2 * 16 + 3 * 4 + 1);
+    assert.equal(world.computeVoxelOffset(-1, 0, 0), 3);
+    assert.equal(world.computeVoxelOffset(-1, -1, -1), 3 * 16 + 3 * 4 + 3);
+    assert.equal(world.computeVoxelOffset(5, 4, 4), world.computeVoxelOffset(1, 0, 0));
+  });
+
+  it('parses the cell ids it creates', () => {
+    const world = createWorld();
+    assert.deepEqual(VoxelWorld.parseCellId(world.computeCellId(-9, 4, 13)), [-3, 1, 3]);
+  });
+});
+
+describe('VoxelWorld edits', () => {
+  it('reads back voxels set on both sides of the origin', () => {
+    const world = createWorld();
+    const positions = [
+      [0, 0, 0],
+      [-1, 0, 0],
+      [3, 4, -5],
+      [-8, -8, -8],
+    ];
+    positions.forEach(([x, y, z], i) => world.setVoxel(x, y, z, i + 1));
+    positions.forEach(([x, y, z], i) => assert.equal(world.getVoxel(x, y, z), i + 1));
+    assert.equal(Object.keys(world.cells).length, 4);
+    assert.equal(world.getVoxel(1, 0, 0), 0);
+  });
+
+  it('clears a voxel by setting it back to 0', () => {
+    const world = createWorld();
+    world.setVoxel(2, 2, 2, 7);
+    world.setVoxel(2, 2, 2, 0);
+    assert.equal(world.getVoxel(2, 2, 2), 0);
+  });
+
+  it('returns 0 for cells that do not exist without creating them', () => {
+    const world = createWorld();
+    assert.equal(world.getVoxel(100, 100, 100), 0);
+    assert.equal(world.getCellForVoxel(100, 100, 100), undefined);
+    assert.deepEqual(Object.keys(world.cells), []);
+  });
+
+  it('round-trips through serialize and deserialize', () => {
+    const world = createWorld();
+    world.setVoxel(0, 0, 0, 1);
+    world.setVoxel(-3, 5, 2, 12);
+    world.setVoxel(7, -1, -9, 3);
+
+    const loaded = createWorld();
+    loaded.deserialize(world.serialize());
+    assert.deepEqual(Object.keys(loaded.cells).sort(), Object.keys(world.cells).sort());
+    for (const cellId of Object.keys(world.cells)) {
+      assert.deepEqual(loaded.cells[cellId].toArray(), world.cells[cellId].toArray());
+    }
+  });
+
+  it('keeps voxel states through serialize and deserialize', () => {
+    const world = createWorld();
+    const stairs = world.blocks.getByName('cobblestone stairs').id;
+    world.setVoxel(1, 0, 0, stairs, 3);
+    world.setVoxel(-2, 0, 0, stairs);
+    assert.equal(world.getVoxelState(1, 0, 0), 3);
+    assert.equal(world.getVoxelState(-2, 0, 0), 0);
+
+    const loaded = createWorld();
+    loaded.deserialize(world.serialize());
+    assert.equal(loaded.getVoxel(1, 0, 0), stairs);
+    assert.equal(loaded.getVoxelState(1, 0, 0), 3);
+  });
+
+  it('rejects buffers that are not world files', () => {
+    const world = createWorld();
+    assert.throws(() => world.deserialize(new ArrayBuffer(64)), /not a voxel world file/);
+  });
+});
+
+describe('VoxelWorld change tracking', () => {
+  it('emits a change event only when the value actually changes', () => {
+    const world = createWorld();
+    const events = [];
+    const listener = (...args) => events.push(args);
+    world.addChangeListener(listener);
+    world.setVoxel(1, 1, 1, 3);
+    world.setVoxel(1, 1, 1, 3);
+    world.setVoxel(1, 1, 1, 0);
+    assert.deepEqual(events, [[1, 1, 1, 0, 3], [1, 1, 1, 3, 0]]);
+
+    world.removeChangeListener(listener);
+    world.setVoxel(2, 2, 2, 1);
+    assert.equal(events.length, 2);
+  });
+
+  it('marks only the containing cell for an interior voxel', () => {
+    const world = createWorld();
+    world.setVoxel(1, 2, 1, 1);
+    assert.deepEqual(world.takeDirtyCellIds(), ['0, 0, 0']);
+    assert.deepEqual(world.takeDirtyCellIds(), []);
+  });
+
+  it('marks the neighbor cells across every border the voxel touches', () => {
+    const world = createWorld();
+    world.setVoxel(1, 3, -1, 1); // y는 위쪽 경계, z는 (-1) cell의 앞쪽 경계
+    assert.deepEqual(world.takeDirtyCellIds().sort(), [
+      '0, 0, -1',
+      '0, 0, 0',
+      '0, 1, -1',
+      '0, 1, 0', // 모서리 너머의 대각선 cell (AO)
+    ]);
+  });
+
+  it('marks every cell around a corner voxel', () => {
+    const world = createWorld();
+    world.setVoxel(0, 3, -1, 1); // x는 왼쪽 경계, y는 위쪽 경계, z는 (-1) cell의 앞쪽 경계
+    assert.deepEqual(world.takeDirtyCellIds().sort(), [
+      '-1, 0, -1',
+      '-1, 0, 0',
+      '-1, 1, -1',
+      '-1, 1, 0',
+      '0, 0, -1',
+      '0, 0, 0',
+      '0, 1, -1',
+      '0, 1, 0',
+    ]);
+  });
+
+  it('does not mark cells when a voxel is set to the same value', () => {
+    const world = createWorld();
+    world.setVoxel(5, 5, 5, 0);
+    assert.deepEqual(world.takeDirtyCellIds(), []);
+  });
+});
+
+describe('VoxelWorld meshing', () => {
+  for (const meshing of ['face', 'greedy']) {
+    describe(`${meshing} meshing`, () => {
+      it('emits six faces for a single voxel', () => {
+        const world = createWorld({
+          meshing
+        });
+        world.setVoxel(1, 1, 1, 1);
+        const {
+          opaque,
+          transparent
+        } = world.generateGeometryDateForCell(0, 0, 0);
+        assert.equal(countQuads(opaque), 6);
+        assert.equal(countQuads(transparent), 0);
+      });
+
+      it('culls faces shared across a cell border', () => {
+        const world = createWorld({
+          meshing
+        });
+        world.setVoxel(3, 0, 0, 1); // cell 0, 0, 0의 가장자리
+        world.setVoxel(4, 0, 0, 1); // 옆 cell 1, 0, 0의 가장자리
+        assert.equal(countQuads(world.generateGeometryDateForCell(0, 0, 0).opaque), 5);
+        assert.equal(countQuads(world.generateGeometryDateForCell(1, 0, 0).opaque), 5);
+      });
+
+      it('culls faces shared across a negative cell border', () => {
+        const world = createWorld({
+          meshing
+        });
+        world.setVoxel(-1, 0, 0, 1);
+        world.setVoxel(0, 0, 0, 1);
+        assert.equal(countQuads(world.generateGeometryDateForCell(-1, 0, 0).opaque), 5);
+        assert.equal(countQuads(world.generateGeometryDateForCell(0, 0, 0).opaque), 5);
+      });
+    });
+  }
+
+  it('merges a flat row of voxels into fewer faces with greedy meshing', () => {
+    const face = createWorld();
+    const greedy = createWorld({
+      meshing: 'greedy'
+    });
+    for (let x = 0; x < 4; x++) {
+      face.setVoxel(x, 0, 0, 1);
+      greedy.setVoxel(x, 0, 0, 1);
+    }
+    assert.equal(countQuads(face.generateGeometryDateForCell(0, 0, 0).opaque), 4 * 4 + 2);
+    assert.equal(countQuads(greedy.generateGeometryDateForCell(0, 0, 0).opaque), 6);
+  });
+
+  it('draws faces next to a slab unless the slab covers them', () => {
+    const world = createWorld();
+    const slab = world.blocks.getByName('cobblestone slab').id;
+    world.setVoxel(1, 1, 1, slab);
+    assert.equal(countQuads(world.generateGeometryDateForCell(0, 0, 0).opaque), 6);
+    world.setVoxel(1, 0, 1, 1); // 아래쪽 반 블록의 아랫면에 가려진 윗면만 빠짐
+    world.setVoxel(1, 2, 1, 1); // 위쪽 블록의 아랫면은 반 블록 위로 보임
+    assert.equal(countQuads(world.generateGeometryDateForCell(0, 0, 0).opaque), 6 - 1 + 5 + 6);
+  });
+
+  it('draws a cross block as two transparent quads', () => {
+    const world = createWorld({
+      meshing: 'greedy'
+    });
+    world.setVoxel(2, 0, 2, world.blocks.getByName('flower').id);
+    const {
+      opaque,
+      transparent
+    } = world.generateGeometryDateForCell(0, 0, 0);
+    assert.equal(countQuads(opaque), 0);
+    assert.equal(countQuads(transparent), 2);
+  });
+
+  it('keeps vertex attributes the same length', () => {
+    const world = createWorld();
+    world.setVoxel(0, 0, 0, 1);
+    world.setVoxel(1, 1, 0, 2);
+    const {
+      opaque
+    } = world.generateGeometryDateForCell(0, 0, 0);
+    const vertexCount = opaque.positions.length / 3;
+    assert.equal(opaque.normals.length / 3, vertexCount);
+    assert.equal(opaque.uvs.length / 2, vertexCount);
+    assert.equal(opaque.colors.length / 3, vertexCount);
+    assert.ok(opaque.indices.every((index) => index < vertexCount));
+  });
+});
+
+describe('VoxelWorld.intersectRay', () => {
+  it('hits the top face of a voxel below the ray', () => {
+    const world = createWorld();
+    world.setVoxel(0, 0, 0, 5);
+    const hit = world.intersectRay(point(0.5, 10, 0.5), point(0.5, -10, 0.5));
+    assert.ok(hit);
+    assert.deepEqual(hit.position, [0.5, 1, 0.5]);
+    assert.deepEqual(hit.normal, [0, 1, 0]);
+    assert.equal(hit.voxel, 5);
+  });
+
+  it('reports the normal of the face it enters through', () => {
+    const world = createWorld();
+    world.setVoxel(-2, 0, 0, 1);
+    const fromPositiveX = world.intersectRay(point(5, 0.5, 0.5), point(-5, 0.5, 0.5));
+    assert.deepEqual(fromPositiveX.normal, [1, 0, 0]);
+    assert.equal(fromPositiveX.position[0], -1);
+
+    const fromNegativeZ = world.intersectRay(point(-1.5, 0.5, -6), point(-1.5, 0.5, 6));
+    assert.deepEqual(fromNegativeZ.normal, [0, 0, -1]);
+    assert.equal(fromNegativeZ.position[2], 0);
+  });
+
+  it('returns the first voxel along the ray', () => {
+    const world = createWorld();
+    world.setVoxel(2, 0, 0, 1);
+    world.setVoxel(6, 0, 0, 2);
+    const hit = world.intersectRay(point(0.5, 0.5, 0.5), point(10.5, 0.5, 0.5));
+    assert.equal(hit.voxel, 1);
+    assert.equal(hit.position[0], 2);
+  });
+
+  it('returns the hit voxel and the adjacent placement voxel as integers', () => {
+    const world = createWorld();
+    world.setVoxel(-3, 2, 1, 4);
+    const hit = world.intersectRay(point(-2.5, 10, 1.5), point(-2.5, -10, 1.5));
+    assert.deepEqual(hit.voxelPosition, [-3, 2, 1]);
+    assert.deepEqual(hit.adjacentPosition, [-3, 3, 1]);
+    assert.equal(hit.distance, 7);
+  });
+
+  it('hits the actual shape of slabs and passes beside cross blocks', () => {
+    const world = createWorld();
+    world.setVoxel(0, 0, 0, world.blocks.getByName('cobblestone slab').id);
+    const hit = world.intersectRay(point(0.5, 10, 0.5), point(0.5, -10, 0.5));
+    assert.deepEqual(hit.position, [0.5, 0.5, 0.5]);
+    assert.deepEqual(hit.normal, [0, 1, 0]);
+    assert.deepEqual(hit.adjacentPosition, [0, 1, 0]);
+
+    world.setVoxel(2, 0, 0, world.blocks.getByName('flower').id);
+    world.setVoxel(2, 0, -3, 1);
+    const pastFlower = world.intersectRay(point(2.05, 0.5, 5), point(2.05, 0.5, -5));
+    assert.deepEqual(pastFlower.voxelPosition, [2, 0, -3]);
+  });
+
+  it('stops at maxDistance', () => {
+    const world = createWorld();
+    world.setVoxel(6, 0, 0, 1);
+    const from = point(0.5, 0.5, 0.5);
+    const to = point(20.5, 0.5, 0.5);
+    assert.equal(world.intersectRay(from, to, {
+      maxDistance: 5
+    }), null);
+    assert.equal(world.intersectRay(from, to, {
+      maxDistance: 6
+    }).voxel, 1);
+  });
+
+  it('passes through voxels the skip predicate rejects', () => {
+    const world = createWorld();
+    world.setVoxel(2, 0, 0, 9);
+    world.setVoxel(4, 0, 0, 1);
+    const hit = world.intersectRay(point(0.5, 0.5, 0.5), point(10.5, 0.5, 0.5), {
+      skip: (voxel) => voxel === 9,
+    });
+    assert.deepEqual(hit.voxelPosition, [4, 0, 0]);
+    assert.deepEqual(hit.adjacentPosition, [3, 0, 0]);
+  });
+
+  it('collects every voxel along the ray up to the hit', () => {
+    const world = createWorld();
+    world.setVoxel(3, 0, 0, 2);
+    const collect = [];
+    world.intersectRay(point(0.5, 0.5, 0.5), point(10.5, 0.5, 0.5), {
+      collect
+    });
+    assert.deepEqual(collect.map(({
+      position
+    }) => position), [
+      [0, 0, 0],
+      [1, 0, 0],
+      [2, 0, 0],
+      [3, 0, 0],
+    ]);
+    assert.deepEqual(collect.map(({
+      voxel
+    }) => voxel), [0, 0, 0, 2]);
+  });
+
+  it('returns null when nothing is hit before the end point', () => {
+    const world = createWorld();
+    world.setVoxel(8, 0, 0, 1);
+    assert.equal(world.intersectRay(point(0.5, 0.5, 0.5), point(5.5, 0.5, 0.5)), null);
+    assert.equal(world.intersectRay(point(0.5, 0.5, 0.5), point(0.5, 10.5, 0.5)), null);
+  });
+});
+
+describe('VoxelWorld spatial queries', () => {
+  // 테스트용으로 x축 위에 복셀 5개를 늘어놓음. 값은 x + 1.
+  function createRow() {
+    const world = createWorld();
+    for (let x = -2; x <= 2; x++) {
+      world.setVoxel(x, 0, 0, x + 3);
+    }
+    return world;
+  }
+
+  const positionsOf = (voxels) => voxels.map(({
+    position
+  }) => position);
+
+  it('lists non-empty voxels overlapping a box', () => {
+    const world = createRow();
+    assert.deepEqual(positionsOf(world.queryBox([-1.5, 0, 0], [1, 1, 1])), [
+      [-2, 0, 0],
+      [-1, 0, 0],
+      [0, 0, 0],
+    ]);
+    assert.deepEqual(world.queryBox([0.2, 0.2, 0.2], [0.2, 0.2, 0.2]), [{
+      position: [0, 0, 0],
+      voxel: 3,
+    }]);
+  });
+
+  it('applies the skip predicate to box queries', () => {
+    const world = createRow();
+    const voxels = world.queryBox([-5, -5, -5], [5, 5, 5], {
+      skip: (voxel) => voxel % 2 === 0,
+    });
+    assert.deepEqual(positionsOf(voxels), [
+      [-2, 0, 0],
+      [0, 0, 0],
+      [2, 0, 0],
+    ]);
+  });
+
+  it('lists non-empty voxels overlapping a sphere', () => {
+    const world = createRow();
+    assert.deepEqual(positionsOf(world.querySphere([0.5, 0.5, 0.5], 1)), [
+      [-1, 0, 0],
+      [0, 0, 0],
+      [1, 0, 0],
+    ]);
+    assert.deepEqual(positionsOf(world.querySphere([0.5, 2, 0.5], 0.9)), []);
+  });
+});
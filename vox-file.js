@@ -0,0 +1,436 @@
+'use strict';
+
+/**
+ * MagicaVoxel의 .vox 파일을 읽고 쓰는 클래스.
+ *
+ * .vox 파일은 'VOX ' + 버전(int32) 다음에 MAIN 청크 하나가 있고, 그 안에 자식 청크들이 이어져 있는 구조임.
+ * 청크는 모두 id(4글자) + 내용 크기(int32) + 자식 청크 크기(int32) + 내용 + 자식 청크들 로 되어 있고, 숫자는 전부 리틀 엔디언.
+ * - SIZE: 모델 하나의 크기 (x, y, z)
+ * - XYZI: 바로 앞 SIZE 모델의 복셀 개수(int32)와 복셀마다 x, y, z, 팔레트 인덱스(각 1바이트)
+ * - RGBA: 팔레트 인덱스 1 ~ 255의 색 (256개 * 4바이트. i번째 색이 인덱스 i + 1의 색임)
+ * - nTRN, nGRP, nSHP: 모델이 여러 개일 때 각 모델이 어디에 놓이는지 알려주는 씬 그래프 노드들
+ * 그 외의 청크(MATL, LAYR 등)는 읽지 않고 건너뜀.
+ *
+ * MagicaVoxel은 z축이 위쪽이고, 우리 world는 y축이 위쪽이라서 읽고 쓸 때 좌표축을 바꿔줘야 함. (vox (x, y, z) -> world (x, z, -y))
+ * 또, 팔레트 인덱스와 우리 복셀값(블록 id)은 서로 다른 값이라서 createMapping()으로 만든 매핑 표를 거쳐서 바꿔 줌.
+ */
+class VoxFile {
+  constructor() {
+    this.models = []; // [{ size: [x, y, z], voxels: Uint8Array(x, y, z, 팔레트 인덱스 순서로 4바이트씩), translation: [x, y, z] }, ...]
+    this.palette = VoxFile.createDefaultPalette(); // 인덱스 i의 색이 palette[i * 4] ~ palette[i * 4 + 3] 에 RGBA로 들어있음. (인덱스 0은 빈 공간이라 안 씀)
+  }
+
+  // .vox 파일의 내용(ArrayBuffer)을 읽어서 VoxFile을 만들어주는 함수.
+  static parse(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 8 || VoxFile.readId(view, 0) !== 'VOX ') {
+      throw new Error('VoxFile.parse: not a MagicaVoxel .vox file');
+    }
+
+    const vox = new VoxFile();
+    const nodes = {}; // 씬 그래프 노드들. nodeId: 노드
+    let size = null;
+    let offset = 8;
+    const mainId = VoxFile.readId(view, offset);
+    if (mainId !== 'MAIN') {
+      throw new Error('VoxFile.parse: MAIN chunk is missing');
+    }
+    offset += 12; // MAIN 청크는 내용 없이 자식 청크들만 가지고 있음.
+
+    while (offset + 12 <= buffer.byteLength) {
+      const id = VoxFile.readId(view, offset);
+      const contentSize = view.getInt32(offset + 4, true);
+      const childrenSize = view.getInt32(offset + 8, true);
+      const start = offset + 12;
+      if (start + contentSize > buffer.byteLength) {
+        throw new Error(`VoxFile.parse: ${id} chunk is truncated`);
+      }
+      const reader = new VoxReader(view, start);
+
+      if (id === 'SIZE') {
+        size = [reader.int32(), reader.int32(), reader.int32()];
+      } else if (id === 'XYZI') {
+        if (!size) {
+          throw new Error('VoxFile.parse: XYZI chunk without SIZE chunk');
+        }
+        const count = reader.int32();
+        vox.models.push({
+          size,
+          voxels: new Uint8Array(buffer.slice(start + 4, start + 4 + count * 4)),
+          translation: [0, 0, 0],
+        });
+        size = null;
+      } else if (id === 'RGBA') {
+        // 파일 안의 i번째 색은 인덱스 i + 1의 색이니까 한 칸씩 밀어서 넣어 줌.
+        vox.palette.set(new Uint8Array(buffer, start, 255 * 4), 4);
+      } else if (id === 'nTRN') {
+        const nodeId = reader.int32();
+        reader.dict();
+        const childId = reader.int32();
+        reader.int32(); // 예약된 값 (-1)
+        reader.int32(); // 레이어 id
+        const frameCount = reader.int32();
+        const frame = frameCount ? reader.dict() : {};
+        nodes[nodeId] = {
+          type: 'transform',
+          childId,
+          translation: frame._t ? frame._t.split(' ').map((v) => parseInt(v)) : [0, 0, 0],
+        };
+      } else if (id === 'nGRP') {
+        const nodeId = reader.int32();
+        reader.dict();
+        const childCount = reader.int32();
+        const childIds = [];
+        for (let i = 0; i < childCount; i++) {
+          childIds.push(reader.int32());
+        }
+        nodes[nodeId] = {
+          type: 'group',
+          childIds,
+        };
+      } else if (id === 'nSHP') {
+        const nodeId = reader.int32();
+        reader.dict();
+        const modelCount = reader.int32();
+        const modelIds = [];
+        for (let i = 0; i < modelCount; i++) {
+          modelIds.push(reader.int32());
+          reader.dict();
+        }
+        nodes[nodeId] = {
+          type: 'shape',
+          modelIds,
+        };
+      }
+
+      offset = start + contentSize + childrenSize;
+    }
+
+    // 씬 그래프가 있으면 루트(0번 노드)부터 내려가면서 translation을 더해서 각 모델의 위치를 정해 줌. (회전은 지원하지 않음)
+    if (nodes[0]) {
+      const visit = (nodeId, translation) => {
+        const node = nodes[nodeId];
+        if (!node) {
+          return;
+        }
+        if (node.type === 'transform') {
+          visit(node.childId, translation.map((v, i) => v + node.translation[i]));
+        } else if (node.type === 'group') {
+          node.childIds.forEach((childId) => visit(childId, translation));
+        } else {
+          for (const modelId of node.modelIds) {
+            if (vox.models[modelId]) {
+              vox.models[modelId].translation = translation;
+            }
+          }
+        }
+      };
+      visit(0, [0, 0, 0]);
+    }
+    return vox;
+  }
+
+  // .vox 파일의 내용을 ArrayBuffer로 만들어주는 메서드. 모델이 여러 개면 translation대로 놓이도록 씬 그래프도 같이 써 줌.
+  toArrayBuffer() {
+    const writer = new VoxWriter();
+    writer.id('VOX ');
+    writer.int32(VoxFile.version);
+
+    writer.id('MAIN');
+    writer.int32(0);
+    const mainChildrenSizeOffset = writer.reserveInt32();
+    const mainChildrenStart = writer.length;
+
+    for (const model of this.models) {
+      writer.chunk('SIZE', () => {
+        model.size.forEach((v) => writer.int32(v));
+      });
+      writer.chunk('XYZI', () => {
+        writer.int32(model.voxels.length / 4);
+        writer.bytes(model.voxels);
+      });
+    }
+
+    if (this.models.length > 1) {
+      // 0번 nTRN -> 1번 nGRP -> 모델마다 nTRN(2 + i * 2) -> nSHP(3 + i * 2) 모양의 씬 그래프
+      writer.chunk('nTRN', () => writer.transformNode(0, 1, [0, 0, 0]));
+      writer.chunk('nGRP', () => {
+        writer.int32(1);
+        writer.dict({});
+        writer.int32(this.models.length);
+        this.models.forEach((model, i) => writer.int32(2 + i * 2));
+      });
+      this.models.forEach((model, i) => {
+        writer.chunk('nTRN', () => writer.transformNode(2 + i * 2, 3 + i * 2, model.translation));
+        writer.chunk('nSHP', () => {
+          writer.int32(3 + i * 2);
+          writer.dict({});
+          writer.int32(1);
+          writer.int32(i);
+          writer.dict({});
+        });
+      });
+    }
+
+    writer.chunk('RGBA', () => {
+      writer.bytes(this.palette.subarray(4, 256 * 4));
+      writer.bytes(new Uint8Array(4)); // 마지막 칸은 쓰이지 않음.
+    });
+
+    writer.setInt32(mainChildrenSizeOffset, writer.length - mainChildrenStart);
+    return writer.toArrayBuffer();
+  }
+
+  /**
+   * 모든 모델의 복셀을 world 좌표계로 바꿔서 setVoxel(x, y, z, 복셀값)으로 넣어주는 메서드.
+   * 모델 전체를 둘러싸는 상자의 최솟값 모서리가 origin([x, y, z])에 오도록 놓아 줌. 매핑 표에서 0으로 바뀌는 팔레트 인덱스는 넣지 않음.
+   * 넣어준 복셀들의 좌표값 배열을 리턴하니까, 호출한 쪽에서 그 좌표값들로 cell mesh를 다시 만들어주면 됨.
+   */
+  placeInto(setVoxel, origin, mapping) {
+    const placed = [];
+    const positions = [];
+    const min = [Infinity, Infinity, Infinity];
+    for (const model of this.models) {
+      const {
+        size,
+        voxels,
+        translation
+      } = model;
+      for (let i = 0; i < voxels.length; i += 4) {
+        // MagicaVoxel에서 translation은 모델의 가운데 위치라서, 모델의 크기의 절반만큼 빼줘야 모서리의 위치가 됨.
+        const gx = translation[0] - Math.floor(size[0] / 2) + voxels[i];
+        const gy = translation[1] - Math.floor(size[1] / 2) + voxels[i + 1];
+        const gz = translation[2] - Math.floor(size[2] / 2) + voxels[i + 2];
+        const position = [gx, gz, -gy, mapping.fromVox[voxels[i + 3]]];
+        for (let axis = 0; axis < 3; axis++) {
+          min[axis] = Math.min(min[axis], position[axis]);
+        }
+        positions.push(position);
+      }
+    }
+
+    for (const [x, y, z, voxel] of positions) {
+      if (!voxel) {
+        continue;
+      }
+      const worldX = origin[0] + x - min[0];
+      const worldY = origin[1] + y - min[1];
+      const worldZ = origin[2] + z - min[2];
+      setVoxel(worldX, worldY, worldZ, voxel);
+      placed.push([worldX, worldY, worldZ]);
+    }
+    return placed;
+  }
+
+  // world의 box({ min: [x, y, z], max: [x, y, z] }, 양 끝 복셀 포함) 안의 복셀들로 VoxFile을 만들어주는 함수.
+  // MagicaVoxel의 모델은 한 변이 최대 256이라서, 그보다 큰 범위는 여러 개의 모델로 나눠서 넣어 줌.
+  static fromWorld(world, box, mapping) {
+    const vox = new VoxFile();
+    const {
+      min,
+      max
+    } = box;
+    // world (x, y, z) -> vox (x, -z, y) 이니까, vox의 크기는 world의 x, z, y 방향 크기 순서가 됨.
+    const worldSize = [max[0] - min[0] + 1, max[1] - min[1] + 1, max[2] - min[2] + 1];
+    const voxSize = [worldSize[0], worldSize[2], worldSize[1]];
+    const {
+      maxModelSize
+    } = VoxFile;
+
+    for (let oz = 0; oz < voxSize[2]; oz += maxModelSize) {
+      for (let oy = 0; oy < voxSize[1]; oy += maxModelSize) {
+        for (let ox = 0; ox < voxSize[0]; ox += maxModelSize) {
+          const size = [
+            Math.min(maxModelSize, voxSize[0] - ox),
+            Math.min(maxModelSize, voxSize[1] - oy),
+            Math.min(maxModelSize, voxSize[2] - oz),
+          ];
+          const voxels = [];
+          for (let z = 0; z < size[2]; z++) {
+            for (let y = 0; y < size[1]; y++) {
+              for (let x = 0; x < size[0]; x++) {
+                const voxel = world.getVoxel(
+                  min[0] + ox + x,
+                  min[1] + oz + z,
+                  max[2] - (oy + y), // vox의 y축은 world의 -z 방향
+                );
+                const index = voxel && mapping.toVox[voxel];
+                if (index) {
+                  voxels.push(x, y, z, index);
+                }
+              }
+            }
+          }
+          vox.models.push({
+            size,
+            voxels: new Uint8Array(voxels),
+            translation: [ox + Math.floor(size[0] / 2), oy + Math.floor(size[1] / 2), oz + Math.floor(size[2] / 2)],
+          });
+        }
+      }
+    }
+    return vox;
+  }
+
+  // 팔레트 인덱스 <-> 복셀값 매핑 표를 만들어주는 함수. pairs는 [[팔레트 인덱스, 복셀값], ...] 배열.
+  // pairs를 넘겨주지 않으면 팔레트 인덱스와 복셀값이 같은 것끼리 짝지어 줌. 표에 없는 값은 0(빈 공간)으로 바뀜.
+  static createMapping(pairs) {
+    const fromVox = new Uint8Array(256);
+    const toVox = new Uint8Array(256);
+    if (!pairs) {
+      pairs = [];
+      for (let i = 1; i < 256; i++) {
+        pairs.push([i, i]);
+      }
+    }
+    for (const [index, voxel] of pairs) {
+      fromVox[index] = voxel;
+      if (!toVox[voxel]) {
+        toVox[voxel] = index; // 여러 팔레트 인덱스가 같은 복셀값으로 바뀌는 경우, 내보낼 때는 처음 것을 씀.
+      }
+    }
+    return {
+      fromVox,
+      toVox,
+    };
+  }
+
+  // RGBA 청크가 없는 파일을 위한 기본 팔레트. 인덱스마다 밝기가 다른 회색을 넣어 둠.
+  static createDefaultPalette() {
+    const palette = new Uint8Array(256 * 4);
+    for (let i = 1; i < 256; i++) {
+      palette.set([i, i, i, 255], i * 4);
+    }
+    return palette;
+  }
+
+  static readId(view, offset) {
+    return String.fromCharCode(
+      view.getUint8(offset),
+      view.getUint8(offset + 1),
+      view.getUint8(offset + 2),
+      view.getUint8(offset + 3),
+    );
+  }
+}
+
+VoxFile.version = 150;
+VoxFile.maxModelSize = 256;
+
+// 청크 내용을 앞에서부터 차례대로 읽어주는 클래스
+class VoxReader {
+  constructor(view, offset) {
+    this.view = view;
+    this.offset = offset;
+  }
+
+  int32() {
+    const value = this.view.getInt32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  string() {
+    const length = this.int32();
+    const bytes = new Uint8Array(this.view.buffer, this.offset, length);
+    this.offset += length;
+    return String.fromCharCode(...bytes);
+  }
+
+  // DICT: 쌍의 개수(int32) 다음에 (key 문자열, value 문자열) 쌍들
+  dict() {
+    const dict = {};
+    const count = this.int32();
+    for (let i = 0; i < count; i++) {
+      const key = this.string();
+      dict[key] = this.string();
+    }
+    return dict;
+  }
+}
+
+// .vox 파일의 바이트들을 차례대로 써주는 클래스. 크기를 미리 알 수 없으니까 배열에 모아뒀다가 마지막에 ArrayBuffer로 만듦.
+class VoxWriter {
+  constructor() {
+    this.data = [];
+  }
+
+  get length() {
+    return this.data.length;
+  }
+
+  id(id) {
+    for (let i = 0; i < 4; i++) {
+      this.data.push(id.charCodeAt(i));
+    }
+  }
+
+  int32(value) {
+    this.data.push(value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, (value >> 24) & 0xFF);
+  }
+
+  // 나중에 값을 채워넣을 int32 자리를 만들어두고, 그 위치를 리턴함.
+  reserveInt32() {
+    const offset = this.data.length;
+    this.int32(0);
+    return offset;
+  }
+
+  setInt32(offset, value) {
+    for (let i = 0; i < 4; i++) {
+      this.data[offset + i] = (value >> (i * 8)) & 0xFF;
+    }
+  }
+
+  bytes(bytes) {
+    for (const byte of bytes) {
+      this.data.push(byte);
+    }
+  }
+
+  string(string) {
+    this.int32(string.length);
+    for (let i = 0; i < string.length; i++) {
+      this.data.push(string.charCodeAt(i));
+    }
+  }
+
+  dict(dict) {
+    const keys = Object.keys(dict);
+    this.int32(keys.length);
+    for (const key of keys) {
+      this.string(key);
+      this.string(dict[key]);
+    }
+  }
+
+  // 자식 청크가 없는 청크 하나를 써주는 메서드. writeContent()가 쓴 만큼을 내용 크기로 채워 줌.
+  chunk(id, writeContent) {
+    this.id(id);
+    const contentSizeOffset = this.reserveInt32();
+    this.int32(0);
+    const start = this.data.length;
+    writeContent();
+    this.setInt32(contentSizeOffset, this.data.length - start);
+  }
+
+  transformNode(nodeId, childId, translation) {
+    this.int32(nodeId);
+    this.dict({});
+    this.int32(childId);
+    this.int32(-1); // 예약된 값
+    this.int32(-1); // 레이어 id (레이어 없음)
+    this.int32(1); // 프레임 개수
+    this.dict({
+      _t: translation.join(' '),
+    });
+  }
+
+  toArrayBuffer() {
+    return new Uint8Array(this.data).buffer;
+  }
+}
+
+export {
+  VoxFile
+};
@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * cell 하나의 복셀값들을 메모리를 아껴서 저장해주는 클래스. VoxelWorld.cells에 cellId마다 하나씩 들어감.
+ *
+ * 원래는 cell마다 cellSize^3 크기(32이면 32KB)의 Uint8Array를 만들었는데, 하늘 cell은 전부 0이고 땅속 cell은 전부 돌인 것처럼
+ * 대부분의 cell에는 복셀값이 몇 종류밖에 없음. 그래서 cell 안의 복셀값 종류 수에 따라 저장 방식을 바꿔 줌.
+ * - bits = 0 (uniform): 모든 복셀이 같은 값. 배열 없이 value 하나만 기억함.
+ * - bits = 1, 2, 4 (palette): 복셀값 종류가 2, 4, 16개 이하. palette에 복셀값들을 모아두고, data에는 복셀마다 팔레트 인덱스를 bits 비트씩 채워 넣음.
+ * - bits = 8 (direct): 복셀값 종류가 16개를 넘으면 원래처럼 복셀마다 1바이트씩 저장함.
+ *
+ * counts에는 팔레트 인덱스(direct일 때는 복셀값)마다 몇 개의 복셀이 그 값인지 세어두기 때문에,
+ * set()으로 마지막 남은 다른 값이 지워져서 cell이 한 가지 값으로 채워지면 배열을 버리고 바로 uniform으로 돌아감. (복셀을 전부 지운 cell은 메모리를 거의 안 씀)
+ * 한 번 늘어난 bits는 uniform이 될 때까지 줄어들지 않음. 파일에서 불러올 때처럼 한꺼번에 채우는 경우에는 fromArray()가 가장 작은 방식을 골라 줌.
+ */
+class VoxelCell {
+  constructor(size, value = 0) {
+    this.size = size; // cell 안의 복셀 개수 (cellSize^3)
+    this.makeUniform(value);
+  }
+
+  makeUniform(value) {
+    this.bits = 0;
+    this.value = value;
+    this.palette = null;
+    this.counts = null;
+    this.data = null;
+  }
+
+  // 팔레트 인덱스를 bits 비트씩 채워 넣을 때 쓰는 값들을 미리 계산해 둠. 예를 들어 bits가 2면 한 바이트에 인덱스 4개가 들어감.
+  setBits(bits) {
+    this.bits = bits;
+    const perByte = 8 / bits;
+    this.indexShift = Math.log2(perByte); // 복셀 offset >> indexShift 가 인덱스가 들어있는 바이트 위치
+    this.indexMask = perByte - 1; // offset & indexMask 가 그 바이트 안에서 몇 번째 인덱스인지
+    this.valueMask = (1 << bits) - 1;
+  }
+
+  getIndex(offset) {
+    return (this.data[offset >> this.indexShift] >> ((offset & this.indexMask) * this.bits)) & this.valueMask;
+  }
+
+  setIndex(offset, index) {
+    const byte = offset >> this.indexShift;
+    const shift = (offset & this.indexMask) * this.bits;
+    this.data[byte] = (this.data[byte] & ~(this.valueMask << shift)) | (index << shift);
+  }
+
+  get(offset) {
+    const {
+      bits
+    } = this;
+    if (bits === 0) {
+      return this.value;
+    }
+    if (bits === 8) {
+      return this.data[offset];
+    }
+    return this.palette[this.getIndex(offset)];
+  }
+
+  // offset번째 복셀값을 v로 바꾸고, 원래 있던 복셀값을 리턴하는 메서드
+  set(offset, v) {
+    const old = this.get(offset);
+    if (old === v) {
+      return old;
+    }
+
+    const {
+      bits
+    } = this;
+    if (bits === 0) {
+      // 처음으로 다른 값이 들어오면 원래 값(인덱스 0)과 새 값(인덱스 1) 두 가지뿐인 1비트 팔레트로 바꿔 줌.
+      this.palette = [this.value, v];
+      this.counts = [this.size - 1, 1];
+      this.data = new Uint8Array(Math.ceil(this.size / 8)); // 0으로 채워져 있으니 모든 복셀이 인덱스 0(원래 값)을 가리킴.
+      this.setBits(1);
+      this.setIndex(offset, 1);
+      return old;
+    }
+
+    if (bits === 8) {
+      this.data[offset] = v;
+      this.counts[old]--;
+      this.counts[v]++;
+      if (this.counts[v] === this.size) {
+        this.makeUniform(v);
+      }
+      return old;
+    }
+
+    let index = this.palette.indexOf(v);
+    if (index < 0) {
+      index = this.counts.indexOf(0); // 이제 아무 복셀도 안 쓰는 팔레트 자리가 있으면 재사용함.
+      if (index >= 0) {
+        this.palette[index] = v;
+      } else if (this.palette.length <= this.valueMask) {
+        index = this.palette.length;
+        this.palette.push(v);
+        this.counts.push(0);
+      } else {
+        // 팔레트가 꽉 찼으면 bits를 두 배로 늘린 다음 다시 시도함.
+        this.grow();
+        return this.set(offset, v);
+      }
+    }
+
+    this.counts[this.getIndex(offset)]--;
+    this.counts[index]++;
+    this.setIndex(offset, index);
+    if (this.counts[index] === this.size) {
+      this.makeUniform(v);
+    }
+    return old;
+  }
+
+  // 팔레트 인덱스 비트 수를 두 배로 늘려서 다시 채워 넣는 메서드. 4비트에서 늘어나면 direct 방식이 됨.
+  grow() {
+    const bits = this.bits * 2;
+    if (bits === 8) {
+      const values = this.toArray();
+      this.palette = null;
+      this.counts = VoxelCell.countValues(values);
+      this.data = values;
+      this.setBits(8);
+      return;
+    }
+
+    // 늘리기 전의 인덱스 위치 계산값들을 기억해두고, 새 data에 인덱스들을 하나씩 옮겨 담음.
+    const oldData = this.data;
+    const oldBits = this.bits;
+    const oldIndexShift = this.indexShift;
+    const oldIndexMask = this.indexMask;
+    const oldValueMask = this.valueMask;
+    this.setBits(bits);
+    this.data = new Uint8Array(Math.ceil(this.size * bits / 8));
+    for (let i = 0; i < this.size; i++) {
+      this.setIndex(i, (oldData[i >> oldIndexShift] >> ((i & oldIndexMask) * oldBits)) & oldValueMask);
+    }
+  }
+
+  // 모든 복셀값을 원래처럼 복셀마다 1바이트씩인 Uint8Array로 풀어서 리턴함. (월드 파일 저장 등에 씀)
+  toArray() {
+    const {
+      size,
+      bits
+    } = this;
+    if (bits === 0) {
+      return new Uint8Array(size).fill(this.value);
+    }
+    if (bits === 8) {
+      return this.data.slice();
+    }
+    const values = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+      values[i] = this.palette[this.getIndex(i)];
+    }
+    return values;
+  }
+
+  // 복셀값들을 저장하는 데 쓰고 있는 바이트 수 (팔레트, counts 같은 작은 배열은 빼고 data만)
+  get byteLength() {
+    return this.data ? this.data.byteLength : 0;
+  }
+
+  // 워커에게 postMessage로 넘겨줄 수 있는 평범한 객체로 바꿔 줌. data는 복사본이라 transfer해도 원본은 그대로 쓸 수 있음.
+  toState() {
+    return {
+      size: this.size,
+      bits: this.bits,
+      value: this.value,
+      palette: this.palette && this.palette.slice(),
+      counts: this.counts && this.counts.slice(),
+      data: this.data && this.data.slice(),
+    };
+  }
+
+  static fromState(state) {
+    const cell = new VoxelCell(state.size, state.value);
+    if (state.bits) {
+      cell.palette = state.palette;
+      cell.counts = state.counts;
+      cell.data = state.data;
+      cell.setBits(state.bits);
+    }
+    return cell;
+  }
+
+  // 복셀마다 1바이트씩인 배열(values)로 cell을 만드는 함수. 복셀값 종류 수를 세어서 가장 작은 저장 방식을 골라 줌.
+  static fromArray(values) {
+    const size = values.length;
+    const valueCounts = VoxelCell.countValues(values);
+    const palette = [];
+    for (let v = 0; v < valueCounts.length; v++) {
+      if (valueCounts[v]) {
+        palette.push(v);
+      }
+    }
+
+    const cell = new VoxelCell(size, palette.length ? palette[0] : 0);
+    if (palette.length <= 1) {
+      return cell;
+    }
+    if (palette.length > 16) {
+      cell.counts = valueCounts;
+      cell.data = values.slice();
+      cell.setBits(8);
+      return cell;
+    }
+
+    const bits = palette.length <= 2 ? 1 : palette.length <= 4 ? 2 : 4;
+    cell.palette = palette;
+    cell.counts = palette.map((v) => valueCounts[v]);
+    cell.data = new Uint8Array(Math.ceil(size * bits / 8));
+    cell.setBits(bits);
+    const indexOfValue = new Uint8Array(256);
+    palette.forEach((v, index) => {
+      indexOfValue[v] = index;
+    });
+    for (let i = 0; i < size; i++) {
+      cell.setIndex(i, indexOfValue[values[i]]);
+    }
+    return cell;
+  }
+
+  // 복셀값(0~255)마다 몇 개씩 있는지 세어줌.
+  static countValues(values) {
+    const counts = new Uint32Array(256);
+    for (let i = 0; i < values.length; i++) {
+      counts[values[i]]++;
+    }
+    return counts;
+  }
+}
+
+export {
+  VoxelCell
+};
@@ -0,0 +1,358 @@
+'use strict';
+
+/**
+ * 복셀마다 빛의 세기(0 ~ 15)를 계산해서 world.lights에 저장해주는 클래스.
+ *
+ * world.lights에는 world.cells와 같은 cellId로, 복셀 형식화배열과 같은 크기의 Uint8Array를 하나씩 만들어 두는데,
+ * 한 칸(1바이트)의 상위 4비트에는 하늘에서 내려오는 햇빛(sunlight)을, 하위 4비트에는 스스로 빛을 내는 블록이 퍼뜨리는 빛(block light)을 담아 둠.
+ *
+ * 빛은 BFS(너비 우선 탐색)로 퍼뜨림. 빛이 있는 복셀을 큐에 넣어두고, 하나씩 꺼내서 빛이 통과하는 이웃 복셀에 1 줄어든 세기를 채워주는 식.
+ * 햇빛은 세기가 15인 채로 아래로 내려갈 때만 줄어들지 않아서, 위가 뚫린 곳은 땅까지 환하고 동굴 안쪽으로 들어갈수록 어두워짐.
+ *
+ * 블록을 놓거나 지우면 setVoxel()이 updateVoxel()을 호출해서 바뀐 부분만 다시 계산함.
+ * 빛을 지울 때는 '지우는 BFS'로 그 복셀의 빛에 기대고 있던 더 어두운 빛들을 먼저 싹 지운 다음, 지우다가 만난 더 밝은 빛들에서부터 다시 퍼뜨려 줌.
+ *
+ * 빛이 바뀐 cell들은 changedCellIds에 모아두니까, 호출한 쪽에서 takeChangedCellIds()로 가져가서 cell mesh를 다시 만들어주면 됨.
+ */
+class VoxelLighting {
+  constructor(world) {
+    this.world = world;
+    this.changedCellIds = {};
+
+    // locate()가 마지막으로 찾은 복셀의 정보. BFS는 대부분 같은 cell 안에서 움직이니까, cell이 바뀔때만 cellId 문자열을 새로 만듦.
+    this.cellX = null;
+    this.cellY = null;
+    this.cellZ = null;
+    this.cellId = null;
+    this.lights = null;
+    this.voxels = null;
+    this.index = 0;
+  }
+
+  // (cellX, cellY, cellZ) 지점의 cell의 빛을 처음부터 계산해주는 메서드. cell의 복셀 데이터를 다 채운 다음에 호출해야 함.
+  // 이웃한 cell 중 이미 빛을 계산해둔 cell이 있으면 그 cell과의 경계로도 빛이 오고 가도록 해 줌.
+  computeCellLight(cellX, cellY, cellZ) {
+    const {
+      world
+    } = this;
+    const {
+      cellSize
+    } = world;
+    const cellId = `${cellX}, ${cellY}, ${cellZ}`;
+    world.lights[cellId] = new Uint8Array(cellSize * cellSize * cellSize);
+
+    // 이 cell의 빛이 생기면, 경계에서 이 cell의 빛을 보고 면의 밝기를 정하는 이웃 cell들도 다시 만들어줘야 함.
+    this.changedCellIds[cellId] = true;
+    for (const offset of VoxelLighting.neighborOffsets) {
+      const neighborId = `${cellX + offset[0]}, ${cellY + offset[1]}, ${cellZ + offset[2]}`;
+      if (world.lights[neighborId]) {
+        this.changedCellIds[neighborId] = true;
+      }
+    }
+
+    const startX = cellX * cellSize;
+    const startY = cellY * cellSize;
+    const startZ = cellZ * cellSize;
+    const sunQueue = [];
+    const blockQueue = [];
+
+    // 1. 위쪽 cell의 빛을 아직 계산하지 않았으면 그 위는 하늘이라고 보고, 맨 윗층부터 빛을 막는 블록을 만날 때까지 햇빛 15를 채워 줌.
+    const isUnderSky = !world.lights[`${cellX}, ${cellY + 1}, ${cellZ}`];
+    if (isUnderSky) {
+      for (let z = startZ; z < startZ + cellSize; z++) {
+        for (let x = startX; x < startX + cellSize; x++) {
+          for (let y = startY + cellSize - 1; y >= startY; y--) {
+            this.locate(x, y, z);
+            if (!this.passesLight(this.getLocatedVoxel())) {
+              break;
+            }
+            this.setLocatedLevel(VoxelLighting.sunShift, 15);
+            sunQueue.push(x, y, z);
+          }
+        }
+      }
+    }
+
+    // 2. 스스로 빛을 내는 블록들을 찾아서 그 세기만큼 블록 빛을 채워 줌.
+    // 한 가지 값으로만 채워진(uniform) cell이 빛을 내지 않는 블록이면 복셀마다 확인할 필요가 없음.
+    const cell = world.cells[cellId];
+    if (cell && !(cell.bits === 0 && !this.getEmissive(cell.value))) {
+      const {
+        cellSliceSize
+      } = world;
+      for (let i = 0; i < cell.size; i++) {
+        const emissive = this.getEmissive(cell.get(i));
+        if (emissive) {
+          const x = startX + i % cellSize;
+          const y = startY + Math.floor(i / cellSliceSize);
+          const z = startZ + Math.floor(i / cellSize) % cellSize;
+          this.locate(x, y, z);
+          this.setLocatedLevel(VoxelLighting.blockShift, emissive);
+          blockQueue.push(x, y, z);
+        }
+      }
+    }
+
+    // 3. 이미 빛을 계산해둔 이웃 cell의 경계 복셀들도 큐에 넣어서, 그 빛이 이 cell로 들어오도록 해 줌.
+    for (const offset of VoxelLighting.neighborOffsets) {
+      if (!world.lights[`${cellX + offset[0]}, ${cellY + offset[1]}, ${cellZ + offset[2]}`]) {
+        continue;
+      }
+      const d = offset[0] ? 0 : (offset[1] ? 1 : 2); // 경계면이 수직인 축
+      const u = (d + 1) % 3;
+      const v = (d + 2) % 3;
+      const start = [startX, startY, startZ];
+      const pos = [0, 0, 0];
+      pos[d] = offset[d] > 0 ? start[d] + cellSize : start[d] - 1; // 이웃 cell 쪽의 경계 복셀
+      for (let b = 0; b < cellSize; b++) {
+        pos[v] = start[v] + b;
+        for (let a = 0; a < cellSize; a++) {
+          pos[u] = start[u] + a;
+          this.locate(pos[0], pos[1], pos[2]);
+          if (this.getLocatedLevel(VoxelLighting.sunShift)) {
+            sunQueue.push(pos[0], pos[1], pos[2]);
+          }
+          if (this.getLocatedLevel(VoxelLighting.blockShift)) {
+            blockQueue.push(pos[0], pos[1], pos[2]);
+          }
+        }
+      }
+    }
+
+    this.propagate(VoxelLighting.sunShift, sunQueue);
+    this.propagate(VoxelLighting.blockShift, blockQueue);
+
+    // 4. 아래쪽 cell은 이 cell이 없을 때 빛을 계산해서 자기 위를 하늘로 보고 햇빛 15를 채워놨을 수 있음.
+    // 이 cell의 맨 아래층이 햇빛 15가 아닌데 바로 아래 복셀은 15인 곳은 그 햇빛이 잘못된 것이니까 지워줘야 함.
+    if (world.lights[`${cellX}, ${cellY - 1}, ${cellZ}`]) {
+      const removeQueue = [];
+      for (let z = startZ; z < startZ + cellSize; z++) {
+        for (let x = startX; x < startX + cellSize; x++) {
+          this.locate(x, startY, z);
+          const above = this.getLocatedLevel(VoxelLighting.sunShift);
+          this.locate(x, startY - 1, z);
+          if (above < 15 && this.getLocatedLevel(VoxelLighting.sunShift) === 15) {
+            this.setLocatedLevel(VoxelLighting.sunShift, 0);
+            removeQueue.push(x, startY - 1, z, 15);
+          }
+        }
+      }
+      const addQueue = [];
+      this.removeLight(VoxelLighting.sunShift, removeQueue, addQueue);
+      this.propagate(VoxelLighting.sunShift, addQueue);
+    }
+  }
+
+  // (x, y, z) 복셀이 oldVoxel에서 newVoxel로 바뀌었을 때, 그 주변의 햇빛과 블록 빛을 다시 계산해주는 메서드. world.setVoxel()이 값을 바꾼 뒤에 호출함.
+  // 아직 빛을 계산하지 않은 cell이면 computeCellLight()에서 한꺼번에 계산할테니까 아무것도 안 함.
+  updateVoxel(x, y, z, oldVoxel, newVoxel) {
+    if (!this.locate(x, y, z)) {
+      return;
+    }
+
+    const passesLight = this.passesLight(newVoxel);
+    for (const shift of [VoxelLighting.sunShift, VoxelLighting.blockShift]) {
+      const removeQueue = [];
+      const addQueue = [];
+
+      // 우선 이 복셀의 빛과, 이 복셀의 빛에 기대고 있던 빛들을 지워 줌.
+      this.locate(x, y, z);
+      const level = this.getLocatedLevel(shift);
+      if (level) {
+        this.setLocatedLevel(shift, 0);
+        removeQueue.push(x, y, z, level);
+      }
+      this.removeLight(shift, removeQueue, addQueue);
+
+      // 새 블록이 빛을 낸다면 그 세기만큼 채워 줌.
+      const emissive = shift === VoxelLighting.blockShift ? this.getEmissive(newVoxel) : 0;
+      if (emissive) {
+        this.locate(x, y, z);
+        this.setLocatedLevel(shift, emissive);
+        addQueue.push(x, y, z);
+      }
+
+      // 새 복셀이 빛을 통과시킨다면, 이웃들의 빛이 다시 이 복셀로 흘러들어오도록 이웃들을 큐에 넣어 줌.
+      if (passesLight) {
+        for (const offset of VoxelLighting.neighborOffsets) {
+          const nx = x + offset[0];
+          const ny = y + offset[1];
+          const nz = z + offset[2];
+          if (this.locate(nx, ny, nz)) {
+            if (this.getLocatedLevel(shift)) {
+              addQueue.push(nx, ny, nz);
+            }
+          } else if (shift === VoxelLighting.sunShift && offset[1] === 1) {
+            // 위쪽 cell의 빛을 아직 계산하지 않았으면 computeCellLight()처럼 그 위는 하늘로 봄.
+            this.locate(x, y, z);
+            this.setLocatedLevel(shift, 15);
+            addQueue.push(x, y, z);
+          }
+        }
+      }
+
+      this.propagate(shift, addQueue);
+    }
+  }
+
+  // queue에 담긴 복셀들(x, y, z 순서로 펼쳐서 담음)에서부터 빛을 퍼뜨려주는 메서드.
+  propagate(shift, queue) {
+    for (let head = 0; head < queue.length; head += 3) {
+      const x = queue[head];
+      const y = queue[head + 1];
+      const z = queue[head + 2];
+      this.locate(x, y, z);
+      const level = this.getLocatedLevel(shift);
+      if (level <= 1) {
+        continue;
+      }
+
+      for (const offset of VoxelLighting.neighborOffsets) {
+        const nx = x + offset[0];
+        const ny = y + offset[1];
+        const nz = z + offset[2];
+        // 빛을 아직 계산하지 않은 cell로는 퍼뜨리지 않음. 그 cell은 나중에 computeCellLight()에서 경계의 빛을 받아갈거임.
+        if (!this.locate(nx, ny, nz) || !this.passesLight(this.getLocatedVoxel())) {
+          continue;
+        }
+        const newLevel = shift === VoxelLighting.sunShift && offset[1] === -1 && level === 15 ? 15 : level - 1;
+        if (this.getLocatedLevel(shift) < newLevel) {
+          this.setLocatedLevel(shift, newLevel);
+          queue.push(nx, ny, nz);
+        }
+      }
+    }
+  }
+
+  // removeQueue에 담긴 복셀들(x, y, z, 지우기 전의 세기 순서로 펼쳐서 담음)에서부터 빛을 지워주는 메서드.
+  // 지우는 빛보다 어두운 이웃(아래로 내려가는 햇빛 15 포함)은 지우는 빛에서 퍼져나온 것이니 같이 지우고,
+  // 지우는 빛보다 밝거나 같은 이웃은 다른 곳에서 온 빛이니까 addQueue에 넣어서 나중에 다시 퍼뜨려 줌.
+  removeLight(shift, removeQueue, addQueue) {
+    for (let head = 0; head < removeQueue.length; head += 4) {
+      const x = removeQueue[head];
+      const y = removeQueue[head + 1];
+      const z = removeQueue[head + 2];
+      const level = removeQueue[head + 3];
+
+      for (const offset of VoxelLighting.neighborOffsets) {
+        const nx = x + offset[0];
+        const ny = y + offset[1];
+        const nz = z + offset[2];
+        if (!this.locate(nx, ny, nz)) {
+          continue;
+        }
+        const neighborLevel = this.getLocatedLevel(shift);
+        if (!neighborLevel) {
+          continue;
+        }
+
+        const isDependent = neighborLevel < level ||
+          (shift === VoxelLighting.sunShift && offset[1] === -1 && level === 15);
+        if (isDependent) {
+          this.setLocatedLevel(shift, 0);
+          removeQueue.push(nx, ny, nz, neighborLevel);
+
+          // 빛을 내는 블록 자신의 빛은 지워지면 안 되니까 다시 채워주고 거기서부터 다시 퍼뜨려 줌.
+          const emissive = shift === VoxelLighting.blockShift ? this.getEmissive(this.getLocatedVoxel()) : 0;
+          if (emissive) {
+            this.setLocatedLevel(shift, emissive);
+            addQueue.push(nx, ny, nz);
+          }
+        } else {
+          addQueue.push(nx, ny, nz);
+        }
+      }
+    }
+  }
+
+  // 지금까지 빛이 바뀐 cell들의 id 목록을 리턴하고 기록은 비워주는 메서드
+  takeChangedCellIds() {
+    const cellIds = Object.keys(this.changedCellIds);
+    this.changedCellIds = {};
+    return cellIds;
+  }
+
+  // (x, y, z) 복셀이 포함된 cell과 그 안에서의 인덱스를 찾아서 기억해두는 메서드. 해당 cell의 빛을 계산해뒀으면 true를 리턴함.
+  locate(x, y, z) {
+    const {
+      cellSize,
+      cellSliceSize
+    } = this.world;
+    const cellX = Math.floor(x / cellSize);
+    const cellY = Math.floor(y / cellSize);
+    const cellZ = Math.floor(z / cellSize);
+    if (cellX !== this.cellX || cellY !== this.cellY || cellZ !== this.cellZ) {
+      this.cellX = cellX;
+      this.cellY = cellY;
+      this.cellZ = cellZ;
+      this.cellId = `${cellX}, ${cellY}, ${cellZ}`;
+    }
+    // cell 배열은 그 사이에 새로 만들어졌거나 치워졌을 수도 있으니까 매번 다시 가져옴.
+    this.lights = this.world.lights[this.cellId];
+    this.voxels = this.world.cells[this.cellId];
+    this.localX = x - cellX * cellSize;
+    this.localY = y - cellY * cellSize;
+    this.localZ = z - cellZ * cellSize;
+    this.index = this.localY * cellSliceSize + this.localZ * cellSize + this.localX;
+    return !!this.lights;
+  }
+
+  getLocatedVoxel() {
+    return this.voxels ? this.voxels.get(this.index) : 0;
+  }
+
+  getLocatedLevel(shift) {
+    return this.lights ? (this.lights[this.index] >> shift) & 15 : 0;
+  }
+
+  // locate()로 찾은 복셀의 빛을 바꾸고, 그 복셀이 포함된 cell을 changedCellIds에 기록하는 메서드.
+  // cell 가장자리의 복셀이면 그 복셀을 보고 면의 밝기를 정하는 옆 cell도 같이 기록해 줌.
+  setLocatedLevel(shift, level) {
+    const {
+      lights,
+      index
+    } = this;
+    lights[index] = (lights[index] & ~(15 << shift)) | (level << shift);
+
+    this.changedCellIds[this.cellId] = true;
+    const last = this.world.cellSize - 1;
+    const local = [this.localX, this.localY, this.localZ];
+    const cell = [this.cellX, this.cellY, this.cellZ];
+    for (let axis = 0; axis < 3; axis++) {
+      if (local[axis] === 0 || local[axis] === last) {
+        const neighbor = cell.slice();
+        neighbor[axis] += local[axis] === 0 ? -1 : 1;
+        this.changedCellIds[neighbor.join(', ')] = true;
+      }
+    }
+  }
+
+  // 빛이 통과하는 복셀인지 확인하는 메서드. 빈 공간, 등록되지 않은 복셀값, 투명한 블록, 그리고 반 블록이나 계단처럼 틈이 있는 모양의 블록은 빛이 통과함.
+  passesLight(voxel) {
+    const block = voxel && this.world.blocks.get(voxel);
+    return !block || block.transparent || !block.shape.full;
+  }
+
+  getEmissive(voxel) {
+    const block = voxel && this.world.blocks.get(voxel);
+    return block ? block.emissive : 0;
+  }
+}
+
+// 한 바이트 안에서 햇빛, 블록 빛이 각각 몇 비트 밀려서 저장되어 있는지
+VoxelLighting.sunShift = 4;
+VoxelLighting.blockShift = 0;
+
+// 앞, 뒤, 왼, 오, 위, 아래에 이웃한 복셀(또는 cell)의 오프셋
+VoxelLighting.neighborOffsets = [
+  [-1, 0, 0],
+  [1, 0, 0],
+  [0, -1, 0],
+  [0, 1, 0],
+  [0, 0, -1],
+  [0, 0, 1],
+];
+
+export {
+  VoxelLighting
+};
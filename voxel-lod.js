@@ -0,0 +1,174 @@
+'use strict';
+
+import {
+  VoxelWorld
+} from './voxel-world.js';
+
+import {
+  VoxelCell
+} from './voxel-cell.js';
+
+/**
+ * 멀리 있는 cell을 더 거친 복셀로 그려주는 LOD(level of detail) 함수들.
+ *
+ * factor가 2면 복셀 2 * 2 * 2개를 복셀 하나로, 4면 4 * 4 * 4개를 하나로 합쳐서 cellSize / factor 크기의 cell을 만든 다음,
+ * 원래 쓰던 generateGeometryDateForCell()로 geometry를 만들고 버텍스 좌표값만 factor배 키워 줌. 그래서 면 개수가 대략 factor^2배 줄어듦.
+ *
+ * 합쳐진 복셀의 값은 그 안에서 가장 많은 블록(dominant block)으로 정함. 단, 빈 공간(0)이 절반을 넘으면 빈 공간으로 둠.
+ * 빛의 세기는 햇빛과 블록 빛을 각각 그 안의 가장 밝은 값으로 정하는데, 그래야 지표면처럼 빈 공간과 블록이 섞인 곳의 면이 어둡게 나오지 않음.
+ * 상태값(계단의 방향 등)은 합쳐진 복셀의 값으로 고른 블록 중 처음 만난 복셀의 상태값을 그대로 씀. 그래야 멀리 있는 계단, 위쪽 반 블록도 방향이 맞게 그려짐.
+ *
+ * cellSize는 factor로 나누어 떨어져야 함.
+ */
+class VoxelLod {
+  // 복셀마다 1바이트씩인 배열(VoxelCell.toArray())을 factor배 줄인 배열로 만들어 주는 함수
+  static downsampleVoxels(values, cellSize, factor) {
+    const size = cellSize / factor;
+    const result = new Uint8Array(size * size * size);
+    const counts = new Uint16Array(256);
+    const half = factor * factor * factor / 2;
+    const found = []; // counts를 통째로 비우지 않고 센 값들만 0으로 되돌려 주려고 기억해 둠.
+
+    for (let y = 0; y < size; y++) {
+      for (let z = 0; z < size; z++) {
+        for (let x = 0; x < size; x++) {
+          let solidCount = 0;
+          let dominant = 0;
+          for (let dy = 0; dy < factor; dy++) {
+            for (let dz = 0; dz < factor; dz++) {
+              for (let dx = 0; dx < factor; dx++) {
+                const v = values[((y * factor + dy) * cellSize + z * factor + dz) * cellSize + x * factor + dx];
+                if (!v) {
+                  continue;
+                }
+                solidCount++;
+                if (!counts[v]) {
+                  found.push(v);
+                }
+                counts[v]++;
+                if (counts[v] > counts[dominant]) {
+                  dominant = v;
+                }
+              }
+            }
+          }
+          result[(y * size + z) * size + x] = solidCount >= half ? dominant : 0;
+          for (const v of found) {
+            counts[v] = 0;
+          }
+          found.length = 0;
+        }
+      }
+    }
+    return result;
+  }
+
+  // 상태값 배열(VoxelCell.toArray())을 factor배 줄인 배열로 만들어 주는 함수. downsampled는 downsampleVoxels()로 줄인 복셀값 배열이고,
+  // 합쳐진 복셀마다 그 복셀값과 같은 값을 가진 원래 복셀 중 처음 만난 복셀의 상태값을 골라 줌.
+  static downsampleStates(values, states, downsampled, cellSize, factor) {
+    const size = cellSize / factor;
+    const result = new Uint8Array(size * size * size);
+    for (let y = 0; y < size; y++) {
+      for (let z = 0; z < size; z++) {
+        for (let x = 0; x < size; x++) {
+          const offset = (y * size + z) * size + x;
+          const dominant = downsampled[offset];
+          if (!dominant) {
+            continue;
+          }
+          let found = false;
+          for (let dy = 0; dy < factor && !found; dy++) {
+            for (let dz = 0; dz < factor && !found; dz++) {
+              for (let dx = 0; dx < factor && !found; dx++) {
+                const index = ((y * factor + dy) * cellSize + z * factor + dz) * cellSize + x * factor + dx;
+                if (values[index] === dominant) {
+                  result[offset] = states[index];
+                  found = true;
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+    return result;
+  }
+
+  // world.lights의 빛의 세기 배열을 factor배 줄인 배열로 만들어 주는 함수. 상위 4비트(햇빛)와 하위 4비트(블록 빛)를 따로 가장 밝은 값으로 골라 줌.
+  static downsampleLights(lights, cellSize, factor) {
+    const size = cellSize / factor;
+    const result = new Uint8Array(size * size * size);
+    for (let y = 0; y < size; y++) {
+      for (let z = 0; z < size; z++) {
+        for (let x = 0; x < size; x++) {
+          let sunlight = 0;
+          let blockLight = 0;
+          for (let dy = 0; dy < factor; dy++) {
+            for (let dz = 0; dz < factor; dz++) {
+              for (let dx = 0; dx < factor; dx++) {
+                const light = lights[((y * factor + dy) * cellSize + z * factor + dz) * cellSize + x * factor + dx];
+                sunlight = Math.max(sunlight, light >> 4);
+                blockLight = Math.max(blockLight, light & 0x0F);
+              }
+            }
+          }
+          result[(y * size + z) * size + x] = (sunlight << 4) | blockLight;
+        }
+      }
+    }
+    return result;
+  }
+
+  // world에 들어있는 모든 cell(과 상태값, 빛)을 factor배 줄여서 담은 새 VoxelWorld를 만들어 주는 함수. cellId는 원래와 같음.
+  static createLodWorld(world, factor) {
+    const {
+      cellSize
+    } = world;
+    const lodWorld = new VoxelWorld({
+      cellSize: cellSize / factor,
+      tileSize: world.tileSize,
+      tileTextureWidth: world.tileTextureWidth,
+      tileTextureHeight: world.tileTextureHeight,
+      meshing: world.meshing,
+      ambientOcclusion: world.ambientOcclusion,
+      blocks: world.blocks,
+    });
+    for (const cellId of Object.keys(world.cells)) {
+      const values = world.cells[cellId].toArray();
+      const downsampled = VoxelLod.downsampleVoxels(values, cellSize, factor);
+      lodWorld.cells[cellId] = VoxelCell.fromArray(downsampled);
+      const states = world.states[cellId];
+      if (states) {
+        lodWorld.states[cellId] = VoxelCell.fromArray(VoxelLod.downsampleStates(values, states.toArray(), downsampled, cellSize, factor));
+      }
+    }
+    for (const cellId of Object.keys(world.lights)) {
+      lodWorld.lights[cellId] = VoxelLod.downsampleLights(world.lights[cellId], cellSize, factor);
+    }
+    return lodWorld;
+  }
+
+  // factor배 거친 복셀로 (cellX, cellY, cellZ) 지점의 cell geometry를 만들어 주는 함수. 리턴값은 generateGeometryDateForCell()과 같은 모양이고,
+  // 버텍스 좌표값은 원래 cell 좌표계 기준이라 cell mesh의 위치는 그대로 두면 됨. factor가 1이면 world로 그대로 만들어 줌.
+  static generateGeometryDataForCell(world, cellX, cellY, cellZ, factor) {
+    if (factor === 1) {
+      return world.generateGeometryDateForCell(cellX, cellY, cellZ);
+    }
+
+    const data = VoxelLod.createLodWorld(world, factor).generateGeometryDateForCell(cellX, cellY, cellZ);
+    for (const {
+        positions
+      } of [data.opaque, data.transparent]) {
+      for (let i = 0; i < positions.length; i++) {
+        positions[i] *= factor;
+      }
+    }
+    return data;
+  }
+}
+
+VoxelLod.factors = [1, 2, 4]; // 쓸 수 있는 factor들. 가까운 cell부터 차례대로 씀.
+
+export {
+  VoxelLod
+};
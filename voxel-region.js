@@ -0,0 +1,142 @@
+'use strict';
+
+import {
+  VoxelWorld
+} from './voxel-world.js';
+
+/**
+ * world에서 잘라낸 직육면체 모양의 복셀 덩어리. 복사/붙여넣기의 클립보드와 프리팹(prefab)에서 씀.
+ *
+ * size는 [x, y, z] 방향 복셀 개수이고, voxels에는 VoxelWorld의 cell 형식화배열과 같은 순서(y층 -> z줄 -> x)로 복셀값이 들어있음.
+ * states에는 같은 순서로 복셀마다 상태값(계단의 방향 등, block-shapes.js 참고)이 들어있음.
+ * rotateY(), mirrorX()는 원래 덩어리는 그대로 두고 돌리거나 뒤집은 새 VoxelRegion을 리턴함. 상태값도 블록 모양에 맞게 같이 돌려야 하니까 블록 레지스트리를 넘겨 줌.
+ */
+class VoxelRegion {
+  constructor(size, voxels, states) {
+    this.size = size;
+    this.voxels = voxels || new Uint8Array(size[0] * size[1] * size[2]);
+    this.states = states || new Uint8Array(this.voxels.length);
+  }
+
+  computeOffset(x, y, z) {
+    const [sizeX, , sizeZ] = this.size;
+    return (y * sizeZ + z) * sizeX + x;
+  }
+
+  getVoxel(x, y, z) {
+    return this.voxels[this.computeOffset(x, y, z)];
+  }
+
+  getVoxelState(x, y, z) {
+    return this.states[this.computeOffset(x, y, z)];
+  }
+
+  setVoxel(x, y, z, v, state = 0) {
+    const offset = this.computeOffset(x, y, z);
+    this.voxels[offset] = v;
+    this.states[offset] = state;
+  }
+
+  // 빈 공간(0)이 아닌 복셀마다 callback(x, y, z, 복셀값, 상태값)을 호출해주는 메서드. 좌표값은 덩어리 안에서의 좌표값임.
+  forEachVoxel(callback) {
+    const [sizeX, sizeY, sizeZ] = this.size;
+    for (let y = 0; y < sizeY; y++) {
+      for (let z = 0; z < sizeZ; z++) {
+        for (let x = 0; x < sizeX; x++) {
+          const offset = this.computeOffset(x, y, z);
+          const voxel = this.voxels[offset];
+          if (voxel) {
+            callback(x, y, z, voxel, this.states[offset]);
+          }
+        }
+      }
+    }
+  }
+
+  // 위에서 내려다봤을 때 시계 방향으로 90도 돌린 새 덩어리를 리턴함. x, z 방향 크기가 서로 바뀜.
+  rotateY(blocks) {
+    const [sizeX, sizeY, sizeZ] = this.size;
+    const rotated = new VoxelRegion([sizeZ, sizeY, sizeX]);
+    this.forEachVoxel((x, y, z, voxel, state) => {
+      const block = blocks.get(voxel);
+      rotated.setVoxel(sizeZ - 1 - z, y, x, voxel, block ? block.shape.rotateState(state) : state);
+    });
+    return rotated;
+  }
+
+  // x축 방향으로 좌우를 뒤집은 새 덩어리를 리턴함.
+  mirrorX(blocks) {
+    const [sizeX] = this.size;
+    const mirrored = new VoxelRegion(this.size.slice());
+    this.forEachVoxel((x, y, z, voxel, state) => {
+      const block = blocks.get(voxel);
+      mirrored.setVoxel(sizeX - 1 - x, y, z, voxel, block ? block.shape.mirrorStateX(state) : state);
+    });
+    return mirrored;
+  }
+
+  // localStorage 같은 곳에 저장할 수 있도록 JSON으로 바꿀 수 있는 객체를 리턴함.
+  // 복셀값들은 VoxelWorld의 월드 파일처럼 런 렝스 인코딩한 뒤 base64 문자열로 바꿔서 넣어 줌. (빈 공간이 많으면 훨씬 작아짐)
+  // 상태값도 같은 방법으로 states에 넣어 줌. 상태값이 생기기 전에 저장한 프리팹에는 states가 없으니, 불러올 때 없으면 전부 0으로 봄.
+  toJSON() {
+    return {
+      size: this.size,
+      data: VoxelRegion.encodeBase64(this.voxels),
+      states: VoxelRegion.encodeBase64(this.states),
+    };
+  }
+
+  static fromJSON(json) {
+    const {
+      size,
+      data,
+      states
+    } = json;
+    const length = size[0] * size[1] * size[2];
+    return new VoxelRegion(
+      size,
+      VoxelRegion.decodeBase64(data, length),
+      states ? VoxelRegion.decodeBase64(states, length) : null
+    );
+  }
+
+  static encodeBase64(values) {
+    const encoded = VoxelWorld.encodeRunLength(values);
+    let binary = '';
+    for (let i = 0; i < encoded.length; i++) {
+      binary += String.fromCharCode(encoded[i]);
+    }
+    return btoa(binary);
+  }
+
+  static decodeBase64(text, length) {
+    const binary = atob(text);
+    const encoded = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      encoded[i] = binary.charCodeAt(i);
+    }
+    return VoxelWorld.decodeRunLength(encoded, length);
+  }
+
+  // world의 box({ min: [x, y, z], max: [x, y, z] }, 양 끝 복셀 포함) 안의 복셀들을 복사해서 새 덩어리를 만들어주는 함수
+  static fromWorld(world, box) {
+    const {
+      min,
+      max
+    } = box;
+    const region = new VoxelRegion(min.map((v, i) => max[i] - v + 1));
+    const [sizeX, sizeY, sizeZ] = region.size;
+    for (let y = 0; y < sizeY; y++) {
+      for (let z = 0; z < sizeZ; z++) {
+        for (let x = 0; x < sizeX; x++) {
+          region.setVoxel(x, y, z, world.getVoxel(min[0] + x, min[1] + y, min[2] + z), world.getVoxelState(min[0] + x, min[1] + y, min[2] + z));
+        }
+      }
+    }
+    return region;
+  }
+}
+
+export {
+  VoxelRegion
+};
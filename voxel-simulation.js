@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * 모래가 떨어지고 물이 흘러가도록 해주는 셀룰러 오토마타(cellular automaton) 시뮬레이션.
+ *
+ * 블록 정의의 physics가 'falling'인 블록(모래, 자갈)은 밑이 비어있거나 액체면 한 tick에 한 칸씩 떨어지고(액체와는 자리를 바꿈),
+ * 'liquid'인 블록(물)은 밑이 비어있으면 아래로, 밑이 막혀있으면 옆으로 한 tick에 한 칸씩 퍼짐.
+ * 물의 높이(level)는 상태값(world.getVoxelState())에 저장함. 0은 원천(source)이라 스스로 줄어들지 않고,
+ * 흐르는 물은 옆으로 한 칸 퍼질 때마다 1씩 커져서 maxLiquidLevel을 넘으면 더 퍼지지 않음. 위에서 떨어지는 물은 1.
+ * 흐르는 물은 tick마다 위나 옆의 물에서 다시 level을 계산하는데, 물을 대주던 원천이 없어지면 level이 점점 커지다가 사라짐.
+ *
+ * 월드 전체를 매번 훑지 않고, 복셀이 바뀐 곳과 그 6개의 이웃 중 physics가 있는 블록만 활성(active) 복셀로 모아뒀다가 다음 tick에 처리함.
+ * 처리하면서 바꾼 복셀도 world.setVoxel()로 쓰니까 변경 이벤트로 다시 이웃을 활성 복셀로 만들고, 아무것도 안 바뀌면 활성 복셀이 없어져서 시뮬레이션이 멈춤.
+ * 바뀐 cell들의 mesh는 RemeshScheduler가 world의 dirty cell로 프레임마다 한 번씩 모아서 다시 만들어 줌.
+ *
+ * tick은 렌더링과 상관없이 tickRate(초당 tick 수)로 고정이라, 호출하는 쪽에서 흐른 시간(초)을 advance()에 넘겨주면 그만큼의 tick을 돌려 줌.
+ * 디버깅할 때는 paused로 멈추고 step()으로 한 tick씩 돌려보거나, speed로 빠르거나 느리게 돌려볼 수 있음.
+ *
+ * 시뮬레이션이 바꾼 복셀들은 실행 취소 기록에 남지 않고 같이 편집하는 서버에도 보내지 않음. (각자 받은 편집으로 각자 시뮬레이션함)
+ */
+class VoxelSimulation {
+  constructor(world, options = {}) {
+    this.world = world;
+    this.blocks = world.blocks;
+    this.tickRate = options.tickRate || VoxelSimulation.defaultTickRate;
+    this.maxUpdatesPerTick = options.maxUpdatesPerTick || VoxelSimulation.defaultMaxUpdatesPerTick;
+    // 아직 지형을 만들지 않은 cell로는 떨어지거나 흘러가지 않도록 확인해주는 함수. (지형을 만들면서 덮어써버리니까)
+    this.isCellReady = options.isCellReady || (() => true);
+
+    this.paused = false;
+    this.speed = 1; // 1이면 tickRate 그대로, 2면 두 배 빠르게
+    this.tickCount = 0;
+    this.elapsed = 0; // advance()로 받았지만 아직 tick을 돌리지 않은 시간(초)
+    this.activeKeys = new Set(); // 다음 tick에 처리할 복셀들의 'x,y,z'
+    this.changedKeys = null; // tick 도중에 바뀐 복셀들. 떨어진 모래를 같은 tick에 또 떨어뜨리지 않도록 이번 tick에서는 건너뜀.
+    this.activationSuspended = false;
+
+    this.onVoxelChange = this.onVoxelChange.bind(this);
+    this.world.addChangeListener(this.onVoxelChange);
+  }
+
+  get activeCount() {
+    return this.activeKeys.size;
+  }
+
+  onVoxelChange(x, y, z) {
+    if (this.changedKeys) {
+      this.changedKeys.add(`${x},${y},${z}`);
+    }
+    if (this.activationSuspended) {
+      return;
+    }
+    this.activate(x, y, z);
+    for (const [dx, dy, dz] of VoxelSimulation.neighborOffsets) {
+      this.activate(x + dx, y + dy, z + dz);
+    }
+  }
+
+  // physics가 있는 블록이면 다음 tick에 처리하도록 활성 복셀로 추가함.
+  activate(x, y, z) {
+    if (this.getPhysics(this.world.getVoxel(x, y, z))) {
+      this.activeKeys.add(`${x},${y},${z}`);
+    }
+  }
+
+  // callback 안에서 바뀐 복셀들로는 활성 복셀을 만들지 않는 메서드. 지형을 만들 때처럼 복셀을 아주 많이 놓지만 움직일 필요는 없는 경우에 씀.
+  // (지형을 만들 때마다 바다의 물이 전부 활성 복셀이 되면 tick마다 처리할 게 너무 많아짐)
+  withoutActivation(callback) {
+    const suspended = this.activationSuspended;
+    this.activationSuspended = true;
+    try {
+      return callback();
+    } finally {
+      this.activationSuspended = suspended;
+    }
+  }
+
+  // seconds초가 흐른 만큼 tick을 돌려주고, 돌린 tick 개수를 리턴하는 메서드. 멈춰있으면 아무것도 하지 않음.
+  // 탭이 백그라운드에 있다가 돌아온 경우처럼 한꺼번에 너무 많이 밀렸으면 maxTicksPerAdvance개까지만 돌리고 나머지는 버림.
+  advance(seconds) {
+    if (this.paused) {
+      return 0;
+    }
+    this.elapsed += seconds * this.speed;
+    const interval = 1 / this.tickRate;
+    let ticks = 0;
+    while (this.elapsed >= interval) {
+      if (ticks === VoxelSimulation.maxTicksPerAdvance) {
+        this.elapsed = 0;
+        break;
+      }
+      this.tick();
+      this.elapsed -= interval;
+      ticks++;
+    }
+    return ticks;
+  }
+
+  // 멈춰있을 때도 한 tick만 돌려주는 메서드 (디버깅용)
+  step() {
+    this.tick();
+  }
+
+  // 활성 복셀들을 maxUpdatesPerTick개까지 처리하는 메서드. 다 못 한 복셀들은 다음 tick으로 넘어감. 바뀐 복셀 개수를 리턴함.
+  tick() {
+    this.tickCount++;
+    const keys = [];
+    for (const key of this.activeKeys) {
+      if (keys.length === this.maxUpdatesPerTick) {
+        break;
+      }
+      keys.push(key);
+    }
+    for (const key of keys) {
+      this.activeKeys.delete(key);
+    }
+
+    const changedKeys = new Set();
+    this.changedKeys = changedKeys;
+    try {
+      for (const key of keys) {
+        if (changedKeys.has(key)) {
+          // 이번 tick에서 이미 바뀐 복셀은 다음 tick에 처리함. (변경 이벤트로 이미 활성 복셀이 되어 있음)
+          continue;
+        }
+        const [x, y, z] = key.split(',').map(Number);
+        this.updateVoxel(x, y, z);
+      }
+    } finally {
+      this.changedKeys = null;
+    }
+    return changedKeys.size;
+  }
+
+  updateVoxel(x, y, z) {
+    const voxel = this.world.getVoxel(x, y, z);
+    const physics = this.getPhysics(voxel);
+    if (physics === 'falling') {
+      this.updateFalling(x, y, z, voxel);
+    } else if (physics === 'liquid') {
+      this.updateLiquid(x, y, z, voxel);
+    }
+  }
+
+  // 밑이 비어있으면 한 칸 떨어지고, 밑이 액체면 그 액체와 자리를 바꿈.
+  updateFalling(x, y, z, voxel) {
+    const {
+      world
+    } = this;
+    if (!this.canEnter(x, y - 1, z)) {
+      return;
+    }
+    const below = world.getVoxel(x, y - 1, z);
+    if (below && this.getPhysics(below) !== 'liquid') {
+      return;
+    }
+    const state = world.getVoxelState(x, y, z);
+    world.setVoxel(x, y, z, below, below ? world.getVoxelState(x, y - 1, z) : 0);
+    world.setVoxel(x, y - 1, z, voxel, state);
+  }
+
+  updateLiquid(x, y, z, voxel) {
+    const {
+      world
+    } = this;
+    const level = world.getVoxelState(x, y, z);
+
+    // 흐르는 물은 물을 대주는 이웃에서 level을 다시 정함. 대주는 물이 없어졌으면 사라지고, level이 바뀌었으면 바꾼 다음 퍼지는 건 다음 tick에 함.
+    if (level > 0) {
+      const suppliedLevel = this.computeSuppliedLevel(x, y, z, voxel);
+      if (suppliedLevel > VoxelSimulation.maxLiquidLevel) {
+        world.setVoxel(x, y, z, 0);
+        return;
+      }
+      if (suppliedLevel !== level) {
+        world.setVoxel(x, y, z, voxel, suppliedLevel);
+        return;
+      }
+    }
+
+    // 밑이 비어있으면 아래로만 떨어지고, 밑이 같은 액체면 이미 떨어지는 중이니까 옆으로 퍼지지 않음.
+    const below = world.getVoxel(x, y - 1, z);
+    if (!below && this.canEnter(x, y - 1, z)) {
+      world.setVoxel(x, y - 1, z, voxel, 1);
+      return;
+    }
+    if (below === voxel) {
+      if (world.getVoxelState(x, y - 1, z) > 1) {
+        world.setVoxel(x, y - 1, z, voxel, 1);
+      }
+      return;
+    }
+    if (!below || level >= VoxelSimulation.maxLiquidLevel) {
+      return;
+    }
+
+    const nextLevel = level + 1;
+    for (const [dx, , dz] of VoxelSimulation.horizontalOffsets) {
+      const neighborX = x + dx;
+      const neighborZ = z + dz;
+      const neighbor = world.getVoxel(neighborX, y, neighborZ);
+      if (!neighbor && this.canEnter(neighborX, y, neighborZ)) {
+        world.setVoxel(neighborX, y, neighborZ, voxel, nextLevel);
+      } else if (neighbor === voxel && world.getVoxelState(neighborX, y, neighborZ) > nextLevel) {
+        world.setVoxel(neighborX, y, neighborZ, voxel, nextLevel);
+      }
+    }
+  }
+
+  // 흐르는 액체가 이웃에게서 받을 수 있는 가장 높은 물의 level(가장 작은 값)을 계산하는 메서드. 위에 같은 액체가 있으면 1.
+  // 대주는 이웃이 없으면 maxLiquidLevel + 1을 리턴함.
+  computeSuppliedLevel(x, y, z, voxel) {
+    const {
+      world
+    } = this;
+    if (world.getVoxel(x, y + 1, z) === voxel) {
+      return 1;
+    }
+    let suppliedLevel = VoxelSimulation.maxLiquidLevel + 1;
+    for (const [dx, , dz] of VoxelSimulation.horizontalOffsets) {
+      if (world.getVoxel(x + dx, y, z + dz) === voxel) {
+        suppliedLevel = Math.min(suppliedLevel, world.getVoxelState(x + dx, y, z + dz) + 1);
+      }
+    }
+    return suppliedLevel;
+  }
+
+  canEnter(x, y, z) {
+    return this.isCellReady(this.world.computeCellId(x, y, z));
+  }
+
+  getPhysics(voxel) {
+    const block = voxel && this.blocks.get(voxel);
+    return block ? block.physics : null;
+  }
+
+  dispose() {
+    this.world.removeChangeListener(this.onVoxelChange);
+  }
+}
+
+VoxelSimulation.defaultTickRate = 10;
+VoxelSimulation.defaultMaxUpdatesPerTick = 2000;
+VoxelSimulation.maxTicksPerAdvance = 10;
+VoxelSimulation.maxLiquidLevel = 7; // 원천에서 옆으로 7칸까지 퍼짐
+VoxelSimulation.speeds = [0.25, 0.5, 1, 2, 4]; // 디버깅용 속도 선택지
+
+VoxelSimulation.neighborOffsets = [
+  [-1, 0, 0],
+  [1, 0, 0],
+  [0, -1, 0],
+  [0, 1, 0],
+  [0, 0, -1],
+  [0, 0, 1],
+];
+
+VoxelSimulation.horizontalOffsets = [
+  [-1, 0, 0],
+  [1, 0, 0],
+  [0, 0, -1],
+  [0, 0, 1],
+];
+
+export {
+  VoxelSimulation
+};
@@ -0,0 +1,367 @@
+'use strict';
+
+/**
+ * 여러 사람이 하나의 월드를 같이 편집할 수 있게 해주는 동기화 모듈. 브라우저의 VoxelSyncClient와 Node의 sync-server.js가 같이 import 해서 씀.
+ *
+ * 지형은 각자 같은 시드로 만들어내니까 주고받을 필요가 없고, 사람이 바꾼 복셀(편집)만 주고받음.
+ * - 서버는 지금까지 받은 모든 편집을 VoxelEditLog에 복셀마다 마지막 값만 남겨서 모아두고, 새로 들어온 클라이언트에게 cell별로 묶은 스냅샷으로 보내 줌.
+ * - 클라이언트가 보낸 편집은 서버가 받은 순서대로 보낸 사람을 포함한 모든 클라이언트에게 다시 보내 줌(relay).
+ *   그래서 같은 복셀을 동시에 바꿔도, 모두가 서버가 정한 순서대로 적용하니까 결국 서버 순서상 마지막 편집으로 똑같이 맞춰짐.
+ * - 내가 바꾼 복셀은 먼저 바로 적용해두고(optimistic), 서버가 되돌려준 내 편집이 도착하기 전까지는 그 복셀에 대한 다른 사람의 편집을 화면에 적용하지 않음.
+ *   서버 순서상 내 편집이 그보다 뒤에 있으니까 어차피 내 값으로 덮어써질 거라, 잠깐 다른 값으로 깜빡이지 않게 하려는 것.
+ *
+ * 메시지는 모두 바이너리(ArrayBuffer)이고 첫 바이트가 메시지 종류. 숫자는 전부 little endian.
+ * - welcome: [type u8][clientId u32]
+ * - snapshot: [type u8][cellSize u16][cell 개수 u32] + cell마다 [cellX, cellY, cellZ i32][편집 개수 u32] + 편집마다 [cell 안의 offset u16][복셀값 u8][상태값 u8]
+ * - edits: [type u8][보낸 클라이언트 id u32][편집 개수 u16] + 편집마다 [x, y, z i32][복셀값 u8][상태값 u8]  (클라이언트가 보낼 때는 id를 0으로 채움)
+ * 상태값은 계단의 방향처럼 복셀값과 같이 저장되는 값(world.getVoxelState())이라, 복셀값과 상태값을 한 묶음으로 주고받음.
+ */
+class VoxelEditLog {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = {}; // cellId -> Map(cell 안의 offset -> 복셀값 | (상태값 << 8))
+  }
+
+  set(x, y, z, v, state = 0) {
+    const {
+      cellSize
+    } = this;
+    const cellX = Math.floor(x / cellSize);
+    const cellY = Math.floor(y / cellSize);
+    const cellZ = Math.floor(z / cellSize);
+    const cellId = `${cellX}, ${cellY}, ${cellZ}`;
+    let edits = this.cells[cellId];
+    if (!edits) {
+      edits = new Map();
+      this.cells[cellId] = edits;
+    }
+    const localX = x - cellX * cellSize;
+    const localY = y - cellY * cellSize;
+    const localZ = z - cellZ * cellSize;
+    edits.set((localY * cellSize + localZ) * cellSize + localX, v | (state << 8));
+  }
+
+  // cellId에 해당하는 cell 안의 편집마다 callback(x, y, z, 복셀값, 상태값)을 호출해 줌. 좌표값은 전역 복셀좌표값.
+  forEachInCell(cellId, callback) {
+    const edits = this.cells[cellId];
+    if (!edits) {
+      return;
+    }
+    const {
+      cellSize
+    } = this;
+    const [cellX, cellY, cellZ] = cellId.split(',').map((v) => parseInt(v));
+    for (const [offset, value] of edits) {
+      callback(
+        cellX * cellSize + offset % cellSize,
+        cellY * cellSize + Math.floor(offset / (cellSize * cellSize)),
+        cellZ * cellSize + Math.floor(offset / cellSize) % cellSize,
+        value & 0xFF,
+        value >> 8
+      );
+    }
+  }
+
+  get editCount() {
+    return Object.values(this.cells).reduce((count, edits) => count + edits.size, 0);
+  }
+}
+
+// 메시지를 만들고 읽는 함수들
+class SyncMessage {
+  static encodeWelcome(clientId) {
+    const buffer = new ArrayBuffer(5);
+    const view = new DataView(buffer);
+    view.setUint8(0, SyncMessage.welcome);
+    view.setUint32(1, clientId, true);
+    return buffer;
+  }
+
+  static encodeSnapshot(log) {
+    const cellIds = Object.keys(log.cells);
+    const byteLength = cellIds.reduce((size, cellId) => size + 16 + log.cells[cellId].size * 4, 7);
+    const buffer = new ArrayBuffer(byteLength);
+    const view = new DataView(buffer);
+    view.setUint8(0, SyncMessage.snapshot);
+    view.setUint16(1, log.cellSize, true);
+    view.setUint32(3, cellIds.length, true);
+    let offset = 7;
+    for (const cellId of cellIds) {
+      for (const v of cellId.split(',')) {
+        view.setInt32(offset, parseInt(v), true);
+        offset += 4;
+      }
+      const edits = log.cells[cellId];
+      view.setUint32(offset, edits.size, true);
+      offset += 4;
+      for (const [voxelOffset, value] of edits) {
+        view.setUint16(offset, voxelOffset, true);
+        view.setUint8(offset + 2, value & 0xFF);
+        view.setUint8(offset + 3, value >> 8);
+        offset += 4;
+      }
+    }
+    return buffer;
+  }
+
+  // edits는 [{ x, y, z, v, state }, ...] (state는 없으면 0)
+  static encodeEdits(senderId, edits) {
+    const buffer = new ArrayBuffer(7 + edits.length * 14);
+    const view = new DataView(buffer);
+    view.setUint8(0, SyncMessage.edits);
+    view.setUint32(1, senderId, true);
+    view.setUint16(5, edits.length, true);
+    let offset = 7;
+    for (const {
+        x,
+        y,
+        z,
+        v,
+        state
+      } of edits) {
+      view.setInt32(offset, x, true);
+      view.setInt32(offset + 4, y, true);
+      view.setInt32(offset + 8, z, true);
+      view.setUint8(offset + 12, v);
+      view.setUint8(offset + 13, state || 0);
+      offset += 14;
+    }
+    return buffer;
+  }
+
+  // 받은 메시지를 읽어서 { type, ... } 객체로 리턴함. 길이가 안 맞거나 모르는 종류면 에러를 던짐.
+  static decode(buffer) {
+    const view = new DataView(buffer);
+    if (!buffer.byteLength) {
+      throw new Error('SyncMessage: empty message');
+    }
+    const type = view.getUint8(0);
+
+    if (type === SyncMessage.welcome) {
+      SyncMessage.checkLength(buffer, 5);
+      return {
+        type,
+        clientId: view.getUint32(1, true),
+      };
+    }
+
+    if (type === SyncMessage.edits) {
+      SyncMessage.checkLength(buffer, 7);
+      const count = view.getUint16(5, true);
+      SyncMessage.checkLength(buffer, 7 + count * 14);
+      const edits = [];
+      for (let i = 0, offset = 7; i < count; i++, offset += 14) {
+        edits.push({
+          x: view.getInt32(offset, true),
+          y: view.getInt32(offset + 4, true),
+          z: view.getInt32(offset + 8, true),
+          v: view.getUint8(offset + 12),
+          state: view.getUint8(offset + 13),
+        });
+      }
+      return {
+        type,
+        senderId: view.getUint32(1, true),
+        edits,
+      };
+    }
+
+    if (type === SyncMessage.snapshot) {
+      SyncMessage.checkLength(buffer, 7);
+      const log = new VoxelEditLog(view.getUint16(1, true));
+      const cellCount = view.getUint32(3, true);
+      let offset = 7;
+      for (let i = 0; i < cellCount; i++) {
+        SyncMessage.checkLength(buffer, offset + 16);
+        const cellId = `${view.getInt32(offset, true)}, ${view.getInt32(offset + 4, true)}, ${view.getInt32(offset + 8, true)}`;
+        const count = view.getUint32(offset + 12, true);
+        offset += 16;
+        SyncMessage.checkLength(buffer, offset + count * 4);
+        const edits = new Map();
+        for (let j = 0; j < count; j++, offset += 4) {
+          edits.set(view.getUint16(offset, true), view.getUint8(offset + 2) | (view.getUint8(offset + 3) << 8));
+        }
+        log.cells[cellId] = edits;
+      }
+      return {
+        type,
+        log,
+      };
+    }
+
+    throw new Error(`SyncMessage: unknown message type ${type}`);
+  }
+
+  static checkLength(buffer, length) {
+    if (buffer.byteLength < length) {
+      throw new Error('SyncMessage: message is too short');
+    }
+  }
+}
+
+SyncMessage.welcome = 0;
+SyncMessage.snapshot = 1;
+SyncMessage.edits = 2;
+SyncMessage.maxEditsPerMessage = 0xFFFF; // 편집 개수를 u16에 담으니까 이보다 많으면 여러 메시지로 나눠서 보냄.
+
+/**
+ * 브라우저 쪽 동기화 클라이언트.
+ *
+ * 로컬에서 바꾼 복셀들은 sendChanges()로 서버에 보내고, 다른 사람이 바꾼 복셀들은 world.setVoxel()로 적용함.
+ * world가 바뀐 cell들을 dirty로 모아주니까 cell mesh는 로컬 편집과 똑같이 RemeshScheduler가 다시 만들어 줌.
+ * 바뀐 복셀좌표값들이 따로 필요하면 options.onRemoteChanges(changes)를 넘겨주면 됨.
+ *
+ * 아직 지형을 만들지 않은 cell의 편집은 바로 적용하면 그 cell이 '이미 만든 cell'로 취급되어 지형이 안 만들어지니까, 편집 기록(log)에만 남겨뒀다가
+ * 그 cell의 지형을 만든 직후에 applyCell()로 적용해 줌. cell이 멀어져서 치워졌다가 다시 만들어질 때도 마찬가지.
+ * 어떤 cell이 지형을 만든 cell인지는 options.isCellReady(cellId)로 물어봄.
+ */
+class VoxelSyncClient {
+  constructor(world, options) {
+    this.world = world;
+    this.isCellReady = options.isCellReady;
+    this.onRemoteChanges = options.onRemoteChanges;
+    this.onStatusChange = options.onStatusChange; // 연결 상태('connecting', 'connected', 'disconnected')가 바뀔 때마다 호출해주는 함수
+    this.createSocket = options.createSocket || ((url) => new WebSocket(url));
+
+    this.socket = null;
+    this.clientId = null;
+    this.log = new VoxelEditLog(world.cellSize);
+    this.pending = {}; // 'x,y,z' -> 서버가 아직 되돌려주지 않은 내 편집 개수
+  }
+
+  connect(url) {
+    const socket = this.createSocket(url);
+    socket.binaryType = 'arraybuffer';
+    socket.addEventListener('open', () => this.setStatus('connected'));
+    socket.addEventListener('close', () => {
+      this.socket = null;
+      this.clientId = null;
+      this.pending = {};
+      this.setStatus('disconnected');
+    });
+    socket.addEventListener('message', (e) => this.receive(e.data));
+    this.socket = socket;
+    this.setStatus('connecting');
+  }
+
+  setStatus(status) {
+    this.status = status;
+    if (this.onStatusChange) {
+      this.onStatusChange(status);
+    }
+  }
+
+  // 서버가 welcome을 보내기 전에는 내 편집이 되돌아와도 알아볼 수가 없으니까 보내지 않음.
+  get connected() {
+    return !!this.socket && this.clientId !== null;
+  }
+
+  // 로컬에서 바뀐 복셀좌표값들({ x, y, z } 배열)을 서버에 보내는 메서드. 복셀값과 상태값은 지금 world에 들어있는 값을 읽어서 보냄.
+  sendChanges(changes) {
+    if (!this.connected || !changes.length) {
+      return;
+    }
+    const edits = changes.map(({
+      x,
+      y,
+      z
+    }) => {
+      const key = `${x},${y},${z}`;
+      this.pending[key] = (this.pending[key] || 0) + 1;
+      return {
+        x,
+        y,
+        z,
+        v: this.world.getVoxel(x, y, z),
+        state: this.world.getVoxelState(x, y, z),
+      };
+    });
+    for (let i = 0; i < edits.length; i += SyncMessage.maxEditsPerMessage) {
+      this.socket.send(SyncMessage.encodeEdits(0, edits.slice(i, i + SyncMessage.maxEditsPerMessage)));
+    }
+  }
+
+  receive(data) {
+    let message;
+    try {
+      message = SyncMessage.decode(data);
+    } catch (error) {
+      console.error(error);
+      return;
+    }
+
+    if (message.type === SyncMessage.welcome) {
+      this.clientId = message.clientId;
+      return;
+    }
+
+    const changes = [];
+    if (message.type === SyncMessage.snapshot) {
+      // 스냅샷은 서버의 cellSize로 묶여있으니까 전역 좌표값으로 풀어서 내 cellSize의 기록으로 다시 담아 줌.
+      this.log = new VoxelEditLog(this.world.cellSize);
+      for (const cellId of Object.keys(message.log.cells)) {
+        message.log.forEachInCell(cellId, (x, y, z, v, state) => {
+          this.log.set(x, y, z, v, state);
+          this.applyRemoteEdit(x, y, z, v, state, changes);
+        });
+      }
+    } else {
+      const mine = message.senderId === this.clientId;
+      for (const {
+          x,
+          y,
+          z,
+          v,
+          state
+        } of message.edits) {
+        this.log.set(x, y, z, v, state);
+        if (mine) {
+          this.settle(`${x},${y},${z}`);
+        } else {
+          this.applyRemoteEdit(x, y, z, v, state, changes);
+        }
+      }
+    }
+
+    if (changes.length && this.onRemoteChanges) {
+      this.onRemoteChanges(changes);
+    }
+  }
+
+  // 서버가 되돌려준 내 편집 하나를 pending에서 빼 줌.
+  settle(key) {
+    if (--this.pending[key] <= 0) {
+      delete this.pending[key];
+    }
+  }
+
+  applyRemoteEdit(x, y, z, v, state, changes) {
+    if (this.pending[`${x},${y},${z}`]) {
+      return; // 서버 순서상 이 뒤에 내 편집이 있으니까 적용하지 않음.
+    }
+    if (!this.isCellReady(this.world.computeCellId(x, y, z))) {
+      return; // 지형을 만들 때 applyCell()이 적용해 줌.
+    }
+    if (this.world.getVoxel(x, y, z) !== v || this.world.getVoxelState(x, y, z) !== state) {
+      this.world.setVoxel(x, y, z, v, state);
+      changes.push({
+        x,
+        y,
+        z
+      });
+    }
+  }
+
+  // 방금 지형을 만든 cell에 지금까지 기록된 편집들을 적용해 줌. (아직 서버가 되돌려주지 않은 내 편집은 기록에 없으니 건드리지 않음)
+  applyCell(cellX, cellY, cellZ) {
+    this.log.forEachInCell(`${cellX}, ${cellY}, ${cellZ}`, (x, y, z, v, state) => {
+      this.world.setVoxel(x, y, z, v, state);
+    });
+  }
+}
+
+export {
+  VoxelEditLog,
+  SyncMessage,
+  VoxelSyncClient
+};
@@ -0,0 +1,1411 @@
+'use strict';
+
+import {
+  euclideanModulo
+} from './math-utils.js';
+
+import {
+  BlockRegistry
+} from './blocks.js';
+
+import {
+  VoxelCell
+} from './voxel-cell.js';
+
+// 복셀 데이터를 관리하고, cell geometry 데이터를 만들어주는 VoxelWorld 클래스.
+// DOM이나 씬에는 손대지 않으니까, main 스레드의 app.js뿐만 아니라 cell geometry를 만들어주는 mesh-worker.js에서도 같이 import 해서 씀.
+// three.js도 import 하지 않고 (intersectRay의 start, end는 x, y, z만 있으면 됨) 네트워크로 불러오는 모듈이 없으니까, Node에서도 그대로 import 해서 테스트할 수 있음. (test/ 폴더 참고)
+
+class VoxelWorld {
+  constructor(options) {
+    this.cellSize = options.cellSize;
+    this.tileSize = options.tileSize; // 텍스처 안의 각 타일 1장의 크기
+    this.tileTextureWidth = options.tileTextureWidth; // 텍스처 전체 너비
+    this.tileTextureHeight = options.tileTextureHeight; // 텍스처 전체 높이
+    // cell geometry를 만드는 방식. 'face'는 겉부분 면 하나마다 사각형 하나를 만들고, 'greedy'는 같은 타일을 쓰는 이웃한 면들을 큰 사각형으로 합쳐서 만듦.
+    this.meshing = options.meshing || 'face';
+    // 면의 꼭지점마다 주변 블록에 가려진 정도를 계산해서 어둡게 칠해주는 ambient occlusion(AO)을 쓸지 말지. 끄면 모든 꼭지점의 색이 1(원래 밝기)이 됨.
+    this.ambientOcclusion = options.ambientOcclusion !== undefined ? options.ambientOcclusion : true;
+    // 복셀값마다 어떤 블록인지(면마다 쓸 타일, 성질 등) 정리해놓은 블록 레지스트리. 워커에서는 블록 정의 배열만 넘겨받으니까 그걸로 새로 만들어 줌.
+    this.blocks = options.blocks instanceof BlockRegistry ?
+      options.blocks :
+      new BlockRegistry(options.blocks || BlockRegistry.defaultDefinitions);
+
+    const {
+      cellSize
+    } = this; // 위의 options에서 가져온 cellSize값이 할당된 this.cellSize 프로퍼티의 값을 const cellSize에 다시 가져온 것... 뭐하러 이렇게 하는지 참...
+    this.cellSliceSize = cellSize * cellSize; // 해당 복셀이 몇번째 복셀인지 계산할 때, 복셀의 y좌표값에 곱해서 몇번째 층에 있는 복셀인지 우선 구하기 위해 곱해주는 값.
+    this.cells = {}; // 복셀을 추가하면, 추가하는 복셀이 첫번째 셀에 해당하는지 확인하고, 그렇지 않다면 새로운 셀을 생성해야 하므로, 여러 개의 셀(VoxelCell)들을 만들어서 담아놓기 위한 객체를 만들어놓음.
+    // cells와 같은 cellId로, 계단의 방향처럼 복셀마다 따로 저장해야 하는 상태값(0 ~ 255)을 담아놓은 VoxelCell들. 상태값이 전부 0인 cell은 만들지 않음.
+    this.states = {};
+    this.lights = {}; // cells와 같은 cellId로, 복셀마다 빛의 세기(상위 4비트는 햇빛, 하위 4비트는 블록 빛)를 담아놓은 형식화 배열들. VoxelLighting이 채워 줌.
+    this.lighting = null; // VoxelLighting을 연결해두면 setVoxel()로 복셀이 바뀔 때마다 빛도 다시 계산해 줌.
+    // setVoxel()로 값이 실제로 바뀐 복셀이 포함된 cell들(cellId: true). 가장자리 복셀이 바뀌면 그 면에 맞닿은 이웃 cell도 같이 담음. takeDirtyCellIds()로 가져가서 cell mesh를 다시 만들어주면 됨.
+    this.dirtyCellIds = {};
+    this.changeListeners = []; // 복셀값이 바뀔 때마다 listener(x, y, z, oldVoxel, newVoxel)로 호출해 줄 함수들
+  }
+
+  // 전달받은 복셀좌표값이 몇 번째 셀에 포함되는지 해당 셀의 id값을 'x, y, z'좌표값 문자열 형태로 계산하여 리턴해주는 메서드
+  computeCellId(x, y, z) {
+    const {
+      cellSize
+    } = this;
+    const cellX = Math.floor(x / cellSize);
+    const cellY = Math.floor(y / cellSize);
+    const cellZ = Math.floor(z / cellSize);
+    return `${cellX}, ${cellY}, ${cellZ}`;
+  }
+
+  // 전달받은 복셀좌표값이 몇번째 셀에 포함되는지 해당 셀의 id값을 계산하여 리턴받은 뒤, 해당 id값과 일치하는 셀의 형식화배열을 this.cells에서 가져와서 리턴해주는 메서드
+  // 왜 이렇게 하냐면, 우리가 이제 복셀을 '추가'하는 기능까지 만들거기 때문에, 첫번째 셀의 복셀만이 아니라, 그 외의 셀에 포함되는 복셀까지 렌더해줘야 하는 상황도 생기는 것임.
+  // 그렇기 때문에 추가하고자 하는 위치의 복셀이 포함된 셀의 형식화 배열이 뭔지 구분한 뒤, 셀에 따라 id값을 부여해놓고, 해당 id값과 일치하는 형식화배열을 가져오려는 것.
+  getCellForVoxel(x, y, z) {
+    return this.cells[this.computeCellId(x, y, z)];
+  }
+
+  // getVoxel, setVoxel에서 각 복셀이 몇번째인지 계산하는 코드가 중복되서 그거룰 하나의 메서드로 묶어서 정리해준 것.
+  computeVoxelOffset(x, y, z) {
+    const {
+      cellSize,
+      cellSliceSize
+    } = this;
+
+    // euclideanModulo(x, cellSize) 이렇게 해주면, '유클리드 나머지값'을 계산해 줌. 즉, ((x % cellSize) + cellSize) % cellSize 이 공식으로 나머지값을 계산해준다는 것.
+    // 물론 x, y, z는 첫번째 cell의 복셀좌표값 범위 내에 있으므로, 모든 값은 결국 cellSize(32)보다 작을테니 각각 x, y, z값이 그대로 리턴되겠지. 이 리턴된 값을 비트연산자로 소수점 제거를 해줌. 근데 euclideanModulo() 메서드 자체가 정수값만 리턴해줘서 굳이 저걸 해줄 필요는 없긴 함...
+    const voxelX = euclideanModulo(x, cellSize) | 0;
+    const voxelY = euclideanModulo(y, cellSize) | 0;
+    const voxelZ = euclideanModulo(z, cellSize) | 0;
+    return voxelY * cellSliceSize + voxelZ * cellSize + voxelX; // 전달받은 복셀좌표값을 이용해서 형식화배열에서 사용할 인덱스값을 구해서 리턴해 줌.
+    // 왜 이렇게 구해지냐? 복셀을 Y축 방향으로 여러 층 썰었다고 생각해보면 이해가 쉬움. 그럼 XZ방향으로 cellSize * cellSize(즉, cellSliceSize)한 값에다가(이게 한 층) Y축 방향으로 몇 번째 층인지를 우선 알아야 하니 cellSize * cellSize * y 를 해줘야지?
+    // 그리고 나서 해당 층 내에서 Z축 방향으로 몇번째 줄인지 계산해야 하므로 cellSize * z를 더해줌. 여기에 마지막으로 X축 방향으로 몇번째 복셀인지 알아야 하니까 x를 더해줌. 이런식으로 복셀좌표값이 전체 cell 내에서 몇번째 복셀인지를 구해주는거임.
+  }
+
+  // 전달받은 복셀좌표값이 포함된 cell의 형식화 배열이 있어야 할 자리인 this.cells[this.computeCellId(x, y, z)]를 가져온 뒤, 형식화 배열이 만들어져 있는지 확인함.
+  // 형식화 배열이 있으면 해당 셀에서 해당 복셀이 몇번째인지 인덱스를 계산해서 해당 셀의 형식화 배열에 1~16 사이에 랜덤으로 전달받은 값을 지정해주고,
+  // 형식화 배열이 없으면 addCellForVoxel() 메서드를 호출해서 전달받은 복셀이 포함된 영역의 새로운 셀 형식화배열을 만들어준 뒤 v값을 지정해줘야 함. 
+  // 생성자에서 this.cells = {} 에는 아무런 형식화배열도 추가하지 않은 상태이므로, 맨 처음 첫번째 cell의 geometry를 만들려고 할 때 첫번째 셀의 형식화 배열을 만들어줬을거고,
+  // 그 다음부터 첫번째 cell 바깥쪽에 복셀들을 하나씩 추가할 때마다 해당 복셀이 포함된 cell이 만들어져 있는지 아닌지 확인하고 새로운 cell 형식화 배열을 만들어주겠지!
+  //
+  // state는 그 복셀의 상태값(계단의 방향 등, block-shapes.js 참고). 안 넘기면 0이 되니까, 복셀값을 바꾸면 예전 블록의 상태값은 남지 않음.
+  // 복셀값은 그대로고 상태값만 바뀌어도 바뀐 걸로 보고 dirty cell과 변경 이벤트를 만들어 줌.
+  //
+  // 없는 cell에 빈 공간(0)을 쓰는 건 아무것도 바뀌지 않으니 cell을 새로 만들지 않고, 마지막 복셀을 지워서 전부 빈 공간이 된 cell은 this.cells에서 지워 줌.
+  // 지운 cell도 dirty로 표시하니까, mesh를 다시 만드는 쪽에서 cell이 없으면 예전 mesh를 치워주면 됨.
+  setVoxel(x, y, z, v, state = 0) {
+    const cellId = this.computeCellId(x, y, z); // 언덕 곡선을 만드는 3중 for loop에서 받은 복셀좌표값이 첫번째 (0, 0, 0)지점 cell 범위에 해당하는 복셀인지 확인받음.
+    let cell = this.cells[cellId];
+    if (!cell) {
+      if (!v && !state) {
+        return;
+      }
+      cell = this.addCellForVoxel(x, y, z);
+    }
+
+    const voxelOffset = this.computeVoxelOffset(x, y, z);
+
+    const oldVoxel = cell.set(voxelOffset, v); // (0, 0, 0)지점의 첫번째 셀 범위에 드는 복셀들 중에서, 언덕 곡선 밑까지의 복셀좌표값만 랜덤으로 전달받은 1~16사이의 값을 지정해 줌. 원래 있던 값을 리턴받음.
+    const oldState = this.setStateAt(cellId, voxelOffset, state);
+    if (oldVoxel === v && oldState === state) {
+      return;
+    }
+    if (this.lighting && oldVoxel !== v) {
+      this.lighting.updateVoxel(x, y, z, oldVoxel, v);
+    }
+    if (cell.bits === 0 && cell.value === 0) {
+      this.removeCellIfEmpty(cellId);
+    }
+
+    this.dirtyCellIds[cellId] = true;
+    this.markBorderNeighborsDirty(x, y, z);
+    for (const listener of this.changeListeners) {
+      listener(x, y, z, oldVoxel, v);
+    }
+  }
+
+  // 전부 빈 공간인 uniform cell을 복셀값, 상태값 배열째로 지워주는 메서드. 빈 공간에 상태값만 남아있는 cell은 지우지 않음.
+  // 빛은 cell이 없어도 빈 공간을 지나가야 하니까 그대로 둠.
+  removeCellIfEmpty(cellId) {
+    const states = this.states[cellId];
+    if (states && !(states.bits === 0 && states.value === 0)) {
+      return;
+    }
+    delete this.cells[cellId];
+    delete this.states[cellId];
+  }
+
+  // cellId cell의 voxelOffset 자리의 상태값을 state로 바꾸고 원래 값을 리턴하는 메서드.
+  // 지형을 만들 때처럼 상태값이 없는 복셀을 아주 많이 놓는 경우에도 메모리를 쓰지 않도록, 상태값 cell이 없는데 0을 넣으려고 하면 아무것도 만들지 않음.
+  setStateAt(cellId, voxelOffset, state) {
+    let states = this.states[cellId];
+    if (!states) {
+      if (!state) {
+        return 0;
+      }
+      const {
+        cellSize
+      } = this;
+      states = new VoxelCell(cellSize * cellSize * cellSize);
+      this.states[cellId] = states;
+    }
+    return states.set(voxelOffset, state);
+  }
+
+  // 전달받은 복셀좌표값의 상태값을 가져오는 메서드. 상태값을 저장한 적이 없으면 0
+  getVoxelState(x, y, z) {
+    const states = this.states[this.computeCellId(x, y, z)];
+    if (!states) {
+      return 0;
+    }
+    return states.get(this.computeVoxelOffset(x, y, z));
+  }
+
+  // (x, y, z) 복셀이 cell의 가장자리에 있으면, 그 면에 맞닿은 이웃 cell도 겉부분 면이 바뀌었을 수 있으니 dirty로 표시해 줌.
+  // AO는 면 앞쪽 층의 대각선 방향 복셀까지 보니까, 모서리나 꼭지점에 있는 복셀이면 그 모서리, 꼭지점에 맞닿은 대각선 cell들도 같이 표시해 줌.
+  // 지형을 만들 때처럼 setVoxel()이 아주 많이 호출되는 경우가 있으니 배열을 만들지 않고 축마다 방향만 구해서 조합함.
+  markBorderNeighborsDirty(x, y, z) {
+    const last = this.cellSize - 1;
+    const localX = euclideanModulo(x, this.cellSize);
+    const localY = euclideanModulo(y, this.cellSize);
+    const localZ = euclideanModulo(z, this.cellSize);
+    const dx = localX === 0 ? -1 : (localX === last ? 1 : 0);
+    const dy = localY === 0 ? -1 : (localY === last ? 1 : 0);
+    const dz = localZ === 0 ? -1 : (localZ === last ? 1 : 0);
+    if (!dx && !dy && !dz) {
+      return;
+    }
+    // i의 비트마다 그 축의 이웃 방향으로 넘어갈지를 정함. 경계가 아닌 축은 0이라서 같은 cell이 여러 번 나오지만 표시만 하는 거라 상관없음.
+    for (let i = 1; i < 8; i++) {
+      const ox = i & 1 ? dx : 0;
+      const oy = i & 2 ? dy : 0;
+      const oz = i & 4 ? dz : 0;
+      if (ox || oy || oz) {
+        this.dirtyCellIds[this.computeCellId(x + ox, y + oy, z + oz)] = true;
+      }
+    }
+  }
+
+  // cellId를 dirty로 표시하는 메서드. 복셀값은 그대로지만 cell mesh를 다시 만들어야 할 때(새로 불러온 cell 등) 호출함.
+  markCellDirty(cellId) {
+    this.dirtyCellIds[cellId] = true;
+  }
+
+  // 지금까지 모인 dirty cell들의 id 배열을 리턴하고 기록을 비워주는 메서드
+  takeDirtyCellIds() {
+    const cellIds = Object.keys(this.dirtyCellIds);
+    this.dirtyCellIds = {};
+    return cellIds;
+  }
+
+  addChangeListener(listener) {
+    this.changeListeners.push(listener);
+  }
+
+  removeChangeListener(listener) {
+    const index = this.changeListeners.indexOf(listener);
+    if (index >= 0) {
+      this.changeListeners.splice(index, 1);
+    }
+  }
+
+  // 넘겨받은 복셀좌표값이 포함된 cell이 아직 만들어지지 않은 상태라면 해당 cell을 새로 만들어서 this.cells에 추가해준 뒤, 새로 만든 cell을 리턴해주는 메서드
+  // 새 cell은 전부 빈 공간(0)인 uniform cell이라 복셀 배열을 만들지 않음. 다른 값이 들어올 때 VoxelCell이 알아서 팔레트 배열을 만들어 줌.
+  addCellForVoxel(x, y, z) {
+    const cellId = this.computeCellId(x, y, z);
+    let cell = this.cells[cellId];
+
+    if (!cell) {
+      const {
+        cellSize
+      } = this;
+      cell = new VoxelCell(cellSize * cellSize * cellSize);
+      this.cells[cellId] = cell;
+    }
+
+    return cell;
+  }
+
+  // setVoxel 메서드가 미리 지정해놓은 형식화배열의 값들 중 전달받은 복셀좌표값의 값을 가져오는 메서드. 전달받은 복셀이 첫번째 cell의 범위에도 해당되고, 언덕곡선 영역 아래까지 존재하는 복셀들 중 하나라면 1~16 중 하나를 리턴받게 될거고, 그게 아닌 경우는 전부 0을 리턴받을거임. 
+  // 또는 첫번째 cell이 아니어도, 전달받은 복셀이 포함된 cell의 형식화배열이 만들어져 있다면, 마찬가지로 랜덤값을 리턴받고, 그게 없다면 0을 리턴받겠지 뭐.
+  getVoxel(x, y, z) {
+    const cell = this.getCellForVoxel(x, y, z);
+    if (!cell) {
+      // 전달받은 복셀좌표값이 첫번째 cell의 복셀좌표값 범위에 해당하지 않거나 전달받은 복셀이 포함된 cell의 형식화배열이 만들어져 있지 않다면 그냥 0을 리턴해주고 메서드를 끝냄.
+      return 0;
+    }
+
+    const voxelOffset = this.computeVoxelOffset(x, y, z);
+
+    return cell.get(voxelOffset); // cell에서 해당 번째 복셀에 지정된 값(0 또는 1~16사이의 값)이 리턴될거임. 이거는 setVoxel에서 미리 다 지정해놓은 상태임.
+    // 이거는 뭘 기준으로 0 또는 랜덤값이 정해지는걸까? 첫번째 cell의 바닥에서부터 sin 함수로 만들어놓은 곡선 언덕까지의 복셀들만 1~16 사이의 랜덤값으로 정하고, 나머지 복셀들은 0으로 지정함. 그니까 첫번째 cell의 모든 복셀이 랜덤값으로 지정되지는 않는 것.
+    // 왜냐면 사인 함수로 곡선 언덕을 만드는 3중 for loop에서 해당 영역 안에 위치한 좌표값들만 setVoxel에 전달하면서 호출하기 때문에, setVoxel은 그렇게 전달받은 복셀좌표값들만 형식화배열에 랜덤값으로 지정함.
+    // 또는 새롭게 추가한 복셀이 포함된 cell의 형식화 배열이 만들어져 있는 애들만 형식화배열에 랜덤값을 저장함.
+    // 이렇게 랜덤값으로 지정된 복셀들만 generateGeometryDateForCell에서 이웃한 6개의 면들 중 '겉부분 면'이 있는지 확인받을 자격이 생기는 것임.
+  }
+
+  // 전달받은 복셀좌표값의 빛의 세기(상위 4비트는 햇빛, 하위 4비트는 블록 빛)를 가져오는 메서드.
+  // 빛을 아직 계산하지 않은 cell이면 빛 계산을 안 쓰는 것으로 보고 가장 밝은 값을 리턴함.
+  getLight(x, y, z) {
+    const lights = this.lights[this.computeCellId(x, y, z)];
+    if (!lights) {
+      return VoxelWorld.fullLight;
+    }
+    return lights[this.computeVoxelOffset(x, y, z)];
+  }
+
+  // 만들고자 하는 cell의 위치값을 인자로 받아서 해당 cell 안에 존재하는 복셀 좌표값들을 구한 뒤, 걔내들로 cell의 bufferGeometry를 생성하는 데 필요한 positions, normals, indices, uvs 값들을 계산해 줌.
+  generateGeometryDateForCell(cellX, cellY, cellZ) {
+    if (this.meshing === 'greedy') {
+      return this.generateGreedyGeometryDateForCell(cellX, cellY, cellZ);
+    }
+
+    const {
+      cellSize,
+      tileSize,
+      tileTextureWidth,
+      tileTextureHeight
+    } = this; // 생성자에 위치한 값들을 가져오는 것. 굳이 이렇게 안해도 될 듯 한데..
+
+    // cell 안에만 존재하는 복셀 좌표값들로 구한 cell의 bufferGeometry의 '겉부분 면'의 버텍스 좌표값, 노말값, uv값, 인덱스값들을 담아놓을 배열
+    // 불투명한 블록의 면(opaque)과 투명한 블록의 면(transparent)은 따로 그려야 하니까 배열들도 따로 모아 둠.
+    const opaque = VoxelWorld.createGeometryData();
+    const transparent = VoxelWorld.createGeometryData();
+
+    // 예를 들어, (0, 0, 0)을 cell의 위치값으로 받아오면, cell의 첫번째 복셀의 좌표값은 (0*32, 0*32, 0*32)니까 (0, 0, 0)이 되겠지.
+    // 그래서 이 값들부터 시작해서 아래의 3중 for loop를 이용해서 (0, 0, 0) ~ (31, 31, 31)까지의 좌표값들을 구한 뒤, (0, 0, 0)에 위치한 cell의 bufferGeometry에 필요한 positions, normals, indices 값들을 계산하려는 것.
+    const startX = cellX * cellSize;
+    const startY = cellY * cellSize;
+    const startZ = cellZ * cellSize;
+
+    for (let y = 0; y < cellSize; y++) {
+      const voxelY = startY + y;
+
+      for (let z = 0; z < cellSize; z++) {
+        const voxelZ = startZ + z;
+
+        for (let x = 0; x < cellSize; x++) {
+          const voxelX = startX + x;
+          const voxel = this.getVoxel(voxelX, voxelY, voxelZ); // 해당 복셀 좌표값이 포함되는 cell에 형식화배열이 만들어져 있는지 확인하고, 형식화 배열이 존재한다면, 전달한 좌표값으로 구한 인덱스로 this.cell 형식화배열에 담긴 값을 리턴받음. (setVoxel에 의해 이미 0 또는 랜덤값이 할당되어 있을거임) 
+
+          // if block을 통과하는 복셀 좌표값들은 각 복셀들이 포함되는 cell의 형식화배열에 0이 아닌 값이 지정된 복셀들임. 
+          const block = voxel && this.blocks.get(voxel);
+
+          // 반 블록, 계단 같은 모양의 블록은 모양의 상자들로 따로 그려 줌.
+          if (block && !block.shape.full) {
+            this.pushShapeGeometry(block.transparent ? transparent : opaque, voxel, block, voxelX, voxelY, voxelZ, x, y, z, false);
+            continue;
+          }
+
+          // 블록 레지스트리에 등록되지 않은 복셀값은 어떤 타일을 써야 할지 모르니까 그리지 않음.
+          if (block) {
+            // 블록이 투명한지 아닌지에 따라 면을 추가할 배열들을 골라 줌.
+            const {
+              positions,
+              normals,
+              uvs,
+              colors,
+              indices
+            } = block.transparent ? transparent : opaque;
+            VoxelWorld.faces.forEach((face, faceIndex) => {
+              const {
+                name,
+                dir,
+                corners,
+              } = face;
+              // 각 복셀 좌표값의 왼,오,위,아래,뒤,앞에 존재하는 면들의 위치값(노멀값)을 구한 뒤, 걔내가 첫 번째 (0, 0, 0)지점의 cell 안에 존재하는 면의 위치값, 즉 cell 안에 존재하는 어떤 복셀의 면 중 하나인지 판단함.
+              if (this.isFaceVisible(voxel, faceIndex, voxelX + dir[0], voxelY + dir[1], voxelZ + dir[2])) {
+                // 원래는 neighbor = 0 인 경우에만 면을 만들었는데, 이제는 이웃이 투명한 블록이어도 그 너머로 이 면이 보이니까 만들어 줘야 함. (isFaceVisible 참고)
+                // neighbor = 0 인 경우, 위에서 계산한 복셀 주변의 면은 cell 안에 존재하는 복셀의 면이 아니라는 것. 즉, cell 덩어리에서 가장 '겉부분'에 위치하는 면이라는 뜻! 
+                // -> 우리가 안쪽의 면은 렌더링 해주지 않기로 했으니까, 이 겉부분의 면만 렌더링 해주면 됨. 따라서 이 겉부분 면의 버텍스들의 좌표값(위치값 아님. corners값으로 구하는 좌표값), 버텍스 normal(버텍스들이 향하는 방향)값, 버텍스 indices값(vertex 좌표값 배열에서 어느 좌표값을 찾아야 할 지 알려주는 인덱스값)을 구함.
+                // 해당 블록의 이 면에 쓸 타일이 텍스처 아틀라스에서 몇 번째 [열, 행]에 있는지 블록 레지스트리에서 찾아옴.
+                // 예전에는 열은 voxel - 1, 행은 면마다 정해진 uvRow로 고정되어 있었는데, 이제는 블록마다 면마다 자유롭게 정할 수 있음.
+                const [tileX, tileY] = this.blocks.getFaceTile(voxel, name);
+                const index = positions.length / 3; // positions에는 하나의 면에 대해 12개의 버텍스 좌표값들이 push됨(왜? 한 면의 버텍스가 4개니까). 따라서 면 하나를 이루는 버텍스 개수, 즉 4의 배수를 버텍스 인덱스의 시작점으로 정해줌.
+                const ao = this.computeFaceAmbientOcclusion(voxelX, voxelY, voxelZ, face); // 이 면의 4개의 꼭지점이 주변 블록에 가려진 정도 (0 ~ 3)
+                // 면 바로 앞 복셀(빛이 들어오는 쪽)의 빛의 세기로 면 전체의 밝기를 정함.
+                const lightBrightness = VoxelWorld.getLightBrightness(this.getLight(voxelX + dir[0], voxelY + dir[1], voxelZ + dir[2]));
+
+                corners.forEach(({
+                  pos,
+                  uv, // corners에는 각 버텍스 좌표값에 맞게 씌워줄 텍스처의 uv좌표값을 짝지어 놓았으니까 같이 가져옴.
+                }, i) => {
+                  positions.push(pos[0] + x, pos[1] + y, pos[2] + z); // 이런 식으로 한 면을 이루는 4개의 버텍스 좌표값(x, y, z)를 구해서 positions에 추가해 줌.
+                  const brightness = VoxelWorld.aoBrightness[ao[i]] * lightBrightness;
+                  colors.push(brightness, brightness, brightness); // AO와 빛의 세기로 어두워진 정도를 버텍스 컬러로 넣어주면, material의 vertexColors가 텍스처 색에 곱해줌.
+                  normals.push(...dir); // 한 면에 있는 버텍스들은 모두 같은 방향을 바라보니까, 4개의 버텍스 모두 동일한 노말값(...dir)을 복사해서 normals에 넣어줌.
+                  uvs.push(
+                    /**
+                     * 각 버텍스의 uv좌표값의 u값을 구한 뒤 추가해 줌.
+                     * 
+                     * 이때, uv[0]이 0 또는 1이므로, 0이면 각 타일의 왼쪽 상단의 u값, 1이면 각 타일의 오른쪽 상단의 u값이 계산될거임.
+                     * 참고로 이 값을 tileSize/tileTextureWidth 값으로 곱해주기 때문에 0 ~ 1 사이의 값으로 계산됨. 왜냐? 원래 uv좌표값은 0 ~ 1사이의 값으로 표현해줘야 하기 때문임.
+                     * 그래서 tileTextureWidth = tileSize(16) * 16 이기 때문에, tileSize에 곱해주는 값도 0 ~ 16 사이의 값이 나오도록 하는거임.
+                     */
+                    (tileX + uv[0]) * tileSize / tileTextureWidth,
+                    /**
+                     * 각 버텍스의 uv좌표값의 v값을 구한 뒤 추가해 줌.
+                     * 
+                     * 이때, tileTextureHeight = tileSize(16) * 4 이고, 텍스처의 최하단 v값, 즉 4는 투명한 지점을 가리키니 필요가 없겠지? 
+                     * 따라서 (tileY + 1 - uv[1])는 uv[1]이 0이면 1, 2, 3이 나올거고, 1이면 0, 1, 2가 나올거임. 
+                     * 그리고 나서 해당 값에다가 u값을 구할때처럼 tileSize / tileTextureHeight을 곱해주면 됨.
+                     * 
+                     * 근데 다 구하고 나서 왜 1에서 빼준걸까?
+                     * 그거는 OpenGL vs DirectX의 텍스처 좌표계의 방향이 반대이기 때문임.
+                     * DirectX는 텍스처의 왼쪽 상단이 (0, 0), 오른쪽 하단이 (1, 1)이지만,
+                     * OpenGL은 텍스처의 왼쪽 하단이 (0, 0), 오른쪽 상단이 (1, 1)로 인식함.
+                     * 따라서, three.js는 WebGL 기반이고, WebGL도 OpenGL 기반이므로, OpenGl의 텍스처 좌표계 방향을 따르는거임.
+                     * 
+                     * 만약 DirectX였으면 1에서 빼지 않은 값을 그대로 써도 아무런 문제가 없겠지만, WebGL은 텍스처 좌표계의 방향이 위아래가 반대이므로
+                     * v값을 구할때는 항상 1(즉, 텍스처의 최상단 지점의 v값)에서 빼준 값으로 해줘야 함.
+                     */
+                    1 - (tileY + 1 - uv[1]) * tileSize / tileTextureHeight
+                  );
+                });
+
+                // 위에서 만든 각각 4개씩의 버텍스 좌표값(positions)과 버텍스 노말값(normals)들을 해당 배열에서 가져오기 위해 인덱스값을 계산해서 indices에 추가해 줌. 
+                // 왜 버텍스는 4개를 만들었는데 6개의 인덱스값이 필요한걸까? 버텍스 4개, 즉 사각형은 삼각형 두 개로 이루어진거임. WebGL은 삼각형밖에 그릴 줄 모른다는 걸 명심해야 함.
+                // 그래서 사각형을 반으로 나눴을 때 나오는 두 개의 삼각형 각각의 버텍스들을 지정하려고 하다보니, 인덱스값이 6개가 나온거임.
+                // 사각형을 어느 대각선으로 나눌지는 AO값을 보고 정함. (VoxelWorld.pushQuadIndices 참고)
+                VoxelWorld.pushQuadIndices(indices, index, ao);
+              }
+            });
+          }
+        }
+      }
+    }
+
+    // generateGeometryDateForCell 메서드 마지막에서 지금까지 구한 모든 복셀 좌표값들 중 첫번째 cell안에 들어가는 복셀 좌표값만 구하고, 그것들의 주변 면들 중 '겉부분 면'의 버텍스 관련 데이터들만 담아놓은 배열들을 묶어서 리턴해 줌.  
+    return {
+      opaque,
+      transparent
+    };
+  }
+
+  // (x, y, z) 복셀의 face 면에 있는 4개의 꼭지점(face.corners 순서)마다 주변 블록에 가려진 정도를 0(가장 많이 가려짐) ~ 3(안 가려짐)으로 계산해서 리턴하는 메서드.
+  // 면 바로 앞의 층에서, 꼭지점에 맞닿은 옆 블록 2개(side1, side2)와 대각선 방향의 모서리 블록(corner)을 확인함.
+  // 옆 블록 2개가 모두 막혀 있으면 모서리 블록과 상관없이 꼭지점이 완전히 가려지니까 0, 아니면 3에서 막힌 블록 개수를 빼 줌.
+  computeFaceAmbientOcclusion(x, y, z, face) {
+    const ao = [3, 3, 3, 3];
+    if (!this.ambientOcclusion) {
+      return ao;
+    }
+
+    const {
+      dir,
+      corners
+    } = face;
+    const d = dir[0] ? 0 : (dir[1] ? 1 : 2); // 면이 바라보는 축
+    const t1 = (d + 1) % 3; // 면 위의 두 축
+    const t2 = (d + 2) % 3;
+    const base = [x + dir[0], y + dir[1], z + dir[2]]; // 면 바로 앞의 복셀
+    const pos = [0, 0, 0];
+    corners.forEach((corner, i) => {
+      // 꼭지점이 복셀의 어느 쪽 모서리에 있는지에 따라 옆 블록을 찾을 방향이 정해짐.
+      const s1 = corner.pos[t1] ? 1 : -1;
+      const s2 = corner.pos[t2] ? 1 : -1;
+
+      pos[0] = base[0];
+      pos[1] = base[1];
+      pos[2] = base[2];
+      pos[t1] += s1;
+      const side1 = this.isOccluder(pos[0], pos[1], pos[2]);
+      pos[t2] += s2;
+      const cornerBlock = this.isOccluder(pos[0], pos[1], pos[2]);
+      pos[t1] -= s1;
+      const side2 = this.isOccluder(pos[0], pos[1], pos[2]);
+
+      ao[i] = side1 && side2 ? 0 : 3 - (side1 + side2 + cornerBlock);
+    });
+    return ao;
+  }
+
+  // (x, y, z) 복셀이 AO에서 빛을 가리는 블록인지 확인하는 메서드. 투명한 블록은 빛이 통과하니까 가리지 않는 걸로 침.
+  // 반 블록, 계단 같은 모양의 블록은 꼭지점을 가리는 정도가 제각각이라 가리지 않는 걸로 침.
+  isOccluder(x, y, z) {
+    const block = this.blocks.get(this.getVoxel(x, y, z));
+    return block && !block.transparent && block.shape.full ? 1 : 0;
+  }
+
+  // voxel 블록의 faceIndex(VoxelWorld.faces의 순서) 면이 (neighborX, neighborY, neighborZ)의 이웃 블록과 맞닿아 있을 때 그 면을 그려야 하는지 알려주는 메서드.
+  // 이웃이 빈 공간이면 당연히 보이고, 불투명한 블록이면 가려지니까 안 그려도 됨.
+  // 단, 이웃이 반 블록이나 계단처럼 맞닿은 면을 완전히 덮지 않는 모양이면 빈 곳으로 이 면이 보이니까 그려야 함.
+  // 이웃이 투명한 블록이면 그 너머로 보이니까 그려야 하는데, 유리 옆에 유리처럼 같은 투명 블록끼리 맞닿은 면은 서로 겹쳐 보이기만 하니까 숨겨 줌.
+  isFaceVisible(voxel, faceIndex, neighborX, neighborY, neighborZ) {
+    const neighbor = this.getVoxel(neighborX, neighborY, neighborZ);
+    if (!neighbor) {
+      return true;
+    }
+    const neighborBlock = this.blocks.get(neighbor);
+    if (!neighborBlock) {
+      return true; // 등록되지 않은 복셀값은 그려지지 않으니까 빈 공간처럼 취급함.
+    }
+    // VoxelWorld.faces는 반대 방향의 면끼리 짝지어 놓았으니까, faceIndex ^ 1이 이 면과 맞닿은 이웃의 면. 상태값은 모양이 cube가 아닐 때만 찾아봄.
+    if (!neighborBlock.shape.full && !neighborBlock.shape.coversFace(faceIndex ^ 1, this.getVoxelState(neighborX, neighborY, neighborZ))) {
+      return true;
+    }
+    if (!neighborBlock.transparent) {
+      return false;
+    }
+    return voxel !== neighbor;
+  }
+
+  /**
+   * generateGeometryDateForCell의 greedy meshing 버전.
+   *
+   * 기존 방식은 겉부분 면 하나마다 버텍스 4개, 인덱스 6개를 만들기 때문에, 평평한 32*32 윗면 하나만 해도 사각형이 1024개나 나옴.
+   * 그래서 6개의 방향마다 cell을 한 층(slice)씩 잘라서, 해당 층에서 겉부분 면이 있는 자리에 그 복셀의 값(타일)을 적어놓은 2차원 mask를 만들고,
+   * mask에서 같은 타일을 쓰는 이웃한 면들을 가로 -> 세로 순서로 최대한 넓게 묶어서 하나의 큰 사각형으로 만들어 줌.
+   *
+   * 문제는 사각형이 커지면 기존처럼 uv좌표값을 텍스처 안의 타일 범위로 지정할 수가 없다는 것. (타일이 한 번만 늘어나서 그려지겠지)
+   * 그래서 uv에는 '타일 몇 칸짜리인지'를 나타내는 타일 단위 좌표값(0 ~ 사각형의 가로/세로 복셀 개수)을 넣어주고,
+   * tileOrigins에는 텍스처에서 해당 타일의 왼쪽 하단 uv좌표값을 넣어준 뒤, 셰이더에서 tileOrigin + fract(uv) * 타일 크기로 텍스처를 찾도록 함.
+   * -> 이 셰이더는 main()의 greedyMaterial에서 onBeforeCompile로 MeshLambertMaterial에 끼워넣어 줌.
+   *
+   * AO를 켜면 꼭지점마다 어두운 정도가 다를 수 있으니까, mask와 같은 자리에 4개의 꼭지점의 AO값을 묶은 값을 aoMask에 적어두고,
+   * 복셀값뿐만 아니라 AO값까지 똑같은 면들끼리만 합쳐 줌. 그래야 합친 사각형의 꼭지점 색이 원래 면들의 색과 어긋나지 않음.
+   * 빛의 세기도 마찬가지로 lightMask에 적어두고 같은 것끼리만 합쳐 줌.
+   */
+  generateGreedyGeometryDateForCell(cellX, cellY, cellZ) {
+    const {
+      cellSize,
+      tileSize,
+      tileTextureWidth,
+      tileTextureHeight
+    } = this;
+
+    const opaque = VoxelWorld.createGeometryData();
+    const transparent = VoxelWorld.createGeometryData();
+    opaque.tileOrigins = [];
+    transparent.tileOrigins = [];
+
+    const start = [cellX * cellSize, cellY * cellSize, cellZ * cellSize];
+    const mask = new Uint8Array(cellSize * cellSize);
+    const aoMask = new Uint8Array(cellSize * cellSize);
+    const lightMask = new Uint8Array(cellSize * cellSize);
+    const voxelPos = [0, 0, 0];
+    const shapedVoxels = []; // 합치지 않고 따로 그릴, 모양이 cube가 아닌 블록들의 복셀좌표값
+
+    VoxelWorld.faces.forEach((face, faceIndex) => {
+      const {
+        name,
+        dir,
+        corners
+      } = face;
+      const d = dir[0] ? 0 : (dir[1] ? 1 : 2); // 면이 바라보는 축
+      const u = (d + 1) % 3; // mask의 가로 방향 축
+      const v = (d + 2) % 3; // mask의 세로 방향 축
+      const uvAxes = VoxelWorld.getFaceUvAxes(face);
+
+      for (let slice = 0; slice < cellSize; slice++) {
+        // 1. 해당 층에서 겉부분 면이 있는 자리마다 복셀값을 mask에 적어놓음. (겉부분 면이 아니면 0)
+        voxelPos[d] = start[d] + slice;
+        for (let b = 0; b < cellSize; b++) {
+          voxelPos[v] = start[v] + b;
+          for (let a = 0; a < cellSize; a++) {
+            voxelPos[u] = start[u] + a;
+            let voxel = this.getVoxel(voxelPos[0], voxelPos[1], voxelPos[2]);
+            const block = voxel && this.blocks.get(voxel);
+            if (!block) {
+              voxel = 0; // 블록 레지스트리에 등록되지 않은 복셀값은 그리지 않음.
+            } else if (!block.shape.full) {
+              // 반 블록, 계단 같은 모양은 mask에 넣지 않고 나중에 따로 그림. 첫 번째 방향을 훑을 때 cell의 모든 복셀을 한 번씩 지나가니까 그때 모아 둠.
+              if (faceIndex === 0) {
+                shapedVoxels.push(voxelPos.slice());
+              }
+              voxel = 0;
+            }
+            const visible = voxel && this.isFaceVisible(voxel, faceIndex, voxelPos[0] + dir[0], voxelPos[1] + dir[1], voxelPos[2] + dir[2]);
+            mask[b * cellSize + a] = visible ? voxel : 0;
+            aoMask[b * cellSize + a] = visible ?
+              VoxelWorld.packAmbientOcclusion(this.computeFaceAmbientOcclusion(voxelPos[0], voxelPos[1], voxelPos[2], face)) :
+              0;
+            lightMask[b * cellSize + a] = visible ?
+              this.getLight(voxelPos[0] + dir[0], voxelPos[1] + dir[1], voxelPos[2] + dir[2]) :
+              0;
+          }
+        }
+
+        // 2. mask를 훑으면서 같은 값끼리 가로로 먼저 최대한 늘리고, 그 너비 그대로 세로로 최대한 늘려서 사각형을 만든 뒤, 사용한 자리는 0으로 지워줌.
+        for (let b = 0; b < cellSize; b++) {
+          for (let a = 0; a < cellSize;) {
+            const voxel = mask[b * cellSize + a];
+            if (!voxel) {
+              a++;
+              continue;
+            }
+            const aoPack = aoMask[b * cellSize + a];
+            const light = lightMask[b * cellSize + a];
+            const isSameFace = (i) => mask[i] === voxel && aoMask[i] === aoPack && lightMask[i] === light;
+
+            let width = 1;
+            while (a + width < cellSize && isSameFace(b * cellSize + a + width)) {
+              width++;
+            }
+
+            let height = 1;
+            for (; b + height < cellSize; height++) {
+              const row = (b + height) * cellSize;
+              let k = 0;
+              while (k < width && isSameFace(row + a + k)) {
+                k++;
+              }
+              if (k < width) {
+                break;
+              }
+            }
+
+            for (let h = 0; h < height; h++) {
+              mask.fill(0, (b + h) * cellSize + a, (b + h) * cellSize + a + width);
+            }
+
+            // 3. 기존 방식과 같은 corners를 쓰되, 각 버텍스 좌표값을 사각형의 크기만큼 늘려줌. 그래야 면이 바라보는 방향(버텍스 순서)이 기존과 똑같이 유지됨.
+            const origin = [0, 0, 0];
+            const size = [1, 1, 1];
+            origin[d] = slice;
+            origin[u] = a;
+            origin[v] = b;
+            size[u] = width;
+            size[v] = height;
+
+            const {
+              positions,
+              normals,
+              uvs,
+              colors,
+              tileOrigins,
+              indices
+            } = this.blocks.get(voxel).transparent ? transparent : opaque;
+            const index = positions.length / 3;
+            const ao = VoxelWorld.unpackAmbientOcclusion(aoPack);
+            const lightBrightness = VoxelWorld.getLightBrightness(light);
+            // 텍스처에서 해당 타일의 왼쪽 하단 uv좌표값. 기존 방식의 uv 계산식에서 uv가 (0, 0)일 때의 값과 같음.
+            const [tileX, tileY] = this.blocks.getFaceTile(voxel, name);
+            const tileU = tileX * tileSize / tileTextureWidth;
+            const tileV = 1 - (tileY + 1) * tileSize / tileTextureHeight;
+            corners.forEach(({
+              pos,
+              uv
+            }, i) => {
+              positions.push(
+                origin[0] + pos[0] * size[0],
+                origin[1] + pos[1] * size[1],
+                origin[2] + pos[2] * size[2],
+              );
+              normals.push(...dir);
+              uvs.push(uv[0] * size[uvAxes[0]], uv[1] * size[uvAxes[1]]); // 타일 단위 uv좌표값. 사각형이 타일 몇 칸짜리인지만큼 커짐.
+              const brightness = VoxelWorld.aoBrightness[ao[i]] * lightBrightness;
+              colors.push(brightness, brightness, brightness);
+              tileOrigins.push(tileU, tileV);
+            });
+            VoxelWorld.pushQuadIndices(indices, index, ao);
+
+            a += width;
+          }
+        }
+      }
+    });
+
+    for (const [voxelX, voxelY, voxelZ] of shapedVoxels) {
+      const voxel = this.getVoxel(voxelX, voxelY, voxelZ);
+      const block = this.blocks.get(voxel);
+      this.pushShapeGeometry(
+        block.transparent ? transparent : opaque,
+        voxel,
+        block,
+        voxelX,
+        voxelY,
+        voxelZ,
+        voxelX - start[0],
+        voxelY - start[1],
+        voxelZ - start[2],
+        true
+      );
+    }
+
+    return {
+      opaque,
+      transparent
+    };
+  }
+
+  // 반 블록, 계단, cross처럼 모양이 cube가 아닌 블록 하나의 면들을 data에 추가해주는 메서드. (x, y, z)는 cell 안에서의 좌표값.
+  // 모양의 상자마다 6개의 면을 만드는데, 복셀 경계에 놓인 면은 보통 블록처럼 이웃 블록에 가려지는지 확인하고, 복셀 안쪽에 놓인 면은 같은 모양의 다른 상자에 덮였으면 빼 줌.
+  // 상자가 복셀보다 작으면 uv좌표값도 그만큼 줄여서, 타일이 찌그러지지 않고 잘린 채로 보이게 함.
+  // AO는 계산하지 않고, 빛의 세기는 복셀 경계의 면이면 이웃 복셀의 값을, 안쪽 면이면 이 복셀의 값을 씀. (cube가 아닌 모양은 빛이 통과하니까 자기 자리에도 빛이 들어옴)
+  pushShapeGeometry(data, voxel, block, voxelX, voxelY, voxelZ, x, y, z, greedy) {
+    const {
+      shape
+    } = block;
+    if (shape.cross) {
+      // 복셀의 대각선 두 개를 따라 세운 사각형 두 장. 투명한 블록의 material은 양면을 그려주니까 한 면씩만 만들면 됨.
+      const brightness = VoxelWorld.getLightBrightness(this.getLight(voxelX, voxelY, voxelZ));
+      for (const [[startX, startZ], [endX, endZ]] of VoxelWorld.crossDiagonals) {
+        const length = Math.hypot(endX - startX, endZ - startZ);
+        this.pushShapeQuad(data, [{
+          pos: [x + startX, y, z + startZ],
+          uv: [0, 0],
+        }, {
+          pos: [x + endX, y, z + endZ],
+          uv: [1, 0],
+        }, {
+          pos: [x + startX, y + 1, z + startZ],
+          uv: [0, 1],
+        }, {
+          pos: [x + endX, y + 1, z + endZ],
+          uv: [1, 1],
+        }], [(startZ - endZ) / length, 0, (endX - startX) / length], block.faceTiles.front, brightness, greedy);
+      }
+      return;
+    }
+
+    const state = this.getVoxelState(voxelX, voxelY, voxelZ);
+    shape.getBoxes(state).forEach(([min, max], boxIndex) => {
+      VoxelWorld.faces.forEach((face, faceIndex) => {
+        const {
+          name,
+          dir,
+          corners
+        } = face;
+        const d = dir[0] ? 0 : (dir[1] ? 1 : 2);
+        let light;
+        if ((dir[d] > 0 ? max[d] : min[d]) === (dir[d] > 0 ? 1 : 0)) {
+          if (!this.isFaceVisible(voxel, faceIndex, voxelX + dir[0], voxelY + dir[1], voxelZ + dir[2])) {
+            return;
+          }
+          light = this.getLight(voxelX + dir[0], voxelY + dir[1], voxelZ + dir[2]);
+        } else {
+          if (shape.isBoxFaceCovered(state, boxIndex, faceIndex)) {
+            return;
+          }
+          light = this.getLight(voxelX, voxelY, voxelZ);
+        }
+
+        // face.corners의 꼭지점을 상자 크기에 맞춰 옮기고, uv좌표값은 옮긴 좌표값을 그대로 따라가게 함. (축이 뒤집힌 uv는 1에서 빼 줌)
+        const uvAxes = VoxelWorld.getFaceUvAxes(face);
+        const flipped = uvAxes.map((axis, k) => corners[0].uv[k] !== corners[0].pos[axis]);
+        this.pushShapeQuad(data, corners.map(({
+          pos
+        }) => {
+          const p = pos.map((v, axis) => min[axis] + v * (max[axis] - min[axis]));
+          return {
+            pos: [x + p[0], y + p[1], z + p[2]],
+            uv: uvAxes.map((axis, k) => flipped[k] ? 1 - p[axis] : p[axis]),
+          };
+        }), dir, this.blocks.getFaceTile(voxel, name), VoxelWorld.getLightBrightness(light), greedy);
+      });
+    });
+  }
+
+  // pushShapeGeometry()에서 사각형 하나(corners는 { pos, uv } 4개, uv는 타일 안에서의 0 ~ 1 좌표값)를 data에 추가해주는 메서드.
+  // greedy meshing이면 셰이더가 tileOrigin + fract(uv) * 타일 크기로 텍스처를 찾으니까 uv는 그대로 넣고 tileOrigins를 같이 넣어 줌.
+  pushShapeQuad(data, corners, normal, tile, brightness, greedy) {
+    const {
+      tileSize,
+      tileTextureWidth,
+      tileTextureHeight
+    } = this;
+    const {
+      positions,
+      normals,
+      uvs,
+      colors,
+      tileOrigins,
+      indices
+    } = data;
+    const [tileX, tileY] = tile;
+    const index = positions.length / 3;
+    for (const {
+        pos,
+        uv
+      } of corners) {
+      positions.push(...pos);
+      normals.push(...normal);
+      colors.push(brightness, brightness, brightness);
+      if (greedy) {
+        uvs.push(uv[0], uv[1]);
+        tileOrigins.push(tileX * tileSize / tileTextureWidth, 1 - (tileY + 1) * tileSize / tileTextureHeight);
+      } else {
+        uvs.push((tileX + uv[0]) * tileSize / tileTextureWidth, 1 - (tileY + 1 - uv[1]) * tileSize / tileTextureHeight);
+      }
+    }
+    VoxelWorld.pushQuadIndices(indices, index, VoxelWorld.noAmbientOcclusion);
+  }
+
+  // three.js의 내장 RayCaster 객체 대신 사용할 메서드로, 카메라의 전역 좌표값(start)와 pointerup 이벤트가 발생한 지점의 전역 좌표값(end)을 받아서 클릭한 지점과 교차하는 지점의 좌표값(position)과 노말값(normal)을 객체로 묶어 리턴해 줌.
+  // 아래를 보니까 교차하는 지점이 없으면 null을 리턴해주는 것 같음. 
+  // 참고로 이 메서드는 튜토리얼 웹사이트에서 보니 어떤 논문에서 코드를 그대로 가져온 것 같음. 구체적인 원리는 설명이 잘 안되어 있음ㅠ
+  //
+  // 리턴하는 객체에는 교차점(position), 면의 노말(normal), 복셀값(voxel) 말고도 다음 값들이 같이 들어있음.
+  // - voxelPosition: 광선이 맞힌 복셀의 정수 복셀좌표값. (복셀을 지우거나 flood fill 할 때 쓰는 좌표)
+  // - adjacentPosition: 맞힌 면 바로 바깥쪽 복셀의 정수 복셀좌표값. (새 복셀을 놓을 좌표) 광선이 복셀 안에서 시작했으면 면이 없으니까 voxelPosition과 같음.
+  // - distance: start에서 교차점까지의 거리
+  // 반 블록, 계단, cross처럼 모양이 cube가 아닌 블록은 복셀 전체가 아니라 모양의 상자들(hitBoxes)과 교차하는지 확인하고, 비어있는 부분을 지나가면 그 너머로 계속 진행함.
+  // 이때 normal은 맞힌 상자 면의 노말이라, 반 블록의 윗면을 맞히면 adjacentPosition은 반 블록 바로 위 복셀이 됨.
+  // 예전처럼 position에 노말을 ±0.5만큼 더해서 복셀좌표값을 구할 필요가 없음.
+  //
+  // options로 다음 값들을 넘겨줄 수 있음.
+  // - maxDistance: start에서 이 거리보다 멀리 있는 복셀은 무시함. end까지의 거리보다 짧을 때만 의미가 있음.
+  // - skip(voxel, x, y, z): true를 리턴하면 그 복셀은 빈 공간처럼 통과함. (예: 물이나 유리 같은 블록을 뚫고 클릭하고 싶을 때)
+  // - collect: 배열을 넘겨주면 광선이 지나간 모든 복셀({ position: [x, y, z], voxel })을 지나간 순서대로 넣어줌. 맞힌 복셀이 있으면 그 복셀까지 들어감.
+  intersectRay(start, end, options = {}) {
+    const {
+      skip,
+      collect
+    } = options;
+    let dx = end.x - start.x;
+    let dy = end.y - start.y;
+    let dz = end.z - start.z;
+    const lenSq = dx * dx + dy * dy + dz * dz;
+    const len = Math.sqrt(lenSq);
+    const maxT = Math.min(len, options.maxDistance !== undefined ? options.maxDistance : Infinity); // 광선을 따라 최대 얼마나 멀리까지 확인할지
+
+    dx /= len;
+    dy /= len;
+    dz /= len;
+
+    let t = 0.0;
+    let ix = Math.floor(start.x);
+    let iy = Math.floor(start.y);
+    let iz = Math.floor(start.z);
+
+    const stepX = (dx > 0) ? 1 : -1;
+    const stepY = (dy > 0) ? 1 : -1;
+    const stepZ = (dz > 0) ? 1 : -1;
+
+    const txDelta = Math.abs(1 / dx);
+    const tyDelta = Math.abs(1 / dy);
+    const tzDelta = Math.abs(1 / dz);
+
+    const xDist = (stepX > 0) ? (ix + 1 - start.x) : (start.x - ix);
+    const yDist = (stepY > 0) ? (iy + 1 - start.y) : (start.y - iy);
+    const zDist = (stepZ > 0) ? (iz + 1 - start.z) : (start.z - iz);
+
+    // location of nearest voxel boundary, in units of t
+    let txMax = (txDelta < Infinity) ? txDelta * xDist : Infinity;
+    let tyMax = (tyDelta < Infinity) ? tyDelta * yDist : Infinity;
+    let tzMax = (tzDelta < Infinity) ? tzDelta * zDist : Infinity;
+
+    let steppedIndex = -1;
+
+    const createHit = (distance, normal, voxel) => {
+      return {
+        position: [
+          start.x + distance * dx,
+          start.y + distance * dy,
+          start.z + distance * dz,
+        ],
+        normal,
+        voxel,
+        voxelPosition: [ix, iy, iz],
+        adjacentPosition: [ix + normal[0], iy + normal[1], iz + normal[2]],
+        distance,
+      };
+    };
+
+    // main loop along raycast vector
+    while (t <= maxT) {
+      const voxel = this.getVoxel(ix, iy, iz);
+      if (collect) {
+        collect.push({
+          position: [ix, iy, iz],
+          voxel,
+        });
+      }
+      if (voxel && !(skip && skip(voxel, ix, iy, iz))) {
+        const block = this.blocks.get(voxel);
+        if (block && !block.shape.full) {
+          const hit = VoxelWorld.intersectBoxes(
+            block.shape.getHitBoxes(this.getVoxelState(ix, iy, iz)),
+            [start.x - ix, start.y - iy, start.z - iz],
+            [dx, dy, dz],
+            maxT
+          );
+          if (hit) {
+            return createHit(hit.distance, hit.normal, voxel);
+          }
+        } else {
+          return createHit(t, [
+            steppedIndex === 0 ? -stepX : 0,
+            steppedIndex === 1 ? -stepY : 0,
+            steppedIndex === 2 ? -stepZ : 0,
+          ], voxel);
+        }
+      }
+
+      // advance t to next nearest voxel boundary
+      if (txMax < tyMax) {
+        if (txMax < tzMax) {
+          ix += stepX;
+          t = txMax;
+          txMax += txDelta;
+          steppedIndex = 0;
+        } else {
+          iz += stepZ;
+          t = tzMax;
+          tzMax += tzDelta;
+          steppedIndex = 2;
+        }
+      } else {
+        if (tyMax < tzMax) {
+          iy += stepY;
+          t = tyMax;
+          tyMax += tyDelta;
+          steppedIndex = 1;
+        } else {
+          iz += stepZ;
+          t = tzMax;
+          tzMax += tzDelta;
+          steppedIndex = 2;
+        }
+      }
+    }
+    return null;
+  }
+
+  // min ~ max 범위(전역 좌표값, 소수점 가능)의 상자와 겹치는 복셀들 중 빈 공간이 아닌 복셀들을 [{ position: [x, y, z], voxel }, ...]로 리턴하는 메서드.
+  // 경계가 정수에 딱 걸쳐 있으면 그 너머 복셀은 겹치지 않은 걸로 봄. 예를 들어 min [0, 0, 0], max [2, 1, 1]이면 (0, 0, 0), (1, 0, 0) 두 복셀만 확인함.
+  // options.skip(voxel, x, y, z)이 true를 리턴하는 복셀은 빼 줌.
+  queryBox(min, max, options = {}) {
+    const from = min.map((v) => Math.floor(v));
+    const to = max.map((v, i) => Math.max(Math.ceil(v), from[i] + 1)); // 크기가 0인 상자도 점이 들어있는 복셀 하나는 확인함.
+    const voxels = [];
+    for (let y = from[1]; y < to[1]; y++) {
+      for (let z = from[2]; z < to[2]; z++) {
+        for (let x = from[0]; x < to[0]; x++) {
+          this.pushQueriedVoxel(voxels, x, y, z, options.skip);
+        }
+      }
+    }
+    return voxels;
+  }
+
+  // center를 중심으로 하는 반지름 radius인 구와 겹치는 복셀들 중 빈 공간이 아닌 복셀들을 queryBox()와 같은 모양으로 리턴하는 메서드.
+  // 복셀(1 * 1 * 1 상자) 안에서 구의 중심과 가장 가까운 점이 radius보다 가까우면 겹치는 걸로 봄. queryBox()처럼 경계에 딱 닿기만 하는 복셀은 빼 줌.
+  querySphere(center, radius, options = {}) {
+    const from = center.map((v) => Math.floor(v - radius));
+    const to = center.map((v) => Math.ceil(v + radius));
+    const radiusSq = radius * radius;
+    const voxels = [];
+    for (let y = from[1]; y < to[1]; y++) {
+      for (let z = from[2]; z < to[2]; z++) {
+        for (let x = from[0]; x < to[0]; x++) {
+          const distanceSq = [x, y, z].reduce((sum, v, axis) => {
+            const closest = Math.max(v, Math.min(center[axis], v + 1)); // 복셀 안에서 구의 중심과 가장 가까운 점
+            return sum + (closest - center[axis]) ** 2;
+          }, 0);
+          if (distanceSq < radiusSq) {
+            this.pushQueriedVoxel(voxels, x, y, z, options.skip);
+          }
+        }
+      }
+    }
+    return voxels;
+  }
+
+  pushQueriedVoxel(voxels, x, y, z, skip) {
+    const voxel = this.getVoxel(x, y, z);
+    if (voxel && !(skip && skip(voxel, x, y, z))) {
+      voxels.push({
+        position: [x, y, z],
+        voxel,
+      });
+    }
+  }
+
+  // this.cells에 담긴 모든 cell 형식화배열을 하나의 바이너리 파일(ArrayBuffer)로 묶어서 리턴해주는 메서드.
+  // 파일 구조는 다음과 같음. (모든 숫자값은 little endian)
+  // [헤더] magic('VOXW' 4바이트), version(uint16), cellSize(uint16), tileSize(uint16), tileTextureWidth(uint16), tileTextureHeight(uint16), cell 개수(uint32)
+  // [cell마다] cellX, cellY, cellZ(int32 3개), 압축된 데이터의 바이트 길이(uint32), 런 렝스 압축된 데이터
+  // [버전 2부터] 상태값 cell 개수(uint32), 그리고 상태값 cell(this.states)마다 위의 cell과 같은 구조
+  // 런 렝스 압축은 같은 값이 연속으로 몇 번 반복되는지를 (반복 횟수(uint16), 값(uint8)) 3바이트 쌍으로 저장하는 방식임.
+  // 복셀 데이터는 대부분 0(빈 공간)이거나 같은 타일이 길게 이어지는 경우가 많아서, 32KB짜리 cell이 보통 몇백 바이트 수준으로 줄어듦.
+  serialize() {
+    const {
+      cellSize,
+      tileSize,
+      tileTextureWidth,
+      tileTextureHeight
+    } = this;
+
+    // 각 cell의 압축 데이터를 먼저 만들어놔야 전체 파일 크기를 계산할 수 있음.
+    const createEntries = (cells) => Object.keys(cells).map((cellId) => {
+      return {
+        cellPosition: VoxelWorld.parseCellId(cellId),
+        payload: VoxelWorld.encodeRunLength(cells[cellId].toArray()),
+      };
+    });
+    const entries = createEntries(this.cells);
+    const stateEntries = createEntries(this.states);
+
+    const headerSize = VoxelWorld.fileHeaderSize;
+    const cellHeaderSize = 4 * 3 + 4; // cellX, cellY, cellZ + 압축된 데이터 길이
+    const byteLength = entries.concat(stateEntries).reduce((size, {
+      payload
+    }) => size + cellHeaderSize + payload.length, headerSize + 4);
+
+    const buffer = new ArrayBuffer(byteLength);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    let offset = 0;
+    for (let i = 0; i < 4; i++) {
+      view.setUint8(offset++, VoxelWorld.fileMagic.charCodeAt(i));
+    }
+    view.setUint16(offset, VoxelWorld.fileVersion, true);
+    offset += 2;
+    view.setUint16(offset, cellSize, true);
+    offset += 2;
+    view.setUint16(offset, tileSize, true);
+    offset += 2;
+    view.setUint16(offset, tileTextureWidth, true);
+    offset += 2;
+    view.setUint16(offset, tileTextureHeight, true);
+    offset += 2;
+
+    const writeEntries = (entries) => {
+      view.setUint32(offset, entries.length, true);
+      offset += 4;
+      for (const {
+          cellPosition,
+          payload
+        } of entries) {
+        for (const v of cellPosition) {
+          view.setInt32(offset, v, true);
+          offset += 4;
+        }
+        view.setUint32(offset, payload.length, true);
+        offset += 4;
+        bytes.set(payload, offset);
+        offset += payload.length;
+      }
+    };
+    writeEntries(entries);
+    writeEntries(stateEntries);
+
+    return buffer;
+  }
+
+  // serialize()로 만든 ArrayBuffer를 읽어서 this.cells를 파일 안의 cell들로 통째로 교체해주는 메서드.
+  // 헤더의 cellSize가 현재 world의 cellSize와 다르면 복셀 좌표계 자체가 달라지므로 불러올 수 없음. 타일 설정값은 파일에 저장된 값으로 덮어씀.
+  // 불러온 cell들의 id를 배열로 리턴해주니까, 호출하는 쪽에서 이걸 가지고 cell mesh들을 다시 만들어주면 됨.
+  deserialize(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const {
+      cellSize
+    } = this;
+
+    if (buffer.byteLength < VoxelWorld.fileHeaderSize) {
+      throw new Error('VoxelWorld.deserialize: file is too short');
+    }
+
+    let offset = 0;
+    let magic = '';
+    for (let i = 0; i < 4; i++) {
+      magic += String.fromCharCode(view.getUint8(offset++));
+    }
+    if (magic !== VoxelWorld.fileMagic) {
+      throw new Error('VoxelWorld.deserialize: not a voxel world file');
+    }
+
+    const version = view.getUint16(offset, true);
+    offset += 2;
+    if (version > VoxelWorld.fileVersion) {
+      throw new Error(`VoxelWorld.deserialize: unsupported file version ${version}`);
+    }
+
+    const fileCellSize = view.getUint16(offset, true);
+    offset += 2;
+    if (fileCellSize !== cellSize) {
+      throw new Error(`VoxelWorld.deserialize: cellSize mismatch (file: ${fileCellSize}, world: ${cellSize})`);
+    }
+
+    const tileSize = view.getUint16(offset, true);
+    offset += 2;
+    const tileTextureWidth = view.getUint16(offset, true);
+    offset += 2;
+    const tileTextureHeight = view.getUint16(offset, true);
+    offset += 2;
+
+    // 파일을 끝까지 다 읽어서 문제가 없는 걸 확인한 다음에 this.cells를 교체해야, 중간에 깨진 파일을 만나도 기존 world가 망가지지 않음.
+    const cellLength = cellSize * cellSize * cellSize;
+    const readEntries = () => {
+      if (offset + 4 > buffer.byteLength) {
+        throw new Error('VoxelWorld.deserialize: unexpected end of file');
+      }
+      const cellCount = view.getUint32(offset, true);
+      offset += 4;
+      const cells = {};
+      for (let i = 0; i < cellCount; i++) {
+        if (offset + 16 > buffer.byteLength) {
+          throw new Error('VoxelWorld.deserialize: unexpected end of file');
+        }
+        const cellX = view.getInt32(offset, true);
+        const cellY = view.getInt32(offset + 4, true);
+        const cellZ = view.getInt32(offset + 8, true);
+        const payloadLength = view.getUint32(offset + 12, true);
+        offset += 16;
+        if (offset + payloadLength > buffer.byteLength) {
+          throw new Error('VoxelWorld.deserialize: unexpected end of file');
+        }
+
+        const payload = bytes.subarray(offset, offset + payloadLength);
+        offset += payloadLength;
+        cells[`${cellX}, ${cellY}, ${cellZ}`] = VoxelCell.fromArray(VoxelWorld.decodeRunLength(payload, cellLength));
+      }
+      return cells;
+    };
+    const cells = readEntries();
+    const states = version >= 2 ? readEntries() : {}; // 버전 1 파일에는 상태값이 없음.
+
+    this.tileSize = tileSize;
+    this.tileTextureWidth = tileTextureWidth;
+    this.tileTextureHeight = tileTextureHeight;
+    this.cells = cells;
+    this.states = states;
+    this.lights = {}; // 예전 cell들의 빛은 더 이상 맞지 않으니 비워줌. 불러온 cell들의 빛은 다시 계산해줘야 함.
+
+    return Object.keys(cells);
+  }
+
+  // cell 저장 방식별 개수와 복셀값 저장에 쓰고 있는 메모리(바이트)를 세어서 리턴하는 메서드.
+  // uncompressedBytes는 예전처럼 모든 cell을 cellSize^3 크기의 Uint8Array로 만들었다면 썼을 메모리.
+  getMemoryStats() {
+    const stats = {
+      cells: 0,
+      uniformCells: 0,
+      emptyCells: 0,
+      paletteCells: 0,
+      directCells: 0,
+      bytes: 0,
+      uncompressedBytes: 0,
+    };
+    for (const cell of Object.values(this.cells)) {
+      stats.cells++;
+      stats.bytes += cell.byteLength;
+      stats.uncompressedBytes += cell.size;
+      if (cell.bits === 0) {
+        stats.uniformCells++;
+        if (cell.value === 0) {
+          stats.emptyCells++;
+        }
+      } else if (cell.bits === 8) {
+        stats.directCells++;
+      } else {
+        stats.paletteCells++;
+      }
+    }
+    return stats;
+  }
+}
+
+// generateGeometryDateForCell이 버텍스 데이터를 모아놓을 빈 배열들을 만들어주는 함수
+VoxelWorld.createGeometryData = function () {
+  return {
+    positions: [],
+    normals: [],
+    uvs: [],
+    colors: [],
+    indices: [],
+  };
+};
+
+// 빛을 계산하지 않은 곳의 빛의 세기. 햇빛, 블록 빛 모두 15
+VoxelWorld.fullLight = 0xFF;
+
+// 빛의 세기(getLight()의 리턴값)를 버텍스 컬러에 곱해줄 밝기로 바꿔주는 함수. 햇빛과 블록 빛 중 밝은 쪽을 씀.
+// 세기가 1 줄어들 때마다 밝기가 0.8배씩 어두워지고, 빛이 아예 안 들어오는 곳도 형체는 보이도록 최소 밝기를 정해 둠.
+VoxelWorld.getLightBrightness = function (light) {
+  const level = Math.max(light >> 4, light & 15);
+  return Math.max(Math.pow(0.8, 15 - level), 0.05);
+};
+
+// AO값(0 ~ 3)마다 버텍스 컬러로 넣어줄 밝기. 완전히 가려진 꼭지점(0)도 너무 새까맣게 되지 않도록 조금 밝게 잡아 둠.
+VoxelWorld.aoBrightness = [0.45, 0.65, 0.82, 1];
+
+// 사각형 면(버텍스 4개)을 삼각형 두 개로 나누는 인덱스값을 indices에 추가해주는 함수.
+// 기본은 corners의 1번, 2번 꼭지점을 잇는 대각선으로 나누는데, 삼각형 안에서는 버텍스 컬러가 세 꼭지점 사이에서만 보간되니까 어느 대각선으로 나누냐에 따라 AO 그림자 모양이 달라짐.
+// 그래서 0번, 3번 꼭지점이 더 밝으면 그 대각선으로 나눠서, 어두운 꼭지점의 그림자가 대각선을 따라 번져보이지 않도록 함. (삼각형이 도는 방향은 그대로 유지됨)
+VoxelWorld.pushQuadIndices = function (indices, index, ao) {
+  if (ao[0] + ao[3] > ao[1] + ao[2]) {
+    indices.push(
+      index, index + 1, index + 3,
+      index, index + 3, index + 2,
+    );
+  } else {
+    indices.push(
+      index, index + 1, index + 2,
+      index + 2, index + 1, index + 3,
+    );
+  }
+};
+
+// AO를 계산하지 않는 면(pushShapeQuad)의 4개의 꼭지점 AO값. 전부 안 가려진 걸로 침.
+VoxelWorld.noAmbientOcclusion = [3, 3, 3, 3];
+
+// cross 모양의 사각형 두 장을 세울 복셀 바닥의 대각선들. [[시작 x, z], [끝 x, z]]
+VoxelWorld.crossDiagonals = [
+  [[0, 0], [1, 1]],
+  [[1, 0], [0, 1]],
+];
+
+// origin에서 direction(길이 1) 방향으로 쏜 광선이 boxes 중 하나와 maxDistance 안에서 처음 만나는 지점을 { distance, normal }로 리턴하는 함수. 안 만나면 null.
+// 축마다 상자의 두 면 사이를 지나가는 구간을 구해서 겹치는 구간이 있는지 보는 slab 방식을 씀. origin이 상자 안에 있으면 distance는 0, normal은 [0, 0, 0].
+VoxelWorld.intersectBoxes = function (boxes, origin, direction, maxDistance) {
+  let nearest = null;
+  for (const [min, max] of boxes) {
+    let enter = -Infinity;
+    let exit = Infinity;
+    let enterAxis = -1;
+    let missed = false;
+    for (let axis = 0; axis < 3; axis++) {
+      if (direction[axis] === 0) {
+        // 이 축으로는 움직이지 않으니까 처음부터 두 면 사이에 있어야 함.
+        if (origin[axis] < min[axis] || origin[axis] > max[axis]) {
+          missed = true;
+          break;
+        }
+        continue;
+      }
+      const t1 = (min[axis] - origin[axis]) / direction[axis];
+      const t2 = (max[axis] - origin[axis]) / direction[axis];
+      if (Math.min(t1, t2) > enter) {
+        enter = Math.min(t1, t2);
+        enterAxis = axis;
+      }
+      exit = Math.min(exit, Math.max(t1, t2));
+    }
+    if (missed || enter > exit || exit < 0 || enter > maxDistance) {
+      continue;
+    }
+    const distance = Math.max(enter, 0);
+    if (!nearest || distance < nearest.distance) {
+      const normal = [0, 0, 0];
+      if (enter >= 0) {
+        normal[enterAxis] = direction[enterAxis] > 0 ? -1 : 1;
+      }
+      nearest = {
+        distance,
+        normal,
+      };
+    }
+  }
+  return nearest;
+};
+
+// 면의 4개의 꼭지점의 AO값을 2비트씩 하나의 값으로 묶어주는 함수와 다시 풀어주는 함수. greedy meshing의 aoMask에서 씀.
+VoxelWorld.packAmbientOcclusion = function (ao) {
+  return ao[0] | (ao[1] << 2) | (ao[2] << 4) | (ao[3] << 6);
+};
+
+VoxelWorld.unpackAmbientOcclusion = function (aoPack) {
+  return [aoPack & 3, (aoPack >> 2) & 3, (aoPack >> 4) & 3, (aoPack >> 6) & 3];
+};
+
+// 면의 corners에서 uv의 u값, v값이 각각 어느 축의 버텍스 좌표값을 따라 바뀌는지 찾아서 [u값의 축, v값의 축]으로 리턴해주는 함수.
+// 예를 들어 왼쪽 면은 u값이 z좌표값을, v값이 y좌표값을 따라가니까 [2, 1]이 리턴됨. greedy meshing에서 합쳐진 사각형의 uv좌표값을 늘려줄 때 필요함.
+VoxelWorld.getFaceUvAxes = function (face) {
+  if (!face.uvAxes) {
+    face.uvAxes = [0, 1].map((uvIndex) => {
+      return [0, 1, 2].find((axis) => {
+        // 모든 버텍스에서 uv값이 해당 축의 좌표값과 같거나, 모든 버텍스에서 반대(1 - 좌표값)여야 그 축을 따라간다고 볼 수 있음.
+        return face.dir[axis] === 0 && (
+          face.corners.every(({
+            pos,
+            uv
+          }) => uv[uvIndex] === pos[axis]) ||
+          face.corners.every(({
+            pos,
+            uv
+          }) => uv[uvIndex] === 1 - pos[axis])
+        );
+      });
+    });
+  }
+  return face.uvAxes;
+};
+
+// serialize / deserialize에서 쓰는 파일 포맷 관련 값들. 포맷이 바뀌면 fileVersion을 올려줘야 예전 파일과 구분할 수 있음.
+VoxelWorld.fileMagic = 'VOXW';
+VoxelWorld.fileVersion = 2; // 2: 복셀마다 상태값(states)을 같이 저장함.
+VoxelWorld.fileHeaderSize = 4 + 2 * 5 + 4; // magic + (version, cellSize, tileSize, tileTextureWidth, tileTextureHeight) + cell 개수
+
+// computeCellId()가 만들어준 'x, y, z' 형태의 cellId 문자열을 다시 [cellX, cellY, cellZ] 숫자 배열로 바꿔주는 함수
+VoxelWorld.parseCellId = function (cellId) {
+  return cellId.split(',').map((v) => parseInt(v));
+};
+
+// 형식화배열을 (반복 횟수(uint16), 값(uint8)) 쌍으로 런 렝스 압축해서 Uint8Array로 리턴해주는 함수
+VoxelWorld.encodeRunLength = function (cell) {
+  const maxRun = 0xFFFF; // 반복 횟수는 uint16에 저장하니까 한 쌍에 최대 65535개까지만 담을 수 있음.
+  const out = [];
+  let i = 0;
+  while (i < cell.length) {
+    const v = cell[i];
+    let run = 1;
+    while (i + run < cell.length && cell[i + run] === v && run < maxRun) {
+      run++;
+    }
+    out.push(run & 0xFF, run >> 8, v);
+    i += run;
+  }
+  return new Uint8Array(out);
+};
+
+// encodeRunLength()로 압축한 데이터를 length 길이의 Uint8Array로 다시 풀어주는 함수
+VoxelWorld.decodeRunLength = function (payload, length) {
+  if (payload.length % 3 !== 0) {
+    throw new Error('VoxelWorld.decodeRunLength: corrupted cell data');
+  }
+
+  const cell = new Uint8Array(length);
+  let offset = 0;
+  for (let i = 0; i < payload.length; i += 3) {
+    const run = payload[i] | (payload[i + 1] << 8);
+    if (offset + run > length) {
+      throw new Error('VoxelWorld.decodeRunLength: corrupted cell data');
+    }
+    cell.fill(payload[i + 2], offset, offset + run);
+    offset += run;
+  }
+  if (offset !== length) {
+    throw new Error('VoxelWorld.decodeRunLength: corrupted cell data');
+  }
+  return cell;
+};
+
+// cell의 bufferGeometry에서 각 복셀 좌표값 지점의 면을 생성하기 위해 필요한 positions, normals를 구하기 위해 필요한 값들을 모아놓음.
+// name은 블록 레지스트리에서 이 면에 쓸 타일을 찾을 때 쓰는 면의 이름. (예전에는 여기에 텍스처에서 몇번째 줄의 타일을 쓸지 uvRow로 고정해놨었는데, 이제는 블록마다 blocks.js에서 정함)
+// dir은 generateGeometryDateForCell에서 생성한 cell안의 각 복셀 좌표값을 기준으로 왼,오,위,아래,뒤,앞에 존재하는 면의 위치값(또는 노멀값)을 구할 때 쓰는 값.
+// corners의 pos는 복셀좌표값 기준 왼,오,위,아래,뒤,앞쪽의 면이 '겉부분 면'일 때, 해당 면의 버텍스(꼭지점) 4개의 좌표값을 구할 때 필요한 값
+// corners의 uv는 각 버텍스 좌표값에 씌워줄 텍스처의 uv좌표값을 정리한 것
+VoxelWorld.faces = [{ // 왼쪽
+    name: 'left',
+    dir: [-1, 0, 0, ],
+    corners: [{
+        pos: [0, 1, 0],
+        uv: [0, 1],
+      },
+      {
+        pos: [0, 0, 0],
+        uv: [0, 0],
+      },
+      {
+        pos: [0, 1, 1],
+        uv: [1, 1],
+      },
+      {
+        pos: [0, 0, 1],
+        uv: [1, 0],
+      },
+    ],
+  },
+  { // 오른쪽
+    name: 'right',
+    dir: [1, 0, 0, ],
+    corners: [{
+        pos: [1, 1, 1],
+        uv: [0, 1],
+      },
+      {
+        pos: [1, 0, 1],
+        uv: [0, 0],
+      },
+      {
+        pos: [1, 1, 0],
+        uv: [1, 1],
+      },
+      {
+        pos: [1, 0, 0],
+        uv: [1, 0],
+      },
+    ],
+  },
+  { // 아래
+    name: 'bottom',
+    dir: [0, -1, 0, ],
+    corners: [{
+        pos: [1, 0, 1],
+        uv: [1, 0],
+      },
+      {
+        pos: [0, 0, 1],
+        uv: [0, 0],
+      },
+      {
+        pos: [1, 0, 0],
+        uv: [1, 1],
+      },
+      {
+        pos: [0, 0, 0],
+        uv: [0, 1],
+      },
+    ],
+  },
+  { // 위
+    name: 'top',
+    dir: [0, 1, 0, ],
+    corners: [{
+        pos: [0, 1, 1],
+        uv: [1, 1],
+      },
+      {
+        pos: [1, 1, 1],
+        uv: [0, 1],
+      },
+      {
+        pos: [0, 1, 0],
+        uv: [1, 0],
+      },
+      {
+        pos: [1, 1, 0],
+        uv: [0, 0],
+      },
+    ],
+  },
+  { // 뒤
+    name: 'back',
+    dir: [0, 0, -1, ],
+    corners: [{
+        pos: [1, 0, 0],
+        uv: [0, 0],
+      },
+      {
+        pos: [0, 0, 0],
+        uv: [1, 0],
+      },
+      {
+        pos: [1, 1, 0],
+        uv: [0, 1],
+      },
+      {
+        pos: [0, 1, 0],
+        uv: [1, 1],
+      },
+    ],
+  },
+  { // 앞
+    name: 'front',
+    dir: [0, 0, 1, ],
+    corners: [{
+        pos: [0, 0, 1],
+        uv: [0, 0],
+      },
+      {
+        pos: [1, 0, 1],
+        uv: [1, 0],
+      },
+      {
+        pos: [0, 1, 1],
+        uv: [0, 1],
+      },
+      {
+        pos: [1, 1, 1],
+        uv: [1, 1],
+      },
+    ],
+  },
+];
+
+export {
+  VoxelWorld
+};
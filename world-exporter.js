@@ -0,0 +1,407 @@
+'use strict';
+
+import {
+  VoxelWorld
+} from './voxel-world.js';
+
+/**
+ * VoxelWorld의 cell geometry를 Blender나 다른 three.js 씬에서 열 수 있는 glTF 바이너리(.glb)와 OBJ/MTL 파일로 내보내주는 클래스.
+ *
+ * 씬에 있는 cell mesh를 그대로 쓰지 않고, cell마다 generateGeometryDateForCell()을 'face' 방식으로 다시 호출해서 버텍스 데이터를 모음.
+ * 왜냐면 greedy meshing으로 만든 cell mesh는 uv에 타일 단위 좌표값이 들어있고 셰이더에서 tileOrigin으로 타일을 찾아가는데,
+ * 다른 프로그램에서는 그 셰이더가 없으니까 텍스처 아틀라스의 uv좌표값을 그대로 가진 geometry를 내보내야 하기 때문.
+ *
+ * options
+ * - box: { min: [x, y, z], max: [x, y, z] } 를 넘겨주면 그 범위(양 끝 복셀 포함) 안의 복셀들만 내보냄. 범위 경계의 면도 겉부분 면으로 만들어 줌.
+ * - merge: true면 모든 cell을 하나의 mesh로 합치고, false면 cell마다 cellId를 이름으로 한 노드를 하나씩 만들어 줌. (노드의 위치가 곧 cell의 위치)
+ */
+class WorldExporter {
+  constructor(world, options = {}) {
+    this.world = world;
+    this.box = options.box || null;
+    this.merge = !!options.merge;
+  }
+
+  // 내보낼 cell들의 버텍스 데이터를 모아서 리턴하는 메서드. merge면 하나로 합친 결과 하나만 들어있음.
+  // [{ name, offset: [x, y, z], opaque: { positions, normals, uvs, colors, indices }, transparent: {...} }, ...]
+  collectMeshes() {
+    const source = this.createSourceWorld();
+    const {
+      cellSize
+    } = source;
+
+    const meshes = [];
+    for (const cellId of Object.keys(source.cells).sort()) {
+      const [cellX, cellY, cellZ] = VoxelWorld.parseCellId(cellId);
+      const {
+        opaque,
+        transparent
+      } = source.generateGeometryDateForCell(cellX, cellY, cellZ);
+      if (!opaque.indices.length && !transparent.indices.length) {
+        continue; // 겉부분 면이 하나도 없는 cell은 빼 줌.
+      }
+      meshes.push({
+        name: cellId,
+        offset: [cellX * cellSize, cellY * cellSize, cellZ * cellSize],
+        opaque,
+        transparent,
+      });
+    }
+
+    if (!this.merge) {
+      return meshes;
+    }
+
+    // cell마다 따로 있던 버텍스 좌표값에 cell의 위치값을 더해서 하나의 mesh로 합쳐 줌.
+    const merged = {
+      name: 'world',
+      offset: [0, 0, 0],
+      opaque: VoxelWorld.createGeometryData(),
+      transparent: VoxelWorld.createGeometryData(),
+    };
+    for (const mesh of meshes) {
+      for (const pass of ['opaque', 'transparent']) {
+        const from = mesh[pass];
+        const to = merged[pass];
+        const indexOffset = to.positions.length / 3;
+        for (let i = 0; i < from.positions.length; i += 3) {
+          to.positions.push(
+            from.positions[i] + mesh.offset[0],
+            from.positions[i + 1] + mesh.offset[1],
+            from.positions[i + 2] + mesh.offset[2],
+          );
+        }
+        // 배열이 아주 길 수도 있으니까 push(...배열) 대신 하나씩 넣어 줌. (인자가 너무 많으면 스택이 넘칠 수 있음)
+        for (const key of ['normals', 'uvs', 'colors']) {
+          for (const value of from[key]) {
+            to[key].push(value);
+          }
+        }
+        for (const index of from.indices) {
+          to.indices.push(index + indexOffset);
+        }
+      }
+    }
+    return merged.opaque.indices.length || merged.transparent.indices.length ? [merged] : [];
+  }
+
+  // 버텍스 데이터를 만들 때 쓸 VoxelWorld를 만들어주는 메서드.
+  // 원래 world의 meshing 설정은 건드리지 않도록 'face' 방식의 VoxelWorld를 따로 만들고, box가 없으면 cell 배열들을 그대로 같이 씀.
+  createSourceWorld() {
+    const {
+      world,
+      box
+    } = this;
+    const source = new VoxelWorld({
+      cellSize: world.cellSize,
+      tileSize: world.tileSize,
+      tileTextureWidth: world.tileTextureWidth,
+      tileTextureHeight: world.tileTextureHeight,
+      meshing: 'face',
+      ambientOcclusion: world.ambientOcclusion,
+      blocks: world.blocks,
+    });
+    source.lights = world.lights; // 면의 밝기는 원래 world에서 계산해둔 빛을 그대로 씀.
+
+    if (!box) {
+      source.cells = world.cells;
+      source.states = world.states;
+      return source;
+    }
+
+    // box 안의 복셀들만 복사해 줌. source에는 lighting을 연결하지 않았으니 setVoxel()이 빛을 건드리지 않음.
+    const {
+      min,
+      max
+    } = box;
+    for (let y = min[1]; y <= max[1]; y++) {
+      for (let z = min[2]; z <= max[2]; z++) {
+        for (let x = min[0]; x <= max[0]; x++) {
+          const voxel = world.getVoxel(x, y, z);
+          if (voxel) {
+            source.setVoxel(x, y, z, voxel, world.getVoxelState(x, y, z));
+          }
+        }
+      }
+    }
+    return source;
+  }
+
+  /**
+   * glTF 바이너리(.glb) 파일을 만들어서 ArrayBuffer로 리턴하는 메서드. image에는 텍스처 아틀라스 png 파일의 내용(ArrayBuffer)을 넘겨줘야 파일 안에 같이 넣어 줌.
+   *
+   * glb는 12바이트 헤더 + JSON 청크 + BIN 청크로 이루어져 있음. 버텍스 데이터와 png는 모두 BIN 청크 하나에 이어붙이고,
+   * JSON 쪽의 bufferView, accessor가 BIN 청크에서 어디부터 어디까지가 무슨 데이터인지 알려주는 식.
+   * 불투명한 면과 투명한 면은 alphaMode가 다른 material을 쓰는 primitive로 나눠서 넣어 줌.
+   */
+  toGLB(image) {
+    const meshes = this.collectMeshes();
+    const gltf = {
+      asset: {
+        version: '2.0',
+        generator: 'three-basic-voxel WorldExporter',
+      },
+      scene: 0,
+      scenes: [{
+        nodes: [],
+      }],
+      nodes: [],
+      meshes: [],
+      materials: [{
+        name: 'opaque',
+        pbrMetallicRoughness: {
+          baseColorTexture: {
+            index: 0
+          },
+          metallicFactor: 0,
+          roughnessFactor: 1,
+        },
+        alphaMode: 'MASK',
+        alphaCutoff: 0.1,
+      }, {
+        name: 'transparent',
+        pbrMetallicRoughness: {
+          baseColorTexture: {
+            index: 0
+          },
+          metallicFactor: 0,
+          roughnessFactor: 1,
+        },
+        alphaMode: 'BLEND',
+        doubleSided: true,
+      }],
+      textures: [{
+        sampler: 0,
+        source: 0,
+      }],
+      samplers: [{
+        magFilter: WorldExporter.GL_NEAREST, // 픽셀 아트 텍스처라서 app.js의 texture처럼 NearestFilter로 맞춰 줌.
+        minFilter: WorldExporter.GL_NEAREST,
+      }],
+      images: [],
+      accessors: [],
+      bufferViews: [],
+      buffers: [],
+    };
+
+    const chunks = [];
+    let byteLength = 0;
+    // BIN 청크에 데이터를 이어붙이고 bufferView의 인덱스를 리턴해주는 함수. glTF는 bufferView가 4바이트 단위로 정렬되어 있어야 함.
+    const addBufferView = (array, target) => {
+      const padding = (4 - byteLength % 4) % 4;
+      if (padding) {
+        chunks.push(new Uint8Array(padding));
+        byteLength += padding;
+      }
+      const bufferView = {
+        buffer: 0,
+        byteOffset: byteLength,
+        byteLength: array.byteLength,
+      };
+      if (target) {
+        bufferView.target = target;
+      }
+      chunks.push(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+      byteLength += array.byteLength;
+      gltf.bufferViews.push(bufferView);
+      return gltf.bufferViews.length - 1;
+    };
+    const addAccessor = (array, componentType, type, target, withBounds) => {
+      const accessor = {
+        bufferView: addBufferView(array, target),
+        componentType,
+        count: array.length / WorldExporter.componentCounts[type],
+        type,
+      };
+      if (withBounds) {
+        // POSITION accessor에는 min, max가 꼭 있어야 함.
+        accessor.min = [Infinity, Infinity, Infinity];
+        accessor.max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < array.length; i++) {
+          accessor.min[i % 3] = Math.min(accessor.min[i % 3], array[i]);
+          accessor.max[i % 3] = Math.max(accessor.max[i % 3], array[i]);
+        }
+      }
+      gltf.accessors.push(accessor);
+      return gltf.accessors.length - 1;
+    };
+
+    for (const mesh of meshes) {
+      const primitives = [];
+      ['opaque', 'transparent'].forEach((pass, material) => {
+        const {
+          positions,
+          normals,
+          uvs,
+          colors,
+          indices
+        } = mesh[pass];
+        if (!indices.length) {
+          return;
+        }
+        // glTF의 uv좌표계는 텍스처의 왼쪽 상단이 (0, 0)이라서 v값을 뒤집어 줘야 함. (voxel-world.js의 uv 계산 부분 주석 참고)
+        const texcoords = new Float32Array(uvs.length);
+        for (let i = 0; i < uvs.length; i += 2) {
+          texcoords[i] = uvs[i];
+          texcoords[i + 1] = 1 - uvs[i + 1];
+        }
+        primitives.push({
+          attributes: {
+            POSITION: addAccessor(new Float32Array(positions), WorldExporter.GL_FLOAT, 'VEC3', WorldExporter.GL_ARRAY_BUFFER, true),
+            NORMAL: addAccessor(new Float32Array(normals), WorldExporter.GL_FLOAT, 'VEC3', WorldExporter.GL_ARRAY_BUFFER),
+            TEXCOORD_0: addAccessor(texcoords, WorldExporter.GL_FLOAT, 'VEC2', WorldExporter.GL_ARRAY_BUFFER),
+            COLOR_0: addAccessor(new Float32Array(colors), WorldExporter.GL_FLOAT, 'VEC3', WorldExporter.GL_ARRAY_BUFFER), // AO, 빛으로 어두워진 정도
+          },
+          indices: addAccessor(new Uint32Array(indices), WorldExporter.GL_UNSIGNED_INT, 'SCALAR', WorldExporter.GL_ELEMENT_ARRAY_BUFFER),
+          material,
+        });
+      });
+
+      gltf.meshes.push({
+        name: mesh.name,
+        primitives,
+      });
+      gltf.nodes.push({
+        name: mesh.name,
+        mesh: gltf.meshes.length - 1,
+        translation: mesh.offset,
+      });
+      gltf.scenes[0].nodes.push(gltf.nodes.length - 1);
+    }
+
+    gltf.images.push({
+      bufferView: addBufferView(new Uint8Array(image)),
+      mimeType: 'image/png',
+    });
+    byteLength += (4 - byteLength % 4) % 4; // BIN 청크의 길이도 4바이트 단위여야 함.
+    gltf.buffers.push({
+      byteLength,
+    });
+
+    // glTF에서 빈 배열은 허용되지 않으니까, 내보낼 cell이 하나도 없으면 노드가 없는 빈 씬만 남겨 줌.
+    if (!gltf.scenes[0].nodes.length) {
+      delete gltf.scenes[0].nodes;
+      delete gltf.nodes;
+      delete gltf.meshes;
+    }
+    if (!gltf.accessors.length) {
+      delete gltf.accessors;
+    }
+
+    // JSON 청크는 길이가 4바이트 단위가 되도록 뒤에 공백 문자를 채워 줌.
+    let json = JSON.stringify(gltf);
+    json += ' '.repeat((4 - json.length % 4) % 4);
+    const jsonBytes = new TextEncoder().encode(json); // 위의 JSON에는 ASCII 문자만 들어가니까 바이트 길이가 문자열 길이와 같음.
+
+    const totalLength = 12 + 8 + jsonBytes.byteLength + 8 + byteLength;
+    const glb = new ArrayBuffer(totalLength);
+    const view = new DataView(glb);
+    const bytes = new Uint8Array(glb);
+    view.setUint32(0, WorldExporter.glbMagic, true);
+    view.setUint32(4, 2, true); // glb 버전
+    view.setUint32(8, totalLength, true);
+
+    view.setUint32(12, jsonBytes.byteLength, true);
+    view.setUint32(16, WorldExporter.glbChunkJson, true);
+    bytes.set(jsonBytes, 20);
+
+    let offset = 20 + jsonBytes.byteLength;
+    view.setUint32(offset, byteLength, true);
+    view.setUint32(offset + 4, WorldExporter.glbChunkBin, true);
+    offset += 8;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+    return glb;
+  }
+
+  /**
+   * OBJ 파일과 MTL 파일의 내용을 문자열로 만들어서 { obj, mtl } 로 리턴하는 메서드.
+   * OBJ는 텍스처를 파일 안에 넣을 수 없으니까, MTL에서 textureFileName으로 텍스처 아틀라스 파일을 가리키게 해둠. (OBJ 파일과 같은 폴더에 두면 됨)
+   * OBJ에는 버텍스 컬러를 넣는 표준 방법이 없어서, AO와 빛으로 어두워진 정도는 빠짐.
+   */
+  toOBJ(mtlFileName, textureFileName) {
+    const meshes = this.collectMeshes();
+    const lines = [
+      '# three-basic-voxel WorldExporter',
+      `mtllib ${mtlFileName}`,
+    ];
+    let vertexCount = 0; // OBJ의 인덱스는 파일 전체에서 1부터 세니까, 앞에서 나온 버텍스 개수만큼 더해줘야 함.
+
+    for (const mesh of meshes) {
+      lines.push(`o ${mesh.name.replace(/, /g, '_')}`); // 이름에 공백이 있으면 안 되니까 cellId의 ', '를 '_'로 바꿔 줌.
+      for (const pass of ['opaque', 'transparent']) {
+        const {
+          positions,
+          normals,
+          uvs,
+          indices
+        } = mesh[pass];
+        if (!indices.length) {
+          continue;
+        }
+        // OBJ에는 노드 위치 같은 게 없으니까 cell의 위치값을 버텍스 좌표값에 더해서 써 줌.
+        for (let i = 0; i < positions.length; i += 3) {
+          lines.push(`v ${positions[i] + mesh.offset[0]} ${positions[i + 1] + mesh.offset[1]} ${positions[i + 2] + mesh.offset[2]}`);
+        }
+        for (let i = 0; i < uvs.length; i += 2) {
+          lines.push(`vt ${uvs[i]} ${uvs[i + 1]}`); // OBJ의 uv좌표계는 WebGL처럼 왼쪽 하단이 (0, 0)이라서 그대로 씀.
+        }
+        for (let i = 0; i < normals.length; i += 3) {
+          lines.push(`vn ${normals[i]} ${normals[i + 1]} ${normals[i + 2]}`);
+        }
+        lines.push(`usemtl ${pass}`);
+        for (let i = 0; i < indices.length; i += 3) {
+          const face = [indices[i], indices[i + 1], indices[i + 2]].map((index) => {
+            const n = index + vertexCount + 1;
+            return `${n}/${n}/${n}`;
+          });
+          lines.push(`f ${face.join(' ')}`);
+        }
+        vertexCount += positions.length / 3;
+      }
+    }
+
+    const mtl = [
+      'newmtl opaque',
+      'Kd 1 1 1',
+      `map_Kd ${textureFileName}`,
+      `map_d ${textureFileName}`, // 텍스처의 알파값으로 투명한 타일 부분을 뚫어 줌.
+      '',
+      'newmtl transparent',
+      'Kd 1 1 1',
+      `map_Kd ${textureFileName}`,
+      `map_d ${textureFileName}`,
+      '',
+    ].join('\n');
+
+    return {
+      obj: lines.join('\n') + '\n',
+      mtl,
+    };
+  }
+}
+
+// glTF에서 쓰는 WebGL 상수값들
+WorldExporter.GL_ARRAY_BUFFER = 34962;
+WorldExporter.GL_ELEMENT_ARRAY_BUFFER = 34963;
+WorldExporter.GL_FLOAT = 5126;
+WorldExporter.GL_UNSIGNED_INT = 5125;
+WorldExporter.GL_NEAREST = 9728;
+
+// accessor의 type마다 요소 개수
+WorldExporter.componentCounts = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+};
+
+// glb 파일 헤더와 청크 종류를 나타내는 값. 각각 ASCII로 'glTF', 'JSON', 'BIN\0'
+WorldExporter.glbMagic = 0x46546C67;
+WorldExporter.glbChunkJson = 0x4E4F534A;
+WorldExporter.glbChunkBin = 0x004E4942;
+
+export {
+  WorldExporter
+};